@@ -0,0 +1,62 @@
+// Background job registration
+// config/scheduler.js
+import Claim from '../Models/Claim.js';
+import Invoice from '../Models/Invoice.js';
+import Repayment from '../Models/Repayment.js';
+import Refund from '../Models/Refund.js';
+import ClaimDraft from '../Models/ClaimDraft.js';
+import { registerJob } from '../Services/SchedulerServices.js';
+import { reconcileLedger } from '../Services/LedgerServices.js';
+import { runLapseCycle } from '../Services/PolicyServices.js';
+import { syncRates } from '../Services/FxServices.js';
+import { runSlaCycle } from '../Services/SlaServices.js';
+
+const PAYOUT_RETRY_INTERVAL_MS = Number(process.env.PAYOUT_RETRY_INTERVAL_MS || 5 * 60 * 1000);  // 5 min
+const PAYOUT_POLL_INTERVAL_MS = Number(process.env.PAYOUT_POLL_INTERVAL_MS || 10 * 60 * 1000);  // 10 min
+const BILLING_CYCLE_INTERVAL_MS = Number(process.env.BILLING_CYCLE_INTERVAL_MS || 60 * 60 * 1000);  // Hourly
+const POLICY_LAPSE_INTERVAL_MS = Number(process.env.POLICY_LAPSE_INTERVAL_MS || 60 * 60 * 1000);  // Hourly
+const REPAYMENT_CYCLE_INTERVAL_MS = Number(process.env.REPAYMENT_CYCLE_INTERVAL_MS || 60 * 60 * 1000);  // Hourly
+const FX_SYNC_INTERVAL_MS = Number(process.env.FX_SYNC_INTERVAL_MS || 6 * 60 * 60 * 1000);  // 4x daily (cheap when today is stored)
+const CLAIM_SLA_INTERVAL_MS = Number(process.env.CLAIM_SLA_INTERVAL_MS || 30 * 60 * 1000);  // 30 min
+const CLAIM_DRAFT_INTERVAL_MS = Number(process.env.CLAIM_DRAFT_INTERVAL_MS || 6 * 60 * 60 * 1000);  // 4x daily
+const LEDGER_RECONCILE_INTERVAL_MS = Number(process.env.LEDGER_RECONCILE_INTERVAL_MS || 24 * 60 * 60 * 1000);  // Daily
+
+const registerJobs = () => {
+  // Re-submit B2C claim payouts whose backoff window has elapsed
+  registerJob('claim-payout-retry', PAYOUT_RETRY_INTERVAL_MS, () => Claim.retryDuePayouts());
+
+  // Re-submit premium refunds whose backoff has elapsed; release refunds held for claims that have since closed
+  registerJob('refund-payout-retry', PAYOUT_RETRY_INTERVAL_MS, async () => ({
+    retried: await Refund.retryDuePayouts(),
+    released: await Refund.releaseHeld(),
+  }));
+
+  // Ask providers about unconfirmed claim payouts and refunds (PayPal payouts never call back; bank callbacks can be lost)
+  registerJob('payout-status-poll', PAYOUT_POLL_INTERVAL_MS, async () => ({
+    claims: await Claim.pollPendingPayouts(),
+    refunds: await Refund.pollPendingPayouts(),
+  }));
+
+  // Issue invoices whose billing period has started; mark missed due dates Overdue
+  registerJob('invoice-billing-cycle', BILLING_CYCLE_INTERVAL_MS, () => Invoice.runBillingCycle());
+
+  // Overdue policies: start grace, lapse once grace has run out, clear grace when paid up
+  registerJob('policy-lapse-cycle', POLICY_LAPSE_INTERVAL_MS, () => runLapseCycle());
+
+  // Reinstatement repayments: missed instalments, deadline reminders, escalate defaults
+  registerJob('repayment-collection', REPAYMENT_CYCLE_INTERVAL_MS, () => Repayment.runCollectionCycle());
+
+  // Store today's USD→KES rate from the configured provider (analytics conversions read the table)
+  registerJob('fx-rate-sync', FX_SYNC_INTERVAL_MS, () => syncRates());
+
+  // Claim SLA: reviewer warnings 48h/24h before resolutionDeadline, supervisor escalation on breach
+  registerJob('claim-sla', CLAIM_SLA_INTERVAL_MS, () => runSlaCycle());
+
+  // Draft claims for insured creators with a qualifying revenue drop; expire drafts left unsubmitted
+  registerJob('claim-drafts', CLAIM_DRAFT_INTERVAL_MS, () => ClaimDraft.runDraftCycle());
+
+  // Flag ledger vs Premium/Claim disagreements (logged; details via GET /api/ledger/admin/reconcile)
+  registerJob('ledger-reconciliation', LEDGER_RECONCILE_INTERVAL_MS, async () => (await reconcileLedger()).summary);
+};
+
+export default registerJobs;
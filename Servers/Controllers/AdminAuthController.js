@@ -3,9 +3,11 @@ import User from '../Models/User.js';
 import Premium from '../Models/Premium.js';
 import Claim from '../Models/Claim.js';
 import Content from '../Models/Content.js';
+import AuditLog from '../Models/AuditLog.js';
 import logger from '../Utilities/Logger.js';
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 import { sendVerificationEmail, sendEmail } from '../Services/EmailServices.js';
+import { closePolicy } from '../Services/PolicyServices.js';
 import { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType } from 'docx';
 import { Parser } from 'json2csv';
 
@@ -49,7 +51,7 @@ export const getAllUsers = async (req, res, next) => {
       users.map(async (user) => {
         const premium = await Premium.findOne({ 'premiumDetails.userId': user._id }).lean();
         const claims = await Claim.find({ 'claimDetails.userId': user._id })
-          .select('claimDetails.incidentType statusHistory')
+          .select('claimDetails.incidentType currentStatus statusHistory')
           .lean();
         const contentReviews = await Content.find({ 'contentDetails.userId': user._id })
           .select('contentDetails.platform riskAssessment.riskLevel')
@@ -112,7 +114,7 @@ export const getUserDetails = async (req, res, next) => {
         claims: claims.map((claim) => ({
           id: claim._id,
           incidentType: claim.claimDetails.incidentType,
-          status: claim.statusHistory.history[claim.statusHistory.history.length - 1].status,
+          status: claim.currentStatus,
           payoutAmount: claim.evaluation?.payoutAmount || 0
         })),
         contentReviews: contentReviews.map((content) => ({
@@ -190,15 +192,18 @@ export const deactivateUser = async (req, res, next) => {
 
     user.insuranceStatus.status = 'Surrendered';
     user.insuranceStatus.surrenderedAt = new Date();
+    user.recordPolicyEvent('Surrendered', { reason: 'User deactivated', changedBy: req.user.userId });
     user.isVerified = false;
     await user.save();
 
-    await Premium.deleteOne({ 'premiumDetails.userId': user._id });
+    // Keeps the Premium; voids unpaid invoices, refunds unearned premium and emails the termination statement
+    const refund = await closePolicy(user, { type: 'Surrendered', reason: 'User deactivated', changedBy: req.user.userId, effectiveDate: user.insuranceStatus.surrenderedAt });
 
-    logger.info(`Admin ${req.user.id} deactivated user ${req.params.id}`);
+    logger.info(`Admin ${req.user.userId} deactivated user ${req.params.id}${refund ? ` (refund ${refund.refundNumber}: KSh ${refund.amount}, ${refund.status})` : ''}`);
     res.json({
       success: true,
-      message: 'User deactivated successfully'
+      message: 'User deactivated successfully',
+      refund
     });
   } catch (error) {
     logger.error(`Error in deactivateUser: ${error.message}`);
@@ -398,7 +403,7 @@ export const getAnalytics = async (req, res, next) => {
       {
         $match: {
           resolutionDeadline: { $exists: true },
-          'statusHistory.history.status': { $in: ['Approved', 'Rejected', 'Paid'] },
+          currentStatus: { $in: ['Approved', 'Rejected', 'Paid'] },
         },
       },
       {
@@ -630,6 +635,44 @@ export const generateUserReport = async (req, res, next) => {
   }
 };
 
+// @desc    Admin audit trail (filter by action prefix, record, actor and date range)
+// @route   GET /api/admin-auth/admin/audit-log
+// @access  Private (Admin)
+export const getAuditLog = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, action, entityModel, entityId, actorId, startDate, endDate } = req.query;
+    const query = {};
+    if (action) query.action = { $regex: `^${String(action).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` };
+    if (entityModel) query['entity.model'] = entityModel;
+    if (entityId) query['entity.id'] = entityId;
+    if (actorId) query.actorId = actorId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actorId', 'personalInfo.fullName personalInfo.email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: { page: Number(page), limit: Number(limit), total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    logger.error(`Error in getAuditLog: ${error.message}`);
+    next(error);
+  }
+};
+
 // Helper function to generate AI insights for user report
 async function generateUserAiInsights(reportData) {
   const prompt = `
@@ -1,9 +1,13 @@
 // controllers/adminClaimsController.js
-import Claim from '../Models/Claim.js';
+import Claim, { ClaimTransitionError, REVIEW_QUEUE_STATUSES } from '../Models/Claim.js';
 import User from '../Models/User.js';
 import Premium from '../Models/Premium.js';
 import Analytics from '../Models/Analytics.js';
+import AuditLog from '../Models/AuditLog.js';
+import { isValidObjectId } from 'mongoose';
 import { sendEmail } from '../Services/EmailServices.js';
+import { runClaimBacktest } from '../Services/BacktestServices.js';
+import { REVIEW_ASSIGNMENT_STRATEGY } from '../Utilities/Constants.js';
 import logger from '../Utilities/Logger.js';
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 
@@ -62,20 +66,21 @@ export const getClaimById = async (req, res, next) => {
 // @access  Private (Admin)
 export const bulkReviewClaims = async (req, res, next) => {
   try {
-    const adminId = req.user.id;
+    const adminId = req.user.userId;
     if (req.user.role !== 'Admin') {
       return res.status(403).json({ success: false, error: 'Admin access required' });
     }
 
-    const { reviews } = req.body; // Array of { claimId, isValid, notes }
+    const { reviews } = req.body; // Array of { claimId, isValid, notes, payoutAmount?, override? }
     if (!Array.isArray(reviews) || reviews.length === 0) {
       logger.warn(`Invalid reviews array for admin ${adminId}`);
       return res.status(400).json({ success: false, error: 'Reviews array is required and cannot be empty' });
     }
 
+    const actor = await User.findById(adminId);  // Assigned-reviewer / supervisor-override checks
     const results = [];
     for (const review of reviews) {
-      const { claimId, isValid, notes } = review;
+      const { claimId, isValid, notes, payoutAmount, override = false } = review;
       if (!claimId || typeof isValid !== 'boolean' || !notes) {
         results.push({ claimId, success: false, error: 'claimId, isValid (boolean), and notes are required' });
         continue;
@@ -87,14 +92,11 @@ export const bulkReviewClaims = async (req, res, next) => {
         continue;
       }
 
-      // Ensure under manual review
-      const currentStatus = claim.statusHistory.history[claim.statusHistory.history.length - 1].status;
-      if (!['Under Review', 'Manual Review'].includes(currentStatus)) {
-        results.push({ claimId, success: false, error: 'Claim not eligible for manual review' });
-        continue;
-      }
-
       try {
+        const newStatus = isValid ? 'Approved' : 'Rejected';
+        claim.assertTransition(newStatus, { role: req.user.role, notes });  // Only claims awaiting review
+        const { overridden, assignee } = claim.authorizeDecision(actor, { override: override === true });
+
         // Set manual review
         claim.evaluation.manualReview = {
           reviewerId: adminId,
@@ -102,17 +104,27 @@ export const bulkReviewClaims = async (req, res, next) => {
           isValid,
         };
 
-        let payout = 0;
-        const newStatus = isValid ? 'Approved' : 'Rejected';
-        if (isValid) {
-          payout = await claim.calculatePayout();
-          await claim.processPayout(payout);
-        }
+        // payoutAmount replaces the formula amount when given; it still stays within the aggregate limits
+        const payout = !isValid ? 0
+          : payoutAmount != null && payoutAmount !== '' ? await claim.applyPayoutLimits(Number(payoutAmount) || 0)
+          : await claim.calculatePayout();
 
         const inAppMessage = isValid
-          ? `Approved after review! KSh ${Math.round(payout)} incoming.`
+          ? `Approved after review! KSh ${Math.round(payout)} is being sent to your payout account.`
           : 'Rejected after review.';
-        await claim.updateStatus(newStatus, adminId, notes, inAppMessage);
+        await claim.transitionStatus(newStatus, { actorId: adminId, role: req.user.role, notes, message: inAppMessage });
+        if (overridden) {
+          await AuditLog.record({
+            actorId: adminId,
+            action: 'claim.review-override',
+            entity: { model: 'Claim', id: claim._id },
+            summary: `Supervisor decided claim ${claimId} (${newStatus}) in place of assigned reviewer ${assignee} (bulk review)`,
+            details: { assignee, newStatus, notes, bulk: true },
+          });
+        }
+        if (isValid) {
+          await claim.processPayout(payout);  // Queues B2C; 'Paid' set by result callback
+        }
 
         // Notify user
         const user = claim.claimDetails.userId;
@@ -128,8 +140,17 @@ export const bulkReviewClaims = async (req, res, next) => {
           success: true,
           message: `Claim ${newStatus.toLowerCase()}`,
           payout: isValid ? payout : 0,
+          overridden,
         });
       } catch (reviewError) {
+        if (reviewError instanceof ClaimTransitionError) {
+          results.push({ claimId, ...reviewError.toResponse(), statusCode: reviewError.statusCode });
+          continue;
+        }
+        if (reviewError.statusCode) {
+          results.push({ claimId, success: false, error: reviewError.message, statusCode: reviewError.statusCode });
+          continue;
+        }
         logger.error(`Bulk review error for claim ${claimId}: ${reviewError.message}`);
         results.push({ claimId, success: false, error: reviewError.message });
       }
@@ -147,6 +168,339 @@ export const bulkReviewClaims = async (req, res, next) => {
   }
 };
 
+// @desc    List claim payouts needing attention (queued retries, in flight, failed)
+// @route   GET /api/admin-claims/admin/payouts
+// @access  Private (Admin)
+export const getPayoutQueue = async (req, res, next) => {
+  try {
+    const adminId = req.user.userId;
+    if (req.user.role !== 'Admin') {
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+
+    const { status = 'Failed', page = 1, limit = 20 } = req.query;
+    const statuses = String(status).split(',').filter(s => ['Queued', 'Pending', 'Failed'].includes(s));
+    if (statuses.length === 0) {
+      return res.status(400).json({ success: false, error: 'Status must be Queued, Pending and/or Failed' });
+    }
+
+    const query = { 'evaluation.payout.status': { $in: statuses } };
+    const [claims, total] = await Promise.all([
+      Claim.find(query)
+        .sort({ 'evaluation.payout.nextRetryAt': 1, updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .select('claimDetails.userId evaluation.payoutAmount evaluation.payout updatedAt')
+        .populate('claimDetails.userId', 'personalInfo.fullName personalInfo.email personalInfo.phoneNumber')
+        .lean(),
+      Claim.countDocuments(query),
+    ]);
+
+    logger.info(`Admin ${adminId} fetched ${claims.length} payouts (${statuses.join(',')})`);
+    res.json({
+      success: true,
+      payouts: claims.map(c => ({
+        claimId: c._id,
+        creator: c.claimDetails.userId,
+        amount: c.evaluation.payoutAmount,
+        status: c.evaluation.payout.status,
+        phoneNumber: c.evaluation.payout.phoneNumber,
+        retryCount: c.evaluation.payout.retryCount,
+        nextRetryAt: c.evaluation.payout.nextRetryAt,
+        lastError: c.evaluation.payout.lastError,
+        attempts: c.evaluation.payout.attempts,
+      })),
+      pagination: { page: Number(page), limit: Number(limit), total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    logger.error(`getPayoutQueue error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Manually retry a failed/queued claim payout (resets the retry budget)
+// @route   POST /api/admin-claims/admin/:id/payout/retry
+// @access  Private (Admin)
+export const retryClaimPayout = async (req, res, next) => {
+  try {
+    const adminId = req.user.userId;
+    if (req.user.role !== 'Admin') {
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+
+    const { id } = req.params;
+    const { phoneNumber } = req.body || {};
+    const claim = await Claim.findById(id);
+    if (!claim) {
+      return res.status(404).json({ success: false, error: 'Claim not found' });
+    }
+    if (!['Failed', 'Queued'].includes(claim.evaluation.payout.status)) {
+      return res.status(400).json({ success: false, error: `Payout is ${claim.evaluation.payout.status}; only Failed or Queued payouts can be retried` });
+    }
+
+    if (phoneNumber) claim.evaluation.payout.phoneNumber = phoneNumber;
+    claim.evaluation.payout.retryCount = 0;
+    const dispatched = await claim.dispatchPayout();
+
+    logger.info(`Admin ${adminId} retried payout for claim ${id}: ${dispatched ? `ref ${dispatched.reference}` : 'submit failed'}`);
+    res.json({
+      success: Boolean(dispatched),
+      message: dispatched ? `Payout re-submitted to ${claim.evaluation.payout.method}` : 'Payout submission failed; queued for automatic retry',
+      payout: claim.evaluation.payout,
+    });
+  } catch (error) {
+    logger.error(`retryClaimPayout error: ${error.message}`);
+    next(error);
+  }
+};
+
+const queueEntry = (claim, now) => {
+  const queuedAt = claim.assignment?.queuedAt || claim.updatedAt;
+  return {
+    claimId: claim._id,
+    status: claim.currentStatus,
+    creator: claim.claimDetails.userId,
+    incidentType: claim.claimDetails.incidentType,
+    fraudScore: claim.evaluation?.aiAnalysis?.fraudScore ?? null,
+    payoutAmount: claim.evaluation?.payoutAmount || 0,
+    reviewer: claim.assignment?.reviewerId || null,
+    assignedAt: claim.assignment?.assignedAt || null,
+    queuedAt,
+    hoursInQueue: Math.round(((now - new Date(queuedAt)) / (60 * 60 * 1000)) * 10) / 10,
+    resolutionDeadline: claim.resolutionDeadline,
+    slaPaused: Boolean(claim.sla?.pausedAt),
+  };
+};
+
+// Load a queued claim for an assignment change (404 / 409 when it is not awaiting review)
+const loadQueuedClaim = async (id) => {
+  if (!isValidObjectId(id)) throw Object.assign(new Error('Invalid claim ID'), { statusCode: 400 });
+  const claim = await Claim.findById(id);
+  if (!claim) throw Object.assign(new Error('Claim not found'), { statusCode: 404 });
+  if (!REVIEW_QUEUE_STATUSES.includes(claim.currentStatus)) {
+    throw Object.assign(new Error(`Claim is '${claim.currentStatus}', not awaiting manual review`), { statusCode: 409 });
+  }
+  return claim;
+};
+
+// @desc    Manual-review queue (oldest first; scope = unassigned | mine | all, or one reviewer's claims)
+// @route   GET /api/admin-claims/admin/review-queue
+// @access  Private (Admin)
+export const getReviewQueue = async (req, res, next) => {
+  try {
+    const { scope = 'all', reviewerId, page = 1, limit = 20 } = req.query;
+    const query = { currentStatus: { $in: REVIEW_QUEUE_STATUSES } };
+    if (reviewerId) query['assignment.reviewerId'] = reviewerId;
+    else if (scope === 'unassigned') query['assignment.reviewerId'] = null;
+    else if (scope === 'mine') query['assignment.reviewerId'] = req.user.userId;
+
+    const [claims, total] = await Promise.all([
+      Claim.find(query)
+        .sort({ 'assignment.queuedAt': 1, updatedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .select('claimDetails currentStatus evaluation.aiAnalysis.fraudScore evaluation.payoutAmount assignment.reviewerId assignment.assignedAt assignment.queuedAt resolutionDeadline sla.pausedAt updatedAt')
+        .populate('claimDetails.userId', 'personalInfo.fullName personalInfo.email')
+        .populate('assignment.reviewerId', 'personalInfo.fullName personalInfo.email')
+        .lean(),
+      Claim.countDocuments(query),
+    ]);
+
+    const now = new Date();
+    res.json({
+      success: true,
+      queue: claims.map(c => queueEntry(c, now)),
+      pagination: { page: Number(page), limit: Number(limit), total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    logger.error(`getReviewQueue error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Per-reviewer workload: open queue claims, oldest wait, decisions and queue-to-decision time (last 30 days)
+// @route   GET /api/admin-claims/admin/review-queue/workload
+// @access  Private (Admin)
+export const getReviewerWorkload = async (req, res, next) => {
+  try {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const [reviewers, open, decided, unassigned] = await Promise.all([
+      User.find({ role: 'Admin' }).select('personalInfo.fullName personalInfo.email reviewer').lean(),
+      Claim.aggregate([
+        { $match: { currentStatus: { $in: REVIEW_QUEUE_STATUSES }, 'assignment.reviewerId': { $ne: null } } },
+        { $group: { _id: '$assignment.reviewerId', open: { $sum: 1 }, oldestQueuedAt: { $min: '$assignment.queuedAt' } } },
+      ]),
+      Claim.aggregate([
+        { $match: { 'sla.resolvedAt': { $gte: since }, 'assignment.queuedAt': { $ne: null }, 'evaluation.manualReview.reviewerId': { $ne: null } } },
+        {
+          $group: {
+            _id: '$evaluation.manualReview.reviewerId',
+            decided: { $sum: 1 },
+            avgQueueToDecisionMs: { $avg: { $subtract: ['$sla.resolvedAt', '$assignment.queuedAt'] } },
+          },
+        },
+      ]),
+      Claim.aggregate([
+        { $match: { currentStatus: { $in: REVIEW_QUEUE_STATUSES }, 'assignment.reviewerId': null } },
+        { $group: { _id: null, count: { $sum: 1 }, oldestQueuedAt: { $min: '$assignment.queuedAt' } } },
+      ]),
+    ]);
+
+    const openBy = new Map(open.map(o => [String(o._id), o]));
+    const decidedBy = new Map(decided.map(d => [String(d._id), d]));
+    const hours = (ms) => (ms == null ? null : Math.round((ms / (60 * 60 * 1000)) * 10) / 10);
+    const now = new Date();
+    res.json({
+      success: true,
+      strategy: REVIEW_ASSIGNMENT_STRATEGY,
+      unassigned: {
+        count: unassigned[0]?.count || 0,
+        oldestHoursInQueue: unassigned[0]?.oldestQueuedAt ? hours(now - unassigned[0].oldestQueuedAt) : null,
+      },
+      reviewers: reviewers.map(r => {
+        const o = openBy.get(String(r._id));
+        const d = decidedBy.get(String(r._id));
+        return {
+          reviewerId: r._id,
+          name: r.personalInfo?.fullName,
+          email: r.personalInfo?.email,
+          active: r.reviewer?.active !== false,
+          supervisor: Boolean(r.reviewer?.supervisor),
+          lastAssignedAt: r.reviewer?.lastAssignedAt || null,
+          open: o?.open || 0,
+          oldestHoursInQueue: o?.oldestQueuedAt ? hours(now - o.oldestQueuedAt) : null,
+          decided30d: d?.decided || 0,
+          avgHoursQueueToDecision: hours(d?.avgQueueToDecisionMs),
+        };
+      }).sort((a, b) => b.open - a.open),
+    });
+  } catch (error) {
+    logger.error(`getReviewerWorkload error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Take an unassigned claim from the review queue
+// @route   POST /api/admin-claims/admin/review-queue/:id/claim
+// @access  Private (Admin)
+export const claimReview = async (req, res, next) => {
+  try {
+    const claim = await loadQueuedClaim(req.params.id);
+    if (claim.assignment.reviewerId) {
+      const mine = claim.assignment.reviewerId.equals(req.user.userId);
+      return res.status(409).json({ success: false, error: mine ? 'Claim is already assigned to you' : 'Claim is assigned to another reviewer; ask a supervisor to reassign it' });
+    }
+
+    await claim.setAssignment(req.user.userId, { action: 'Claimed', by: req.user.userId });
+    logger.info(`Admin ${req.user.userId} claimed claim ${claim._id} for review`);
+    res.json({ success: true, message: 'Claim assigned to you', assignment: claim.assignment });
+  } catch (error) {
+    logger.error(`claimReview error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Hand a claim back to the queue (assigned reviewer or a supervisor)
+// @route   POST /api/admin-claims/admin/review-queue/:id/release
+// @access  Private (Admin)
+export const releaseReview = async (req, res, next) => {
+  try {
+    const claim = await loadQueuedClaim(req.params.id);
+    if (!claim.assignment.reviewerId) {
+      return res.status(409).json({ success: false, error: 'Claim is not assigned' });
+    }
+    if (!claim.assignment.reviewerId.equals(req.user.userId)) {
+      const actor = await User.findById(req.user.userId);
+      if (!actor?.isClaimsSupervisor()) {
+        return res.status(403).json({ success: false, error: 'Only the assigned reviewer or a supervisor can release this claim' });
+      }
+    }
+
+    await claim.setAssignment(null, { action: 'Released', by: req.user.userId, notes: req.body?.notes || '' });
+    logger.info(`Admin ${req.user.userId} released claim ${claim._id} back to the review queue`);
+    res.json({ success: true, message: 'Claim returned to the review queue', assignment: claim.assignment });
+  } catch (error) {
+    logger.error(`releaseReview error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Reassign a claim to a named reviewer, or the next one by the assignment strategy (supervisors, or the
+//          assigned reviewer handing it on)
+// @route   POST /api/admin-claims/admin/review-queue/:id/reassign
+// @access  Private (Admin)
+export const reassignReview = async (req, res, next) => {
+  try {
+    const { reviewerId, notes = '' } = req.body || {};
+    const claim = await loadQueuedClaim(req.params.id);
+    const current = claim.assignment.reviewerId;
+    if (!current?.equals(req.user.userId)) {
+      const actor = await User.findById(req.user.userId);
+      if (!actor?.isClaimsSupervisor()) {
+        return res.status(403).json({ success: false, error: 'Only the assigned reviewer or a supervisor can reassign this claim' });
+      }
+    }
+
+    let target;
+    if (reviewerId) {
+      if (!isValidObjectId(reviewerId)) {
+        return res.status(400).json({ success: false, error: 'Invalid reviewerId' });
+      }
+      target = await User.findOne({ _id: reviewerId, role: 'Admin' }).select('reviewer').lean();
+      if (!target) {
+        return res.status(400).json({ success: false, error: 'reviewerId must be an admin' });
+      }
+    } else {
+      target = await Claim.pickReviewer({ exclude: current ? [current] : [] });
+      if (!target) {
+        return res.status(409).json({ success: false, error: 'No other active reviewer available' });
+      }
+    }
+    if (current?.equals(target._id)) {
+      return res.status(409).json({ success: false, error: 'Claim is already assigned to that reviewer' });
+    }
+
+    await claim.setAssignment(target._id, { action: 'Reassigned', by: req.user.userId, notes });
+    logger.info(`Admin ${req.user.userId} reassigned claim ${claim._id} from ${current || 'queue'} to ${target._id}`);
+    res.json({ success: true, message: 'Claim reassigned', assignment: claim.assignment });
+  } catch (error) {
+    logger.error(`reassignReview error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Set a reviewer's queue availability / supervisor flag (supervisors only)
+// @route   PUT /api/admin-claims/admin/review-queue/reviewers/:userId
+// @access  Private (Admin, supervisor)
+export const updateReviewer = async (req, res, next) => {
+  try {
+    const actor = await User.findById(req.user.userId);
+    if (!actor?.isClaimsSupervisor()) {
+      return res.status(403).json({ success: false, error: 'Supervisor access required' });
+    }
+
+    const { active, supervisor } = req.body || {};
+    const update = {};
+    if (typeof active === 'boolean') update['reviewer.active'] = active;
+    if (typeof supervisor === 'boolean') update['reviewer.supervisor'] = supervisor;
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ success: false, error: 'active and/or supervisor (boolean) required' });
+    }
+
+    const reviewer = await User.findOneAndUpdate({ _id: req.params.userId, role: 'Admin' }, update, { new: true })
+      .select('personalInfo.fullName personalInfo.email reviewer');
+    if (!reviewer) {
+      return res.status(404).json({ success: false, error: 'Admin not found' });
+    }
+
+    logger.info(`Supervisor ${req.user.userId} updated reviewer ${reviewer._id}: ${JSON.stringify(update)}`);
+    res.json({ success: true, reviewer });
+  } catch (error) {
+    logger.error(`updateReviewer error: ${error.message}`);
+    next(error);
+  }
+};
+
 // @desc    Audit claims with AI (Admin only; enhance model's scanFraud)
 // @route   POST /api/admin/claims/audit
 // @access  Private (Admin)
@@ -167,7 +521,7 @@ export const auditClaimsWithAI = async (req, res, next) => {
     for (const claimId of claimIds) {
       const claim = await Claim.findById(claimId)
         .populate('claimDetails.userId', 'personalInfo.email financialInfo.monthlyEarnings financialInfo.currency platformInfo.youtube')
-        .populate('policyId', 'premiumDetails.monthlyCap');
+        .populate('policyId', 'premiumDetails.monthlyCap premiumDetails.annualCap premiumDetails.deductibleDays');
       if (!claim) {
         logger.warn(`Claim not found: ${claimId} for admin ${adminId}`);
         results.push({ claimId, success: false, error: 'Claim not found' });
@@ -268,7 +622,7 @@ export const getClaimHistory = async (req, res, next) => {
     const { id } = req.params; // claimId
     const claim = await Claim.findById(id)
       .populate('claimDetails.userId', 'personalInfo.email insuranceStatus')
-      .populate('policyId', 'premiumDetails.finalAmount');
+      .populate('policyId', 'premiumDetails.finalAmount premiumDetails.monthlyCap premiumDetails.annualCap premiumDetails.deductibleDays');
     if (!claim) {
       logger.error(`Claim not found: ${id}`);
       return res.status(404).json({ success: false, error: 'Claim not found' });
@@ -290,6 +644,7 @@ export const getClaimHistory = async (req, res, next) => {
           reasons: claim.evaluation.aiAnalysis.reasons,  // Full for admin
         },
         manualReview: claim.evaluation.manualReview,
+        assignment: claim.assignment,
         revenueDropPercent: claim.evaluation.revenueDropPercent,
         lostDays: claim.evaluation.lostDays,
         baselineDaily: claim.evaluation.baselineDaily,
@@ -319,6 +674,9 @@ export const getClaimHistory = async (req, res, next) => {
         userId: claim.claimDetails.userId._id,
         userEmail: claim.claimDetails.userId.personalInfo.email,
         policyCap: claim.policyId?.premiumDetails.monthlyCap || 65000,
+        annualCap: claim.policyId?.premiumDetails.annualCap ?? null,
+        deductibleDays: claim.policyId?.premiumDetails.deductibleDays ?? null,
+        payoutBreakdown: claim.evaluation.payoutBreakdown,
         history,
       },
     });
@@ -353,7 +711,7 @@ export const flagHighRiskCreators = async (req, res, next) => {
         $group: {
           _id: '$claimDetails.userId',
           claimCount: { $sum: 1 },
-          rejectedCount: { $sum: { $cond: [{ $eq: ['$statusHistory.history.status', 'Rejected'] }, 1, 0] } },
+          rejectedCount: { $sum: { $cond: [{ $eq: ['$currentStatus', 'Rejected'] }, 1, 0] } },
           totalPayout: { $sum: '$evaluation.payoutAmount' },
           avgFraudScore: { $avg: '$evaluation.aiAnalysis.fraudScore' },
         },
@@ -434,4 +792,76 @@ export const flagHighRiskCreators = async (req, res, next) => {
     logger.error(`flagHighRiskCreators error: ${error.message}`);
     next(error);
   }
-};
\ No newline at end of file
+};
+// @desc    Backtest candidate claim rules over past claims (dry run: nothing is saved, moved, paid or emailed)
+// @route   POST /api/admin-claims/admin/backtest
+// @access  Private (Admin)
+export const backtestClaimRules = async (req, res, next) => {
+  try {
+    const { startDate, endDate, rules, fraudRuleVersion, fraudThresholds, limit } = req.body || {};
+    if (fraudRuleVersion !== undefined && !(Number.isInteger(fraudRuleVersion) && fraudRuleVersion > 0)) {
+      return res.status(400).json({ success: false, error: 'fraudRuleVersion must be a positive integer' });
+    }
+    if (fraudThresholds !== undefined && (typeof fraudThresholds !== 'object' || Array.isArray(fraudThresholds))) {
+      return res.status(400).json({ success: false, error: 'fraudThresholds must be an object' });
+    }
+
+    const report = await runClaimBacktest({ startDate, endDate, rules, fraudRuleVersion, fraudThresholds, limit });
+    logger.info(`Admin ${req.user.userId} backtested claim rules: ${report.assessed} claims, ${report.changes.outcomeChanged} outcome changes`);
+    res.json({ success: true, dryRun: true, ...report });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    logger.error(`backtestClaimRules error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Claims sharing this claim's evidence (same file or near-identical image); re-checked on each call
+// @route   GET /api/admin-claims/admin/:id/shared-evidence
+// @access  Private (Admin)
+export const getSharedEvidence = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid claim ID' });
+    }
+    const claim = await Claim.findById(id);
+    if (!claim) {
+      return res.status(404).json({ success: false, error: 'Claim not found' });
+    }
+
+    const reuse = await claim.detectEvidenceReuse();
+    const related = await Claim.find({ _id: { $in: reuse.matches.map(m => m.claimId) } })
+      .select('currentStatus claimDetails.userId claimDetails.incidentType claimDetails.incidentDate createdAt')
+      .populate('claimDetails.userId', 'personalInfo.fullName personalInfo.email')
+      .lean();
+    const byId = new Map(related.map(c => [String(c._id), c]));
+
+    res.json({
+      success: true,
+      claimId: claim._id,
+      checkedAt: reuse.checkedAt,
+      otherAccounts: reuse.otherAccounts,
+      claims: reuse.claims,
+      files: claim.evidence.files.map(f => ({ url: f.url, type: f.type, sha256: f.sha256, phash: f.phash })),
+      matches: reuse.matches.map(m => {
+        const other = byId.get(String(m.claimId));
+        return {
+          ...m.toObject(),
+          claimStatus: other?.currentStatus || null,
+          incidentType: other?.claimDetails.incidentType || null,
+          incidentDate: other?.claimDetails.incidentDate || null,
+          submittedAt: other?.createdAt || null,
+          creator: other?.claimDetails.userId
+            ? { name: other.claimDetails.userId.personalInfo?.fullName, email: other.claimDetails.userId.personalInfo?.email }
+            : null,
+        };
+      }),
+    });
+  } catch (error) {
+    logger.error(`getSharedEvidence error: ${error.message}`);
+    next(error);
+  }
+};
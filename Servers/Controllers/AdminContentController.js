@@ -1,7 +1,5 @@
 // controllers/adminClaimsController.js
 import Claim from '../Models/Claim.js';
-import User from '../Models/User.js';
-import { sendEmail } from '../Services/EmailServices.js';
 import logger from '../Utilities/Logger.js';
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 
@@ -11,71 +9,18 @@ if (!GEMINI_API_KEY) throw new Error('Gemini API key is not configured');
 const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
 const model = genAI.getGenerativeModel({ model: process.env.MODEL_GEMINI });
 
-// @desc    Bulk review claims (Admin only)
-// @route   POST /api/admin/claims/bulk-review
+// @desc    Bulk review claims (Admin only): re-exports the admin-claims handler so both routes pay out and audit
+//          supervisor overrides the same way
+// @route   POST /api/admin-content/admin/bulk-review (also /api/admin-claims/admin/bulk-review)
 // @access  Private (Admin)
-export const bulkReviewClaims = async (req, res, next) => {
-  try {
-    const adminId = req.user.id;
-    const { reviews } = req.body; // Array of { claimId, isValid, notes, payoutAmount }
-
-    if (!Array.isArray(reviews) || reviews.length === 0) {
-      logger.warn(`Invalid reviews array for admin ${adminId}`);
-      return res.status(400).json({ success: false, error: 'Reviews array is required and cannot be empty' });
-    }
-
-    const results = [];
-    for (const review of reviews) {
-      const { claimId, isValid, notes, payoutAmount } = review;
-      const claim = await Claim.findById(claimId);
-      if (!claim) {
-        results.push({ claimId, success: false, error: 'Claim not found' });
-        continue;
-      }
-
-      if (typeof isValid !== 'boolean' || !notes) {
-        results.push({ claimId, success: false, error: 'isValid and notes are required' });
-        continue;
-      }
-
-      try {
-        claim.evaluation.manualReview = { reviewerId: adminId, notes, isValid };
-        claim.evaluation.payoutAmount = isValid ? Number(payoutAmount) || claim.evaluation.verifiedEarningsLoss : 0;
-        claim.evaluation.evaluationDate = new Date();
-        const newStatus = isValid ? 'Approved' : 'Rejected';
-        await claim.updateStatus(newStatus, adminId, notes);
-
-        const user = await User.findById(claim.claimDetails.userId);
-        await sendEmail({
-          to: user.personalInfo.email,
-          subject: `Claim ${newStatus} - CCI`,
-          text: `Your claim (ID: ${claimId}) has been ${newStatus.toLowerCase()}. ${notes}`,
-        });
-
-        results.push({ claimId, success: true, message: `Claim ${newStatus.toLowerCase()}` });
-      } catch (error) {
-        results.push({ claimId, success: false, error: error.message });
-      }
-    }
-
-    logger.info(`Admin ${adminId} bulk reviewed ${reviews.length} claims`);
-    res.json({
-      success: true,
-      message: 'Bulk claim reviews completed',
-      data: results,
-    });
-  } catch (error) {
-    logger.error(`Error in bulkReviewClaims: ${error.message}`);
-    next(error);
-  }
-};
+export { bulkReviewClaims } from './AdminClaimsController.js';
 
 // @desc    Audit claims with AI (Admin only)
 // @route   POST /api/admin/claims/audit
 // @access  Private (Admin)
 export const auditClaimsWithAI = async (req, res, next) => {
   try {
-    const adminId = req.user.id;
+    const adminId = req.user.userId;
     const { claimIds } = req.body; // Array of claim IDs
 
     if (!Array.isArray(claimIds) || claimIds.length === 0) {
@@ -245,7 +190,7 @@ export const flagHighRiskCreators = async (req, res, next) => {
         $group: {
           _id: '$claimDetails.userId',
           claimCount: { $sum: 1 },
-          rejectedCount: { $sum: { $cond: [{ $eq: ['$statusHistory.history.status', 'Rejected'] }, 1, 0] } },
+          rejectedCount: { $sum: { $cond: [{ $eq: ['$currentStatus', 'Rejected'] }, 1, 0] } },
           totalPayout: { $sum: '$evaluation.payoutAmount' },
         },
       },
@@ -1,9 +1,11 @@
 // controllers/adminInsuranceController.js
 import User from '../Models/User.js';
 import Premium from '../Models/Premium.js';
+import Invoice from '../Models/Invoice.js';
 import Claim from '../Models/Claim.js';
 import Content from '../Models/Content.js';
 import { sendEmail } from '../Services/EmailServices.js';
+import { closePolicy } from '../Services/PolicyServices.js';
 import logger from '../Utilities/Logger.js';
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 
@@ -57,6 +59,7 @@ export const bulkReviewApplications = async (req, res, next) => {
           policyStartDate,
           policyEndDate,
         };
+        user.recordPolicyEvent('Approved', { changedBy: adminId, metadata: { coveragePeriod, policyEndDate } });
         user.financialInfo.premium = {
           percentage: premium.premiumDetails.finalPercentage,
           amount: premium.premiumDetails.finalAmount,
@@ -67,6 +70,9 @@ export const bulkReviewApplications = async (req, res, next) => {
         user.applicationProgress = { step: 'Completed', lastUpdated: new Date() };
         await user.save();
 
+        // One invoice per month of the term (first one issued now)
+        await Invoice.syncSchedule(premium, user.insuranceStatus);
+
         await sendEmail({
           to: user.personalInfo.email,
           subject: 'CCI Insurance Application Approved',
@@ -85,8 +91,11 @@ export const bulkReviewApplications = async (req, res, next) => {
           status: 'Rejected',
           rejectionReason,
         };
+        user.recordPolicyEvent('Rejected', { reason: rejectionReason, changedBy: adminId });
         user.applicationProgress = { step: 'Completed', lastUpdated: new Date() };
         await user.save();
+        const rejectedPremium = await Premium.findOne({ 'premiumDetails.userId': userId }).select('_id');
+        if (rejectedPremium) await Invoice.voidOpenInvoices(rejectedPremium._id, 'Application rejected');
         await Premium.deleteOne({ 'premiumDetails.userId': userId });
 
         await sendEmail({
@@ -152,12 +161,14 @@ export const manageContractRenewals = async (req, res, next) => {
         user.insuranceStatus.policyEndDate = newEndDate;
         user.insuranceStatus.lastRenewedAt = new Date();
         user.insuranceStatus.renewalRemindedAt = null;
+        user.recordPolicyEvent('Renewed', { changedBy: adminId, metadata: { coveragePeriod, policyEndDate: newEndDate } });
         await user.save();
 
         const premium = await Premium.findOne({ 'premiumDetails.userId': userId });
         if (premium) {
           await premium.recalculatePremium(adminId);
           await premium.save();
+          await Invoice.syncSchedule(premium, user.insuranceStatus);  // Bill the added months
         }
 
         await sendEmail({
@@ -209,7 +220,7 @@ export const getContractById = async (req, res, next) => {
 
     const premium = await Premium.findOne({ 'premiumDetails.userId': id });
     const claims = await Claim.find({ 'claimDetails.userId': id }).select(
-      'claimDetails.incidentType statusHistory evaluation'
+      'claimDetails.incidentType currentStatus statusHistory evaluation'
     );
     const contentReviews = await Content.find({ 'contentDetails.userId': id }).select(
       'contentDetails.platform riskAssessment'
@@ -228,7 +239,7 @@ export const getContractById = async (req, res, next) => {
         claims: claims.map((claim) => ({
           id: claim._id,
           incidentType: claim.claimDetails.incidentType,
-          status: claim.statusHistory.history[claim.statusHistory.history.length - 1].status,
+          status: claim.currentStatus,
           payoutAmount: claim.evaluation?.payoutAmount || 0,
         })),
         contentReviews: contentReviews.map((content) => ({
@@ -441,6 +452,7 @@ export const updateContract = async (req, res, next) => {
     if (premium) {
       await premium.recalculatePremium(adminId);
       await premium.save();
+      await Invoice.syncSchedule(premium, user.insuranceStatus);  // Add/void periods for the new term
       user.financialInfo.premium = {
         percentage: premium.premiumDetails.finalPercentage,
         amount: premium.premiumDetails.finalAmount,
@@ -495,7 +507,7 @@ export const terminateContract = async (req, res, next) => {
     }
 
     const user = await User.findById(id);
-    if (!user || user.role !== 'Creator' || user.insuranceStatus.status !== 'Approved') {
+    if (!user || user.role !== 'Creator' || !['Approved', 'Lapsed'].includes(user.insuranceStatus.status)) {
       logger.error(`Invalid contract for user ${id}`);
       return res.status(404).json({ success: false, error: 'Active contract not found' });
     }
@@ -506,23 +518,18 @@ export const terminateContract = async (req, res, next) => {
       surrenderedAt: new Date(),
       rejectionReason: reason,
     };
+    user.recordPolicyEvent('Terminated', { reason, changedBy: adminId });
     user.applicationProgress = { step: 'Completed', lastUpdated: new Date() };
     await user.save();
 
-    await Premium.deleteOne({ 'premiumDetails.userId': id });
-
-    await sendEmail({
-      to: user.personalInfo.email,
-      subject: 'CCI Insurance Contract Terminated',
-      text: `Dear ${user.personalInfo.firstName},\n\nYour insurance contract has been terminated. Reason: ${reason}.`,
-      html: `<p>Dear ${user.personalInfo.firstName},</p><p>Your contract has been terminated. Reason: ${reason}.</p>`,
-    });
+    // Keeps the Premium; voids unpaid invoices, refunds unearned premium and emails the termination statement
+    const refund = await closePolicy(user, { type: 'Terminated', reason, changedBy: adminId, effectiveDate: user.insuranceStatus.surrenderedAt });
 
-    logger.info(`Admin ${adminId} terminated contract for user ${id}: ${reason}`);
+    logger.info(`Admin ${adminId} terminated contract for user ${id}: ${reason}${refund ? ` (refund ${refund.refundNumber}: KSh ${refund.amount}, ${refund.status})` : ''}`);
     res.json({
       success: true,
       message: 'Contract terminated successfully',
-      data: { insuranceStatus: user.insuranceStatus },
+      data: { insuranceStatus: user.insuranceStatus, refund },
     });
   } catch (error) {
     logger.error(`Error in terminateContract for contract ${req.params.id}: ${error.message}`);
@@ -560,7 +567,12 @@ export const getContractHistory = async (req, res, next) => {
         ...(user.insuranceStatus.approvedAt ? [{ status: 'Approved', date: user.insuranceStatus.approvedAt }] : []),
         ...(user.insuranceStatus.surrenderedAt ? [{ status: 'Surrendered', date: user.insuranceStatus.surrenderedAt }] : []),
         ...(user.insuranceStatus.rejectionReason ? [{ status: 'Rejected', reason: user.insuranceStatus.rejectionReason }] : []),
+        ...(user.insuranceStatus.lapses || []).flatMap(l => [
+          { status: 'Lapsed', date: l.lapsedAt },
+          ...(l.reinstatedAt ? [{ status: 'Reinstated', date: l.reinstatedAt, arrearsAmount: l.arrearsAmount, waitingPeriodEndsAt: l.waitingPeriodEndsAt }] : []),
+        ]),
       ].filter(Boolean),
+      policyEvents: user.insuranceStatus.history || [],
       renewals: user.insuranceStatus.lastRenewedAt
         ? [{ date: user.insuranceStatus.lastRenewedAt, coveragePeriod: user.insuranceStatus.coveragePeriod }]
         : [],
@@ -568,7 +580,7 @@ export const getContractHistory = async (req, res, next) => {
       claims: claims.map((c) => ({
         id: c._id,
         incidentType: c.claimDetails.incidentType,
-        status: c.statusHistory.history[c.statusHistory.history.length - 1].status,
+        status: c.currentStatus,
         date: c.claimDetails.incidentDate,
       })),
       contentReviews: contentReviews.map((c) => ({
@@ -2,7 +2,9 @@
 import Claim from '../Models/Claim.js';
 import Content from '../Models/Content.js';
 import Premium from '../Models/Premium.js';
+import Invoice from '../Models/Invoice.js';
 import User from '../Models/User.js';
+import StatementImport, { REVIEW_STATUSES } from '../Models/StatementImport.js';
 import { sendEmail } from '../Services/EmailServices.js';
 import logger from '../Utilities/Logger.js';
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
@@ -257,9 +259,14 @@ export const getPremiumHistory = async (req, res, next) => {
       return res.status(404).json({ success: false, error: 'Associated user not found' });
     }
 
+    const invoices = await Invoice.find({ premiumId: premium._id }).sort({ periodNumber: 1 }).lean();
     const history = {
       calculationHistory: premium.calculationHistory.calculations || [],
-      paymentAttempts: premium.paymentStatus.attempts || [],
+      paymentAttempts: [
+        ...(premium.paymentStatus.attempts || []),
+        ...invoices.flatMap(i => i.attempts.map(a => ({ ...a, invoiceNumber: i.invoiceNumber }))),
+      ].sort((a, b) => new Date(a.date) - new Date(b.date)),
+      invoices: invoices.map(({ attempts, ...invoice }) => invoice),
       lastRenewedAt: premium.lastRenewedAt,
       renewalCount: premium.renewalCount,
     };
@@ -420,6 +427,125 @@ export const generatePremiumReport = async (req, res, next) => {
   }
 };
 
+// @desc    Import an M-Pesa paybill statement (CSV/XLSX) and reconcile it against open invoices (Admin only)
+// @route   POST /api/admin-premiums/admin/statements (multipart field: statement)
+// @access  Private (Admin)
+export const importMpesaStatement = async (req, res, next) => {
+  try {
+    const adminId = req.user.userId;
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Upload the statement as a CSV or XLSX file in the "statement" field' });
+    }
+
+    const statement = await StatementImport.importStatement({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      uploadedBy: adminId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${statement.totals.matched} payment(s) matched, ${statement.totals.review} sent for review`,
+      data: {
+        importId: statement._id,
+        fileName: statement.fileName,
+        periodStart: statement.periodStart,
+        periodEnd: statement.periodEnd,
+        totals: statement.totals,
+        review: statement.lines.filter(l => REVIEW_STATUSES.includes(l.status)),
+      },
+    });
+  } catch (error) {
+    logger.error(`Error in importMpesaStatement: ${error.message}`);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    if (/header|column|worksheet|zip/i.test(error.message)) {
+      return res.status(400).json({ success: false, error: `Unreadable statement: ${error.message}` });
+    }
+    next(error);
+  }
+};
+
+// @desc    List statement imports, newest first (Admin only)
+// @route   GET /api/admin-premiums/admin/statements
+// @access  Private (Admin)
+export const getStatementImports = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const [imports, total] = await Promise.all([
+      StatementImport.find()
+        .select('-lines')
+        .populate('uploadedBy', 'personalInfo.fullName personalInfo.email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .lean(),
+      StatementImport.countDocuments(),
+    ]);
+
+    res.json({
+      success: true,
+      data: imports,
+      pagination: { page: Number(page), limit: Number(limit), total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    logger.error(`Error in getStatementImports: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Paybill payments awaiting review (unmatched, partial or ambiguous) across all imports (Admin only)
+// @route   GET /api/admin-premiums/admin/statements/review
+// @access  Private (Admin)
+export const getReconciliationReviewList = async (req, res, next) => {
+  try {
+    const lines = await StatementImport.aggregate([
+      { $match: { 'lines.status': { $in: REVIEW_STATUSES } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.status': { $in: REVIEW_STATUSES } } },
+      { $sort: { 'lines.completedAt': 1 } },
+      { $project: { _id: 0, importId: '$_id', fileName: 1, line: '$lines' } },
+    ]);
+
+    res.json({
+      success: true,
+      count: lines.length,
+      totalAmount: lines.reduce((sum, l) => sum + l.line.paidIn, 0),
+      data: lines,
+    });
+  } catch (error) {
+    logger.error(`Error in getReconciliationReviewList: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Resolve a review-list line: apply it to an invoice (marks it paid) or dismiss it (Admin only)
+// @route   POST /api/admin-premiums/admin/statements/:importId/lines/:lineId/resolve
+// @access  Private (Admin)
+export const resolveStatementLine = async (req, res, next) => {
+  try {
+    const adminId = req.user.userId;
+    const { importId, lineId } = req.params;
+    const { action, invoiceId, notes = '' } = req.body;
+
+    const statement = await StatementImport.findById(importId);
+    if (!statement) {
+      return res.status(404).json({ success: false, error: 'Statement import not found' });
+    }
+
+    const line = await statement.resolveLine(lineId, { action, invoiceId, notes, adminId });
+    logger.info(`Admin ${adminId} ${line.status.toLowerCase()} paybill line ${line.receiptNo} from ${statement.fileName}`);
+    res.json({ success: true, message: `Line ${line.status.toLowerCase()}`, data: line });
+  } catch (error) {
+    logger.error(`Error in resolveStatementLine: ${error.message}`);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+};
+
 // Helper function to generate AI insights for premium report
 async function generatePremiumAiInsights(reportData, model) {
   // Collect unique platforms
@@ -1,7 +1,9 @@
-import axios from 'axios';
 import User from '../Models/User.js';
 import Analytics from '../Models/Analytics.js';
+import ClaimDraft from '../Models/ClaimDraft.js';
 import logger from '../Utilities/Logger.js';
+import { convertSeries } from '../Services/FxServices.js';
+import { safeApiCall } from '../Services/YouTubeServices.js';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 
 // === MOCK COMMENTS GENERATOR FOR DEMO (KENYAN-FLAVORED) ===
@@ -39,48 +41,6 @@ const generateMockComments = (numComments = 0, videoTitle = 'Sample Video', nich
   return comments;
 };
 
-// === TOKEN REFRESH ===
-const refreshAccessToken = async (refreshToken, clientId, clientSecret) => {
-  try {
-    const res = await axios.post('https://oauth2.googleapis.com/token', {
-      client_id: clientId,
-      client_secret: clientSecret,
-      refresh_token: refreshToken,
-      grant_type: 'refresh_token'
-    });
-    return res.data.access_token;
-  } catch (err) {
-    logger.error(`Token refresh failed: ${err.response?.data?.error || err.message}`);
-    throw new Error('Re-authenticate required');
-  }
-};
-
-// === SAFE API CALL === (Enhanced logging for debugging)
-const safeApiCall = async (url, params, user, refreshToken) => {
-  if (!user?.platformInfo?.youtube?.accessToken) {
-    throw new Error('Invalid user token configuration');
-  }
-  let token = user.platformInfo.youtube.accessToken;
-  try {
-    const res = await axios.get(url, {
-      params: { ...params, access_token: token },
-      timeout: 15000
-    });
-    return res.data;
-  } catch (err) {
-    logger.warn(`API call failed for ${url}: ${err.message}`); // Added for trace
-    if (err.response?.status === 401 && refreshToken) {
-      logger.warn('401 detected. Refreshing token...');
-      token = await refreshAccessToken(refreshToken, process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET);
-      user.platformInfo.youtube.accessToken = token;
-      await user.save();
-      const retryRes = await axios.get(url, { params: { ...params, access_token: token }, timeout: 15000 });
-      return retryRes.data;
-    }
-    throw err;
-  }
-};
-
 // === FETCH COMMENTS WITH REALITY CHECK === (Enhanced: Pad only if reported >0 and fetched < reported)
 const fetchCommentsWithCheck = async (videoId, user, refreshToken, videoTitle = 'Untitled', niche = 'Unknown') => {
   const result = {
@@ -362,7 +322,10 @@ export const getYouTubeAnalyticsReport = async (req, res) => {
     }, { views: 0, subsGained: 0, likes: 0, comments: 0, shares: 0, revenue: 0 });
 
     const engagementRate = totals.views > 0 ? ((totals.likes + totals.comments + totals.shares) / totals.views * 100).toFixed(2) : 0;
-    const estimatedRevenueKSh = isMonetized ? Math.round(totals.revenue * 130) : 0;
+    // USD → KSh at the rate for each revenue day (rate stored alongside every amount for audits)
+    const revenueRows = rows.map(r => ({ date: new Date(r[0]), amount: isMonetized ? parseFloat(r[getIdx('estimatedRevenue')] || 0) : 0 }));
+    const convertedRevenue = isMonetized ? await convertSeries(revenueRows) : revenueRows;
+    const estimatedRevenueKSh = Math.round(convertedRevenue.reduce((sum, r) => sum + r.amount, 0));
 
     // === Fetch Videos + Real Comments ===
     let videos = [];
@@ -456,19 +419,20 @@ Output ONLY a JSON object with EXACTLY these top-level keys and no other keys or
     const viewsGrowth = prior > 0 ? ((recent7 - prior / 3) / (prior / 3) * 100).toFixed(1) : 0;
 
     const viewsHistory = rows.map(r => ({ date: r[0], views: parseInt(r[getIdx('views')] || 0) })).slice(-30);
-    const earningsHistory = rows.map(r => ({ date: r[0], amount: isMonetized ? parseFloat(r[getIdx('estimatedRevenue')] || 0) * 130 : 0 })).slice(-30);
+    const earningsHistory = convertedRevenue.slice(-30);
 
     // === Save ===
     user.platformInfo.youtube.channel.subscriberCount = totals.subsGained;
     await user.save();
 
-    await Analytics.findOneAndUpdate(
+    const analytics = await Analytics.findOneAndUpdate(
       { userId },
       {
         $set: {
-          'youtube.metrics': { viewCount: totals.views, subscriberCount: totals.subsGained },
+          'youtube.metrics.viewCount': totals.views,
+          'youtube.metrics.subscriberCount': totals.subsGained,
           'youtube.lastPullDate': new Date(),
-          'youtube.earningsHistory': earningsHistory,
+          'youtube.metrics.earningsHistory': earningsHistory,
           'youtube.viewsHistory': viewsHistory,
           'youtube.trends': { viewsGrowth, engagementRate },
           'youtube.commentAnalysis': commentAnalysis
@@ -476,6 +440,10 @@ Output ONLY a JSON object with EXACTLY these top-level keys and no other keys or
       },
       { upsert: true, new: true }
     );
+    // Insured creators with a qualifying drop get a pre-filled claim draft (emailed)
+    await User.findById(userId)
+      .then(insured => insured && ClaimDraft.draftFromAnalytics(insured, analytics))
+      .catch(err => logger.error(`Claim drafting failed for ${userId}: ${err.message}`));
 
     res.json({
       success: true,
@@ -1,18 +1,29 @@
 // src/controllers/ClaimController.js
 import User from '../Models/User.js';
 import Premium from '../Models/Premium.js';
-import Claim from '../Models/Claim.js';
+import Claim, { ClaimTransitionError } from '../Models/Claim.js';
+import ClaimDraft, { DRAFT_STATUSES } from '../Models/ClaimDraft.js';
+import ClaimMessage from '../Models/ClaimMessage.js';
+import Repayment from '../Models/Repayment.js';
+import Receipt, { RECEIPT_FORMATS } from '../Models/Receipt.js';
 import Analytics from '../Models/Analytics.js';
+import AuditLog from '../Models/AuditLog.js';
 import { sendEmail } from '../Services/EmailServices.js';
 import logger from '../Utilities/Logger.js';
-import upload from '../Utilities/Multer.js';
+import upload, { emailUpload, isEml } from '../Utilities/Multer.js';
 import fs from 'fs/promises';
-import { uploadToCloudinary, deleteFromCloudinary } from '../Utilities/Cloudinary.js';
+import { deleteFromCloudinary } from '../Utilities/Cloudinary.js';
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 import { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType, AlignmentType, VerticalAlign } from 'docx';
 import { Parser } from 'json2csv';
 import { isValidObjectId } from 'mongoose';
 import validator from 'validator';
+import { getPaymentProvider, verifyCallbackSignature } from '../Services/PaymentServices.js';
+import { getSlaReport } from '../Services/SlaServices.js';
+import { checkClaimEligibility } from '../Services/PolicyServices.js';
+import { parseYouTubeNotice, parseEml, checkIncidentType } from '../Services/YouTubeNoticeServices.js';
+import { storeEvidenceFiles } from '../Services/EvidenceServices.js';
+import { CLAIM_MAX_VIDEOS } from '../Utilities/Constants.js';
 
 // Initialize Gemini AI (for fallback AI in manual review or analytics; primary fraud in schema method)
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
@@ -31,13 +42,51 @@ const safetySettings = [
 
 // Multer middleware for file uploads (max 5 files, 10MB each; optional for claims)
 export const uploadClaimFiles = upload.array('evidenceFiles', 5);
+export const uploadNoticeEmail = emailUpload.single('emailFile');
+
+// Form pre-fill from a parsed notice (dates as YYYY-MM-DD for the date input)
+const noticePrefill = (notice) => ({
+  incidentType: notice.suggestedIncidentType,
+  incidentDate: notice.noticeDate ? notice.noticeDate.toISOString().slice(0, 10) : null,
+  videoIds: notice.videoIds,
+});
+
+// @desc    Parse a YouTube notification (pasted text or .eml) to pre-fill the claim form
+// @route   POST /api/claims/parse-email
+// @access  Private (Creator)
+export const parseYouTubeEmail = async (req, res) => {
+  try {
+    const { text = '', incidentType } = req.body || {};
+    if (!req.file && !String(text).trim()) {
+      return res.status(400).json({ success: false, error: 'Paste the email text or upload an .eml file (emailFile)' });
+    }
+    if (String(text).length > 100000) {
+      return res.status(400).json({ success: false, error: 'Email text is too long' });
+    }
+
+    const notice = req.file ? parseEml(req.file.buffer) : parseYouTubeNotice(text);
+    const recognized = Boolean(notice.noticeType || notice.videoIds.length);
+    logger.info(`Parsed YouTube notice for user ${req.user.userId}: ${notice.noticeType || 'unrecognized'} (${notice.videoIds.length} videos)`);
+    res.json({
+      success: true,
+      recognized,
+      notice,
+      prefill: noticePrefill(notice),
+      incidentTypeMismatch: checkIncidentType(notice, incidentType),
+    });
+  } catch (error) {
+    logger.error(`parseYouTubeEmail error: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error parsing email' });
+  }
+};
 
 // @desc    Submit a new claim (CCI: 4 fields + optional evidence)
 // @route   POST /api/claims
 // @access  Private (Creator)
 export const submitClaim = async (req, res) => {
   try {
-    logger.info(`Submitting claim for user ${req.user.id}`);
+    const userId = req.user.userId;  // Also the draft owner on /drafts/:id/submit (checked by loadOwnDraft)
+    logger.info(`Submitting claim for user ${userId}${req.claimDraft ? ` from draft ${req.claimDraft._id}` : ''}`);
 
     // Validate request body (CCI: 4 core fields)
     if (!req.body) {
@@ -51,6 +100,7 @@ export const submitClaim = async (req, res) => {
       youTubeEmail = '',
       appealStatus,
       evidenceSummary = '',  // Optional
+      videoIds: rawVideoIds = [],  // Array or comma-separated (multipart forms)
     } = req.body;
 
     // Validate required fields
@@ -71,53 +121,77 @@ export const submitClaim = async (req, res) => {
     if (!['Not started', 'In progress', 'Rejected'].includes(appealStatus)) {
       return res.status(400).json({ success: false, error: 'Invalid appeal status' });
     }
+    const requestedVideoIds = [...new Set((Array.isArray(rawVideoIds) ? rawVideoIds : String(rawVideoIds).split(/[\s,]+/)).map(String).filter(Boolean))];
+    if (requestedVideoIds.length > CLAIM_MAX_VIDEOS || requestedVideoIds.some(v => !/^[A-Za-z0-9_-]{11}$/.test(v))) {
+      return res.status(400).json({ success: false, error: `videoIds must be up to ${CLAIM_MAX_VIDEOS} YouTube video IDs` });
+    }
 
     // Validate user and active policy
-    const user = await User.findById(req.user.id).populate('financialInfo.premium.insuranceId');
+    const user = await User.findById(userId).populate('financialInfo.premium.insuranceId');
     if (!user || user.role !== 'Creator') {
-      logger.error(`User check failed: ${req.user.id}`);
+      logger.error(`User check failed: ${userId}`);
       return res.status(403).json({ success: false, error: 'Unauthorized or user not found' });
     }
-    if (user.insuranceStatus.status !== 'Approved' || new Date() > user.insuranceStatus.policyEndDate) {
+    if (!['Approved', 'Lapsed'].includes(user.insuranceStatus.status) || new Date() > user.insuranceStatus.policyEndDate) {
       return res.status(400).json({ success: false, error: 'No active insurance policy' });
     }
+    // Exclusions: before inception, initial waiting period, lapse/reinstatement waiting, pre-existing conditions
+    const coverage = await checkClaimEligibility(user, { incidentDate, incidentType });
+    if (!coverage.covered) {
+      logger.warn(`Claim refused for user ${userId} (${coverage.rule}): ${coverage.reason}`);
+      return res.status(400).json({ success: false, error: coverage.reason, rule: coverage.rule, evidence: coverage.evidence });
+    }
+    // Escalated (past-deadline) reinstatement repayment blocks new claims until settled
+    const defaulted = await Repayment.findDefaulted(user._id);
+    if (defaulted) {
+      logger.warn(`Claim blocked for user ${userId}: repayment ${defaulted.repaymentNumber} defaulted`);
+      return res.status(403).json({
+        success: false,
+        error: `New claims are blocked until repayment ${defaulted.repaymentNumber} (KSh ${defaulted.amount - defaulted.amountPaid} outstanding) is paid`,
+      });
+    }
     const premium = user.financialInfo.premium.insuranceId;
     if (!premium) {
       return res.status(400).json({ success: false, error: 'No associated premium found' });
     }
 
-    // Process optional evidence files
-    let evidenceFiles = [];
-    if (req.files?.length > 0) {
-      evidenceFiles = await Promise.all(
-        req.files.map(async (file, index) => {
-          logger.info(`Uploading evidence file: ${file.originalname}`);
-          const { url } = await uploadToCloudinary(file, 'claims/evidence');
-          await fs.unlink(file.path).catch(err => logger.error(`Failed to delete temp file ${file.path}: ${err.message}`));
-          return {
-            url,
-            type: req.body[`fileType_${index}`] || (
-              file.mimetype.startsWith('image/') ? 'Screenshot' :
-              file.mimetype === 'application/pdf' ? 'Document' :
-              file.mimetype.startsWith('video/') ? 'Video' :
-              file.mimetype.includes('text') ? 'Email' : 'Notification'
-            ),
-            description: req.body[`fileDescription_${index}`] || `Evidence file ${index + 1}`,
-            uploadedAt: new Date(),
-          };
-        })
-      );
+    // YouTube notice: an uploaded .eml wins over pasted text; sets coveredReason and flags a contradicting incidentType
+    const emlFile = req.files?.find(isEml);
+    const notice = emlFile
+      ? parseEml(await fs.readFile(emlFile.path))
+      : youTubeEmail ? parseYouTubeNotice(youTubeEmail) : null;
+    const youTubeNotice = notice && (notice.noticeType || notice.videoIds.length)
+      ? { ...notice, incidentTypeMismatch: checkIncidentType(notice, incidentType), parsedAt: new Date() }
+      : undefined;
+    if (youTubeNotice?.incidentTypeMismatch) {
+      logger.warn(`Claim by ${userId}: notice ${youTubeNotice.noticeType} contradicts incident type '${incidentType}'`);
+    }
+
+    // Video demonetization is assessed per video: the claim must name them (or the notice must)
+    const videoIds = requestedVideoIds.length ? requestedVideoIds : (youTubeNotice?.videoIds || []).slice(0, CLAIM_MAX_VIDEOS);
+    if (incidentType === 'Video demonetization' && videoIds.length === 0) {
+      await Promise.all((req.files || []).map(file => fs.unlink(file.path).catch(() => {})));
+      return res.status(400).json({ success: false, error: 'Name the demonetized video IDs (videoIds) for a video demonetization claim' });
     }
 
+    // Process optional evidence files (fingerprinted for reuse detection); a confirmed draft brings its own first
+    const evidenceFiles = [
+      ...(req.claimDraft?.evidence.files.map(file => file.toObject()) || []),
+      ...await storeEvidenceFiles(req.files, req.body, { label: 'Evidence file' }),
+    ];
+
     // Create claim
     const claim = new Claim({
       claimDetails: {
-        userId: req.user.id,
+        userId,
         platform: 'YouTube',  // Fixed for MVP
         incidentType,
         incidentDate: new Date(incidentDate),
-        youTubeEmail,
+        videoIds,
+        youTubeEmail: youTubeEmail.slice(0, 500),  // Full text is parsed into youTubeNotice
+        youTubeNotice,
         appealStatus,
+        draftId: req.claimDraft?._id || null,
       },
       policyId: premium._id,
       evidence: {
@@ -127,12 +201,14 @@ export const submitClaim = async (req, res) => {
     });
 
     await claim.save();
+    if (req.claimDraft) await req.claimDraft.close('Submitted', { claimId: claim._id });
+    if (evidenceFiles.length > 0) await claim.detectEvidenceReuse();  // Before the fraud scan reads it
 
     // Auto-process verification (CCI: API pull + fraud + payout)
     const verificationResult = await claim.verifyClaim();
 
     // Update user claim history
-    await User.findByIdAndUpdate(req.user.id, {
+    await User.findByIdAndUpdate(userId, {
       $push: {
         'claimHistory.claims': {
           claimId: claim._id,
@@ -151,7 +227,7 @@ export const submitClaim = async (req, res) => {
       text: `Your claim (ID: ${claim._id}) has been ${verificationResult.status.toLowerCase()}. ${inAppMessage} Payout: KSh ${verificationResult.payout || 0}.`,
     });
 
-    logger.info(`Claim ${claim._id} submitted and verified for ${req.user.id}: ${verificationResult.status}`);
+    logger.info(`Claim ${claim._id} submitted and verified for ${userId}: ${verificationResult.status}`);
     return res.status(201).json({
       success: true,
       claimId: claim._id,
@@ -159,6 +235,12 @@ export const submitClaim = async (req, res) => {
       message: 'Claim submitted and processed successfully',
       payout: verificationResult.payout || 0,
       fraudScore: verificationResult.fraudScore || 0,
+      basis: claim.evaluation.basis,
+      videoLosses: claim.evaluation.videoLosses,
+      payoutBreakdown: claim.evaluation.payoutBreakdown,
+      notice: youTubeNotice
+        ? { noticeType: youTubeNotice.noticeType, videoIds: youTubeNotice.videoIds, incidentTypeMismatch: youTubeNotice.incidentTypeMismatch, expectedIncidentTypes: youTubeNotice.expectedIncidentTypes }
+        : null,
     });
   } catch (error) {
     logger.error(`submitClaim error: ${error.message}`);
@@ -176,6 +258,7 @@ export const submitClaim = async (req, res) => {
 // @access  Private (Creator)
 export const updateClaimEvidence = async (req, res) => {
   try {
+    const userId = req.user.userId;
     const { id } = req.params;
     if (!isValidObjectId(id)) {
       return res.status(400).json({ success: false, error: 'Invalid claim ID' });
@@ -186,46 +269,28 @@ export const updateClaimEvidence = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Claim not found' });
     }
 
-    if (claim.claimDetails.userId._id.toString() !== req.user.id.toString()) {
+    if (claim.claimDetails.userId._id.toString() !== userId.toString()) {
       return res.status(403).json({ success: false, error: 'Unauthorized' });
     }
 
     // Only allow before manual review or if under review
-    const currentStatus = claim.statusHistory.history[claim.statusHistory.history.length - 1].status;
-    if (['Approved', 'Rejected', 'Paid', 'Reinstated'].includes(currentStatus)) {
+    const { currentStatus } = claim;
+    if (['Approved', 'Rejected', 'Payout Pending', 'Paid', 'Reinstated'].includes(currentStatus)) {
       return res.status(400).json({ success: false, error: 'Cannot update evidence after final decision' });
     }
 
     const { evidenceSummary } = req.body;
 
     // Process new optional files
-    let evidenceFiles = claim.evidence.files;
-    if (req.files?.length > 0) {
-      const newFiles = await Promise.all(
-        req.files.map(async (file, index) => {
-          const { url } = await uploadToCloudinary(file, 'claims/evidence');
-          await fs.unlink(file.path).catch(err => logger.error(`Failed to delete temp file ${file.path}: ${err.message}`));
-          return {
-            url,
-            type: req.body[`fileType_${index}`] || (
-              file.mimetype.startsWith('image/') ? 'Screenshot' :
-              file.mimetype === 'application/pdf' ? 'Document' :
-              file.mimetype.startsWith('video/') ? 'Video' :
-              file.mimetype.includes('text') ? 'Email' : 'Notification'
-            ),
-            description: req.body[`fileDescription_${index}`] || `Additional evidence ${index + 1}`,
-            uploadedAt: new Date(),
-          };
-        })
-      );
-      evidenceFiles = [...evidenceFiles, ...newFiles];
-    }
+    const newFiles = await storeEvidenceFiles(req.files, req.body, { label: 'Additional evidence' });
 
     // Update evidence
-    claim.evidence.files = evidenceFiles;
+    claim.evidence.files = [...claim.evidence.files, ...newFiles];
     claim.evidence.evidenceSummary = evidenceSummary || claim.evidence.evidenceSummary;
 
     await claim.save();
+    if (newFiles.length > 0) await claim.detectEvidenceReuse();
+    await claim.resumeSla({ actorId: userId, reason: 'Creator updated evidence' });  // If info was requested
 
     // Re-run verification if under review
     if (currentStatus === 'Under Review') {
@@ -233,7 +298,7 @@ export const updateClaimEvidence = async (req, res) => {
       logger.info(`Re-verified claim ${id} after evidence update: ${reVerification.status}`);
     }
 
-    logger.info(`Evidence updated for claim ${id} by ${req.user.id}`);
+    logger.info(`Evidence updated for claim ${id} by ${userId}`);
     return res.json({
       success: true,
       message: 'Evidence updated successfully',
@@ -250,17 +315,232 @@ export const updateClaimEvidence = async (req, res) => {
   }
 };
 
+// Load the creator's draft for a draft route (404 / 403 / 409 responses sent here; null when handled)
+const loadOwnDraft = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) {
+    res.status(400).json({ success: false, error: 'Invalid draft ID' });
+    return null;
+  }
+  const draft = await ClaimDraft.findById(id);
+  if (!draft) {
+    res.status(404).json({ success: false, error: 'Claim draft not found' });
+    return null;
+  }
+  if (draft.userId.toString() !== req.user.userId.toString()) {
+    res.status(403).json({ success: false, error: 'Unauthorized' });
+    return null;
+  }
+  if (draft.status === 'Open' && !draft.isActionable()) await draft.close('Expired');
+  if (draft.status !== 'Open') {
+    res.status(409).json({ success: false, error: `Claim draft is ${draft.status.toLowerCase()}` });
+    return null;
+  }
+  return draft;
+};
+
+const discardTempFiles = (files = []) => Promise.all(
+  files.map(file => fs.unlink(file.path).catch(err => logger.error(`Failed to delete temp file ${file.path}: ${err.message}`)))
+);
+
+// @desc    Auto-drafted claims (from detected revenue drops) for the current user
+// @route   GET /api/claims/drafts
+// @access  Private (Creator)
+export const getMyClaimDrafts = async (req, res) => {
+  try {
+    const { status = 'Open' } = req.query;
+    if (!DRAFT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${DRAFT_STATUSES.join(', ')}` });
+    }
+    const drafts = await ClaimDraft.find({ userId: req.user.userId, status }).sort({ createdAt: -1 }).lean();
+    return res.json({ success: true, drafts });
+  } catch (error) {
+    logger.error(`getMyClaimDrafts error: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error fetching claim drafts' });
+  }
+};
+
+// @desc    Edit an open claim draft (incident details, evidence summary, extra evidence files)
+// @route   PUT /api/claims/drafts/:id
+// @access  Private (Creator)
+export const updateClaimDraft = async (req, res) => {
+  try {
+    const draft = await loadOwnDraft(req, res);
+    if (!draft) {
+      await discardTempFiles(req.files);
+      return;
+    }
+
+    const { incidentType, incidentDate, appealStatus, evidenceSummary, videoIds } = req.body;
+    if (incidentType !== undefined) draft.prefill.incidentType = incidentType;
+    if (incidentDate !== undefined) {
+      if (!validator.isDate(String(incidentDate))) {
+        await discardTempFiles(req.files);
+        return res.status(400).json({ success: false, error: 'Invalid incident date format (use YYYY-MM-DD)' });
+      }
+      draft.prefill.incidentDate = new Date(incidentDate);
+    }
+    if (appealStatus !== undefined) draft.prefill.appealStatus = appealStatus;
+    if (evidenceSummary !== undefined) draft.prefill.evidenceSummary = evidenceSummary;
+    if (videoIds !== undefined) {
+      draft.prefill.videoIds = (Array.isArray(videoIds) ? videoIds : String(videoIds).split(/[\s,]+/)).map(String).filter(Boolean);
+    }
+    try {
+      await draft.validate();
+    } catch (validationError) {
+      await discardTempFiles(req.files);
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    const newFiles = await storeEvidenceFiles(req.files, req.body, { label: 'Evidence file' });
+    draft.evidence.files.push(...newFiles);
+    await draft.save();
+
+    logger.info(`Claim draft ${draft._id} updated by ${req.user.userId} (${newFiles.length} new files)`);
+    return res.json({ success: true, draft });
+  } catch (error) {
+    logger.error(`updateClaimDraft error: ${error.message}`);
+    await discardTempFiles(req.files);
+    return res.status(500).json({ success: false, error: 'Server error updating claim draft' });
+  }
+};
+
+// @desc    Confirm and submit a claim draft (body fields and files as for /submit override/extend the draft)
+// @route   POST /api/claims/drafts/:id/submit
+// @access  Private (Creator)
+export const submitClaimDraft = async (req, res) => {
+  try {
+    const draft = await loadOwnDraft(req, res);
+    if (!draft) {
+      await discardTempFiles(req.files);
+      return;
+    }
+    const { prefill } = draft;
+    req.body = {
+      incidentType: prefill.incidentType,
+      incidentDate: prefill.incidentDate.toISOString().slice(0, 10),
+      appealStatus: prefill.appealStatus,
+      evidenceSummary: prefill.evidenceSummary,
+      videoIds: prefill.videoIds,
+      ...req.body,
+    };
+    req.claimDraft = draft;  // submitClaim carries its evidence and closes it
+    return submitClaim(req, res);
+  } catch (error) {
+    logger.error(`submitClaimDraft error: ${error.message}`);
+    await discardTempFiles(req.files);
+    return res.status(500).json({ success: false, error: 'Server error submitting claim draft' });
+  }
+};
+
+// @desc    Dismiss a claim draft (no claim will be made for that drop)
+// @route   DELETE /api/claims/drafts/:id
+// @access  Private (Creator)
+export const dismissClaimDraft = async (req, res) => {
+  try {
+    const draft = await loadOwnDraft(req, res);
+    if (!draft) return;
+    await draft.close('Dismissed');
+    return res.json({ success: true, message: 'Claim draft dismissed' });
+  } catch (error) {
+    logger.error(`dismissClaimDraft error: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error dismissing claim draft' });
+  }
+};
+
+// Load a claim for its message thread: the owning creator or any admin
+const loadThreadClaim = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) {
+    res.status(400).json({ success: false, error: 'Invalid claim ID' });
+    return null;
+  }
+  const claim = await Claim.findById(id);  // Full document: resumeSla saves it
+  if (!claim) {
+    res.status(404).json({ success: false, error: 'Claim not found' });
+    return null;
+  }
+  if (req.user.role !== 'Admin' && claim.claimDetails.userId.toString() !== req.user.userId.toString()) {
+    res.status(403).json({ success: false, error: 'Unauthorized' });
+    return null;
+  }
+  return claim;
+};
+
+// @desc    Message thread on a claim (internal notes for admins only); marks the viewer's unread messages read
+// @route   GET /api/claims/:id/messages
+// @access  Private (Creator owner / Admin)
+export const getClaimMessages = async (req, res) => {
+  try {
+    const claim = await loadThreadClaim(req, res);
+    if (!claim) return;
+    const viewer = { userId: req.user.userId, role: req.user.role === 'Admin' ? 'Admin' : 'Creator' };
+    const markedRead = req.query.markRead === 'false' ? 0 : await ClaimMessage.markRead(claim._id, viewer);
+    const messages = await ClaimMessage.getThread(claim._id, viewer);
+    return res.json({ success: true, claimId: claim._id, markedRead, messages });
+  } catch (error) {
+    logger.error(`getClaimMessages error: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error fetching claim messages' });
+  }
+};
+
+// @desc    Post to a claim's thread (text and/or attachments; admins may post internal notes with internal=true)
+// @route   POST /api/claims/:id/messages
+// @access  Private (Creator owner / Admin)
+export const postClaimMessage = async (req, res) => {
+  try {
+    const claim = await loadThreadClaim(req, res);
+    if (!claim) {
+      await discardTempFiles(req.files);
+      return;
+    }
+    const isAdmin = req.user.role === 'Admin';
+    const body = String(req.body?.message || '').trim();
+    const internal = req.body?.internal === true || req.body?.internal === 'true';
+    if (!body && !req.files?.length) {
+      return res.status(400).json({ success: false, error: 'message or at least one attachment is required' });
+    }
+    if (body.length > 2000) {
+      await discardTempFiles(req.files);
+      return res.status(400).json({ success: false, error: 'message cannot exceed 2000 characters' });
+    }
+    if (internal && !isAdmin) {
+      await discardTempFiles(req.files);
+      return res.status(403).json({ success: false, error: 'Only admins can post internal notes' });
+    }
+
+    const attachments = await storeEvidenceFiles(req.files, req.body, { label: 'Attachment' });
+    const message = await ClaimMessage.create({
+      claimId: claim._id,
+      authorId: req.user.userId,
+      authorRole: isAdmin ? 'Admin' : 'Creator',
+      body,
+      internal,
+      attachments,
+    });
+    await message.notifyRecipients(claim);
+    if (!isAdmin) await claim.resumeSla({ actorId: req.user.userId, reason: 'Creator replied in the claim thread' });  // If info was requested
+
+    logger.info(`${isAdmin ? 'Admin' : 'Creator'} ${req.user.userId} posted ${internal ? 'an internal note' : 'a message'} on claim ${claim._id}`);
+    return res.status(201).json({ success: true, message });
+  } catch (error) {
+    logger.error(`postClaimMessage error: ${error.message}`);
+    await discardTempFiles(req.files);
+    return res.status(500).json({ success: false, error: 'Server error posting claim message' });
+  }
+};
+
 // @desc    Get all claims for the current user
 // @route   GET /api/claims/my-claims
 // @access  Private (Creator)
 export const getMyClaims = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const { status, page = 1, limit = 10 } = req.query;  // No platform filter (YouTube only)
 
     const query = { 'claimDetails.userId': userId };
     if (status) {
-      query['statusHistory.history'] = { $elemMatch: { status } };
+      query.currentStatus = status;
     }
 
     const claims = await Claim.find(query)
@@ -272,6 +552,8 @@ export const getMyClaims = async (req, res) => {
       .lean();
 
     const total = await Claim.countDocuments(query);
+    const unread = await ClaimMessage.countUnread(claims.map(c => c._id), { userId: req.user.userId, role: 'Creator' });
+    claims.forEach(c => { c.unreadMessages = unread.get(String(c._id)) || 0; });
 
     return res.json({
       success: true,
@@ -307,8 +589,8 @@ export const getClaimById = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Claim not found' });
     }
 
-    if (req.user.role !== 'Admin' && claim.claimDetails.userId._id.toString() !== req.user.id.toString()) {
-      logger.error(`Unauthorized access to claim ${id} by ${req.user.id}`);
+    if (req.user.role !== 'Admin' && claim.claimDetails.userId._id.toString() !== req.user.userId.toString()) {
+      logger.error(`Unauthorized access to claim ${id} by ${req.user.userId}`);
       return res.status(403).json({ success: false, error: 'Unauthorized' });
     }
 
@@ -324,6 +606,55 @@ export const getClaimById = async (req, res) => {
   }
 };
 
+// @desc    Download the payout advice for a paid claim (DOCX by default; ?format=pdf when a PDF copy was rendered)
+// @route   GET /api/claims/:id/payout-advice
+// @access  Private (Creator/Admin)
+export const getPayoutAdvice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = RECEIPT_FORMATS[0] } = req.query;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid claim ID' });
+    }
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of: ${RECEIPT_FORMATS.join(', ')}` });
+    }
+
+    const claim = await Claim.findById(id);
+    if (!claim) {
+      return res.status(404).json({ success: false, error: 'Claim not found' });
+    }
+    if (req.user.role !== 'Admin' && claim.claimDetails.userId.toString() !== req.user.userId.toString()) {
+      logger.error(`Unauthorized payout advice access to claim ${id} by ${req.user.userId}`);
+      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    }
+    if (claim.evaluation.payout.status !== 'Paid') {
+      return res.status(409).json({ success: false, error: 'Claim payout has not been confirmed yet' });
+    }
+
+    // Paid before advice was issued (or issuing failed at confirmation): issue it now
+    let advice = claim.evaluation.payout.adviceId
+      ? await Receipt.findById(claim.evaluation.payout.adviceId).select('+files.pdf +files.docx')
+      : null;
+    if (!advice) {
+      const attempt = claim.evaluation.payout.attempts.find(a => a.status === 'Success') || null;
+      advice = await claim.issuePayoutAdvice(attempt);
+      if (!advice) {
+        return res.status(500).json({ success: false, error: 'Payout advice could not be generated' });
+      }
+    }
+
+    const { filename, content, contentType } = advice.getFile(format);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    return res.send(content);
+  } catch (error) {
+    logger.error(`getPayoutAdvice error: ${error.message}`);
+    if (error.statusCode) return res.status(error.statusCode).json({ success: false, error: error.message });
+    return res.status(500).json({ success: false, error: 'Server error fetching payout advice' });
+  }
+};
+
 // @desc    AI evaluate a claim (Enhance fraud scan with Gemini if needed)
 // @route   POST /api/claims/:id/evaluate-ai
 // @access  Private (Admin)
@@ -343,17 +674,20 @@ export const evaluateClaimAI = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Claim not found' });
     }
 
+    claim.assertTransition('AI Reviewed', { role: req.user.role, notes: 'AI evaluation' });  // Fail before the scan/Gemini call
+
     // Primary: Use schema's scanFraud (AI/ML stub)
     const fraudScore = await claim.scanFraud();
 
-    // Optional: Gemini for confidence/reasons enhancement (if fraudScore 50-75)
+    // Optional: Gemini for confidence/reasons enhancement (if the rule set refers the claim to manual review)
+    const { recommendation, ruleSetVersion } = claim.evaluation.aiAnalysis;
     let aiResult = {
-      isValid: fraudScore > 75,
+      isValid: recommendation === 'Approve',
       confidenceScore: fraudScore,
       reasons: claim.evaluation.aiAnalysis.reasons,
     };
 
-    if (fraudScore >= 50 && fraudScore <= 75) {
+    if (recommendation === 'Manual Review') {
       // Enhance with Gemini for manual review nudge
       const evidenceData = claim.evidence.files.map(file => `${file.type}: ${file.url} (${file.description})`).join('; ');
       const prompt = `
@@ -373,16 +707,16 @@ export const evaluateClaimAI = async (req, res) => {
     }
 
     // Update claim evaluation
-    claim.evaluation.aiAnalysis = {
-      ...claim.evaluation.aiAnalysis,
-      ...aiResult,
-    };
+    Object.assign(claim.evaluation.aiAnalysis, aiResult);  // Keeps the rule-set version, facts and fired rules
     await claim.save();
-    await claim.updateStatus('AI Reviewed', req.user.id, `AI fraud score: ${fraudScore}`);
+    await claim.transitionStatus('AI Reviewed', { actorId: req.user.userId, role: req.user.role, notes: `AI fraud score: ${fraudScore} (rules v${ruleSetVersion})` });
 
     logger.info(`Claim ${id} AI evaluated: fraudScore ${fraudScore}`);
     return res.json({ success: true, message: 'Claim evaluated by AI', aiResult });
   } catch (error) {
+    if (error instanceof ClaimTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     logger.error(`evaluateClaimAI error: ${error.message}`);
     return res.status(500).json({ success: false, error: 'Server error evaluating claim with AI' });
   }
@@ -394,7 +728,7 @@ export const evaluateClaimAI = async (req, res) => {
 export const reviewClaimManual = async (req, res) => {
   try {
     const { id } = req.params;
-    const { isValid, notes } = req.body;
+    const { isValid, notes, override = false } = req.body;  // override: supervisor deciding another reviewer's claim
 
     if (!isValidObjectId(id)) {
       return res.status(400).json({ success: false, error: 'Invalid claim ID' });
@@ -413,16 +747,25 @@ export const reviewClaimManual = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Claim not found' });
     }
 
+    const newStatus = isValid ? 'Approved' : 'Rejected';
+    claim.assertTransition(newStatus, { role: req.user.role, notes });  // Before the payout is calculated
+    const actor = await User.findById(req.user.userId);
+    const { overridden, assignee } = claim.authorizeDecision(actor, { override: override === true });
+
     // Set manual review
     claim.evaluation.manualReview = {
-      reviewerId: req.user.id,
+      reviewerId: req.user.userId,
       notes,
       isValid,
     };
 
-    const newStatus = isValid ? 'Approved' : 'Rejected';
     const payout = isValid ? await claim.calculatePayout() : 0;
-    await claim.updateStatus(newStatus, req.user.id, notes, isValid ? `Approved after review! KSh ${payout} incoming.` : 'Rejected after review.');
+    await claim.transitionStatus(newStatus, {
+      actorId: req.user.userId,
+      role: req.user.role,
+      notes,
+      message: isValid ? `Approved after review! KSh ${Math.round(payout)} is being sent to your payout account.` : 'Rejected after review.',
+    });
 
     if (isValid) {
       await claim.processPayout(payout);
@@ -437,9 +780,25 @@ export const reviewClaimManual = async (req, res) => {
       text: message,
     });
 
+    if (overridden) {
+      await AuditLog.record({
+        actorId: req.user.userId,
+        action: 'claim.review-override',
+        entity: { model: 'Claim', id: claim._id },
+        summary: `Supervisor decided claim ${id} (${newStatus}) in place of assigned reviewer ${assignee}`,
+        details: { assignee, newStatus, notes },
+      });
+    }
+
     logger.info(`Claim ${id} manually reviewed: ${newStatus}`);
     return res.json({ success: true, message: `Claim ${newStatus.toLowerCase()}`, claim });
   } catch (error) {
+    if (error instanceof ClaimTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     logger.error(`reviewClaimManual error: ${error.message}`);
     return res.status(500).json({ success: false, error: 'Server error reviewing claim' });
   }
@@ -466,42 +825,30 @@ export const submitAppeal = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Claim not found' });
     }
 
-    if (claim.claimDetails.userId._id.toString() !== req.user.id.toString()) {
+    if (claim.claimDetails.userId._id.toString() !== req.user.userId.toString()) {
       return res.status(403).json({ success: false, error: 'Unauthorized' });
     }
 
-    const currentStatus = claim.statusHistory.history[claim.statusHistory.history.length - 1].status;
-    if (currentStatus !== 'Rejected') {
-      return res.status(400).json({ success: false, error: 'Only rejected claims can be appealed' });
-    }
+    const appealSummary = `Appeal submitted (${appealStatus})${appealNotes ? `: ${appealNotes}` : ''}`;
+    claim.assertTransition('Under Review', { role: req.user.role, notes: appealSummary });  // Only rejected claims can be appealed
 
     // Update appeal status and notes (as evidence summary addendum)
     claim.claimDetails.appealStatus = appealStatus;
     claim.evidence.evidenceSummary += `\nAppeal Notes: ${appealNotes}`;
 
-    // Process optional new files for appeal
-    if (req.files?.length > 0) {
-      const newFiles = await Promise.all(
-        req.files.map(async (file, index) => {
-          const { url } = await uploadToCloudinary(file, 'claims/evidence');
-          await fs.unlink(file.path).catch(err => logger.error(`Failed to delete temp file ${file.path}: ${err.message}`));
-          return {
-            url,
-            type: req.body[`fileType_${index}`] || (
-              file.mimetype.startsWith('image/') ? 'Screenshot' :
-              file.mimetype === 'application/pdf' ? 'Document' :
-              file.mimetype.startsWith('video/') ? 'Video' :
-              file.mimetype.includes('text') ? 'Email' : 'Notification'
-            ),
-            description: req.body[`fileDescription_${index}`] || `Appeal evidence ${index + 1}`,
-            uploadedAt: new Date(),
-          };
-        })
-      );
+    // Process optional new files for appeal (saved with the status change below)
+    const newFiles = await storeEvidenceFiles(req.files, req.body, { label: 'Appeal evidence' });
+    if (newFiles.length > 0) {
       claim.evidence.files = [...claim.evidence.files, ...newFiles];
+      await claim.detectEvidenceReuse({ persist: false });
     }
 
-    await claim.save();
+    await claim.transitionStatus('Under Review', {
+      actorId: req.user.userId,
+      role: req.user.role,
+      notes: appealSummary,
+      message: 'Appeal received. Re-checking your claim.',
+    });
 
     // Re-run verification
     const reVerification = await claim.verifyClaim();
@@ -510,10 +857,10 @@ export const submitAppeal = async (req, res) => {
     await sendEmail({
       to: process.env.ADMIN_EMAIL || 'admin@cci.com',
       subject: `Appeal for Claim ${id}`,
-      text: `User ${req.user.id} appealed claim ${id}. New status: ${appealStatus}. Notes: ${appealNotes}. Re-verified: ${reVerification.status}`,
+      text: `User ${req.user.userId} appealed claim ${id}. New status: ${appealStatus}. Notes: ${appealNotes}. Re-verified: ${reVerification.status}`,
     });
 
-    logger.info(`Appeal submitted for claim ${id} by ${req.user.id}: ${reVerification.status}`);
+    logger.info(`Appeal submitted for claim ${id} by ${req.user.userId}: ${reVerification.status}`);
     return res.json({
       success: true,
       message: 'Appeal submitted and re-processed',
@@ -521,12 +868,15 @@ export const submitAppeal = async (req, res) => {
       payout: reVerification.payout || 0,
     });
   } catch (error) {
-    logger.error(`submitAppeal error: ${error.message}`);
     if (req.files) {
       await Promise.all(
         req.files.map(file => fs.unlink(file.path).catch(err => logger.error(`Failed to delete temp file ${file.path}: ${err.message}`)))
       );
     }
+    if (error instanceof ClaimTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    logger.error(`submitAppeal error: ${error.message}`);
     return res.status(500).json({ success: false, error: 'Server error submitting appeal' });
   }
 };
@@ -550,27 +900,81 @@ export const reinstateClaim = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Claim not found' });
     }
 
-    if (claim.statusHistory.history[claim.statusHistory.history.length - 1].status !== 'Paid') {
-      return res.status(400).json({ success: false, error: 'Claim must be paid before reinstatement' });
-    }
-
-    await claim.handleReinstatement(req.user.id);
+    const { instalments = 1, notes = 'Appeal successful' } = req.body || {};
+    claim.assertTransition('Reinstated', { role: req.user.role, notes });  // Claim must be paid before reinstatement
+    const { repayment } = await claim.handleReinstatement(req.user.userId, { instalments, notes });
 
     const user = claim.claimDetails.userId;
+    const schedule = repayment.instalments.map(i => `KSh ${i.amount} by ${i.dueDate.toDateString()}`).join('; ');
     await sendEmail({
       to: user.personalInfo.email,
       subject: 'Claim Reinstated - Repayment Due - CCI',
-      text: `Your claim (ID: ${id}) has been reinstated. Repay KSh ${claim.evaluation.repayAmount} within 30 days.`,
+      text: `Your claim (ID: ${id}) has been reinstated. Repay KSh ${repayment.amount} (${repayment.repaymentNumber}) by ${repayment.deadline.toDateString()}: ${schedule}. Pay via M-Pesa from your dashboard; unpaid balances are deducted from future payouts and block new claims after the deadline.`,
     });
 
-    logger.info(`Claim ${id} reinstated by admin ${req.user.id}`);
-    return res.json({ success: true, message: 'Claim reinstated; repayment triggered' });
+    logger.info(`Claim ${id} reinstated by admin ${req.user.userId}; repayment ${repayment.repaymentNumber} opened`);
+    return res.json({ success: true, message: 'Claim reinstated; repayment triggered', data: { repayment } });
   } catch (error) {
+    if (error instanceof ClaimTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     logger.error(`reinstateClaim error: ${error.message}`);
     return res.status(500).json({ success: false, error: 'Server error reinstating claim' });
   }
 };
 
+// Shared payout callback handling (result + queue timeout carry the same body per provider)
+const handleB2CCallback = async (req, res, timedOut) => {
+  const { ref, sig } = req.query;
+  if (!verifyCallbackSignature(ref, sig)) {
+    logger.warn(`Rejected unsigned/invalid payout callback for ref ${ref}`);
+    return res.status(403).json({ ResultCode: 1, ResultDesc: 'Invalid signature' });
+  }
+
+  const provider = getPaymentProvider(req.params.provider);
+  if (!provider?.parsePayoutResult) {
+    logger.error(`Payout callback from unsupported provider '${req.params.provider}' (ref ${ref})`);
+    return res.status(404).json({ ResultCode: 1, ResultDesc: 'Unknown provider' });
+  }
+
+  const claim = await Claim.findOne({ 'evaluation.payout.attempts.reference': ref });
+  if (!claim) {
+    logger.error(`${provider.method} callback for unknown payout ref ${ref}`);
+    return res.status(404).json({ ResultCode: 1, ResultDesc: 'Unknown transaction' });
+  }
+  const attempt = claim.evaluation.payout.attempts.find(a => a.reference === ref);
+  const result = await provider.parsePayoutResult({ body: req.body, query: req.query, attempt });
+
+  const { duplicate } = await claim.completePayout(ref, result, { timedOut });  // Emails the creator once paid
+
+  logger.info(`${provider.method} payout ${timedOut ? 'timeout' : 'result'} for claim ${claim._id} (ref ${ref}): code ${result.resultCode}${duplicate ? ' (duplicate)' : ''}`);
+  return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+};
+
+// @desc    Payout result callback (claim payout confirmation: M-Pesa B2C or bank credit transfer)
+// @route   POST /api/claims/:provider/b2c/result
+// @access  Public (signed)
+export const handleB2CResult = async (req, res) => {
+  try {
+    return await handleB2CCallback(req, res, false);
+  } catch (error) {
+    logger.error(`handleB2CResult error: ${error.message}`);
+    return res.status(400).json({ ResultCode: 1, ResultDesc: error.message });
+  }
+};
+
+// @desc    Payout queue timeout callback (M-Pesa B2C)
+// @route   POST /api/claims/:provider/b2c/timeout
+// @access  Public (signed)
+export const handleB2CTimeout = async (req, res) => {
+  try {
+    return await handleB2CCallback(req, res, true);
+  } catch (error) {
+    logger.error(`handleB2CTimeout error: ${error.message}`);
+    return res.status(400).json({ ResultCode: 1, ResultDesc: error.message });
+  }
+};
+
 // @desc    Get all claims (Admin only)
 // @route   GET /api/claims/all
 // @access  Private (Admin)
@@ -584,7 +988,7 @@ export const getAllClaims = async (req, res) => {
     const query = {};
 
     if (status) {
-      query['statusHistory.history'] = { $elemMatch: { status } };
+      query.currentStatus = status;
     }
     if (startDate || endDate) {
       query.createdAt = {};
@@ -630,7 +1034,8 @@ export const getPendingDeadlineClaims = async (req, res) => {
     const now = new Date();
     const claims = await Claim.find({
       resolutionDeadline: { $gte: now, $lte: new Date(now.getTime() + 24 * 60 * 60 * 1000) },  // Next 24h for urgency
-      'statusHistory.history': { $elemMatch: { status: { $in: ['Under Review', 'Manual Review'] } } },
+      currentStatus: { $in: ['Under Review', 'Manual Review'] },
+      'sla.pausedAt': null,  // Waiting on the creator
     })
       .sort({ resolutionDeadline: 1 })
       .populate('claimDetails.userId', 'personalInfo.fullName')
@@ -643,6 +1048,92 @@ export const getPendingDeadlineClaims = async (req, res) => {
   }
 };
 
+// @desc    Ask the creator for more information (pauses the SLA clock until they update evidence)
+// @route   POST /api/claims/admin/:id/request-info
+// @access  Private (Admin)
+export const requestClaimInfo = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { message } = req.body || {};
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid claim ID' });
+    }
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({ success: false, error: 'message (what the creator should send) is required' });
+    }
+
+    const claim = await Claim.findById(id).populate('claimDetails.userId');
+    if (!claim) {
+      return res.status(404).json({ success: false, error: 'Claim not found' });
+    }
+
+    await claim.pauseSla({ reason: String(message).trim(), actorId: req.user.userId });
+    await ClaimMessage.create({ claimId: claim._id, authorId: req.user.userId, authorRole: 'Admin', body: String(message).trim().slice(0, 2000) });  // Emailed below
+
+    const user = claim.claimDetails.userId;
+    try {
+      await sendEmail({
+        to: user.personalInfo.email,
+        subject: `More information needed for claim ${id} - CCI`,
+        text: `Dear ${user.personalInfo.fullName},\n\nTo finish reviewing your claim (ID: ${id}) we need the following:\n${message}\n\nReply in the claim's message thread or add it from your claim page (Update evidence). Our review clock is paused until you respond.`,
+      });
+    } catch (emailError) {
+      logger.error(`Info request email failed for claim ${id}: ${emailError.message}`);
+    }
+
+    logger.info(`Admin ${req.user.userId} requested info on claim ${id}; SLA paused`);
+    return res.json({ success: true, message: 'Information requested; SLA clock paused', sla: claim.sla });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    logger.error(`requestClaimInfo error: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error requesting claim information' });
+  }
+};
+
+// @desc    Restart a paused SLA clock (information arrived outside the app, or the request was withdrawn)
+// @route   POST /api/claims/admin/:id/resume-sla
+// @access  Private (Admin)
+export const resumeClaimSla = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid claim ID' });
+    }
+
+    const claim = await Claim.findById(id);
+    if (!claim) {
+      return res.status(404).json({ success: false, error: 'Claim not found' });
+    }
+
+    const sla = await claim.resumeSla({ actorId: req.user.userId, reason: req.body?.notes || 'Resumed by admin' });
+    if (!sla) {
+      return res.status(409).json({ success: false, error: 'SLA clock is not paused' });
+    }
+
+    logger.info(`Admin ${req.user.userId} resumed SLA on claim ${id}; new deadline ${claim.resolutionDeadline.toISOString()}`);
+    return res.json({ success: true, message: 'SLA clock resumed', resolutionDeadline: claim.resolutionDeadline, sla });
+  } catch (error) {
+    logger.error(`resumeClaimSla error: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error resuming SLA' });
+  }
+};
+
+// @desc    SLA performance vs the resolution target (claims decided in the period; default last 30 days)
+// @route   GET /api/claims/admin/sla-report
+// @access  Private (Admin)
+export const getClaimSlaReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const report = await getSlaReport({ startDate, endDate });
+    return res.json({ success: true, report });
+  } catch (error) {
+    logger.error(`getClaimSlaReport error: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error building SLA report' });
+  }
+};
+
 // @desc    Delete a claim (before review starts)
 // @route   DELETE /api/claims/:id
 // @access  Private (Creator)
@@ -658,12 +1149,11 @@ export const deleteClaim = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Claim not found' });
     }
 
-    if (claim.claimDetails.userId._id.toString() !== req.user.id.toString()) {
+    if (claim.claimDetails.userId._id.toString() !== req.user.userId.toString()) {
       return res.status(403).json({ success: false, error: 'Unauthorized' });
     }
 
-    const currentStatus = claim.statusHistory.history[claim.statusHistory.history.length - 1].status;
-    if (currentStatus !== 'Submitted') {
+    if (claim.currentStatus !== 'Submitted') {
       return res.status(400).json({ success: false, error: 'Cannot delete claim after processing started' });
     }
 
@@ -683,7 +1173,7 @@ export const deleteClaim = async (req, res) => {
       $pull: { 'claimHistory.claims': { claimId: id } },
     });
 
-    logger.info(`Claim ${id} deleted by ${req.user.id}`);
+    logger.info(`Claim ${id} deleted by ${req.user.userId}`);
     return res.json({ success: true, message: 'Claim and associated files deleted successfully' });
   } catch (error) {
     logger.error(`deleteClaim error: ${error.message}`);
@@ -697,7 +1187,7 @@ export const deleteClaim = async (req, res) => {
 export const getClaimAnalytics = async (req, res) => {
   try {
     if (req.user.role !== 'Admin') {
-      logger.error(`Unauthorized analytics access by ${req.user.id}`);
+      logger.error(`Unauthorized analytics access by ${req.user.userId}`);
       return res.status(403).json({ success: false, error: 'Admin access required' });
     }
 
@@ -714,8 +1204,7 @@ export const getClaimAnalytics = async (req, res) => {
       Claim.countDocuments(match),
       Claim.aggregate([
         { $match: match },
-        { $unwind: '$statusHistory.history' },
-        { $group: { _id: '$statusHistory.history.status', count: { $sum: 1 } } },
+        { $group: { _id: '$currentStatus', count: { $sum: 1 } } },
       ]),
       Claim.aggregate([
         { $match: { ...match, 'evaluation.payoutAmount': { $gt: 0 } } },
@@ -731,7 +1220,7 @@ export const getClaimAnalytics = async (req, res) => {
           $group: {
             _id: null,
             total: { $sum: 1 },
-            approved: { $sum: { $cond: [{ $eq: ['$statusHistory.history.status', 'Approved'] }, 1, 0] } },
+            approved: { $sum: { $cond: [{ $eq: ['$currentStatus', 'Approved'] }, 1, 0] } },
           },
         },
       ]),
@@ -741,7 +1230,7 @@ export const getClaimAnalytics = async (req, res) => {
           $group: {
             _id: null,
             total: { $sum: 1 },
-            rejected: { $sum: { $cond: [{ $eq: ['$statusHistory.history.status', 'Rejected'] }, 1, 0] } },
+            rejected: { $sum: { $cond: [{ $eq: ['$currentStatus', 'Rejected'] }, 1, 0] } },
           },
         },
       ]),
@@ -767,7 +1256,7 @@ export const getClaimAnalytics = async (req, res) => {
       logger.error(`AI insights error: ${error.message}`);
     }
 
-    logger.info(`Analytics retrieved by admin ${req.user.id}`);
+    logger.info(`Analytics retrieved by admin ${req.user.userId}`);
     return res.json({
       success: true,
       analytics: {
@@ -792,13 +1281,13 @@ export const getClaimAnalytics = async (req, res) => {
 export const generateClaimReport = async (req, res) => {
   try {
     if (req.user.role !== 'Admin') {
-      logger.error(`Unauthorized report access by ${req.user.id}`);
+      logger.error(`Unauthorized report access by ${req.user.userId}`);
       return res.status(403).json({ success: false, error: 'Admin access required' });
     }
 
-    const admin = await User.findById(req.user.id).lean();
+    const admin = await User.findById(req.user.userId).lean();
     if (!admin) {
-      logger.error(`Admin not found: ${req.user.id}`);
+      logger.error(`Admin not found: ${req.user.userId}`);
       return res.status(404).json({ success: false, error: 'Admin user not found' });
     }
 
@@ -811,7 +1300,7 @@ export const generateClaimReport = async (req, res) => {
     }
 
     const claims = await Claim.find(query)
-      .select('claimDetails.incidentType evaluation.payoutAmount evaluation.revenueDropPercent statusHistory.history createdAt')
+      .select('claimDetails.incidentType evaluation.payoutAmount evaluation.revenueDropPercent currentStatus createdAt')
       .populate('claimDetails.userId', 'personalInfo.email')
       .lean();
 
@@ -826,7 +1315,7 @@ export const generateClaimReport = async (req, res) => {
       incidentType: claim.claimDetails.incidentType,
       revenueDropPercent: claim.evaluation.revenueDropPercent || 0,
       payoutAmount: claim.evaluation.payoutAmount || 0,
-      status: claim.statusHistory.history[claim.statusHistory.history.length - 1]?.status || 'Unknown',
+      status: claim.currentStatus || 'Unknown',
       createdAt: claim.createdAt,
     }));
 
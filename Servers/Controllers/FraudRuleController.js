@@ -0,0 +1,219 @@
+// controllers/fraudRuleController.js
+import { isValidObjectId } from 'mongoose';
+import FraudRuleSet, { FRAUD_FACTS, FRAUD_OPERATORS } from '../Models/FraudRuleSet.js';
+import Claim from '../Models/Claim.js';
+import AuditLog from '../Models/AuditLog.js';
+import { evaluateFraudRules } from '../Services/FraudRuleServices.js';
+import logger from '../Utilities/Logger.js';
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+// Mongoose validation and the rule-set pre-validate hook both mean a bad request
+const sendRuleSetError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: 'Invalid rule set', details: Object.values(error.errors).map(e => e.message) });
+  }
+  return res.status(error.statusCode).json({ success: false, error: error.message });
+};
+
+// @desc    List rule-set versions (newest first) and the active version
+// @route   GET /api/fraud-rules
+// @access  Private (Admin)
+export const getRuleSets = async (req, res, next) => {
+  try {
+    const active = await FraudRuleSet.getActive();
+    const ruleSets = await FraudRuleSet.find()
+      .sort({ version: -1 })
+      .select('version status basedOn notes thresholds rules.key rules.enabled createdBy activatedAt retiredAt createdAt')
+      .lean();
+    res.json({
+      success: true,
+      activeVersion: active.version,
+      ruleSets: ruleSets.map(({ rules, ...rest }) => ({ ...rest, rules: rules.length, enabledRules: rules.filter(r => r.enabled !== false).length })),
+    });
+  } catch (error) {
+    logger.error(`Error in getRuleSets: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Facts and operators a rule condition may use (for the rule editor)
+// @route   GET /api/fraud-rules/facts
+// @access  Private (Admin)
+export const getRuleFacts = async (req, res) => {
+  res.json({ success: true, facts: FRAUD_FACTS, operators: FRAUD_OPERATORS });
+};
+
+// @desc    One rule-set version in full
+// @route   GET /api/fraud-rules/:version
+// @access  Private (Admin)
+export const getRuleSet = async (req, res, next) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ success: false, error: 'version must be a positive integer' });
+    }
+    const ruleSet = await FraudRuleSet.findOne({ version });
+    if (!ruleSet) {
+      return res.status(404).json({ success: false, error: `Rule set v${version} not found` });
+    }
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    logger.error(`Error in getRuleSet: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Start a new draft version (copy of fromVersion, default the active one, with any edits in the body)
+// @route   POST /api/fraud-rules
+// @access  Private (Admin)
+export const createRuleSetDraft = async (req, res, next) => {
+  try {
+    const { fromVersion, rules, thresholds, baseScore, notes = '' } = req.body || {};
+    if (fromVersion !== undefined && !parseVersion(fromVersion)) {
+      return res.status(400).json({ success: false, error: 'fromVersion must be a positive integer' });
+    }
+    if (rules !== undefined && !Array.isArray(rules)) {
+      return res.status(400).json({ success: false, error: 'rules must be an array' });
+    }
+
+    const draft = await FraudRuleSet.createDraft({
+      fromVersion: fromVersion ? Number(fromVersion) : null,
+      rules,
+      thresholds,
+      baseScore,
+      notes,
+      createdBy: req.user.userId,
+    });
+    logger.info(`Admin ${req.user.userId} created fraud rule set draft v${draft.version} (from v${draft.basedOn})`);
+    res.status(201).json({ success: true, ruleSet: draft });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.statusCode) return sendRuleSetError(res, error);
+    logger.error(`Error in createRuleSetDraft: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Edit a draft version (active and retired versions are frozen)
+// @route   PUT /api/fraud-rules/:version
+// @access  Private (Admin)
+export const updateRuleSetDraft = async (req, res, next) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ success: false, error: 'version must be a positive integer' });
+    }
+    const ruleSet = await FraudRuleSet.findOne({ version });
+    if (!ruleSet) {
+      return res.status(404).json({ success: false, error: `Rule set v${version} not found` });
+    }
+    if (ruleSet.status !== 'Draft') {
+      return res.status(409).json({ success: false, error: `Rule set v${version} is ${ruleSet.status}; create a new draft to change it` });
+    }
+
+    const { rules, thresholds, baseScore, notes } = req.body || {};
+    if (rules !== undefined && !Array.isArray(rules)) {
+      return res.status(400).json({ success: false, error: 'rules must be an array' });
+    }
+    if (rules !== undefined) ruleSet.rules = rules;
+    if (thresholds) ruleSet.thresholds = { ...ruleSet.thresholds.toObject(), ...thresholds };
+    if (baseScore !== undefined) ruleSet.baseScore = baseScore;
+    if (notes !== undefined) ruleSet.notes = notes;
+    await ruleSet.save();
+
+    logger.info(`Admin ${req.user.userId} updated fraud rule set draft v${version}`);
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.statusCode) return sendRuleSetError(res, error);
+    logger.error(`Error in updateRuleSetDraft: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Activate a draft; new claims are scored with it from now on
+// @route   POST /api/fraud-rules/:version/activate
+// @access  Private (Admin)
+export const activateRuleSet = async (req, res, next) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ success: false, error: 'version must be a positive integer' });
+    }
+    const ruleSet = await FraudRuleSet.findOne({ version });
+    if (!ruleSet) {
+      return res.status(404).json({ success: false, error: `Rule set v${version} not found` });
+    }
+
+    const previous = await FraudRuleSet.getActive();
+    await ruleSet.activate(req.user.userId);
+    await AuditLog.record({
+      actorId: req.user.userId,
+      action: 'fraud-rules.activate',
+      entity: { model: 'FraudRuleSet', id: ruleSet._id },
+      summary: `Fraud rules v${version} activated (replaces v${previous.version})`,
+      details: { version, previousVersion: previous.version, thresholds: ruleSet.thresholds, notes: ruleSet.notes },
+    });
+
+    logger.info(`Admin ${req.user.userId} activated fraud rule set v${version} (was v${previous.version})`);
+    res.json({ success: true, message: `Rule set v${version} is now active`, ruleSet });
+  } catch (error) {
+    if (error.statusCode) return sendRuleSetError(res, error);
+    logger.error(`Error in activateRuleSet: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Explain a claim's fraud score: replay its stored facts against the version it was scored with
+//          (?version= replays against another version for comparison)
+// @route   GET /api/fraud-rules/claims/:claimId/explain
+// @access  Private (Admin)
+export const explainClaimScore = async (req, res, next) => {
+  try {
+    const { claimId } = req.params;
+    if (!isValidObjectId(claimId)) {
+      return res.status(400).json({ success: false, error: 'Invalid claim ID' });
+    }
+    const claim = await Claim.findById(claimId).select('evaluation.aiAnalysis currentStatus').lean();
+    if (!claim) {
+      return res.status(404).json({ success: false, error: 'Claim not found' });
+    }
+    const recorded = claim.evaluation?.aiAnalysis || {};
+    if (!recorded.ruleSetVersion || !recorded.facts) {
+      return res.status(409).json({ success: false, error: 'Claim was scored before fraud rules were versioned; nothing to replay' });
+    }
+
+    const version = req.query.version ? parseVersion(req.query.version) : recorded.ruleSetVersion;
+    if (!version) {
+      return res.status(400).json({ success: false, error: 'version must be a positive integer' });
+    }
+    const ruleSet = await FraudRuleSet.findOne({ version }).lean();
+    if (!ruleSet) {
+      return res.status(404).json({ success: false, error: `Rule set v${version} not found` });
+    }
+
+    const replay = evaluateFraudRules(ruleSet, recorded.facts);
+    res.json({
+      success: true,
+      claimId,
+      status: claim.currentStatus,
+      recorded: {
+        version: recorded.ruleSetVersion,
+        score: recorded.fraudScore,
+        recommendation: recorded.recommendation,
+        firedRules: recorded.firedRules,
+        scannedAt: recorded.scannedAt,
+      },
+      replay,
+      facts: recorded.facts,
+      reproduced: version === recorded.ruleSetVersion
+        ? replay.score === recorded.fraudScore && replay.recommendation === recorded.recommendation
+        : null,
+    });
+  } catch (error) {
+    logger.error(`Error in explainClaimScore: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
@@ -0,0 +1,104 @@
+// controllers/fxController.js
+import ExchangeRate from '../Models/ExchangeRate.js';
+import { getRate, syncRates } from '../Services/FxServices.js';
+import logger from '../Utilities/Logger.js';
+
+const isValidDate = (value) => !value || !Number.isNaN(new Date(value).getTime());
+const isCurrency = (value) => /^[A-Z]{3}$/.test(String(value || '').toUpperCase());
+
+// @desc    Get the USD→KES rate used for a date
+// @route   GET /api/fx/rate?date=YYYY-MM-DD&base=USD&quote=KES
+// @access  Private
+export const getRateForDate = async (req, res) => {
+  try {
+    const { date = new Date(), base = 'USD', quote = 'KES' } = req.query;
+    if (!isValidDate(date) || !isCurrency(base) || !isCurrency(quote)) {
+      return res.status(400).json({ success: false, error: 'date must be a valid date; base/quote must be ISO currency codes' });
+    }
+
+    const rate = await getRate(date, { base: base.toUpperCase(), quote: quote.toUpperCase() });
+    res.json({ success: true, base: base.toUpperCase(), quote: quote.toUpperCase(), ...rate });
+  } catch (error) {
+    logger.error(`Error in getRateForDate: ${error.message}`);
+    res.status(404).json({ success: false, error: error.message });
+  }
+};
+
+// @desc    List stored daily rates (Admin only)
+// @route   GET /api/fx/rates?from=&to=&base=USD&quote=KES
+// @access  Private (Admin)
+export const getRates = async (req, res, next) => {
+  try {
+    const { from, to, base = 'USD', quote = 'KES' } = req.query;
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({ success: false, error: 'from/to must be valid dates' });
+    }
+
+    const query = { base: base.toUpperCase(), quote: quote.toUpperCase() };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+    const rates = await ExchangeRate.find(query).sort({ date: -1 }).limit(366);
+    res.json({ success: true, count: rates.length, rates });
+  } catch (error) {
+    logger.error(`Error in getRates: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Upload daily rates (Admin only; overrides provider/fixture rates for those days)
+// @route   POST /api/fx/rates
+// @access  Private (Admin)
+export const uploadRates = async (req, res, next) => {
+  try {
+    const adminId = req.user.userId;
+    const { base = 'USD', quote = 'KES', rates } = req.body || {};
+    if (!isCurrency(base) || !isCurrency(quote)) {
+      return res.status(400).json({ success: false, error: 'base/quote must be ISO currency codes' });
+    }
+    if (!Array.isArray(rates) || rates.length === 0 || rates.length > 1000) {
+      return res.status(400).json({ success: false, error: 'rates must be a non-empty array of { date, rate } (max 1000)' });
+    }
+    const invalid = rates.filter(r => !r?.date || !isValidDate(r.date) || !(Number(r.rate) > 0));
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Every entry needs a valid date and a positive rate', invalid: invalid.slice(0, 10) });
+    }
+
+    const result = await ExchangeRate.upsertRates(rates, {
+      base: base.toUpperCase(),
+      quote: quote.toUpperCase(),
+      source: 'Admin',
+      provider: 'upload',
+      uploadedBy: adminId,
+    });
+    logger.info(`Admin ${adminId} uploaded ${rates.length} ${base}→${quote} rates: ${JSON.stringify(result)}`);
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`Error in uploadRates: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Fetch missing days from the configured provider (Admin only)
+// @route   POST /api/fx/rates/sync
+// @access  Private (Admin)
+export const syncProviderRates = async (req, res, next) => {
+  try {
+    const { from = new Date(), to = from } = req.body || {};
+    if (!isValidDate(from) || !isValidDate(to) || new Date(from) > new Date(to)) {
+      return res.status(400).json({ success: false, error: 'from/to must be valid dates with from ≤ to' });
+    }
+    if ((new Date(to) - new Date(from)) > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ success: false, error: 'Sync at most one year at a time' });
+    }
+
+    const result = await syncRates({ from, to });
+    logger.info(`Admin ${req.user.userId} synced FX rates ${from}..${to}: ${JSON.stringify(result)}`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`Error in syncProviderRates: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
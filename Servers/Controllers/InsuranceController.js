@@ -1,10 +1,13 @@
 // controllers/InsuranceController.js (Updated: Fraud score computed post-save; reject if <70 after application)
 import User from '../Models/User.js';
 import Premium from '../Models/Premium.js';
+import Invoice from '../Models/Invoice.js';
 import Claim from '../Models/Claim.js';
 import Content from '../Models/Content.js';
 import Analytics from '../Models/Analytics.js';
 import { sendEmail } from '../Services/EmailServices.js';
+import { getPaymentProvider, resolvePaymentMethod, PAYMENT_METHODS } from '../Services/PaymentServices.js';
+import { getReinstatementQuote as getQuote } from '../Services/PolicyServices.js';
 import logger from '../Utilities/Logger.js';
 import { validateUrl } from '../Utilities/Validators.js';
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
@@ -87,6 +90,7 @@ export const applyForInsurance = async (req, res, next) => {
       // Reject after application (cleanup premium)
       user.insuranceStatus.status = 'Rejected';
       user.insuranceStatus.rejectionReason = 'Fraud score too low (below 70)';
+      user.recordPolicyEvent('Rejected', { reason: user.insuranceStatus.rejectionReason, metadata: { fraudScore } });
       await Premium.deleteOne({ _id: user.financialInfo.premium.insuranceId });
       user.financialInfo.premium = { amount: 0, lastCalculated: null, insuranceId: null };  // Reset
       isEligible = false;
@@ -380,8 +384,12 @@ export const reviewInsuranceApplication = async (req, res, next) => {
       user.financialInfo.premium.insuranceId = premium._id;
       user.financialInfo.premium.lastCalculated = new Date();
       user.applicationProgress.step = 'InsuranceApproved';
+      user.recordPolicyEvent('Approved', { changedBy: adminId, metadata: { coveragePeriod, policyEndDate } });
       await user.save();
 
+      // One invoice per month of the term (first one issued now)
+      await Invoice.syncSchedule(premium, user.insuranceStatus);
+
       // Email
       try {
         await sendEmail({
@@ -403,9 +411,12 @@ export const reviewInsuranceApplication = async (req, res, next) => {
       user.insuranceStatus.status = 'Rejected';
       user.insuranceStatus.rejectionReason = rejectionReason;
       user.applicationProgress.step = 'Completed';  // End flow
+      user.recordPolicyEvent('Rejected', { reason: rejectionReason, changedBy: adminId });
       await user.save();
 
       // Cleanup Premium if exists
+      const rejectedPremium = await Premium.findOne({ 'premiumDetails.userId': targetUserId }).select('_id');
+      if (rejectedPremium) await Invoice.voidOpenInvoices(rejectedPremium._id, 'Application rejected');
       await Premium.deleteOne({ 'premiumDetails.userId': targetUserId });
 
       // Email
@@ -436,6 +447,136 @@ export const reviewInsuranceApplication = async (req, res, next) => {
   }
 };
 
+// @desc    Get reinstatement quote for a lapsed policy (arrears + waiting period)
+// @route   GET /api/insurance/reinstatement
+// @access  Private (Creator)
+export const getReinstatementQuote = async (req, res, next) => {
+  const userId = req.user.userId;
+  try {
+    const user = await User.findById(userId);
+    if (!user || user.role !== 'Creator') {
+      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const quote = await getQuote(user);
+    res.json({ success: true, data: { ...quote, lapsedAt: user.insuranceStatus.lapsedAt } });
+  } catch (error) {
+    logger.error(`Error in getReinstatementQuote for ${userId}: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Reinstate a lapsed policy: one charge for all arrears via the creator's payment method; reinstated by the payment callback
+// @route   POST /api/insurance/reinstate
+// @access  Private (Creator)
+export const requestReinstatement = async (req, res, next) => {
+  const userId = req.user.userId;
+  try {
+    const user = await User.findById(userId);
+    if (!user || user.role !== 'Creator') {
+      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const quote = await getQuote(user);
+    if (!quote.eligible) {
+      return res.status(400).json({ success: false, error: quote.reason });
+    }
+
+    // Nothing owed (e.g., arrears settled by an admin): reinstate straight away
+    if (quote.arrears <= 0) {
+      await user.reinstatePolicy({ arrearsAmount: 0 });
+      return res.json({ success: true, message: 'Policy reinstated', data: { insuranceStatus: user.insuranceStatus } });
+    }
+
+    const { phoneNumber: overridePhone, paymentMethod, paymentDetails } = req.body || {};
+    const { provider, method, details } = resolvePaymentMethod(user, {
+      method: paymentMethod,
+      details: paymentDetails ?? (overridePhone ? { mobileNumber: overridePhone } : undefined),
+    });
+    if (!provider) {
+      return res.status(400).json({ success: false, error: `Unsupported payment method '${method}'. Use one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+    const account = await provider.verifyAccount(details);
+    if (!account.valid) {
+      return res.status(400).json({ success: false, error: account.error });
+    }
+
+    const openInvoices = await Invoice.find({ _id: { $in: quote.invoices.map(i => i._id) } });
+    const inFlight = openInvoices.map(i => i.getInFlightAttempt()).find(Boolean);
+    if (inFlight) {
+      return res.status(409).json({
+        success: false,
+        error: 'A payment request is already awaiting confirmation',
+        reference: inFlight.reference,
+      });
+    }
+
+    const push = await Invoice.initiateArrearsPayment(quote.premiumId, provider, account);
+    user.recordPolicyEvent('ReinstatementRequested', {
+      reason: `Arrears ${push.method} charge for KSh ${push.amount}`,
+      changedBy: userId,
+      metadata: { reference: push.reference, invoices: push.invoices },
+    });
+    await user.save();
+
+    logger.info(`Reinstatement requested by ${userId}: KSh ${push.amount} for ${push.invoices.join(', ')} (ref ${push.reference})`);
+    res.status(202).json({
+      success: true,
+      message: push.customerMessage,
+      reference: push.reference,
+      paymentMethod: push.method,
+      checkoutRequestId: push.providerRequestId,
+      approvalUrl: push.approvalUrl,
+      arrears: push.amount,
+      invoices: push.invoices,
+      waitingPeriodDays: quote.waitingPeriodDays,
+      status: 'Pending',
+    });
+  } catch (error) {
+    logger.error(`Error in requestReinstatement for ${userId}: ${error.message}`);
+    res.status(502).json({ success: false, error: error.message });
+  }
+};
+
+// @desc    Choose how premiums are collected and claims/refunds are paid out (account verified with the provider)
+// @route   PUT /api/insurance/payment-method
+// @access  Private (Creator)
+export const updatePaymentMethod = async (req, res, next) => {
+  const userId = req.user.userId;
+  try {
+    const { type, details } = req.body || {};
+    const provider = getPaymentProvider(type);
+    if (!provider) {
+      return res.status(400).json({ success: false, error: `type must be one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.role !== 'Creator') {
+      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const resolved = resolvePaymentMethod(user, { method: provider.method, details });
+    const account = await provider.verifyAccount(resolved.details);
+    if (!account.valid) {
+      return res.status(400).json({ success: false, error: account.error });
+    }
+
+    user.financialInfo.paymentMethod.type = provider.method;
+    Object.assign(user.financialInfo.paymentMethod.details, account.details);
+    await user.save();
+
+    logger.info(`User ${userId} set payment method to ${provider.method} (${account.display})`);
+    res.json({
+      success: true,
+      message: `Payment method set to ${provider.method}`,
+      data: { type: provider.method, account: account.display, accountName: account.accountName || null },
+    });
+  } catch (error) {
+    logger.error(`Error in updatePaymentMethod for ${userId}: ${error.message}`);
+    res.status(502).json({ success: false, error: error.message });
+  }
+};
+
 // @desc    Get insurance status
 export const getInsuranceStatus = async (req, res, next) => {
   const userId = req.user.userId;
@@ -537,7 +678,8 @@ export const getMyInsurance = async (req, res, next) => {
     }
 
     const premium = await Premium.findOne({ 'premiumDetails.userId': userId });
-    const claims = await Claim.find({ 'claimDetails.userId': userId }).select('claimDetails.incidentType claimDetails.incidentDate statusHistory.history evaluation.payoutAmount');
+    const claims = await Claim.find({ 'claimDetails.userId': userId }).select('claimDetails.incidentType claimDetails.incidentDate currentStatus statusHistory.history evaluation.payoutAmount evaluation.payoutBreakdown');
+    const limits = premium ? await Claim.getLimitUsage(userId, { premium }) : null;  // Current month and policy year
     const contents = await Content.find({ 'contentDetails.userId': userId }).select('contentDetails riskAssessment');
 
     let estimated = null;
@@ -555,9 +697,15 @@ export const getMyInsurance = async (req, res, next) => {
           id: c._id,
           incidentType: c.claimDetails.incidentType,
           incidentDate: c.claimDetails.incidentDate,
-          status: c.statusHistory.history[c.statusHistory.history.length - 1]?.status || 'Submitted',
-          payoutAmount: c.evaluation?.payoutAmount || 0
+          status: c.currentStatus || 'Submitted',
+          payoutAmount: c.evaluation?.payoutAmount || 0,
+          payoutBreakdown: c.evaluation?.payoutBreakdown?.calculatedAt ? c.evaluation.payoutBreakdown : null
         })),
+        payoutLimits: limits && {
+          deductibleDays: limits.deductibleDays,
+          monthly: { cap: limits.month.cap, used: limits.month.used, remaining: limits.month.remaining, periodStart: limits.month.start, periodEnd: limits.month.end },
+          annual: { cap: limits.year.cap, used: limits.year.used, remaining: limits.year.remaining, periodStart: limits.year.start, periodEnd: limits.year.end },
+        },
         contentReviews: contents.map(c => ({
           platform: c.contentDetails.platform,
           contentType: c.contentDetails.contentType,
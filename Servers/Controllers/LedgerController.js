@@ -0,0 +1,112 @@
+// controllers/ledgerController.js
+import { isValidObjectId } from 'mongoose';
+import Ledger from '../Models/Ledger.js';
+import { reconcileLedger } from '../Services/LedgerServices.js';
+import logger from '../Utilities/Logger.js';
+import { parsePagination } from '../Utilities/Helper.js';
+
+const isValidDate = (value) => !value || !Number.isNaN(new Date(value).getTime());
+
+// @desc    Get my ledger balance (totals paid in/out + account balances)
+// @route   GET /api/ledger/balance
+// @access  Private (Creator)
+export const getMyBalance = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { asOf } = req.query;
+    if (!isValidDate(asOf)) {
+      return res.status(400).json({ success: false, error: 'asOf must be a valid date' });
+    }
+
+    const balance = await Ledger.getBalance(userId, { asOf });
+    res.json({ success: true, balance });
+  } catch (error) {
+    logger.error(`Error in getMyBalance: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Get my ledger statement (chronological, running balance)
+// @route   GET /api/ledger/statement
+// @access  Private (Creator)
+export const getMyStatement = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { from, to } = req.query;
+    const { page, limit } = parsePagination(req.query, { limit: 50, max: 200 });
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({ success: false, error: 'from/to must be valid dates' });
+    }
+
+    const statement = await Ledger.getStatement(userId, { from, to, page, limit });
+    res.json({ success: true, statement });
+  } catch (error) {
+    logger.error(`Error in getMyStatement: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Get a policyholder's ledger balance (Admin only)
+// @route   GET /api/ledger/admin/:userId/balance
+// @access  Private (Admin)
+export const getUserBalance = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { asOf } = req.query;
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+    if (!isValidDate(asOf)) {
+      return res.status(400).json({ success: false, error: 'asOf must be a valid date' });
+    }
+
+    const balance = await Ledger.getBalance(userId, { asOf });
+    res.json({ success: true, balance });
+  } catch (error) {
+    logger.error(`Error in getUserBalance: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Get a policyholder's ledger statement (Admin only)
+// @route   GET /api/ledger/admin/:userId/statement
+// @access  Private (Admin)
+export const getUserStatement = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { from, to } = req.query;
+    const { page, limit } = parsePagination(req.query, { limit: 50, max: 200 });
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({ success: false, error: 'from/to must be valid dates' });
+    }
+
+    const statement = await Ledger.getStatement(userId, { from, to, page, limit });
+    res.json({ success: true, statement });
+  } catch (error) {
+    logger.error(`Error in getUserStatement: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Reconcile the ledger against Premium/Claim documents (Admin only)
+// @route   GET /api/ledger/admin/reconcile?userId=
+// @access  Private (Admin)
+export const reconcile = async (req, res, next) => {
+  try {
+    const adminId = req.user.userId;
+    const { userId } = req.query;
+    if (userId && !isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    const report = await reconcileLedger({ userId });
+    logger.info(`Admin ${adminId} ran ledger reconciliation${userId ? ` for user ${userId}` : ''}: ${report.summary.discrepancies} discrepancies`);
+    res.json({ success: true, balanced: report.summary.discrepancies === 0, ...report });
+  } catch (error) {
+    logger.error(`Error in reconcile: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
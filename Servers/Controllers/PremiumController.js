@@ -1,9 +1,13 @@
 import Premium from "../Models/Premium.js";
+import Invoice from "../Models/Invoice.js";
 import User from "../Models/User.js";
+import Receipt, { RECEIPT_FORMATS } from "../Models/Receipt.js";
 import { sendEmail } from "../Services/EmailServices.js";
 import logger from "../Utilities/Logger.js";
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 import { sendVerificationEmail } from '../Services/EmailServices.js';
+import { getPaymentProvider, resolvePaymentMethod, verifyCallbackSignature, PAYMENT_METHODS } from '../Services/PaymentServices.js';
+import { isValidObjectId } from 'mongoose';
 
 // @desc    Estimate premium for a user (Creator or Admin)
 // @route   POST /api/premiums/estimate
@@ -149,7 +153,11 @@ export const getMyPremium = async (req, res, next) => {
       return res.status(404).json({ success: false, error: 'Premium not found' });
     }
 
-    res.status(200).json({ success: true, premium: premium });
+    const user = await User.findById(userId).select('insuranceStatus');
+    await Invoice.ensureSchedule(premium, user?.insuranceStatus);
+    const billing = await Invoice.getBillingSummary(premium._id);
+
+    res.status(200).json({ success: true, premium: await Premium.findById(premium._id), billing });
   } catch (error) {
     logger.error(`Error in getMyPremium: ${error.message}, Stack: ${error.stack}`);
     res.status(500).json({ success: false, error: error.message });
@@ -173,7 +181,8 @@ export const getPremiumByUserId = async (req, res, next) => {
       return res.status(404).json({ success: false, error: 'Premium not found' });
     }
 
-    res.status(200).json({ success: true, premium: premium });
+    const billing = await Invoice.getBillingSummary(premium._id);
+    res.status(200).json({ success: true, premium: premium, billing });
 
   } catch (error) {
     logger.error(`Error in getPremiumByUserId: ${error.message}, Stack: ${error.stack}`);
@@ -182,82 +191,217 @@ export const getPremiumByUserId = async (req, res, next) => {
 
 }
 
-// @desc    Pay a premium
+// @desc    Pay a premium via the creator's payment method (M-Pesa STK Push, bank debit request or PayPal order;
+//          marked Paid only once the provider confirms through the signed callback)
 // @route   POST /api/premiums/pay
 // @access  Private (Creator)
 export const payPremium = async (req, res, next) => {
   try {
     const userId = req.user.userId;
-    const { paymentMethod, paymentDetails } = req.body;
-
-    if (!paymentMethod || !paymentDetails) {
-      return res.status(400).json({ success: false, error: 'Payment method and details are required' });
-    }
+    const { paymentMethod, paymentDetails, invoiceId } = req.body;
 
     const premium = await Premium.findOne({ 'premiumDetails.userId': userId });
     if (!premium) {
       return res.status(404).json({ success: false, error: 'Premium not found' });
     }
 
-    if (premium.paymentStatus.status === 'Paid') {
-      return res.status(400).json({ success: false, error: 'Premium already paid' });
-    }
-
-    const user1 = await User.findById(userId);
-    if (!user1) {
+    const user = await User.findById(userId);
+    if (!user) {
       return res.status(404).json({ success: false, error: 'User not found' });
     }
-    if (user1.insuranceStatus.status !== 'Approved') {
+    if (user.insuranceStatus.status !== 'Approved') {
       return res.status(400).json({ success: false, error: 'Insurance not approved' });
     }
-    
-    // Simulate payment gateway (replace with real integration, e.g., M-Pesa, Stripe)
-    const paymentSuccess = Math.random() > 0.2; // 80% success rate for testing
-    const transactionId = `txn_${Date.now()}`;
-
-    if (paymentSuccess) {
-      premium.paymentStatus.status = 'Paid';
-      premium.paymentStatus.paymentDate = new Date();
-      premium.paymentStatus.paymentMethod.type = paymentMethod; // Align with schema: type is enum string
-      premium.paymentStatus.paymentMethod.details = paymentDetails; // details as string
-      premium.paymentStatus.transactionId = transactionId;
-      premium.paymentStatus.attempts.push({ status: 'Success', date: new Date() });
-      premium.renewalCount += 1;
-      premium.lastRenewedAt = new Date();
-    } else {
-      premium.paymentStatus.attempts.push({
-        status: 'Failed',
-        errorMessage: 'Payment gateway error',
-        date: new Date(),
+
+    await Invoice.ensureSchedule(premium, user.insuranceStatus);
+    const invoice = await Invoice.findPayable(premium._id, invoiceId);
+    if (!invoice) {
+      return res.status(400).json({ success: false, error: invoiceId ? 'Invoice is not payable' : 'No invoice is currently due' });
+    }
+
+    const { provider, method, details } = resolvePaymentMethod(user, { method: paymentMethod, details: paymentDetails });
+    if (!provider) {
+      return res.status(400).json({ success: false, error: `Unsupported payment method '${method}'. Use one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+    const account = await provider.verifyAccount(details);
+    if (!account.valid) {
+      return res.status(400).json({ success: false, error: account.error });
+    }
+
+    const inFlight = invoice.getInFlightAttempt();
+    if (inFlight) {
+      return res.status(409).json({
+        success: false,
+        error: 'A payment request is already awaiting confirmation',
+        reference: inFlight.reference,
       });
-      premium.paymentStatus.status = 'Failed';
     }
 
-    await premium.save();
+    const push = await invoice.initiatePayment(provider, account);
 
-    const user = await User.findById(userId);
-    await sendEmail({
-      to: user.personalInfo.email,
-      subject: `CCI Premium Payment ${paymentSuccess ? 'Successful' : 'Failed'}`,
-      text: paymentSuccess
-        ? `Your premium payment of ${premium.premiumDetails.finalPercentage}% (KSh ${premium.premiumDetails.finalAmount}) was successful. Transaction ID: ${transactionId}.`
-        : `Your premium payment attempt failed. Please try again or contact support.`,
+    logger.info(`${method} charge initiated for user ${userId}, invoice ${invoice.invoiceNumber}: KSh ${push.amount}, ref ${push.reference}`);
+    res.status(202).json({
+      success: true,
+      message: push.customerMessage,
+      reference: push.reference,
+      paymentMethod: push.method,
+      checkoutRequestId: push.providerRequestId,
+      approvalUrl: push.approvalUrl,
+      invoiceNumber: invoice.invoiceNumber,
+      status: 'Pending',
     });
+  } catch (error) {
+    logger.error(`Error in payPremium: ${error.message}, Stack: ${error.stack}`);
+    res.status(502).json({ success: false, error: error.message });
+  }
+};
+
+// Acknowledge a premium callback: JSON for provider servers, a redirect for the payer's browser (PayPal return)
+const acknowledgePaymentCallback = (req, res, attempt) => {
+  if (req.method === 'GET') {
+    return res.redirect(`${process.env.FRONTEND_URL}/premiums?reference=${encodeURIComponent(attempt.reference)}&status=${attempt.status}`);
+  }
+  return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+};
+
+// @desc    Payment provider callback (M-Pesa STK result, bank debit result or PayPal return; signature in query string)
+// @route   POST /api/premiums/:provider/callback (GET for the PayPal return redirect)
+// @access  Public (signed)
+export const handlePaymentCallback = async (req, res, next) => {
+  try {
+    const { ref, sig } = req.query;
+    if (!verifyCallbackSignature(ref, sig)) {
+      logger.warn(`Rejected unsigned/invalid ${req.params.provider} callback for ref ${ref}`);
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Invalid signature' });
+    }
+
+    const provider = getPaymentProvider(req.params.provider);
+    const invoice = await Invoice.findOne({ 'attempts.reference': ref });
+    const attempt = invoice?.attempts.find(a => a.reference === ref);
+    if (!provider || !invoice || attempt.method !== provider.method) {
+      logger.error(`${req.params.provider} callback for unknown payment ref ${ref}`);
+      return res.status(404).json({ ResultCode: 1, ResultDesc: 'Unknown transaction' });
+    }
+    if (attempt.status !== 'Pending') {
+      logger.info(`Duplicate ${provider.method} callback ignored for ref ${ref}`);
+      return acknowledgePaymentCallback(req, res, attempt);
+    }
+
+    const result = await provider.parseChargeResult({ body: req.body, query: req.query, attempt });
+    if (result.providerRequestId && attempt.checkoutRequestId && result.providerRequestId !== attempt.checkoutRequestId) {
+      logger.error(`${provider.method} callback for ref ${ref} carries request ${result.providerRequestId}, expected ${attempt.checkoutRequestId}`);
+      return res.status(404).json({ ResultCode: 1, ResultDesc: 'Unknown transaction' });
+    }
+
+    const { paid, duplicate, receipt } = await invoice.completePayment(ref, result);
+    if (duplicate) {
+      logger.info(`Duplicate ${provider.method} callback ignored for ref ${ref}`);
+      return acknowledgePaymentCallback(req, res, attempt);
+    }
+
+    const user = await User.findById(invoice.userId);
+    try {
+      await sendEmail({
+        to: user.personalInfo.email,
+        subject: `CCI Premium Payment ${paid ? 'Successful' : 'Failed'}`,
+        text: paid
+          ? `Your premium payment of KSh ${attempt.amount} for invoice ${invoice.invoiceNumber} was received. ${attempt.method} receipt: ${result.receipt}.${attempt.purpose === 'Reinstatement' && user.insuranceStatus.reinstatedAt ? ` Your policy has been reinstated${user.insuranceStatus.waitingPeriodEndsAt ? `; new incidents are covered from ${user.insuranceStatus.waitingPeriodEndsAt.toDateString()}` : ''}.` : ''}`
+          : `Your premium payment for invoice ${invoice.invoiceNumber} was not completed (${result.resultDesc}). Please try again or contact support.`,
+        attachments: receipt ? receipt.toAttachments() : [],
+      });
+      if (receipt) {
+        receipt.emailedAt = new Date();
+        await receipt.save();
+      }
+    } catch (emailError) {
+      logger.error(`Payment email failed for user ${invoice.userId}: ${emailError.message}`);
+    }
 
     logger.info(
-      `Premium payment ${paymentSuccess ? 'succeeded' : 'failed'} for user ${userId}: ${premium.premiumDetails.finalPercentage}% (KSh ${premium.premiumDetails.finalAmount}), Transaction: ${transactionId}`
+      `${attempt.method} callback for ref ${ref}: ${attempt.status} (code ${result.resultCode}), invoice ${invoice.invoiceNumber}${paid ? `, receipt ${result.receipt}` : ''}`
     );
+    acknowledgePaymentCallback(req, res, attempt);
+  } catch (error) {
+    logger.error(`Error in handlePaymentCallback: ${error.message}, Stack: ${error.stack}`);
+    res.status(400).json({ ResultCode: 1, ResultDesc: error.message });
+  }
+};
+
+// @desc    Check status of a premium payment attempt (queries the provider if the callback is late)
+// @route   GET /api/premiums/payment-status/:reference
+// @access  Private (Creator/Admin)
+export const getPaymentStatus = async (req, res, next) => {
+  try {
+    const { reference } = req.params;
+    const invoice = await Invoice.findOne({ 'attempts.reference': reference });
+    if (!invoice) {
+      return res.status(404).json({ success: false, error: 'Payment attempt not found' });
+    }
+    if (req.user.role !== 'Admin' && invoice.userId.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    }
+
+    let attempt = invoice.attempts.find(a => a.reference === reference);
+    if (attempt.status === 'Pending' && !invoice.getInFlightAttempt()) {
+      // Callback overdue: ask the provider directly
+      try {
+        const result = await getPaymentProvider(attempt.method).queryCharge(attempt.checkoutRequestId);
+        ({ attempt } = await invoice.completePayment(attempt.reference, result));
+      } catch (queryError) {
+        logger.warn(`${attempt.method} status query failed for ref ${reference}: ${queryError.message}`);
+      }
+    }
+
     res.status(200).json({
-      success: paymentSuccess,
-      message: paymentSuccess ? 'Payment successful' : 'Payment failed',
-      transactionId: paymentSuccess ? transactionId : null,
+      success: true,
+      payment: {
+        reference: attempt.reference,
+        status: attempt.status,
+        amount: attempt.amount,
+        paymentMethod: attempt.method,
+        mpesaReceipt: attempt.mpesaReceipt || null,
+        receiptId: attempt.receiptId || null,
+        resultDesc: attempt.resultDesc || null,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceStatus: invoice.status,
+      },
     });
   } catch (error) {
-    logger.error(`Error in payPremium: ${error.message}, Stack: ${error.stack}`);
+    logger.error(`Error in getPaymentStatus: ${error.message}, Stack: ${error.stack}`);
     res.status(500).json({ success: false, error: error.message });
   }
 };
 
+// @desc    Download a premium receipt (DOCX by default; ?format=pdf when a PDF copy was rendered)
+// @route   GET /api/premiums/receipts/:id
+// @access  Private (Creator/Admin)
+export const getReceipt = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { format = RECEIPT_FORMATS[0] } = req.query;
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of: ${RECEIPT_FORMATS.join(', ')}` });
+    }
+
+    const query = isValidObjectId(id) ? { _id: id } : { receiptNumber: id };
+    const receipt = await Receipt.findOne({ ...query, type: 'PremiumReceipt' }).select('+files.pdf +files.docx');
+    if (!receipt) {
+      return res.status(404).json({ success: false, error: 'Receipt not found' });
+    }
+    if (req.user.role !== 'Admin' && receipt.userId.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const { filename, content, contentType } = receipt.getFile(format);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    return res.send(content);
+  } catch (error) {
+    logger.error(`Error in getReceipt: ${error.message}, Stack: ${error.stack}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
 // @desc    Apply content review discount (Creator)
 // @route   PUT /api/premiums/discount
 // @access  Private (Creator)
@@ -416,46 +560,67 @@ export const getOverduePremiums = async (req, res, next) => {
       return res.status(403).json({ success: false, error: 'Admin access required' });
     }
 
-    const now = new Date();
-    const premiums = await Premium.find({
-      'paymentStatus.status': { $in: ['Pending', 'Failed'] },
-      'paymentStatus.dueDate': { $lt: now },
-    })
-      .populate('premiumDetails.userId', 'personalInfo.email personalInfo.fullName') // Align with schema: fullName
-      .sort({ 'paymentStatus.dueDate': 1 });
+    // Flag missed due dates first so the list is current even between scheduler ticks
+    await Invoice.markOverdue();
 
-    for (const premium of premiums) {
-      if (premium.paymentStatus.status !== 'Overdue') {
-        premium.paymentStatus.status = 'Overdue';
-        await premium.save();
+    const invoices = await Invoice.find({ status: 'Overdue' })
+      .populate('userId', 'personalInfo.email personalInfo.fullName') // Align with schema: fullName
+      .sort({ dueDate: 1 })
+      .select('-attempts');
 
-        const user = await User.findById(premium.premiumDetails.userId);
-        if (!user) {
-          logger.error(`User not found for overdue premium ${premium._id}: userId ${premium.premiumDetails.userId}`);
-          continue;
-        }
-        // await sendEmail({
-        //   to: user.personalInfo.email,
-        //   subject: 'CCI Overdue Premium Payment',
-        //   text: `Your premium of ${premium.premiumDetails.finalPercentage}% (KSh ${premium.premiumDetails.finalAmount}) is overdue since ${premium.paymentStatus.dueDate}. Please pay immediately to avoid service interruption.`,
-        // });
+    // Group by policy: one row per premium with its overdue bills
+    const byPremium = new Map();
+    for (const invoice of invoices) {
+      const key = invoice.premiumId.toString();
+      if (!byPremium.has(key)) {
+        byPremium.set(key, { premiumId: invoice.premiumId, user: invoice.userId, overdueAmount: 0, oldestDueDate: invoice.dueDate, invoices: [] });
       }
+      const row = byPremium.get(key);
+      row.overdueAmount += invoice.balance;
+      row.invoices.push(invoice);
     }
 
-    logger.info(`Fetched ${premiums.length} overdue premiums`);
-    res.status(200).json({ success: true, premiums });
+    logger.info(`Fetched ${invoices.length} overdue invoices across ${byPremium.size} premiums`);
+    res.status(200).json({ success: true, premiums: [...byPremium.values()], invoices });
   } catch (error) {
     logger.error(`Error in getOverduePremiums: ${error.message}, Stack: ${error.stack}`);
     res.status(500).json({ success: false, error: error.message });
   }
 };
 
-// @desc    Retry failed payment (Creator or Admin)
+// @desc    List my invoices (past, current and upcoming bills)
+// @route   GET /api/premiums/invoices
+// @access  Private (Creator)
+export const getMyInvoices = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { status } = req.query;
+
+    const premium = await Premium.findOne({ 'premiumDetails.userId': userId });
+    if (!premium) {
+      return res.status(404).json({ success: false, error: 'Premium not found' });
+    }
+
+    const user = await User.findById(userId).select('insuranceStatus');
+    await Invoice.ensureSchedule(premium, user?.insuranceStatus);
+
+    const query = { premiumId: premium._id };
+    if (status) query.status = { $in: String(status).split(',') };
+    const invoices = await Invoice.find(query).sort({ periodNumber: 1 });
+
+    res.status(200).json({ success: true, count: invoices.length, invoices });
+  } catch (error) {
+    logger.error(`Error in getMyInvoices: ${error.message}, Stack: ${error.stack}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// @desc    Retry failed payment (Creator or Admin; re-sends the charge via the creator's payment method)
 // @route   POST /api/premiums/retry-payment
 // @access  Private (Creator/Admin)
 export const retryPayment = async (req, res, next) => {
   try {
-    const { userId: targetUserId } = req.body;
+    const { userId: targetUserId, phoneNumber: overridePhone, paymentMethod, paymentDetails, invoiceId } = req.body;
     const isAdmin = req.user.role === 'Admin';
 
     let userId;
@@ -469,7 +634,7 @@ export const retryPayment = async (req, res, next) => {
       userId = targetUserId;
     }
 
-    if (!isAdmin && userId !== req.user.userId) {
+    if (!isAdmin && userId.toString() !== req.user.userId.toString()) {
       return res.status(403).json({ success: false, error: 'Creators can only retry their own payments' });
     }
 
@@ -478,52 +643,49 @@ export const retryPayment = async (req, res, next) => {
       return res.status(404).json({ success: false, error: 'Premium not found' });
     }
 
-    if (premium.paymentStatus.status === 'Paid') {
-      return res.status(400).json({ success: false, error: 'Premium already paid' });
+    const invoice = await Invoice.findPayable(premium._id, invoiceId);
+    if (!invoice) {
+      return res.status(400).json({ success: false, error: 'No unpaid invoice to retry' });
     }
 
-    // Simulate payment retry (replace with real gateway)
-    const paymentSuccess = Math.random() > 0.2; // 80% success rate for testing
-    const transactionId = `txn_${Date.now()}`;
-
-    if (paymentSuccess) {
-      premium.paymentStatus.status = 'Paid';
-      premium.paymentStatus.paymentDate = new Date();
-      premium.paymentStatus.transactionId = transactionId;
-      premium.paymentStatus.attempts.push({ status: 'Success', date: new Date() });
-      premium.renewalCount += 1;
-      premium.lastRenewedAt = new Date();
-    } else {
-      premium.paymentStatus.attempts.push({
-        status: 'Failed',
-        errorMessage: 'Retry failed',
-        date: new Date(),
+    const inFlight = invoice.getInFlightAttempt();
+    if (inFlight) {
+      return res.status(409).json({
+        success: false,
+        error: 'A payment request is already awaiting confirmation',
+        reference: inFlight.reference,
       });
-      premium.paymentStatus.status = 'Failed';
     }
 
-    await premium.save();
-
     const user = await User.findById(userId);
-    await sendEmail({
-      to: user.personalInfo.email,
-      subject: `CCI Premium Payment Retry ${paymentSuccess ? 'Successful' : 'Failed'}`,
-      text: paymentSuccess
-        ? `Your premium payment retry of ${premium.premiumDetails.finalPercentage}% (KSh ${premium.premiumDetails.finalAmount}) was successful. Transaction ID: ${transactionId}.`
-        : `Your premium payment retry failed. Please try again or contact support.`,
+    const { provider, method, details } = resolvePaymentMethod(user, {
+      method: paymentMethod,
+      details: paymentDetails ?? (overridePhone ? { mobileNumber: overridePhone } : undefined),
     });
+    if (!provider) {
+      return res.status(400).json({ success: false, error: `Unsupported payment method '${method}'. Use one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+    const account = await provider.verifyAccount(details);
+    if (!account.valid) {
+      return res.status(400).json({ success: false, error: account.error });
+    }
 
-    logger.info(
-      `Premium payment retry ${paymentSuccess ? 'succeeded' : 'failed'} for user ${userId}: ${premium.premiumDetails.finalPercentage}% (KSh ${premium.premiumDetails.finalAmount}), Transaction: ${transactionId}`
-    );
-    res.status(200).json({
-      success: paymentSuccess,
-      message: paymentSuccess ? 'Payment retry successful' : 'Payment retry failed',
-      transactionId: paymentSuccess ? transactionId : null,
+    const push = await invoice.initiatePayment(provider, account);
+
+    logger.info(`Premium payment retry (${method}) for user ${userId}, invoice ${invoice.invoiceNumber} by ${isAdmin ? 'admin' : 'creator'}: KSh ${push.amount}, ref ${push.reference}`);
+    res.status(202).json({
+      success: true,
+      message: push.customerMessage,
+      reference: push.reference,
+      paymentMethod: push.method,
+      checkoutRequestId: push.providerRequestId,
+      approvalUrl: push.approvalUrl,
+      invoiceNumber: invoice.invoiceNumber,
+      status: 'Pending',
     });
   } catch (error) {
     logger.error(`Error in retryPayment: ${error.message}, Stack: ${error.stack}`);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(502).json({ success: false, error: error.message });
   }
 };
 
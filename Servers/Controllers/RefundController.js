@@ -0,0 +1,187 @@
+// controllers/refundController.js
+import { isValidObjectId } from 'mongoose';
+import Refund from '../Models/Refund.js';
+import User from '../Models/User.js';
+import { sendEmail } from '../Services/EmailServices.js';
+import { getPaymentProvider, resolvePaymentMethod, verifyCallbackSignature, PAYMENT_METHODS } from '../Services/PaymentServices.js';
+import logger from '../Utilities/Logger.js';
+
+const REFUND_STATUSES = ['NotDue', 'Held', 'Queued', 'Pending', 'Paid', 'Failed'];
+
+// @desc    Get my termination statements and premium refunds
+// @route   GET /api/refunds
+// @access  Private (Creator)
+export const getMyRefunds = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const user = await User.findById(userId).select('personalInfo');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const refunds = await Refund.find({ userId }).sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      refunds: refunds.map(r => ({ ...r.toJSON(), statementText: r.renderStatement(user) })),
+    });
+  } catch (error) {
+    logger.error(`Error in getMyRefunds: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// Shared payout callback handling (result + queue timeout carry the same body per provider)
+const handleRefundB2CCallback = async (req, res, timedOut) => {
+  const { ref, sig } = req.query;
+  if (!verifyCallbackSignature(ref, sig)) {
+    logger.warn(`Rejected unsigned/invalid refund callback for ref ${ref}`);
+    return res.status(403).json({ ResultCode: 1, ResultDesc: 'Invalid signature' });
+  }
+
+  const provider = getPaymentProvider(req.params.provider);
+  if (!provider?.parsePayoutResult) {
+    logger.error(`Refund callback from unsupported provider '${req.params.provider}' (ref ${ref})`);
+    return res.status(404).json({ ResultCode: 1, ResultDesc: 'Unknown provider' });
+  }
+
+  const refund = await Refund.findOne({ 'payout.attempts.reference': ref });
+  if (!refund) {
+    logger.error(`${provider.method} callback for unknown refund ref ${ref}`);
+    return res.status(404).json({ ResultCode: 1, ResultDesc: 'Unknown transaction' });
+  }
+  const attempt = refund.payout.attempts.find(a => a.reference === ref);
+  const result = await provider.parsePayoutResult({ body: req.body, query: req.query, attempt });
+
+  const { paid, duplicate } = await refund.completePayout(ref, result, { timedOut });
+  if (!duplicate && paid) {
+    const user = await User.findById(refund.userId).select('personalInfo');
+    try {
+      await sendEmail({
+        to: user.personalInfo.email,
+        subject: `Premium Refund Paid - ${refund.refundNumber}`,
+        text: `Your premium refund (${refund.refundNumber}) of KSh ${attempt.amount} was sent to your ${provider.method} account (${refund.payout.account}). Receipt: ${result.receipt}.`,
+      });
+    } catch (emailError) {
+      logger.error(`Refund paid email failed for ${refund.refundNumber}: ${emailError.message}`);
+    }
+  }
+
+  logger.info(`${provider.method} payout ${timedOut ? 'timeout' : 'result'} for refund ${refund.refundNumber} (ref ${ref}): code ${result.resultCode}${duplicate ? ' (duplicate)' : ''}`);
+  return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+};
+
+// @desc    Payout result callback (premium refund confirmation: M-Pesa B2C or bank credit transfer)
+// @route   POST /api/refunds/:provider/b2c/result
+// @access  Public (signed)
+export const handleRefundB2CResult = async (req, res) => {
+  try {
+    return await handleRefundB2CCallback(req, res, false);
+  } catch (error) {
+    logger.error(`handleRefundB2CResult error: ${error.message}`);
+    return res.status(400).json({ ResultCode: 1, ResultDesc: error.message });
+  }
+};
+
+// @desc    Payout queue timeout callback (premium refund, M-Pesa B2C)
+// @route   POST /api/refunds/:provider/b2c/timeout
+// @access  Public (signed)
+export const handleRefundB2CTimeout = async (req, res) => {
+  try {
+    return await handleRefundB2CCallback(req, res, true);
+  } catch (error) {
+    logger.error(`handleRefundB2CTimeout error: ${error.message}`);
+    return res.status(400).json({ ResultCode: 1, ResultDesc: error.message });
+  }
+};
+
+// @desc    Get all refunds (Admin only)
+// @route   GET /api/refunds/admin/all?status=Failed
+// @access  Private (Admin)
+export const getAllRefunds = async (req, res, next) => {
+  try {
+    const { status, userId, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) {
+      const statuses = String(status).split(',').map(s => s.trim());
+      if (statuses.some(s => !REFUND_STATUSES.includes(s))) {
+        return res.status(400).json({ success: false, error: `Status must be one of ${REFUND_STATUSES.join(', ')}` });
+      }
+      query.status = { $in: statuses };
+    }
+    if (userId) {
+      if (!isValidObjectId(userId)) {
+        return res.status(400).json({ success: false, error: 'Invalid user ID' });
+      }
+      query.userId = userId;
+    }
+
+    const refunds = await Refund.find(query)
+      .populate('userId', 'personalInfo.fullName personalInfo.email')
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+    const total = await Refund.countDocuments(query);
+
+    res.json({
+      success: true,
+      refunds,
+      pagination: { page: Number(page), limit: Number(limit), total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    logger.error(`Error in getAllRefunds: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Retry a failed refund payout, optionally via another method/account (Admin only)
+// @route   POST /api/refunds/admin/:id/retry
+// @access  Private (Admin)
+export const retryRefund = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { phoneNumber, paymentMethod, paymentDetails } = req.body || {};
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid refund ID' });
+    }
+    const provider = paymentMethod ? getPaymentProvider(paymentMethod) : null;
+    if (paymentMethod && !provider) {
+      return res.status(400).json({ success: false, error: `Unsupported payment method '${paymentMethod}'. Use one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+
+    const refund = await Refund.findById(id);
+    if (!refund) {
+      return res.status(404).json({ success: false, error: 'Refund not found' });
+    }
+    if (refund.status !== 'Failed') {
+      return res.status(400).json({ success: false, error: `Only failed refunds can be retried (current status: ${refund.status})` });
+    }
+
+    // New method/account: fill gaps from the creator's saved payment details, then verify before sending
+    if (provider || paymentDetails || phoneNumber) {
+      if (provider) refund.payout.method = provider.method;
+      const user = await User.findById(refund.userId);
+      const { details } = resolvePaymentMethod(user, {
+        method: refund.payout.method,
+        details: paymentDetails ?? (phoneNumber ? { mobileNumber: phoneNumber } : undefined),
+      });
+      const account = await getPaymentProvider(refund.payout.method).verifyAccount(details);
+      if (!account.valid) {
+        return res.status(400).json({ success: false, error: account.error });
+      }
+      refund.payout.details = details;
+      refund.payout.phoneNumber = details.mobileNumber;
+    }
+
+    refund.payout.retryCount = 0;
+    const dispatched = await refund.dispatchPayout();
+    if (!dispatched) {
+      return res.status(502).json({ success: false, error: `Refund payout failed: ${refund.payout.lastError}` });
+    }
+
+    logger.info(`Admin ${req.user.userId} retried refund ${refund.refundNumber} (ref ${dispatched.reference})`);
+    res.status(202).json({ success: true, message: 'Refund payout re-sent', data: { refund } });
+  } catch (error) {
+    logger.error(`retryRefund error: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error retrying refund' });
+  }
+};
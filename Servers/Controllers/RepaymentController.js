@@ -0,0 +1,173 @@
+// controllers/repaymentController.js
+import { isValidObjectId } from 'mongoose';
+import Repayment from '../Models/Repayment.js';
+import User from '../Models/User.js';
+import { sendEmail } from '../Services/EmailServices.js';
+import { normalizeMsisdn, parseStkCallback, verifyCallbackSignature } from '../Services/PaymentServices.js';
+import logger from '../Utilities/Logger.js';
+
+const REPAYMENT_STATUSES = ['Open', 'PartiallyPaid', 'Paid', 'Defaulted'];
+
+// @desc    Get my reinstatement repayment obligations
+// @route   GET /api/repayments
+// @access  Private (Creator)
+export const getMyRepayments = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const repayments = await Repayment.find({ userId }).sort({ createdAt: -1 });
+    const outstanding = repayments
+      .filter(r => r.status !== 'Paid')
+      .reduce((sum, r) => sum + r.balance, 0);
+
+    res.json({
+      success: true,
+      outstanding,
+      claimsBlocked: repayments.some(r => r.status === 'Defaulted'),
+      repayments: repayments.map(r => ({ ...r.toJSON(), amountDue: r.status === 'Paid' ? 0 : r.getAmountDue() })),
+    });
+  } catch (error) {
+    logger.error(`Error in getMyRepayments: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    Pay a repayment (or the instalment due) via M-Pesa STK Push
+// @route   POST /api/repayments/:id/pay
+// @access  Private (Creator)
+export const payRepayment = async (req, res) => {
+  const userId = req.user.userId;
+  try {
+    const { id } = req.params;
+    const { phoneNumber: overridePhone, amount } = req.body || {};
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid repayment ID' });
+    }
+
+    const repayment = await Repayment.findOne({ _id: id, userId });
+    if (!repayment) {
+      return res.status(404).json({ success: false, error: 'Repayment not found' });
+    }
+    if (repayment.status === 'Paid') {
+      return res.status(400).json({ success: false, error: 'Repayment is already settled' });
+    }
+
+    const user = await User.findById(userId);
+    const phoneNumber = overridePhone || user.financialInfo.paymentMethod?.details?.mobileNumber || user.personalInfo.phoneNumber;
+    if (!normalizeMsisdn(phoneNumber)) {
+      return res.status(400).json({ success: false, error: 'A valid M-Pesa phone number is required' });
+    }
+    if (amount !== undefined && !(Number(amount) > 0 && Number(amount) <= repayment.balance)) {
+      return res.status(400).json({ success: false, error: `Amount must be between KSh 1 and KSh ${repayment.balance}` });
+    }
+
+    const inFlight = repayment.getInFlightAttempt();
+    if (inFlight) {
+      return res.status(409).json({
+        success: false,
+        error: 'A payment request is already awaiting confirmation on your phone',
+        reference: inFlight.reference,
+      });
+    }
+
+    const push = await repayment.initiateMpesaPayment(phoneNumber, amount !== undefined ? Number(amount) : undefined);
+
+    logger.info(`Repayment STK Push for user ${userId}, ${repayment.repaymentNumber}: KSh ${push.amount}, ref ${push.reference}`);
+    res.status(202).json({
+      success: true,
+      message: push.customerMessage,
+      reference: push.reference,
+      checkoutRequestId: push.checkoutRequestId,
+      repaymentNumber: repayment.repaymentNumber,
+      amount: push.amount,
+      status: 'Pending',
+    });
+  } catch (error) {
+    logger.error(`Error in payRepayment for ${userId}: ${error.message}`);
+    res.status(502).json({ success: false, error: error.message });
+  }
+};
+
+// @desc    M-Pesa STK callback for repayments (Daraja → CCI; signature in query string)
+// @route   POST /api/repayments/mpesa/callback
+// @access  Public (signed)
+export const handleRepaymentCallback = async (req, res, next) => {
+  try {
+    const { ref, sig } = req.query;
+    if (!verifyCallbackSignature(ref, sig)) {
+      logger.warn(`Rejected unsigned/invalid repayment callback for ref ${ref}`);
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Invalid signature' });
+    }
+
+    const result = parseStkCallback(req.body);
+    const repayment = await Repayment.findOne({ 'attempts.checkoutRequestId': result.checkoutRequestId });
+    const attempt = repayment?.attempts.find(a => a.checkoutRequestId === result.checkoutRequestId);
+    if (!repayment || attempt.reference !== ref) {
+      logger.error(`Repayment callback for unknown checkout ${result.checkoutRequestId} (ref ${ref})`);
+      return res.status(404).json({ ResultCode: 1, ResultDesc: 'Unknown transaction' });
+    }
+
+    const { paid, duplicate } = await repayment.completeMpesaPayment(result);
+    if (duplicate) {
+      logger.info(`Duplicate repayment callback ignored for ref ${ref}`);
+      return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    }
+
+    const user = await User.findById(repayment.userId);
+    try {
+      await sendEmail({
+        to: user.personalInfo.email,
+        subject: `CCI Repayment ${paid ? 'Received' : 'Failed'}`,
+        text: paid
+          ? `We received KSh ${attempt.amount} towards ${repayment.repaymentNumber} (M-Pesa receipt ${result.mpesaReceipt}). ${repayment.status === 'Paid' ? 'Your repayment is fully settled.' : `Remaining balance: KSh ${repayment.balance}, due by ${repayment.deadline.toDateString()}.`}`
+          : `Your repayment for ${repayment.repaymentNumber} was not completed (${result.resultDesc}). Please try again before ${repayment.deadline.toDateString()}.`,
+      });
+    } catch (emailError) {
+      logger.error(`Repayment email failed for user ${repayment.userId}: ${emailError.message}`);
+    }
+
+    logger.info(`Repayment callback for ref ${ref}: ${attempt.status} (code ${result.resultCode}), ${repayment.repaymentNumber} now ${repayment.status}`);
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (error) {
+    logger.error(`Error in handleRepaymentCallback: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
+
+// @desc    List repayment obligations (Admin only)
+// @route   GET /api/repayments/admin/all?status=Defaulted,Open&userId=
+// @access  Private (Admin)
+export const getAllRepayments = async (req, res, next) => {
+  try {
+    const { status, userId, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) {
+      const statuses = String(status).split(',').map(s => s.trim());
+      if (statuses.some(s => !REPAYMENT_STATUSES.includes(s))) {
+        return res.status(400).json({ success: false, error: `Status must be one of ${REPAYMENT_STATUSES.join(', ')}` });
+      }
+      query.status = { $in: statuses };
+    }
+    if (userId) {
+      if (!isValidObjectId(userId)) {
+        return res.status(400).json({ success: false, error: 'Invalid user ID' });
+      }
+      query.userId = userId;
+    }
+
+    const repayments = await Repayment.find(query)
+      .populate('userId', 'personalInfo.fullName personalInfo.email insuranceStatus.fraudScore')
+      .sort({ deadline: 1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+    const total = await Repayment.countDocuments(query);
+
+    res.json({
+      success: true,
+      repayments,
+      pagination: { page: Number(page), limit: Number(limit), total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    logger.error(`Error in getAllRepayments: ${error.message}, Stack: ${error.stack}`);
+    next(error);
+  }
+};
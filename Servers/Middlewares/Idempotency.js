@@ -0,0 +1,120 @@
+// middleware/idempotency.js
+// Idempotency-Key support for money-moving endpoints: the first response for a (user, key) is stored and
+// replayed for retries with the same request; a different request under the same key is rejected.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import IdempotencyKey from '../Models/IdempotencyKey.js';
+import logger from '../Utilities/Logger.js';
+
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+const IN_PROGRESS_TIMEOUT_MS = Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS || 2 * 60 * 1000);  // Crashed handler → key reusable
+
+// Key-order independent JSON (so { a, b } and { b, a } hash the same)
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashRequest = (req) => {
+  const files = (req.files || []).map(f => `${f.fieldname}:${f.originalname}:${f.size}`).sort();
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.route?.path || req.path}\n${stableStringify(req.params)}\n${stableStringify(req.body || {})}\n${files.join('|')}`)
+    .digest('hex');
+};
+
+// Replays never reach the handler, so clean up anything multer already wrote to disk
+const discardUploads = (req) => Promise.all((req.files || []).map(f =>
+  fs.unlink(f.path).catch(err => logger.error(`Failed to delete temp file ${f.path}: ${err.message}`))
+));
+
+/**
+ * Idempotency-Key middleware (mount after authMiddleware and any body/multipart parser)
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] - Reject requests without the header
+ * @returns {Function} Express middleware
+ */
+const idempotency = ({ required = false } = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    if (required) {
+      return res.status(400).json({ success: false, error: 'Idempotency-Key header is required' });
+    }
+    return next();
+  }
+  if (key.length > 255) {
+    return res.status(400).json({ success: false, error: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const userId = req.user?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const now = new Date();
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        userId,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        requestHash,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ userId, key });
+      const abandoned = existing?.status === 'InProgress' && (now - existing.createdAt) > IN_PROGRESS_TIMEOUT_MS;
+      if (!existing || existing.expiresAt <= now || abandoned) {
+        // Expired (TTL monitor lags) or crashed mid-request: take the key over
+        await IdempotencyKey.deleteOne({ userId, key });
+        return idempotency({ required })(req, res, next);
+      }
+
+      await discardUploads(req);
+      if (existing.requestHash !== requestHash) {
+        logger.warn(`Idempotency-Key ${key} reused by user ${userId} with a different request to ${req.originalUrl}`);
+        return res.status(422).json({ success: false, error: 'Idempotency-Key was already used for a different request' });
+      }
+      if (existing.status === 'InProgress') {
+        return res.status(409).json({ success: false, error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      logger.info(`Replaying stored response for Idempotency-Key ${key} (user ${userId}, ${req.originalUrl})`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // First request under this key: capture the response; server errors release the key for a retry
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body === undefined ? null : JSON.parse(JSON.stringify(body));  // Plain copy (docs, ObjectIds)
+      return originalJson(body);
+    };
+    res.on('close', () => {
+      const completed = res.writableFinished && res.statusCode < 500;
+      const update = completed
+        ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'Completed', response: { statusCode: res.statusCode, body: responseBody }, completedAt: new Date() } }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+      update.catch(err => logger.error(`Failed to finalize Idempotency-Key ${key}: ${err.message}`));
+    });
+
+    next();
+  } catch (error) {
+    logger.error(`Idempotency middleware error: ${error.message}`);
+    next(error);
+  }
+};
+
+export default idempotency;
@@ -2,6 +2,7 @@
 import mongoose from 'mongoose';
 import User from './User.js';
 import Content from './Content.js';
+import { CLAIM_RULES } from '../Utilities/Constants.js';
 
 const { Schema } = mongoose;
 
@@ -19,13 +20,34 @@ const analyticsSchema = new Schema({
       estimatedEarningsRate: { type: Number, min: 0, default: 150 },  // KSh/1k views (Kenya avg)
       earningsHistory: [{  // Last 90 days for CCI baseline
         date: { type: Date, required: true },
-        amount: { type: Number, min: 0, required: true },  // Daily revenue
+        amount: { type: Number, min: 0, required: true },  // Daily revenue (KSh)
+        originalAmount: { type: Number, min: 0, default: null },  // As reported (e.g., USD estimatedRevenue)
+        currency: { type: String, uppercase: true, trim: true, default: 'KES' },  // Currency of originalAmount
+        fxRate: { type: Number, min: 0, default: null },  // Rate applied (1 currency = fxRate KSh)
+        fxRateDate: { type: Date, default: null },  // Day of the rate used (may precede date if stale)
+        fxSource: { type: String, trim: true, default: '' },  // ExchangeRate source: Admin | Provider | Fixture
         views: { type: Number, min: 0 },
         dropPercent: { type: Number, min: 0, default: 0 }  // For claim triggers
       }],
       // Computed monthly (views + API-based)
       estimateMonthlyEarnings: { type: Number, min: 0, default: 0 },
     },
+    videoEarnings: [{  // Per-video daily revenue (Analytics API, video filter), pulled for video-level claims
+      videoId: { type: String, required: true, trim: true },
+      lastPullDate: { type: Date, default: Date.now },
+      history: [{
+        date: { type: Date, required: true },
+        amount: { type: Number, min: 0, required: true },  // KSh
+        originalAmount: { type: Number, min: 0, default: null },
+        currency: { type: String, uppercase: true, trim: true, default: 'KES' },
+        fxRate: { type: Number, min: 0, default: null },
+        fxRateDate: { type: Date, default: null },
+        fxSource: { type: String, trim: true, default: '' },
+        views: { type: Number, min: 0 },
+        _id: false,
+      }],
+      _id: false,
+    }],
     riskAlerts: [{
       type: { type: String, enum: ['Policy Change', 'High Risk Video', 'Low Engagement', 'Demonetization Warning', 'Revenue Drop'], required: true },  // Added CCI drop
       severity: { type: String, enum: ['Low', 'Medium', 'High'], default: 'Low' },
@@ -128,19 +150,43 @@ analyticsSchema.methods.updateFromYouTube = async function (accessToken) {
   });
 };
 
+// Merge pulled per-video rows (a re-pulled day replaces the stored one; 90 days kept per video)
+analyticsSchema.methods.mergeVideoEarnings = function (videoId, rows) {
+  let entry = this.youtube.videoEarnings.find(v => v.videoId === videoId);
+  if (!entry) {
+    this.youtube.videoEarnings.push({ videoId, history: [] });
+    entry = this.youtube.videoEarnings[this.youtube.videoEarnings.length - 1];
+  }
+  const byDay = new Map(entry.history.map(h => [h.date.toISOString().slice(0, 10), h.toObject()]));
+  for (const row of rows) byDay.set(new Date(row.date).toISOString().slice(0, 10), row);
+  entry.history = [...byDay.values()].sort((a, b) => new Date(a.date) - new Date(b.date)).slice(-90);
+  entry.lastPullDate = new Date();
+  return entry;
+};
+
 // Get monthly earnings (for Premium/Claims)
 analyticsSchema.methods.getMonthlyEarnings = function () {
   return this.youtube.metrics.estimateMonthlyEarnings || 0;
 };
 
-// Detect revenue drop (for auto-claim nudge)
+// Detect revenue drop (for auto-drafted claims): last 3 days vs the 4 before; the incident starts at the first lost day
 analyticsSchema.methods.detectRevenueDrop = function () {
   const history = this.youtube.metrics.earningsHistory.slice(-7);
   if (history.length < 3) return { drop: 0, eligible: false };
-  const recentAvg = history.slice(-3).reduce((sum, h) => sum + h.amount, 0) / 3;
+  const recent = history.slice(-3);
+  const recentAvg = recent.reduce((sum, h) => sum + h.amount, 0) / 3;
   const baselineAvg = history.slice(0, -3).reduce((sum, h) => sum + h.amount, 0) / (history.length - 3) || recentAvg;
-  const drop = Math.max(0, ((baselineAvg - recentAvg) / baselineAvg) * 100);
-  return { drop, eligible: drop >= 70 };  // CCI threshold
+  const drop = baselineAvg > 0 ? Math.max(0, ((baselineAvg - recentAvg) / baselineAvg) * 100) : 0;
+  const isLost = (h) => h.amount < baselineAvg * CLAIM_RULES.lostDayRatio;
+  const firstLost = recent.find(isLost) || recent[0];
+  return {
+    drop,
+    eligible: drop >= CLAIM_RULES.minDropPercent,
+    baselineDaily: baselineAvg,
+    recentDaily: recentAvg,
+    incidentDate: firstLost.date ? new Date(firstLost.date) : null,
+    lostDays: recent.filter(isLost).length,
+  };
 };
 
 const Analytics = mongoose.model('Analytics', analyticsSchema);
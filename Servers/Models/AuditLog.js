@@ -0,0 +1,33 @@
+// AuditLog Schema (Admin audit trail: who did what to which record, including automated actions run on an admin's behalf)
+import mongoose from 'mongoose';
+import logger from '../Utilities/Logger.js';
+
+const { Schema } = mongoose;
+
+const auditLogSchema = new Schema({
+  actorId: { type: Schema.Types.ObjectId, ref: 'User', default: null, index: true },  // null = system (scheduler)
+  action: { type: String, required: true, trim: true, index: true },  // e.g., 'paybill.auto-match'
+  entity: {
+    model: { type: String, trim: true },
+    id: { type: Schema.Types.ObjectId, refPath: 'entity.model' },
+  },
+  summary: { type: String, trim: true, maxlength: 500, default: '' },
+  details: { type: Schema.Types.Mixed, default: {} },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ 'entity.model': 1, 'entity.id': 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Static: Append an entry; the trail must never block the action it records
+auditLogSchema.statics.record = async function ({ actorId = null, action, entity = {}, summary = '', details = {} }) {
+  try {
+    return await this.create({ actorId, action, entity, summary, details });
+  } catch (error) {
+    logger.error(`Audit log write failed (${action} ${entity.model || ''} ${entity.id || ''}): ${error.message}`);
+    return null;
+  }
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
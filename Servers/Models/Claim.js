@@ -3,9 +3,96 @@ import mongoose from 'mongoose';
 import Premium from './Premium.js';
 import User from './User.js';
 import Analytics from './Analytics.js';  // For pulls
+import Ledger from './Ledger.js';
+import Repayment from './Repayment.js';
+import Receipt from './Receipt.js';
+import SlaEvent from './SlaEvent.js';
+import FraudRuleSet from './FraudRuleSet.js';
+import { generatePaymentReference, getPaymentProvider, resolvePaymentMethod, normalizeMsisdn, PAYMENT_METHODS } from '../Services/PaymentServices.js';
+import { sendEmail } from '../Services/EmailServices.js';
+import { gatherFraudFacts, evaluateFraudRules } from '../Services/FraudRuleServices.js';
+import { NOTICE_TYPES } from '../Services/YouTubeNoticeServices.js';
+import { hammingDistance, phashBandPatterns } from '../Services/EvidenceServices.js';
+import { pullVideoEarnings } from '../Services/YouTubeServices.js';
+import { addDays } from '../Utilities/Helper.js';
+import {
+  CLAIM_SLA_DAYS, CLAIM_SLA_TARGET_DAYS, REVIEW_ASSIGNMENT_STRATEGY, CLAIM_RULES, CLAIM_MAX_VIDEOS,
+  EVIDENCE_PHASH_MAX_DISTANCE, EVIDENCE_REUSE_LOOKBACK_DAYS, EVIDENCE_REUSE_MAX_CANDIDATES, POLICY_MONTHLY_CAP, POLICY_ANNUAL_CAP, POLICY_DEDUCTIBLE_DAYS,
+} from '../Utilities/Constants.js';
+import logger from '../Utilities/Logger.js';
 
 const { Schema } = mongoose;
 
+// Claim status state machine: from → { to: { roles allowed to make the move, whether notes are required } }
+// 'System' is the verification/payout pipeline; 'Admin' and 'Creator' are User.role values.
+export const CLAIM_STATUSES = ['Submitted', 'Under Review', 'AI Reviewed', 'Manual Review', 'Approved', 'Rejected', 'Payout Pending', 'Paid', 'Reinstated'];
+export const CLAIM_TRANSITIONS = {
+  Submitted: {
+    'Under Review': { roles: ['System', 'Admin'], notes: false },
+    'AI Reviewed': { roles: ['Admin'], notes: true },
+    'Manual Review': { roles: ['System', 'Admin'], notes: false },
+    Approved: { roles: ['System'], notes: true },
+    Rejected: { roles: ['System'], notes: true },
+  },
+  'Under Review': {  // Re-verification after an appeal or new evidence
+    'AI Reviewed': { roles: ['Admin'], notes: true },
+    'Manual Review': { roles: ['System', 'Admin'], notes: false },
+    Approved: { roles: ['System', 'Admin'], notes: true },
+    Rejected: { roles: ['System', 'Admin'], notes: true },
+  },
+  'AI Reviewed': {
+    'Manual Review': { roles: ['Admin'], notes: false },
+    Approved: { roles: ['Admin'], notes: true },
+    Rejected: { roles: ['Admin'], notes: true },
+  },
+  'Manual Review': {
+    'AI Reviewed': { roles: ['Admin'], notes: true },
+    Approved: { roles: ['Admin'], notes: true },
+    Rejected: { roles: ['Admin'], notes: true },
+  },
+  Approved: {
+    'Payout Pending': { roles: ['System'], notes: true },
+    Paid: { roles: ['System'], notes: true },  // Fully settled by repayment offsets
+  },
+  'Payout Pending': {
+    Paid: { roles: ['System'], notes: true },
+  },
+  Rejected: {
+    'Under Review': { roles: ['Creator', 'Admin'], notes: true },  // Appeal
+  },
+  Paid: {
+    Reinstated: { roles: ['Admin'], notes: true },
+  },
+  Reinstated: {},
+};
+
+// SLA clock runs while a claim awaits a decision; the first decision resolves it (appeals do not restart it)
+export const SLA_OPEN_STATUSES = ['Submitted', 'Under Review', 'AI Reviewed', 'Manual Review'];
+const SLA_RESOLVED_STATUSES = ['Approved', 'Rejected'];
+
+// Statuses that close a claim for premium-refund purposes (held-back refunds are recalculated)
+const REFUND_RELEASE_STATUSES = ['Paid', 'Rejected'];
+
+// Manual-review queue: claims waiting on an admin decision (assigned reviewer decides; supervisors may override)
+export const REVIEW_QUEUE_STATUSES = ['Manual Review', 'AI Reviewed'];
+export const ASSIGNMENT_ACTIONS = ['Queued', 'Assigned', 'Claimed', 'Released', 'Reassigned', 'Override'];
+
+// Illegal move (409), wrong role (403) or missing notes (400); carries the from/to pair for the response
+export class ClaimTransitionError extends Error {
+  constructor(message, { from, to, statusCode = 409 } = {}) {
+    super(message);
+    this.name = 'ClaimTransitionError';
+    this.statusCode = statusCode;
+    this.from = from;
+    this.to = to;
+    this.allowed = Object.keys(CLAIM_TRANSITIONS[from] || {});
+  }
+
+  toResponse() {
+    return { success: false, error: this.message, currentStatus: this.from, requestedStatus: this.to, allowedStatuses: this.allowed };
+  }
+}
+
 // Sub-schema for Claim Details (CCI: 4 fields only, dropdowns)
 const claimDetailsSchema = new Schema({
   userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
@@ -16,12 +103,30 @@ const claimDetailsSchema = new Schema({
     required: true
   },
   incidentDate: { type: Date, required: true },
+  videoIds: {  // Affected videos; 'Video demonetization' is assessed on these videos' own revenue
+    type: [{ type: String, trim: true, match: [/^[A-Za-z0-9_-]{11}$/, 'Invalid YouTube video ID'] }],
+    validate: [ids => ids.length <= CLAIM_MAX_VIDEOS, `At most ${CLAIM_MAX_VIDEOS} videos per claim`],
+  },
   youTubeEmail: { type: String, trim: true, maxlength: 500, default: '' },  // Optional (text or upload ref)
+  youTubeNotice: {  // Parsed from the pasted email or uploaded .eml (Services/YouTubeNoticeServices.js)
+    source: { type: String, enum: ['Text', 'Eml', null], default: null },
+    noticeType: { type: String, enum: [...NOTICE_TYPES, null], default: null },
+    videoIds: [{ type: String, trim: true }],
+    noticeDate: { type: Date, default: null },
+    subject: { type: String, trim: true, maxlength: 200, default: '' },
+    sender: { type: String, trim: true, maxlength: 200, default: '' },
+    fromYouTube: { type: Boolean, default: null },  // Sender domain check (null: no sender)
+    coveredReason: { type: String, default: null },  // Overrides the incidentType mapping in assessClaim
+    incidentTypeMismatch: { type: Boolean, default: false },  // Notice contradicts the chosen incidentType
+    expectedIncidentTypes: [{ type: String }],
+    parsedAt: { type: Date, default: null },
+  },
   appealStatus: {
     type: String,
     enum: ['Not started', 'In progress', 'Rejected'],
     required: true
-  }
+  },
+  draftId: { type: Schema.Types.ObjectId, ref: 'ClaimDraft', default: null },  // Submitted from an auto-drafted claim
 });
 
 // Sub-schema for Evidence (CCI: Optional, API-preferred)
@@ -39,6 +144,8 @@ const evidenceSchema = new Schema({
       maxlength: 500, 
       default: ''  // Optional
     },
+    sha256: { type: String, default: null },  // Exact-copy fingerprint (computed at upload)
+    phash: { type: String, default: null },  // Perceptual hash (images only)
     uploadedAt: { type: Date, default: Date.now }
   }],  // Optional
   evidenceSummary: {
@@ -47,7 +154,22 @@ const evidenceSchema = new Schema({
     minlength: [10, 'Brief summary needed'],
     maxlength: 200,
     default: ''  // Optional
-  }
+  },
+  reuse: {  // Same/near-identical files on other claims (detectEvidenceReuse)
+    checkedAt: { type: Date, default: null },
+    otherAccounts: { type: Number, min: 0, default: 0 },  // Distinct other creators sharing evidence
+    claims: { type: Number, min: 0, default: 0 },  // Distinct other claims sharing evidence
+    matches: [{
+      claimId: { type: Schema.Types.ObjectId, ref: 'Claim' },
+      userId: { type: Schema.Types.ObjectId, ref: 'User' },
+      sameAccount: { type: Boolean, default: false },
+      fileUrl: { type: String },  // This claim's file
+      matchedFileUrl: { type: String },  // The other claim's file
+      match: { type: String, enum: ['Exact', 'Near'] },
+      distance: { type: Number, min: 0 },  // Differing phash bits (0 for exact)
+      _id: false,
+    }],
+  },
 });
 
 // Sub-schema for Evaluation (CCI: Auto-pull, AI fraud, 70% formula)
@@ -56,7 +178,48 @@ const evaluationSchema = new Schema({
   revenueDropPercent: { type: Number, min: 0, max: 100 },  // ≥70% for 3+ days vs 7-day avg
   lostDays: { type: Number, min: 0, default: 0 },  // Auto-calculated duration of drop
   baselineDaily: { type: Number, min: 0 },  // Avg revenue (day-7 to day-1 pre-incident)
-  verifiedEarningsLoss: { type: Number, min: 0 },  // 70% of baseline * lostDays
+  earningsSnapshot: [{  // Daily amounts behind baselineDaily/lostDays, with the FX rate each was converted at
+    window: { type: String, enum: ['Baseline', 'PostIncident'], required: true },
+    date: { type: Date, required: true },
+    amount: { type: Number, min: 0 },  // KSh
+    originalAmount: { type: Number, min: 0, default: null },
+    currency: { type: String, trim: true, default: 'KES' },
+    fxRate: { type: Number, min: 0, default: null },
+    fxRateDate: { type: Date, default: null },
+    fxSource: { type: String, trim: true, default: '' },
+    _id: false,
+  }],
+  verifiedEarningsLoss: { type: Number, min: 0 },  // 70% of baseline * lostDays, less deductible and overlaps (before limits)
+  payoutBreakdown: {  // calculatePayout / applyPayoutLimits
+    grossLoss: { type: Number, min: 0, default: 0 },  // Every lost day at the payout rate
+    deductibleDays: { type: Number, min: 0, default: 0 },
+    deductibleAmount: { type: Number, min: 0, default: 0 },
+    overlapReduction: { type: Number, min: 0, default: 0 },  // Days already covered by an earlier claim
+    eligibleAmount: { type: Number, min: 0, default: 0 },  // Before the aggregate limits
+    monthlyCap: { type: Number, min: 0 },
+    monthlyUsed: { type: Number, min: 0, default: 0 },  // Other claims' payouts in the incident's calendar month
+    monthlyRemaining: { type: Number, min: 0 },  // After this claim
+    annualCap: { type: Number, min: 0 },
+    annualUsed: { type: Number, min: 0, default: 0 },  // Other claims' payouts in the incident's policy year
+    annualRemaining: { type: Number, min: 0 },  // After this claim
+    limitedBy: { type: String, enum: ['None', 'Monthly', 'Annual'], default: 'None' },
+    monthStart: { type: Date },
+    policyYearStart: { type: Date },
+    policyYearEnd: { type: Date },
+    calculatedAt: { type: Date, default: null },
+  },
+  basis: { type: String, enum: ['Channel', 'Video'], default: 'Channel' },  // Video: drop/lostDays/payout from videoLosses
+  videoLosses: [{  // Per named video (pullVideoLosses)
+    videoId: { type: String, required: true },
+    baselineDays: { type: Number, min: 0, default: 0 },  // Pre-incident days with revenue data
+    baselineDaily: { type: Number, min: 0, default: 0 },  // KSh
+    recentDaily: { type: Number, min: 0, default: 0 },
+    revenueDropPercent: { type: Number, min: 0, max: 100, default: 0 },
+    lostDays: { type: Number, min: 0, default: 0 },
+    qualifies: { type: Boolean, default: false },
+    payoutAmount: { type: Number, min: 0, default: 0 },
+    _id: false,
+  }],
   coveredReason: {  // Auto-map from incidentType/API
     type: String,
     enum: ['AD_SUITS', 'POLICY_UPDATE', 'TEMP_SUSPEND', 'GLITCH', 'COPYRIGHT', 'OTHER_NOT_COVERED'],  // Added COPYRIGHT for mismatch flag
@@ -64,12 +227,44 @@ const evaluationSchema = new Schema({
   },
   monetizationStatus: { type: String, enum: ['LIMITED', 'SUSPENDED', 'NONE'], default: 'NONE' },  // From YouTube Data API
   strikes: { type: Number, min: 0, default: 0 },  // Community guidelines strikes
-  doubleDipCheck: { type: Boolean, default: false },  // Same event in last 30d
+  doubleDipCheck: { type: Boolean, default: false },  // Overlaps an earlier claim (this or a linked account)
+  lostDates: [{ type: Date }],  // Days paid as lost (padded from the incident date when the minimum applies)
+  incidentWindow: {  // Incident date through the last lost day; compared across linked accounts' claims
+    start: { type: Date, default: null },
+    end: { type: Date, default: null },
+  },
+  doubleDip: {  // checkDoubleDip
+    checkedAt: { type: Date, default: null },
+    relatedUserIds: [{ type: Schema.Types.ObjectId, ref: 'User' }],  // Same national ID or payout phone
+    overlaps: [{
+      claimId: { type: Schema.Types.ObjectId, ref: 'Claim' },
+      userId: { type: Schema.Types.ObjectId, ref: 'User' },
+      sameAccount: { type: Boolean, default: true },
+      status: { type: String },
+      start: { type: Date },
+      end: { type: Date },
+      days: { type: Number, min: 0 },  // This claim's lost days inside that window
+      _id: false,
+    }],
+    coveredDays: { type: Number, min: 0, default: 0 },  // Lost days already covered elsewhere
+    payableShare: { type: Number, min: 0, max: 1, default: 1 },  // Share of the loss still payable
+  },
   aiAnalysis: {
     isValid: { type: Boolean, default: null },
     confidenceScore: { type: Number, min: 0, max: 100 },
-    fraudScore: { type: Number, min: 0, max: 100, default: 0 },  // >75 auto-pay
-    reasons: [{ type: String, trim: true }]  // Flags e.g., 'revenueSpike:20'
+    fraudScore: { type: Number, min: 0, max: 100, default: 0 },  // Above the rule set's autoApprove threshold → auto-pay
+    reasons: [{ type: String, trim: true }],  // Flags e.g., 'revenueSpike:20'
+    ruleSetVersion: { type: Number, default: null },  // FraudRuleSet version the score came from
+    recommendation: { type: String, enum: ['Approve', 'Manual Review', 'Reject', null], default: null },
+    firedRules: [{
+      key: { type: String, trim: true },
+      weight: { type: Number },
+      description: { type: String, trim: true },
+      observed: { type: Schema.Types.Mixed },  // Fact values the rule matched on
+      _id: false,
+    }],
+    facts: { type: Schema.Types.Mixed, default: null },  // Inputs to the scan (replayable against any version)
+    scannedAt: { type: Date, default: null },
   },
   manualReview: {
     reviewerId: { type: Schema.Types.ObjectId, ref: 'User' },
@@ -77,8 +272,42 @@ const evaluationSchema = new Schema({
     isValid: { type: Boolean, default: null }
   },
   payoutAmount: { type: Number, min: 0 },  // Capped via Premium
-  payoutDate: { type: Date },
-  mPesaTransactionId: { type: String, trim: true },
+  payoutDate: { type: Date },  // Set when the provider confirms the disbursement
+  mPesaTransactionId: { type: String, trim: true },  // Provider receipt from the payout result (M-Pesa receipt for B2C)
+  payout: {  // Disbursement lifecycle via the creator's payment method (Queued → Pending → Paid | Failed)
+    status: { type: String, enum: ['NotStarted', 'Queued', 'Pending', 'Paid', 'Failed'], default: 'NotStarted' },
+    method: { type: String, enum: PAYMENT_METHODS, default: 'M-Pesa' },
+    phoneNumber: { type: String, trim: true },
+    details: {  // Payout account (User.financialInfo.paymentMethod.details at queue time)
+      mobileNumber: { type: String, trim: true },
+      bankName: { type: String, trim: true },
+      accountNumber: { type: String, trim: true },
+      paypalEmail: { type: String, trim: true },
+    },
+    retryCount: { type: Number, min: 0, default: 0 },
+    nextRetryAt: { type: Date, default: null },
+    lastError: { type: String, trim: true, default: '' },
+    attempts: [{
+      reference: { type: String, trim: true },  // OriginatorConversationID + signed callback ref
+      conversationId: { type: String, trim: true },  // Provider request id (B2C ConversationID / bank credit id / PayPal batch id)
+      method: { type: String, enum: PAYMENT_METHODS, default: 'M-Pesa' },
+      account: { type: String, trim: true },  // Verified account display (phone / masked bank account / PayPal email)
+      amount: { type: Number, min: 0 },
+      status: { type: String, enum: ['Pending', 'Success', 'Failed', 'TimedOut'], default: 'Pending' },
+      resultCode: { type: Number },
+      resultDesc: { type: String, trim: true },
+      mpesaReceipt: { type: String, trim: true },  // Provider receipt
+      date: { type: Date, default: Date.now },
+      completedAt: { type: Date, default: null },
+    }],
+    offsets: [{  // Withheld to settle outstanding reinstatement repayments (the provider sends the rest)
+      repaymentId: { type: Schema.Types.ObjectId, ref: 'Repayment' },
+      reference: { type: String, trim: true },  // Shared by the RepaymentCollected/ClaimPaid ledger pair
+      amount: { type: Number, min: 0 },
+      date: { type: Date, default: Date.now },
+    }],
+    adviceId: { type: Schema.Types.ObjectId, ref: 'Receipt', default: null },  // Payout advice once paid
+  },
   repayAmount: { type: Number, min: 0, default: 0 },  // 50% of payout if reinstated
   reinstated: { type: Boolean, default: false },  // Flag for post-claim reversal
   evaluationDate: { type: Date, default: Date.now }
@@ -89,7 +318,7 @@ const statusHistorySchema = new Schema({
   history: [{
     status: {
       type: String,
-      enum: ['Submitted', 'Under Review', 'AI Reviewed', 'Manual Review', 'Approved', 'Rejected', 'Paid', 'Reinstated'],
+      enum: CLAIM_STATUSES,
       required: true
     },
     date: { type: Date, default: Date.now },
@@ -109,6 +338,31 @@ const claimSchema = new Schema({
     type: statusHistorySchema, 
     default: () => ({ history: [{ status: 'Submitted', date: new Date() }] })
   },
+  currentStatus: { type: String, enum: CLAIM_STATUSES, default: 'Submitted' },  // Mirrors the last history entry (pre-save)
+  assignment: {  // Reviewer responsible for the decision (SLA warnings go here; unassigned → ADMIN_EMAIL)
+    reviewerId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    assignedAt: { type: Date, default: null },
+    queuedAt: { type: Date, default: null },  // Entered the manual-review queue (time in queue runs from here)
+    history: [{
+      action: { type: String, enum: ASSIGNMENT_ACTIONS, required: true },
+      reviewerId: { type: Schema.Types.ObjectId, ref: 'User', default: null },  // Assignee after the action
+      by: { type: Schema.Types.ObjectId, ref: 'User', default: null },  // null = auto-assignment
+      at: { type: Date, default: Date.now },
+      notes: { type: String, trim: true, maxlength: 500, default: '' },
+      _id: false,
+    }],
+  },
+  sla: {  // Resolution SLA against resolutionDeadline (events in SlaEvent)
+    warningsSent: [{ type: Number }],  // CLAIM_SLA_WARNING_HOURS thresholds already sent
+    breachedAt: { type: Date, default: null },
+    escalatedTo: { type: String, trim: true, default: '' },
+    pausedAt: { type: Date, default: null },  // Waiting on the creator for information
+    pauseReason: { type: String, trim: true, maxlength: 500, default: '' },
+    pausedMs: { type: Number, min: 0, default: 0 },  // Total paused time (already added to resolutionDeadline)
+    resolvedAt: { type: Date, default: null },
+    resolutionMs: { type: Number, min: 0, default: null },  // Submission → decision, pauses excluded
+    resolvedWithinTarget: { type: Boolean, default: null },  // ≤ CLAIM_SLA_TARGET_DAYS
+  },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   resolutionDeadline: { type: Date }
@@ -118,35 +372,144 @@ const claimSchema = new Schema({
 
 // Indexes
 claimSchema.index({ 'claimDetails.userId': 1, createdAt: -1 });
-claimSchema.index({ 'statusHistory.history.status': 1 });
+claimSchema.index({ currentStatus: 1, createdAt: -1 });
 claimSchema.index({ resolutionDeadline: 1 });
+claimSchema.index({ currentStatus: 1, 'sla.pausedAt': 1, 'sla.breachedAt': 1, resolutionDeadline: 1 });  // SLA engine
+claimSchema.index({ 'sla.resolvedAt': 1 });  // SLA reporting
+claimSchema.index({ currentStatus: 1, 'assignment.reviewerId': 1, 'assignment.queuedAt': 1 });  // Review queue + workload
 claimSchema.index({ 'evaluation.doubleDipCheck': 1 });  // For quick duplicate checks
+claimSchema.index({ 'claimDetails.userId': 1, 'evaluation.incidentWindow.start': 1, 'evaluation.incidentWindow.end': 1 });  // Double-dip windows
+claimSchema.index({ 'evidence.files.sha256': 1 });  // Evidence reuse (exact copies)
+claimSchema.index({ 'evaluation.payout.status': 1, 'evaluation.payout.nextRetryAt': 1 });  // Retry worker
+claimSchema.index({ 'evaluation.payout.attempts.reference': 1 });  // Payout callback lookup
 
 // Pre-save: CCI flow (active policy, YouTube, optional evidence) - Moved heavy checks to methods for perf
 claimSchema.pre('save', function (next) {
   if (this.isNew) {
-    this.resolutionDeadline = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);  // 7 days (SLA: 80% in 10, target 7)
+    this.resolutionDeadline = addDays(new Date(), CLAIM_SLA_DAYS);  // 7 days (SLA: 80% in 10, target 7)
     this.evaluation.evaluationDate = new Date();
   }
   this.updatedAt = new Date();
+  this.currentStatus = this.statusHistory.history[this.statusHistory.history.length - 1]?.status || 'Submitted';
   next();
 });
 
-// Update status (with CCI message)
-claimSchema.methods.updateStatus = async function (newStatus, updatedBy, notes = '', message = '') {
+// Method: Throw a ClaimTransitionError unless `role` may move this claim to `to` (with notes where required)
+claimSchema.methods.assertTransition = function (to, { role = 'System', notes = '' } = {}) {
+  const from = this.currentStatus;
+  const rule = CLAIM_TRANSITIONS[from]?.[to];
+  if (!rule) {
+    throw new ClaimTransitionError(`Claim cannot move from '${from}' to '${to}'`, { from, to });
+  }
+  if (!rule.roles.includes(role)) {
+    throw new ClaimTransitionError(`${role} cannot move a claim from '${from}' to '${to}'`, { from, to, statusCode: 403 });
+  }
+  if (rule.notes && !String(notes || '').trim()) {
+    throw new ClaimTransitionError(`Notes are required to move a claim from '${from}' to '${to}'`, { from, to, statusCode: 400 });
+  }
+  return rule;
+};
+
+// Method: Move the claim through the state machine (history entry + currentStatus); the save only applies if no one
+// else moved the claim since it was loaded
+claimSchema.methods.transitionStatus = async function (to, { actorId = null, role = 'System', notes = '', message = '' } = {}) {
+  const from = this.currentStatus;
+  this.assertTransition(to, { role, notes });
+  const resolvesSla = SLA_RESOLVED_STATUSES.includes(to) && !this.sla.resolvedAt;
+  if (resolvesSla) this.closeSla();
   this.statusHistory.history.push({
-    status: newStatus,
-    updatedBy,
+    status: to,
+    updatedBy: actorId,
     notes,
     inAppMessage: message,
     date: new Date()
   });
-  await this.save();
+  this.$where = { currentStatus: { $in: [from, null] } };  // null: legacy claim not yet backfilled
+  try {
+    await this.save();
+  } catch (error) {
+    if (error.name !== 'DocumentNotFoundError') throw error;
+    this.statusHistory.history.pop();
+    if (resolvesSla) Object.assign(this.sla, { resolvedAt: null, resolutionMs: null, resolvedWithinTarget: null });
+    throw new ClaimTransitionError(`Claim ${this._id} changed status while moving from '${from}' to '${to}'; reload and retry`, { from, to });
+  } finally {
+    this.$where = undefined;
+  }
+  if (resolvesSla) {
+    await SlaEvent.record({
+      claimId: this._id,
+      type: 'Resolved',
+      occurredAt: this.sla.resolvedAt,
+      deadline: this.resolutionDeadline,
+      claimStatus: to,
+      reviewerId: this.assignment?.reviewerId || null,
+      actorId,
+      resolutionMs: this.sla.resolutionMs,
+      withinTarget: this.sla.resolvedWithinTarget,
+    });
+  }
+  if (REFUND_RELEASE_STATUSES.includes(to)) {
+    try {  // Refund imports Claim, so it is looked up lazily
+      await mongoose.model('Refund').releaseHeld(this.claimDetails.userId?._id || this.claimDetails.userId);
+    } catch (error) {
+      logger.error(`Held refund release failed after claim ${this._id} moved to ${to}: ${error.message}`);
+    }
+  }
   return this.statusHistory.history[this.statusHistory.history.length - 1];  // Return latest for response
 };
 
+// Method: Stop the SLA clock at the first decision (closes any open pause; caller saves)
+claimSchema.methods.closeSla = function (now = new Date()) {
+  if (this.sla.pausedAt) {
+    this.sla.pausedMs += now - this.sla.pausedAt;
+    this.sla.pausedAt = null;
+  }
+  this.sla.resolvedAt = now;
+  this.sla.resolutionMs = Math.max(0, now - this.createdAt - this.sla.pausedMs);
+  this.sla.resolvedWithinTarget = this.sla.resolutionMs <= CLAIM_SLA_TARGET_DAYS * 24 * 60 * 60 * 1000;
+};
+
+// Method: Pause the SLA clock while the creator is asked for information
+claimSchema.methods.pauseSla = async function ({ reason, actorId = null } = {}) {
+  if (!SLA_OPEN_STATUSES.includes(this.currentStatus) || this.sla.resolvedAt) {
+    throw Object.assign(new Error(`SLA is not running for a claim in '${this.currentStatus}'`), { statusCode: 409 });
+  }
+  if (this.sla.pausedAt) {
+    throw Object.assign(new Error(`SLA already paused since ${this.sla.pausedAt.toISOString()}`), { statusCode: 409 });
+  }
+  this.sla.pausedAt = new Date();
+  this.sla.pauseReason = reason;
+  await this.save();
+  await SlaEvent.record({
+    claimId: this._id, type: 'Paused', deadline: this.resolutionDeadline, claimStatus: this.currentStatus,
+    reviewerId: this.assignment?.reviewerId || null, actorId, reason,
+  });
+  return this.sla;
+};
+
+// Method: Restart a paused SLA clock; the deadline moves out by the paused time. No-op when not paused.
+claimSchema.methods.resumeSla = async function ({ actorId = null, reason = '' } = {}) {
+  if (!this.sla.pausedAt) return null;
+  const now = new Date();
+  const pausedMs = now - this.sla.pausedAt;
+  this.sla.pausedMs += pausedMs;
+  this.sla.pausedAt = null;
+  this.sla.pauseReason = '';
+  this.resolutionDeadline = new Date(this.resolutionDeadline.getTime() + pausedMs);
+  // Warnings for thresholds the new deadline is back outside of are due again
+  const hoursLeft = (this.resolutionDeadline - now) / (60 * 60 * 1000);
+  this.sla.warningsSent = this.sla.warningsSent.filter(hours => hours >= hoursLeft);
+  await this.save();
+  await SlaEvent.record({
+    claimId: this._id, type: 'Resumed', deadline: this.resolutionDeadline, claimStatus: this.currentStatus,
+    reviewerId: this.assignment?.reviewerId || null, actorId, reason, pausedMs,
+  });
+  return this.sla;
+};
+
 // Auto-pull data (enhanced: from Analytics + YouTube stubs; calc lostDays dynamically)
-claimSchema.methods.autoPullData = async function () {
+// Pass persist: false to compute on the in-memory document only (backtests)
+claimSchema.methods.autoPullData = async function ({ rules = CLAIM_RULES, persist = true } = {}) {
   const analytics = await Analytics.findOne({ userId: this.claimDetails.userId });
   if (!analytics) throw new Error('No analytics data');
   
@@ -159,197 +522,834 @@ claimSchema.methods.autoPullData = async function () {
   const postHistory = analytics.youtube.metrics.earningsHistory.filter(h => h.date >= incidentDate).slice(0, 10);  // Up to 10 days check
   const recentAvg = postHistory.length > 0 ? postHistory.reduce((sum, h) => sum + h.amount, 0) / postHistory.length : 0;
   const drop = baselineAvg > 0 ? Math.max(0, ((baselineAvg - recentAvg) / baselineAvg) * 100) : 0;
-  const lostDays = postHistory.filter(h => h.amount < (baselineAvg * 0.3)).length;  // Days <30% of baseline (≥3 for qual)
+  const lostRows = postHistory.filter(h => h.amount < (baselineAvg * rules.lostDayRatio));  // Days below the lost-day ratio of baseline
+  const lostDays = lostRows.length;
   
   this.evaluation.revenueDropPercent = drop;
   this.evaluation.baselineDaily = baselineAvg;
-  this.evaluation.lostDays = Math.max(3, lostDays);  // Min 3 for eligibility
+  const snapshot = (window) => ({ date, amount, originalAmount, currency, fxRate, fxRateDate, fxSource }) =>
+    ({ window, date, amount, originalAmount, currency, fxRate, fxRateDate, fxSource });
+  this.evaluation.earningsSnapshot = [...history.map(snapshot('Baseline')), ...postHistory.map(snapshot('PostIncident'))];
+  this.evaluation.lostDays = lostDays;  // As measured; minLostDays is only the eligibility check (assessClaim/enforceCoverage)
   this.evaluation.monetizationStatus = 'LIMITED';  // Stub; real: YouTube Data API
   this.evaluation.strikes = 0;  // Stub; real: API pull
+
+  // Video-level incident: the named videos' own revenue replaces the channel-wide drop/lostDays (baselineDaily stays
+  // the channel's, for the fraud facts). Backtests (persist: false) read stored video history instead of the API.
+  this.evaluation.basis = 'Channel';
+  this.evaluation.videoLosses = [];
+  this.evaluation.lostDates = lostRows.map(h => h.date);
+  if (this.claimDetails.incidentType === 'Video demonetization' && this.claimDetails.videoIds?.length) {
+    await this.pullVideoLosses({ rules, refresh: persist });
+  }
+  this.setIncidentWindow();
   
-  await this.save();
-  return { drop, lostDays, baselineAvg };
+  if (persist) await this.save();
+  return { drop: this.evaluation.revenueDropPercent, lostDays: this.evaluation.lostDays, baselineAvg };
+};
+
+// Per-video loss: own baseline (videoBaselineDays before the incident), drop and lost days over the 10 days after it
+claimSchema.methods.pullVideoLosses = async function ({ rules = CLAIM_RULES, refresh = true } = {}) {
+  const incidentDate = new Date(this.claimDetails.incidentDate);
+  const histories = await pullVideoEarnings(this.claimDetails.userId, this.claimDetails.videoIds, {
+    startDate: addDays(incidentDate, -rules.videoBaselineDays),
+    endDate: addDays(incidentDate, 9),
+    refresh,
+  });
+  const average = (rows) => (rows.length ? rows.reduce((sum, h) => sum + h.amount, 0) / rows.length : 0);
+
+  const lostDatesBy = new Map();
+  const losses = this.claimDetails.videoIds.map(videoId => {
+    const history = histories.get(videoId) || [];
+    const baseline = history.filter(h => h.date < incidentDate).slice(-rules.videoBaselineDays);
+    const post = history.filter(h => h.date >= incidentDate).slice(0, 10);
+    const baselineDaily = average(baseline);
+    const recentDaily = average(post);
+    const revenueDropPercent = baselineDaily > 0 ? Math.max(0, ((baselineDaily - recentDaily) / baselineDaily) * 100) : 0;
+    const lost = baselineDaily > 0 ? post.filter(h => h.amount < baselineDaily * rules.videoLostDayRatio) : [];
+    const lostDays = lost.length;
+    lostDatesBy.set(videoId, lost.map(h => h.date));
+    return {
+      videoId,
+      baselineDays: baseline.length,
+      baselineDaily,
+      recentDaily,
+      revenueDropPercent,
+      lostDays,
+      qualifies: baseline.length >= 3 && revenueDropPercent >= rules.videoMinDropPercent && lostDays >= rules.videoMinLostDays,  // 3+ days of baseline data
+      payoutAmount: 0,
+    };
+  });
+
+  // Claim-level figures over the qualifying videos (all named videos when none qualify, to show how far off they are)
+  const counted = losses.some(l => l.qualifies) ? losses.filter(l => l.qualifies) : losses;
+  const baselineSum = counted.reduce((sum, l) => sum + l.baselineDaily, 0);
+  const recentSum = counted.reduce((sum, l) => sum + l.recentDaily, 0);
+  this.evaluation.basis = 'Video';
+  this.evaluation.videoLosses = losses;
+  this.evaluation.revenueDropPercent = baselineSum > 0 ? Math.max(0, ((baselineSum - recentSum) / baselineSum) * 100) : 0;
+  this.evaluation.lostDays = Math.max(0, ...counted.map(l => l.lostDays));
+  this.evaluation.lostDates = counted.flatMap(l => lostDatesBy.get(l.videoId));
+  return losses;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Normalize lostDates (distinct days, padded with days from the incident date up to lostDays) and the window they span
+claimSchema.methods.setIncidentWindow = function () {
+  const start = new Date(`${dayKey(this.claimDetails.incidentDate)}T00:00:00Z`);
+  const days = new Set(this.evaluation.lostDates.map(dayKey));
+  for (let day = start.getTime(); days.size < this.evaluation.lostDays; day += DAY_MS) days.add(dayKey(day));
+  const sorted = [...days].sort();
+  this.evaluation.lostDates = sorted.map(day => new Date(`${day}T00:00:00Z`));
+  this.evaluation.incidentWindow = {
+    start,
+    end: sorted.length ? new Date(`${sorted[sorted.length - 1]}T00:00:00Z`) : start,
+  };
+  return this.evaluation.incidentWindow;
 };
 
+// Accounts treated as the same creator: this one plus any sharing its national ID or payout/personal phone
+claimSchema.methods.findRelatedAccounts = async function () {
+  const userId = this.claimDetails.userId?._id || this.claimDetails.userId;
+  const user = await User.findById(userId).select('personalInfo.nationalId personalInfo.phoneNumber financialInfo.paymentMethod.details.mobileNumber');
+  const match = [{ _id: userId }];
+  if (user?.personalInfo?.nationalId) match.push({ 'personalInfo.nationalId': user.personalInfo.nationalId });
+  const msisdns = [...new Set([user?.personalInfo?.phoneNumber, user?.financialInfo?.paymentMethod?.details?.mobileNumber].map(normalizeMsisdn).filter(Boolean))];
+  const variants = msisdns.flatMap(m => [m, `+${m}`, `0${m.slice(3)}`]);  // Stored formats vary
+  if (variants.length) {
+    match.push({ 'personalInfo.phoneNumber': { $in: variants } }, { 'financialInfo.paymentMethod.details.mobileNumber': { $in: variants } });
+  }
+  return User.find({ $or: match }).distinct('_id');
+};
+
+// Double-dip: this claim's lost days that fall inside the incident window of an earlier, non-rejected claim
+// (any status from Submitted to Reinstated) by the same creator on any linked account. Claims from before windows were
+// recorded fall back to incidentDate + lostDays.
+claimSchema.methods.checkDoubleDip = async function () {
+  const { start, end } = this.evaluation.incidentWindow?.start ? this.evaluation.incidentWindow : this.setIncidentWindow();
+  const relatedUserIds = await this.findRelatedAccounts();
+  const others = await Claim.find({
+    _id: { $ne: this._id },
+    'claimDetails.userId': { $in: relatedUserIds },
+    currentStatus: { $ne: 'Rejected' },
+    ...(this.createdAt ? { createdAt: { $lt: this.createdAt } } : {}),  // Earlier claims take precedence
+    $or: [
+      { 'evaluation.incidentWindow.start': { $lte: end }, 'evaluation.incidentWindow.end': { $gte: start } },
+      { 'evaluation.incidentWindow.start': null, 'claimDetails.incidentDate': { $gte: new Date(start.getTime() - 31 * DAY_MS), $lte: end } },
+    ],
+  }).select('claimDetails.userId claimDetails.incidentDate currentStatus evaluation.incidentWindow evaluation.lostDays').lean();
+
+  const ownerId = String(this.claimDetails.userId?._id || this.claimDetails.userId);
+  const covered = new Set();
+  const overlaps = [];
+  for (const other of others) {
+    const otherStart = other.evaluation?.incidentWindow?.start || other.claimDetails.incidentDate;
+    const otherEnd = other.evaluation?.incidentWindow?.end
+      || new Date(new Date(otherStart).getTime() + Math.max(0, (other.evaluation?.lostDays || 1) - 1) * DAY_MS);
+    const inside = this.evaluation.lostDates.filter(d => dayKey(d) >= dayKey(otherStart) && dayKey(d) <= dayKey(otherEnd));
+    if (!inside.length) continue;
+    inside.forEach(d => covered.add(dayKey(d)));
+    overlaps.push({
+      claimId: other._id,
+      userId: other.claimDetails.userId,
+      sameAccount: String(other.claimDetails.userId) === ownerId,
+      status: other.currentStatus,
+      start: otherStart,
+      end: otherEnd,
+      days: inside.length,
+    });
+  }
+
+  const total = this.evaluation.lostDates.length;
+  this.evaluation.doubleDip = {
+    checkedAt: new Date(),
+    relatedUserIds,
+    overlaps,
+    coveredDays: covered.size,
+    payableShare: total ? (total - covered.size) / total : 1,
+  };
+  this.evaluation.doubleDipCheck = overlaps.length > 0;
+  if (overlaps.length) {
+    logger.warn(`Claim ${this._id}: ${covered.size}/${total} lost days already covered by ${overlaps.map(o => o.claimId).join(', ')}`);
+  }
+  return this.evaluation.doubleDip;
+};
+
+// Qualifying-loss thresholds for the claim's basis
+const lossThresholds = (claim, rules) => (claim.evaluation.basis === 'Video'
+  ? { minDrop: rules.videoMinDropPercent, minDays: rules.videoMinLostDays }
+  : { minDrop: rules.minDropPercent, minDays: rules.minLostDays });
+
 // Payout formula (CCI: 70% * lostDays, cap monthly)
-claimSchema.methods.calculatePayout = async function () {
-  const baseline = this.evaluation.baselineDaily || 0;
-  const payoutDaily = baseline * 0.70;
+// Video basis: sum over qualifying videos of their own baseline * videoPayoutRate * their lost days, less one
+// deductible for the claim, same cap
+claimSchema.methods.calculatePayout = async function ({ rules = CLAIM_RULES, persist = true } = {}) {
   const premium = await Premium.findById(this.policyId);
-  const monthlyCap = premium?.premiumDetails.monthlyCap || 65000;
-  const total = Math.min(payoutDaily * this.evaluation.lostDays, monthlyCap);
-  this.evaluation.payoutAmount = total;
-  this.evaluation.verifiedEarningsLoss = total;
-  await this.save();
+  const deductibleDays = premium?.premiumDetails.deductibleDays ?? POLICY_DEDUCTIBLE_DAYS;
+  let grossLoss = 0;
+  let loss = 0;
+  if (this.evaluation.basis === 'Video') {
+    for (const video of this.evaluation.videoLosses) {
+      const daily = video.qualifies ? video.baselineDaily * rules.videoPayoutRate : 0;
+      video.payoutAmount = daily * video.lostDays;
+      grossLoss += video.payoutAmount;
+    }
+    // One deductible per claim: the waiting days at the aggregated daily loss over the claim's lost days
+    const lostDays = this.evaluation.lostDays;
+    loss = lostDays > 0 ? grossLoss * (Math.max(0, lostDays - deductibleDays) / lostDays) : 0;
+    const share = grossLoss > 0 ? loss / grossLoss : 0;
+    for (const video of this.evaluation.videoLosses) video.payoutAmount *= share;  // Each video's part of the payout
+  } else {
+    const baseline = this.evaluation.baselineDaily || 0;
+    const payoutDaily = baseline * rules.payoutRate;
+    grossLoss = payoutDaily * this.evaluation.lostDays;
+    loss = payoutDaily * Math.max(0, this.evaluation.lostDays - deductibleDays);
+  }
+  const eligible = loss * (this.evaluation.doubleDip?.payableShare ?? 1);  // Only days no earlier claim covers
+  this.evaluation.payoutBreakdown.grossLoss = grossLoss;
+  this.evaluation.payoutBreakdown.deductibleDays = deductibleDays;
+  this.evaluation.payoutBreakdown.deductibleAmount = grossLoss - loss;
+  this.evaluation.payoutBreakdown.overlapReduction = loss - eligible;
+  this.evaluation.verifiedEarningsLoss = eligible;
+
+  const total = await this.applyPayoutLimits(eligible, { premium });
+  if (persist) await this.save();
   return total;
 };
 
+const LIMIT_STATUSES = ['Approved', 'Payout Pending', 'Paid', 'Reinstated'];  // Payouts committed against the limits
+
+// Policy year containing a date: anniversaries of the policy start (calendar year when there is none)
+const policyYear = (policyStartDate, at) => {
+  const yearStart = (years) => {
+    const date = new Date(policyStartDate || Date.UTC(at.getUTCFullYear(), 0, 1));
+    date.setUTCFullYear(date.getUTCFullYear() + years);
+    return date;
+  };
+  let years = policyStartDate ? at.getUTCFullYear() - new Date(policyStartDate).getUTCFullYear() : 0;
+  if (yearStart(years) > at) years -= 1;
+  return { start: yearStart(years), end: yearStart(years + 1) };
+};
+
+/**
+ * Aggregate limit usage for a creator: committed payouts in the calendar month and policy year of a date
+ * @param {ObjectId|string} userId
+ * @param {{ at?: Date, premium?: Object, excludeClaimId?: ObjectId }} [options] - at: incident date (default now)
+ * @returns {Promise<{ deductibleDays, month: { start, end, cap, used, remaining }, year: { start, end, cap, used, remaining } }>}
+ */
+claimSchema.statics.getLimitUsage = async function (userId, { at = new Date(), premium = null, excludeClaimId = null } = {}) {
+  const date = new Date(at);
+  const [user, policy] = await Promise.all([
+    User.findById(userId).select('insuranceStatus.policyStartDate'),
+    premium || Premium.findOne({ 'premiumDetails.userId': userId }),
+  ]);
+  const details = policy?.premiumDetails || {};
+  const month = { start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)), end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)) };
+  const year = policyYear(user?.insuranceStatus?.policyStartDate, date);
+
+  const claims = await this.find({
+    'claimDetails.userId': userId,
+    ...(excludeClaimId ? { _id: { $ne: excludeClaimId } } : {}),
+    currentStatus: { $in: LIMIT_STATUSES },
+    'claimDetails.incidentDate': { $gte: new Date(Math.min(month.start, year.start)), $lt: new Date(Math.max(month.end, year.end)) },
+  }).select('claimDetails.incidentDate evaluation.payoutAmount').lean();
+  const usedIn = ({ start, end }) => claims
+    .filter(c => c.claimDetails.incidentDate >= start && c.claimDetails.incidentDate < end)
+    .reduce((sum, c) => sum + (c.evaluation?.payoutAmount || 0), 0);
+
+  const limit = (period, cap) => {
+    const used = usedIn(period);
+    return { ...period, cap, used, remaining: Math.max(0, cap - used) };
+  };
+  return {
+    deductibleDays: details.deductibleDays ?? POLICY_DEDUCTIBLE_DAYS,
+    month: limit(month, details.monthlyCap ?? POLICY_MONTHLY_CAP),
+    year: limit(year, details.annualCap ?? POLICY_ANNUAL_CAP),
+  };
+};
+
+// Cap an amount at what is left of the monthly and annual aggregates for the incident's periods (records the breakdown)
+claimSchema.methods.applyPayoutLimits = async function (amount, { premium = null } = {}) {
+  const userId = this.claimDetails.userId?._id || this.claimDetails.userId;
+  const { month, year } = await Claim.getLimitUsage(userId, {
+    at: this.claimDetails.incidentDate,
+    premium: premium || await Premium.findById(this.policyId),
+    excludeClaimId: this._id,
+  });
+  const payable = Math.max(0, Math.min(amount, month.remaining, year.remaining));
+  const limitedBy = payable >= amount ? 'None' : month.remaining <= year.remaining ? 'Monthly' : 'Annual';
+
+  Object.assign(this.evaluation.payoutBreakdown, {
+    eligibleAmount: amount,
+    monthlyCap: month.cap,
+    monthlyUsed: month.used,
+    monthlyRemaining: month.remaining - payable,
+    annualCap: year.cap,
+    annualUsed: year.used,
+    annualRemaining: year.remaining - payable,
+    limitedBy,
+    monthStart: month.start,
+    policyYearStart: year.start,
+    policyYearEnd: year.end,
+    calculatedAt: new Date(),
+  });
+  this.evaluation.payoutAmount = payable;
+  if (limitedBy !== 'None') {
+    logger.info(`Claim ${this._id}: payout KSh ${Math.round(amount)} limited to KSh ${Math.round(payable)} by the ${limitedBy.toLowerCase()} aggregate`);
+  }
+  return payable;
+};
+
 // Enforce coverage (CCI reasons)
-claimSchema.methods.enforceCoverage = function () {
+claimSchema.methods.enforceCoverage = function (rules = CLAIM_RULES) {
   const covered = ['AD_SUITS', 'POLICY_UPDATE', 'TEMP_SUSPEND', 'GLITCH'];
+  const { minDrop, minDays } = lossThresholds(this, rules);
   if (covered.includes(this.evaluation.coveredReason) && 
-      this.evaluation.revenueDropPercent >= 70 && 
-      this.evaluation.lostDays >= 3 &&
-      this.evaluation.strikes < 3) {  // No perm ban
+      this.evaluation.revenueDropPercent >= minDrop && 
+      this.evaluation.lostDays >= minDays &&
+      this.evaluation.strikes < rules.maxStrikes) {  // No perm ban
     return 'approve';
   }
   return 'reject';
 };
 
-// Fraud scan (enhanced: Pull from User/Analytics; weights from CCI doc)
-claimSchema.methods.scanFraud = async function () {
-  let score = 100;  // Start high
-  const flags = {};
-  
-  const user = await User.findById(this.claimDetails.userId);
-  const analytics = await Analytics.findOne({ userId: this.claimDetails.userId });
-  
-  // Revenue spike before drop (+200% in 48h pre-incident)
-  const preHistory = analytics?.youtube.metrics.earningsHistory.filter(h => 
-    h.date < this.claimDetails.incidentDate && 
-    h.date > new Date(this.claimDetails.incidentDate.getTime() - 2 * 24 * 60 * 60 * 1000)
-  ) || [];
-  const preAvg = preHistory.length > 0 ? preHistory.reduce((sum, h) => sum + h.amount, 0) / preHistory.length : 0;
-  const spike = preAvg > (this.evaluation.baselineDaily * 2) ? 20 : 0;
-  flags.revenueSpike = spike;
-  
-  // Mass video upload (stub: >5 videos same day pre-drop)
-  flags.massUpload = user.platformInfo.youtube.videos.length > 5 && user.platformInfo.youtube.videos.slice(-5).every(v => 
-    Math.abs(v.publishedAt.getTime() - user.platformInfo.youtube.videos[0].publishedAt.getTime()) < 24 * 60 * 60 * 1000
-  ) ? 15 : 0;
-  
-  // Traffic from 1 IP block (stub: future log analysis)
-  flags.ipBlock = 0;  // Placeholder
-  
-  // API says copyright, user says glitch
-  flags.copyrightMismatch = this.evaluation.coveredReason === 'COPYRIGHT' && this.incidentType !== 'Video demonetization' ? 25 : 0;
-  
-  // Appeal rejected
-  flags.appealRejected = this.claimDetails.appealStatus === 'Rejected' ? 10 : 0;
-  
-  // Channel <6 mo old
-  const channelAge = (new Date() - new Date(user.platformInfo.youtube.channel.publishedAt || Date.now())) / (1000 * 60 * 60 * 24 * 30);  // Months
-  flags.newChannel = channelAge < 6 ? 10 : 0;
-  
-  // Name mismatch (M-Pesa vs ID)
-  const mpesaName = user.financialInfo.paymentMethod.details.mobileNumber;  // Stub; real: Daraja pull
-  flags.nameMismatch = user.personalInfo.fullName !== mpesaName ? 5 : 0;  // Simplified
-  
-  const totalPenalty = Object.values(flags).reduce((a, b) => a + b, 0);
-  score -= totalPenalty;
-  score = Math.max(0, score);
-  
+// Fraud scan: active FraudRuleSet over the claim's facts; version, facts and fired rules are kept to explain/replay it
+// (ruleSet overrides the active version, e.g. a draft under backtest)
+claimSchema.methods.scanFraud = async function ({ ruleSet = null, persist = true } = {}) {
+  ruleSet = ruleSet || await FraudRuleSet.getActive();
+  const facts = await gatherFraudFacts(this);
+  const { version, score, recommendation, fired } = evaluateFraudRules(ruleSet, facts);
+
   this.evaluation.aiAnalysis.fraudScore = score;
-  this.evaluation.aiAnalysis.isValid = score > 75;
+  this.evaluation.aiAnalysis.isValid = recommendation === 'Approve';
   this.evaluation.aiAnalysis.confidenceScore = 90;  // Stub; real AI
-  this.evaluation.aiAnalysis.reasons = Object.entries(flags).filter(([k, v]) => v > 0).map(([k, v]) => `${k}:${v}`);
-  
-  await this.save();
+  this.evaluation.aiAnalysis.reasons = fired.map(rule => `${rule.key}:${rule.weight}`);
+  this.evaluation.aiAnalysis.ruleSetVersion = version;
+  this.evaluation.aiAnalysis.recommendation = recommendation;
+  this.evaluation.aiAnalysis.firedRules = fired;
+  this.evaluation.aiAnalysis.facts = facts;
+  this.evaluation.aiAnalysis.scannedAt = new Date();
+
+  if (persist) await this.save();
   return score;
 };
 
-// Full Verification Flow (CCI: Steps 1-5; call post-creation)
-claimSchema.methods.verifyClaim = async function () {
+// Evidence reuse: other claims holding the same file (SHA-256, any age) or a near-identical image (perceptual hash
+// within EVIDENCE_PHASH_MAX_DISTANCE bits, last EVIDENCE_REUSE_LOOKBACK_DAYS). Stored on evidence.reuse for reviewers
+// and the fraud facts; run after files are added. Near-match candidates are pre-filtered in the database on phash
+// bands and capped at the newest EVIDENCE_REUSE_MAX_CANDIDATES claims.
+claimSchema.methods.detectEvidenceReuse = async function ({ persist = true } = {}) {
+  const own = this.evidence.files.filter(f => f.sha256 || f.phash);
+  const hashes = own.map(f => f.sha256).filter(Boolean);
+  const bands = own.flatMap(f => phashBandPatterns(f.phash, EVIDENCE_PHASH_MAX_DISTANCE));
+  const base = { _id: { $ne: this._id } };
+  const fields = 'claimDetails.userId evidence.files.url evidence.files.sha256 evidence.files.phash';
+  const [exact, similar] = await Promise.all([
+    hashes.length ? Claim.find({ ...base, 'evidence.files.sha256': { $in: hashes } }).select(fields).lean() : [],
+    bands.length
+      ? Claim.find({
+        ...base,
+        createdAt: { $gte: addDays(new Date(), -EVIDENCE_REUSE_LOOKBACK_DAYS) },
+        'evidence.files.phash': { $in: bands },
+      }).select(fields).sort({ createdAt: -1 }).limit(EVIDENCE_REUSE_MAX_CANDIDATES).lean()
+      : [],
+  ]);
+
+  const ownerId = String(this.claimDetails.userId?._id || this.claimDetails.userId);
+  const others = new Map([...exact, ...similar].map(c => [String(c._id), c]));
+  const matches = [];
+  for (const other of others.values()) {
+    for (const theirs of other.evidence?.files || []) {
+      for (const mine of own) {
+        const isExact = Boolean(mine.sha256 && mine.sha256 === theirs.sha256);
+        const distance = isExact ? 0 : hammingDistance(mine.phash, theirs.phash);
+        if (distance === null || distance > EVIDENCE_PHASH_MAX_DISTANCE) continue;
+        matches.push({
+          claimId: other._id,
+          userId: other.claimDetails.userId,
+          sameAccount: String(other.claimDetails.userId) === ownerId,
+          fileUrl: mine.url,
+          matchedFileUrl: theirs.url,
+          match: isExact ? 'Exact' : 'Near',
+          distance,
+        });
+      }
+    }
+  }
+
+  this.evidence.reuse = {
+    checkedAt: new Date(),
+    otherAccounts: new Set(matches.filter(m => !m.sameAccount).map(m => String(m.userId))).size,
+    claims: new Set(matches.map(m => String(m.claimId))).size,
+    matches: matches.slice(0, 50),
+  };
+  if (this.evidence.reuse.otherAccounts > 0) {
+    logger.warn(`Claim ${this._id}: evidence shared with ${this.evidence.reuse.claims} claims from ${this.evidence.reuse.otherAccounts} other accounts`);
+  }
+  if (persist) await this.save();
+  return this.evidence.reuse;
+};
+
+// Verification decision (CCI: Steps 1-5) without acting on it: no status change, payout or email.
+// verifyClaim applies the outcome; backtests call it with candidate rules and persist: false.
+claimSchema.methods.assessClaim = async function ({ rules = CLAIM_RULES, ruleSet = null, persist = true } = {}) {
   // Step 1: Auto-pull
-  await this.autoPullData();
-  if (this.evaluation.revenueDropPercent < 70 || this.evaluation.lostDays < 3) {
-    const message = 'Not covered: No qualifying income loss (≥70% for 3+ days).';
-    await this.updateStatus('Rejected', null, message, message);
-    return { status: 'Rejected', reason: message };
+  await this.autoPullData({ rules, persist });
+  const { minDrop, minDays } = lossThresholds(this, rules);
+  if (this.evaluation.revenueDropPercent < minDrop || this.evaluation.lostDays < minDays) {
+    const reason = this.evaluation.basis === 'Video'
+      ? `Not covered: No named video lost ≥${minDrop}% of its revenue for ${minDays}+ days.`
+      : `Not covered: No qualifying income loss (≥${minDrop}% for ${minDays}+ days).`;
+    return { outcome: 'Rejected', stage: 'loss', reason, payout: 0 };
   }
 
-  // Step 2: Map coveredReason from incidentType (stub; real: API)
+  // Step 2: coveredReason from the parsed YouTube notice when there is one, else mapped from incidentType
   const typeMap = {
     'Full suspension': 'TEMP_SUSPEND',
     'Limited ads': 'AD_SUITS',
     'Video demonetization': 'POLICY_UPDATE'
   };
-  this.evaluation.coveredReason = typeMap[this.claimDetails.incidentType] || 'OTHER_NOT_COVERED';
+  this.evaluation.coveredReason = this.claimDetails.youTubeNotice?.coveredReason
+    || typeMap[this.claimDetails.incidentType] || 'OTHER_NOT_COVERED';
 
   // Step 3: Coverage check
-  const coverageResult = this.enforceCoverage();
-  if (coverageResult === 'reject') {
-    const message = `Not covered: ${this.evaluation.coveredReason} detected.`;
-    await this.updateStatus('Rejected', null, message, message);
-    return { status: 'Rejected', reason: message };
-  }
-
-  // Step 4: Double-dip check (same event last 30d)
-  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-  const recentClaims = await Claim.find({
-    'claimDetails.userId': this.claimDetails.userId,
-    incidentDate: { $gte: thirtyDaysAgo },
-    'statusHistory.history': { $elemMatch: { status: { $in: ['Approved', 'Paid'] } } },
-    _id: { $ne: this._id }
-  });
-  const isDuplicate = recentClaims.some(c => 
-    Math.abs(c.claimDetails.incidentDate.getTime() - this.claimDetails.incidentDate.getTime()) < 24 * 60 * 60 * 1000  // Same day
-  );
-  this.evaluation.doubleDipCheck = isDuplicate;
-  if (isDuplicate) {
-    const message = 'Not covered: Duplicate claim for same event.';
-    await this.updateStatus('Rejected', null, message, message);
-    return { status: 'Rejected', reason: message };
+  if (this.enforceCoverage(rules) === 'reject') {
+    return { outcome: 'Rejected', stage: 'coverage', reason: `Not covered: ${this.evaluation.coveredReason} detected.`, payout: 0 };
+  }
+
+  // Step 4: Double-dip check (overlapping incident windows across linked accounts); partial overlap reduces the payout
+  const { overlaps, coveredDays, payableShare } = await this.checkDoubleDip();
+  if (overlaps.length && payableShare === 0) {
+    const reason = `Not covered: Incident already covered by claim ${overlaps.map(o => o.claimId).join(', ')}.`;
+    return { outcome: 'Rejected', stage: 'duplicate', reason, payout: 0 };
   }
 
   // Step 5: Fraud scan
-  const fraudScore = await this.scanFraud();
-  await this.calculatePayout();  // Always calc for reference
-  const payout = this.evaluation.payoutAmount;
-
-  const reviewMessage = 'Big drop detected. Verifying in 24h.';
-  if (fraudScore > 75) {
-    // Auto-approve & pay
-    const approveDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);  // 7 days
-    const approveMessage = `Claim approved! KSh ${Math.round(payout)} hits your M-Pesa on ${approveDate.toDateString()}.`;
-    await this.updateStatus('Approved', null, '', approveMessage);
+  const fraudScore = await this.scanFraud({ ruleSet, persist });
+  const payout = await this.calculatePayout({ rules, persist });  // Always calc for reference
+  const { recommendation, ruleSetVersion } = this.evaluation.aiAnalysis;
+  const outcome = { Approve: 'Approved', 'Manual Review': 'Manual Review' }[recommendation] || 'Rejected';
+  if (outcome !== 'Rejected' && payout <= 0) {
+    const { limitedBy } = this.evaluation.payoutBreakdown;
+    const reason = limitedBy === 'None'
+      ? 'Not covered: All lost days fall within the deductible.'
+      : `Not covered: ${limitedBy} payout limit already reached.`;
+    return { outcome: 'Rejected', stage: 'limits', reason, payout: 0, fraudScore, ruleSetVersion };
+  }
+  const overlapNote = coveredDays ? `; ${coveredDays} lost days already covered by an earlier claim, payout reduced` : '';
+  return {
+    outcome,
+    stage: 'fraud',
+    reason: outcome === 'Rejected' ? 'Not covered: High fraud risk detected.' : `Fraud score ${fraudScore} (rules v${ruleSetVersion})${overlapNote}`,
+    payout,
+    fraudScore,
+    ruleSetVersion,
+  };
+};
+
+// Full Verification Flow (call post-creation): assess, then move the claim and pay/queue/blacklist accordingly
+claimSchema.methods.verifyClaim = async function () {
+  const { outcome, stage, reason, payout, fraudScore, ruleSetVersion } = await this.assessClaim();
+
+  if (outcome === 'Approved') {
+    // Auto-approve & queue payout (Paid only once the provider confirms)
+    const approveMessage = `Claim approved! KSh ${Math.round(payout)} is being sent to your payout account.`;
+    const overlapNote = this.evaluation.doubleDip?.coveredDays ? `; ${this.evaluation.doubleDip.coveredDays} overlapping days excluded` : '';
+    const { limitedBy } = this.evaluation.payoutBreakdown;
+    const limitNote = limitedBy !== 'None' ? `; capped by the ${limitedBy.toLowerCase()} payout limit` : '';
+    await this.transitionStatus('Approved', { notes: `Auto-approved: fraud score ${fraudScore} (rules v${ruleSetVersion})${overlapNote}${limitNote}`, message: approveMessage });
     await this.processPayout(payout);
-    return { status: 'Paid', payout, fraudScore };
-  } else if (fraudScore >= 50) {
-    await this.updateStatus('Manual Review', null, '', reviewMessage);
+    return { status: 'Payout Pending', payout, fraudScore };
+  }
+  if (outcome === 'Manual Review') {
+    await this.transitionStatus('Manual Review', { notes: reason, message: 'Big drop detected. Verifying in 24h.' });
+    await this.enqueueForReview();
     return { status: 'Under Review', needsManual: true, fraudScore };
-  } else {
-    const rejectMessage = 'Not covered: High fraud risk detected.';
-    await this.updateStatus('Rejected', null, rejectMessage, rejectMessage);
-    // Blacklist: Lower user fraudScore
-    user.insuranceStatus.fraudScore = Math.max(0, user.insuranceStatus.fraudScore - 20);
-    await user.save();
-    return { status: 'Rejected', reason: rejectMessage, fraudScore };
   }
+
+  await this.transitionStatus('Rejected', { notes: reason, message: reason });
+  if (stage !== 'fraud') return { status: 'Rejected', reason };
+  // Blacklist: Lower user fraudScore
+  const user = await User.findById(this.claimDetails.userId);
+  user.insuranceStatus.fraudScore = Math.max(0, user.insuranceStatus.fraudScore - 20);
+  await user.save();
+  return { status: 'Rejected', reason, fraudScore };
 };
 
-// Process Payout (M-Pesa Stub; real: Daraja STK Push)
+// Payout retry policy (disbursement failures/timeouts): exponential backoff from PAYOUT_RETRY_BASE_MINUTES
+const PAYOUT_MAX_RETRIES = Number(process.env.PAYOUT_MAX_RETRIES || 3);
+const PAYOUT_RETRY_BASE_MINUTES = Number(process.env.PAYOUT_RETRY_BASE_MINUTES || 15);
+const PAYOUT_POLL_AFTER_MINUTES = Number(process.env.PAYOUT_POLL_AFTER_MINUTES || 10);  // Ask providers about unconfirmed payouts
+
+// Process Payout (queue disbursement via the creator's payment method; stays 'Payout Pending' until confirmed)
 claimSchema.methods.processPayout = async function (amount) {
-  // Real: Integrate Daraja API for B2C/STK
-  this.evaluation.payoutDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);  // 7 days from now
-  this.evaluation.mPesaTransactionId = `TXN_${Date.now()}_${Math.round(Math.random() * 1000000)}`;  // Mock
-  await this.updateStatus('Paid', null);
-  
-  // Update User claimHistory
-  await User.findByIdAndUpdate(this.claimDetails.userId, {
-    $push: { 
-      'claimHistory.claims': { 
-        claimId: this._id, 
-        status: 'Paid', 
-        dateSubmitted: this.createdAt, 
-        payoutAmount: amount 
-      } 
-    }
+  const user = await User.findById(this.claimDetails.userId);
+  const { method, details } = user ? resolvePaymentMethod(user) : { method: 'M-Pesa', details: {} };
+  this.evaluation.payoutAmount = amount;
+  this.evaluation.payout.status = 'Queued';
+  this.evaluation.payout.method = getPaymentProvider(method) ? method : 'M-Pesa';  // 'Other' falls back to M-Pesa
+  this.evaluation.payout.details = details;
+  this.evaluation.payout.phoneNumber = details.mobileNumber || '';
+  this.evaluation.payout.retryCount = 0;
+  this.evaluation.payout.nextRetryAt = null;
+  this.evaluation.payout.lastError = '';
+
+  // Settle outstanding reinstatement repayments first; only the remainder is disbursed
+  const { applied, total: withheld } = await Repayment.offsetAgainstPayout(this, amount);
+  this.evaluation.payout.offsets.push(...applied.map(({ repaymentId, reference, amount: offset, date }) => ({ repaymentId, reference, amount: offset, date })));
+  const netAmount = this.getNetPayoutAmount();
+  const offsetNote = withheld > 0 ? ` (KSh ${Math.round(withheld)} withheld for repayment ${applied.map(a => a.repaymentNumber).join(', ')})` : '';
+
+  if (netAmount <= 0) {
+    this.evaluation.payout.status = 'Paid';
+    this.evaluation.payoutDate = new Date();
+    await this.transitionStatus('Paid', { notes: `Settled by repayment offset${offsetNote}`, message: `Your KSh ${Math.round(amount)} payout was used to settle your outstanding repayment.` });
+    await User.findByIdAndUpdate(this.claimDetails.userId, {
+      $push: { 'claimHistory.claims': { claimId: this._id, status: 'Paid', dateSubmitted: this.createdAt, payoutAmount: amount } },
+    });
+    const advice = await this.issuePayoutAdvice(null);
+    await this.sendPaidNotification(null, advice);
+    return null;
+  }
+
+  await this.transitionStatus('Payout Pending', {
+    notes: `Payout of KSh ${Math.round(amount)} queued via ${this.evaluation.payout.method}${offsetNote}`,
+    message: `KSh ${Math.round(netAmount)} is on its way to your ${this.evaluation.payout.method} account${offsetNote}.`,
   });
-  
-  // Compliance: Log for 80% SLA check
-  console.log(`Payout processed: Claim ${this._id}, Amount: KSh ${amount}`);  // Replace with logger
-  return this.evaluation.mPesaTransactionId;
+
+  await this.dispatchPayout();
+  return this.evaluation.payout.attempts[this.evaluation.payout.attempts.length - 1]?.reference || null;
+};
+
+// Method: Payout still owed to the creator (payoutAmount less repayment offsets)
+claimSchema.methods.getNetPayoutAmount = function () {
+  const withheld = (this.evaluation.payout.offsets || []).reduce((sum, o) => sum + o.amount, 0);
+  return Math.round(Math.max(this.evaluation.payoutAmount - withheld, 0) * 100) / 100;
+};
+
+// Send (or re-send) the queued disbursement; failures to even submit go straight to the retry schedule
+claimSchema.methods.dispatchPayout = async function () {
+  const reference = generatePaymentReference('CLM');
+  const amount = this.getNetPayoutAmount();
+  const { method } = this.evaluation.payout;
+  const provider = getPaymentProvider(method);
+  try {
+    const { mobileNumber, bankName, accountNumber, paypalEmail } = this.evaluation.payout.details || {};
+    const account = await provider.verifyAccount({
+      mobileNumber: mobileNumber || this.evaluation.payout.phoneNumber,  // Payouts queued before payment methods were pluggable
+      bankName,
+      accountNumber,
+      paypalEmail,
+    });
+    if (!account.valid) throw new Error(account.error);
+
+    const { providerRequestId, result } = await provider.disburse({
+      details: account.details,
+      amount,
+      reference,
+      remarks: `CCI claim ${this._id} payout`,
+      occasion: this._id.toString(),
+      callbackBase: '/api/claims',
+    });
+    this.evaluation.payout.attempts.push({ reference, conversationId: providerRequestId, method, account: account.display, amount, status: 'Pending', date: new Date() });
+    this.evaluation.payout.status = 'Pending';
+    this.evaluation.payout.nextRetryAt = null;
+    await this.save();
+    if (result) await this.completePayout(reference, result);  // Provider settled synchronously
+    return { reference, conversationId: providerRequestId };
+  } catch (error) {
+    this.evaluation.payout.attempts.push({
+      reference, method, amount, status: 'Failed', resultDesc: error.message, date: new Date(), completedAt: new Date(),
+    });
+    this.evaluation.payout.retryCount += 1;
+    await this.schedulePayoutRetry(error.message);
+    return null;
+  }
+};
+
+// Back off and retry, or give up and flag for admins after PAYOUT_MAX_RETRIES (retryCount = failed attempts so far)
+claimSchema.methods.schedulePayoutRetry = async function (reason) {
+  const payout = this.evaluation.payout;
+  payout.lastError = reason;
+  if (payout.retryCount > PAYOUT_MAX_RETRIES) {
+    payout.status = 'Failed';
+    payout.nextRetryAt = null;
+    await this.save();
+    logger.error(`Payout for claim ${this._id} failed after ${payout.retryCount} attempts: ${reason}`);
+    try {
+      await sendEmail({
+        to: process.env.ADMIN_EMAIL || 'admin@cci.com',
+        subject: `Claim payout failed - ${this._id}`,
+        text: `${this.evaluation.payout.method} payout of KSh ${Math.round(this.evaluation.payoutAmount)} for claim ${this._id} failed after ${payout.retryCount} attempts. Last error: ${reason}. Review and retry from the admin payouts dashboard.`,
+      });
+    } catch (emailError) {
+      logger.error(`Failed payout alert email error for claim ${this._id}: ${emailError.message}`);
+    }
+    return;
+  }
+  payout.status = 'Queued';
+  payout.nextRetryAt = new Date(Date.now() + PAYOUT_RETRY_BASE_MINUTES * Math.pow(2, payout.retryCount - 1) * 60 * 1000);
+  await this.save();
+  logger.warn(`Payout for claim ${this._id} will retry at ${payout.nextRetryAt.toISOString()}: ${reason}`);
+};
+
+// Apply a provider payout result (callback, status poll or queue timeout); idempotent per attempt reference
+claimSchema.methods.completePayout = async function (reference, result, { timedOut = false } = {}) {
+  const attempt = this.evaluation.payout.attempts.find(a => a.reference === reference);
+  if (!attempt) throw new Error(`No payout attempt ${reference} on claim ${this._id}`);
+  if (attempt.status !== 'Pending') {
+    return { attempt, paid: attempt.status === 'Success', duplicate: true };
+  }
+
+  attempt.resultCode = result.resultCode;
+  attempt.resultDesc = result.resultDesc;
+  attempt.completedAt = new Date();
+
+  if (!timedOut && result.resultCode === 0) {
+    attempt.status = 'Success';
+    attempt.mpesaReceipt = result.receipt;
+    this.evaluation.payout.status = 'Paid';
+    this.evaluation.payout.nextRetryAt = null;
+    this.evaluation.mPesaTransactionId = result.receipt;
+    this.evaluation.payoutDate = result.completedAt || new Date();
+    await this.transitionStatus('Paid', {
+      notes: `${attempt.method} receipt ${result.receipt}`,
+      message: `Paid! KSh ${Math.round(attempt.amount)} sent to your ${attempt.method} account (receipt ${result.receipt}).`,
+    });
+
+    await User.findByIdAndUpdate(this.claimDetails.userId, {
+      $push: {
+        'claimHistory.claims': {
+          claimId: this._id,
+          status: 'Paid',
+          dateSubmitted: this.createdAt,
+          payoutAmount: this.evaluation.payoutAmount
+        }
+      }
+    });
+    try {
+      await Ledger.post({
+        userId: this.claimDetails.userId,
+        type: 'ClaimPaid',
+        amount: attempt.amount,
+        reference: attempt.reference,
+        externalReference: result.receipt,
+        source: { model: 'Claim', id: this._id },
+        description: `Claim payout via ${attempt.method} (${this._id})`,
+        postedAt: this.evaluation.payoutDate,
+      });
+    } catch (error) {
+      logger.error(`Ledger posting failed for claim ${this._id} (ref ${reference}): ${error.message}`);
+    }
+    const advice = await this.issuePayoutAdvice(attempt);
+    await this.sendPaidNotification(attempt, advice);
+    logger.info(`Payout confirmed: Claim ${this._id}, Amount: KSh ${this.evaluation.payoutAmount}, Receipt ${result.receipt}`);
+    return { attempt, paid: true, duplicate: false, advice };
+  }
+
+  attempt.status = timedOut ? 'TimedOut' : 'Failed';
+  this.evaluation.payout.retryCount += 1;
+  await this.schedulePayoutRetry(timedOut ? 'B2C request timed out in queue' : result.resultDesc);
+  return { attempt, paid: false, duplicate: false };
+};
+
+// Method: Numbered payout advice (PDF + DOCX) for a paid claim; a failure here must not undo the payout
+claimSchema.methods.issuePayoutAdvice = async function (attempt) {
+  try {
+    const advice = await Receipt.issueForPayout(this, attempt);
+    this.evaluation.payout.adviceId = advice._id;
+    await this.save();
+    return advice;
+  } catch (error) {
+    logger.error(`Payout advice issue failed for claim ${this._id}: ${error.message}`);
+    return null;
+  }
+};
+
+// Method: "Claim Paid" email with the payout advice attached; sent from every completion path (callback, status poll,
+// synchronous provider result, settlement by repayment offset). attempt is null when nothing was disbursed.
+claimSchema.methods.sendPaidNotification = async function (attempt, advice) {
+  try {
+    const user = await User.findById(this.claimDetails.userId?._id || this.claimDetails.userId).select('personalInfo');
+    if (!user) return;
+    const settled = attempt
+      ? `KSh ${Math.round(attempt.amount)} was sent to your ${attempt.method} account. Receipt: ${attempt.mpesaReceipt}.`
+      : `Your KSh ${Math.round(this.evaluation.payoutAmount)} payout was used to settle your outstanding repayment.`;
+    await sendEmail({
+      to: user.personalInfo.email,
+      subject: 'Claim Paid - CCI',
+      text: `Your claim (ID: ${this._id}) has been paid. ${settled}${advice ? ` Your payout advice ${advice.receiptNumber} is attached.` : ''}`,
+      attachments: advice ? advice.toAttachments() : [],
+    });
+    if (advice) {
+      advice.emailedAt = new Date();
+      await advice.save();
+    }
+  } catch (emailError) {
+    logger.error(`Payout email failed for claim ${this._id}: ${emailError.message}`);
+  }
+};
+
+// Static: Ask providers about payouts still unconfirmed after PAYOUT_POLL_AFTER_MINUTES (PayPal never calls back)
+claimSchema.statics.pollPendingPayouts = async function (limit = 20) {
+  const cutoff = new Date(Date.now() - PAYOUT_POLL_AFTER_MINUTES * 60 * 1000);
+  const pending = await this.find({
+    'evaluation.payout.status': 'Pending',
+    'evaluation.payout.attempts': { $elemMatch: { status: 'Pending', date: { $lte: cutoff } } },
+  }).limit(limit);
+
+  let completed = 0;
+  for (const claim of pending) {
+    for (const attempt of claim.evaluation.payout.attempts.filter(a => a.status === 'Pending' && a.date <= cutoff)) {
+      const provider = getPaymentProvider(attempt.method);
+      if (!provider?.queryPayout || !attempt.conversationId) continue;
+      try {
+        const result = await provider.queryPayout(attempt.conversationId);
+        if (!result) continue;
+        await claim.completePayout(attempt.reference, result);
+        completed += 1;
+      } catch (error) {
+        logger.warn(`Payout status query failed for claim ${claim._id} (ref ${attempt.reference}): ${error.message}`);
+      }
+    }
+  }
+  return { pending: pending.length, completed };
+};
+
+// Static: Re-dispatch queued payouts whose backoff has elapsed (scheduler job)
+claimSchema.statics.retryDuePayouts = async function (limit = 20) {
+  const due = await this.find({
+    'evaluation.payout.status': 'Queued',
+    'evaluation.payout.nextRetryAt': { $lte: new Date() },
+  }).limit(limit);
+
+  let dispatched = 0;
+  for (const claim of due) {
+    const result = await claim.dispatchPayout();
+    if (result) dispatched += 1;
+  }
+  return { due: due.length, dispatched };
 };
 
-// Handle Reinstatement (Post-claim: 50% repay within 30d)
-claimSchema.methods.handleReinstatement = async function (reinstatedBy = null) {
-  if (!this.reinstated && this.statusHistory.history.some(h => h.status === 'Paid')) {
+// Static: Open queue claims per reviewer (Map of reviewerId → count)
+claimSchema.statics.getReviewerLoads = async function (reviewerIds = null) {
+  const match = { currentStatus: { $in: REVIEW_QUEUE_STATUSES }, 'assignment.reviewerId': { $ne: null } };
+  if (reviewerIds) match['assignment.reviewerId'] = { $in: reviewerIds };
+  const loads = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$assignment.reviewerId', open: { $sum: 1 } } },
+  ]);
+  return new Map(loads.map(l => [String(l._id), l.open]));
+};
+
+// Static: Next reviewer for a queued claim: fewest open reviews (ties → longest since last assignment), or plain
+// round-robin by last assignment time. Only active admins; null when there are none.
+claimSchema.statics.pickReviewer = async function ({ strategy = REVIEW_ASSIGNMENT_STRATEGY, exclude = [] } = {}) {
+  const reviewers = await User.find({ role: 'Admin', 'reviewer.active': { $ne: false }, _id: { $nin: exclude } })
+    .select('reviewer personalInfo.fullName personalInfo.email')
+    .lean();
+  if (!reviewers.length) return null;
+
+  const lastAssigned = (r) => (r.reviewer?.lastAssignedAt ? new Date(r.reviewer.lastAssignedAt).getTime() : 0);
+  if (strategy === 'round-robin') {
+    return reviewers.sort((a, b) => lastAssigned(a) - lastAssigned(b))[0];
+  }
+  const loads = await this.getReviewerLoads(reviewers.map(r => r._id));
+  const load = (r) => loads.get(String(r._id)) || 0;
+  return reviewers.sort((a, b) => (load(a) - load(b)) || (lastAssigned(a) - lastAssigned(b)))[0];
+};
+
+// Method: Change the assignee (null = back to the queue). Only applies if the assignee is still who this copy saw,
+// so two reviewers cannot both claim the same claim.
+claimSchema.methods.setAssignment = async function (reviewerId, { action, by = null, notes = '' } = {}) {
+  const previous = this.assignment.reviewerId || null;
+  const now = new Date();
+  this.assignment.reviewerId = reviewerId;
+  this.assignment.assignedAt = reviewerId ? now : null;
+  this.assignment.history.push({ action, reviewerId, by, at: now, notes });
+  this.$where = { 'assignment.reviewerId': previous };  // null also matches claims saved before assignment existed
+  try {
+    await this.save();
+  } catch (error) {
+    if (error.name !== 'DocumentNotFoundError') throw error;
+    throw Object.assign(new Error(`Claim ${this._id} was assigned by someone else meanwhile; reload and retry`), { statusCode: 409 });
+  } finally {
+    this.$where = undefined;
+  }
+  if (!reviewerId) return null;
+
+  const reviewer = await User.findByIdAndUpdate(reviewerId, { 'reviewer.lastAssignedAt': now }, { new: true }).select('personalInfo');
+  if (reviewer && action !== 'Claimed') {
+    try {
+      await sendEmail({
+        to: reviewer.personalInfo.email,
+        subject: `Claim ${this._id} assigned to you for review - CCI`,
+        text: `Claim ${this._id} (${this.currentStatus}, fraud score ${this.evaluation.aiAnalysis?.fraudScore ?? '-'}) is in your review queue. Decide it by ${this.resolutionDeadline?.toISOString() || '-'}.${notes ? ` Note: ${notes}` : ''}`,
+      });
+    } catch (emailError) {
+      logger.error(`Assignment email failed for claim ${this._id}: ${emailError.message}`);
+    }
+  }
+  return reviewer;
+};
+
+// Method: Put the claim in the manual-review queue and auto-assign it; stays unassigned when no reviewer is available
+claimSchema.methods.enqueueForReview = async function () {
+  try {
+    if (!this.assignment.queuedAt) {
+      this.assignment.queuedAt = new Date();
+      this.assignment.history.push({ action: 'Queued', at: this.assignment.queuedAt });
+      await this.save();
+    }
+    if (this.assignment.reviewerId) return this.assignment.reviewerId;
+    const reviewer = await this.constructor.pickReviewer();
+    if (!reviewer) {
+      logger.warn(`Claim ${this._id} queued for manual review with no active reviewer to assign`);
+      return null;
+    }
+    await this.setAssignment(reviewer._id, { action: 'Assigned', notes: `Auto-assigned (${REVIEW_ASSIGNMENT_STRATEGY})` });
+    logger.info(`Claim ${this._id} assigned to reviewer ${reviewer._id}`);
+    return reviewer._id;
+  } catch (error) {
+    logger.error(`Review queue assignment failed for claim ${this._id}: ${error.message}`);  // Claim stays in the queue
+    return null;
+  }
+};
+
+// Method: Check that `actor` (User) may decide this claim: the assigned reviewer, anyone when unassigned (they take
+// it), or a supervisor with override. Records the take-over/override; the caller's status transition saves it.
+claimSchema.methods.authorizeDecision = function (actor, { override = false } = {}) {
+  const assignee = this.assignment.reviewerId;
+  if (!assignee) {
+    this.assignment.reviewerId = actor._id;
+    this.assignment.assignedAt = new Date();
+    this.assignment.history.push({ action: 'Claimed', reviewerId: actor._id, by: actor._id, notes: 'Taken on decision' });
+    return { overridden: false };
+  }
+  if (assignee.equals(actor._id)) return { overridden: false };
+  if (!override || !actor.isClaimsSupervisor()) {
+    throw Object.assign(
+      new Error(`Claim ${this._id} is assigned to another reviewer; only they can decide it unless a supervisor overrides`),
+      { statusCode: 403 }
+    );
+  }
+  this.assignment.history.push({ action: 'Override', reviewerId: assignee, by: actor._id, notes: 'Supervisor decided in place of the assigned reviewer' });
+  return { overridden: true, assignee };
+};
+
+// Handle Reinstatement (Post-claim: 50% repay within 30d, optionally in instalments; tracked as a Repayment)
+claimSchema.methods.handleReinstatement = async function (reinstatedBy = null, { instalments = 1, notes = 'Appeal successful' } = {}) {
+  this.assertTransition('Reinstated', { role: 'Admin', notes });  // Before the repayment is opened
+  if (!this.evaluation.reinstated) {
+    const repayment = await Repayment.openForClaim(this, { instalments, createdBy: reinstatedBy });
     this.evaluation.reinstated = true;
-    this.evaluation.repayAmount = this.evaluation.payoutAmount * 0.50;
-    const repayDeadline = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-    const message = `Reinstated! Repay KSh ${Math.round(this.evaluation.repayAmount)} within 30 days (by ${repayDeadline.toDateString()}) to avoid blacklist.`;
-    await this.updateStatus('Reinstated', reinstatedBy || null, 'Appeal successful', message);
+    this.evaluation.repayAmount = repayment.amount;
+    const repayDeadline = repayment.deadline;
+    const plan = repayment.instalments.length > 1 ? ` in ${repayment.instalments.length} instalments` : '';
+    const message = `Reinstated! Repay KSh ${Math.round(this.evaluation.repayAmount)}${plan} by ${repayDeadline.toDateString()} (${repayment.repaymentNumber}) to avoid blacklist.`;
+    await this.transitionStatus('Reinstated', { actorId: reinstatedBy || null, role: 'Admin', notes, message });
     
     // Penalty: Adjust user fraudScore down
     const user = await User.findById(this.claimDetails.userId);
@@ -357,11 +1357,25 @@ claimSchema.methods.handleReinstatement = async function (reinstatedBy = null) {
     await user.save();
     
     await this.save();
-    return { repayAmount: this.evaluation.repayAmount, deadline: repayDeadline };
+    return { repayAmount: this.evaluation.repayAmount, deadline: repayDeadline, repayment };
   }
   throw new Error('Not eligible for reinstatement or already handled');
 };
 
+// Static: Set currentStatus on claims saved before it existed (from the last history entry)
+claimSchema.statics.backfillCurrentStatus = async function () {
+  const { modifiedCount } = await this.updateMany(
+    { currentStatus: { $exists: false } },
+    [{ $set: { currentStatus: { $ifNull: [{ $arrayElemAt: ['$statusHistory.history.status', -1] }, 'Submitted'] } } }]
+  );
+  if (modifiedCount) logger.info(`Backfilled currentStatus on ${modifiedCount} claim(s)`);
+  return modifiedCount;
+};
+
 const Claim = mongoose.model('Claim', claimSchema);
 
+mongoose.connection.once('open', () => {
+  Claim.backfillCurrentStatus().catch(error => logger.error(`Claim currentStatus backfill failed: ${error.message}`));
+});
+
 export default Claim;
\ No newline at end of file
@@ -0,0 +1,141 @@
+// ClaimDraft Schema (Pre-filled claim raised from a detected revenue drop; the creator confirms, adds evidence and
+// submits it as a Claim, or dismisses it. Open drafts expire after CLAIM_DRAFT_EXPIRY_DAYS.)
+import mongoose from 'mongoose';
+import User from './User.js';
+import Claim from './Claim.js';
+import Analytics from './Analytics.js';
+import { sendEmail } from '../Services/EmailServices.js';
+import { addDays } from '../Utilities/Helper.js';
+import { CLAIM_DRAFT_EXPIRY_DAYS } from '../Utilities/Constants.js';
+import logger from '../Utilities/Logger.js';
+
+const { Schema } = mongoose;
+
+const DRAFT_STATUSES = ['Open', 'Submitted', 'Dismissed', 'Expired'];
+const SAME_INCIDENT_DAYS = 7;  // A drop this close to an existing draft/claim is the same incident
+
+const claimDraftSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  status: { type: String, enum: DRAFT_STATUSES, default: 'Open' },
+  detection: {  // Analytics.detectRevenueDrop at drafting time
+    detectedAt: { type: Date, default: Date.now },
+    incidentDate: { type: Date, required: true },
+    baselineDaily: { type: Number, min: 0, default: 0 },  // KSh
+    recentDaily: { type: Number, min: 0, default: 0 },
+    dropPercent: { type: Number, min: 0, max: 100, default: 0 },
+    lostDays: { type: Number, min: 0, default: 0 },
+  },
+  prefill: {  // Claim form values; editable until submitted
+    incidentType: { type: String, enum: ['Full suspension', 'Limited ads', 'Video demonetization'], default: 'Limited ads' },
+    incidentDate: { type: Date, required: true },
+    appealStatus: { type: String, enum: ['Not started', 'In progress', 'Rejected'], default: 'Not started' },
+    videoIds: [{ type: String, trim: true }],
+    evidenceSummary: { type: String, trim: true, maxlength: 1000, default: '' },
+  },
+  evidence: {
+    files: [{  // Same shape as Claim.evidence.files (moved onto the claim on submit)
+      url: { type: String, required: true },
+      type: { type: String, enum: ['Screenshot', 'Video', 'Document', 'Email', 'Notification'] },
+      description: { type: String, trim: true, maxlength: 200 },
+      sha256: { type: String, trim: true, lowercase: true },
+      phash: { type: String, trim: true, lowercase: true },
+      uploadedAt: { type: Date, default: Date.now },
+    }],
+  },
+  expiresAt: { type: Date, required: true },
+  claimId: { type: Schema.Types.ObjectId, ref: 'Claim', default: null },  // Once submitted
+  closedAt: { type: Date, default: null },  // Submitted / dismissed / expired
+}, { timestamps: true });
+
+claimDraftSchema.index({ userId: 1, status: 1 });
+claimDraftSchema.index({ status: 1, expiresAt: 1 });  // Expiry sweep
+
+// Method: Still actionable? (Open and not past expiresAt)
+claimDraftSchema.methods.isActionable = function (now = new Date()) {
+  return this.status === 'Open' && this.expiresAt > now;
+};
+
+// Method: Close the draft (Submitted with its claim, Dismissed by the creator, Expired by the sweep)
+claimDraftSchema.methods.close = async function (status, { claimId = null } = {}) {
+  this.status = status;
+  this.claimId = claimId || this.claimId;
+  this.closedAt = new Date();
+  await this.save();
+  logger.info(`Claim draft ${this._id} ${status.toLowerCase()}${claimId ? ` as claim ${claimId}` : ''}`);
+  return this;
+};
+
+/**
+ * Draft a claim for an insured creator whose analytics show a qualifying drop (skips the same incident twice)
+ * @param {Object} user - User document
+ * @param {Object} analytics - Analytics document
+ * @returns {Promise<Object|null>} New draft, or null when nothing was drafted
+ */
+claimDraftSchema.statics.draftFromAnalytics = async function (user, analytics) {
+  if (user.insuranceStatus?.status !== 'Approved') return null;
+  const drop = analytics.detectRevenueDrop();
+  if (!drop.eligible || !drop.incidentDate) return null;
+  if (!user.getCoverageOn(drop.incidentDate).covered) return null;  // A claim would be refused anyway
+
+  const near = { $gte: addDays(drop.incidentDate, -SAME_INCIDENT_DAYS), $lte: addDays(drop.incidentDate, SAME_INCIDENT_DAYS) };
+  const [openDraft, sameIncidentDraft, sameIncidentClaim] = await Promise.all([
+    this.exists({ userId: user._id, status: 'Open' }),
+    this.exists({ userId: user._id, 'detection.incidentDate': near }),
+    Claim.exists({ 'claimDetails.userId': user._id, 'claimDetails.incidentDate': near, currentStatus: { $ne: 'Rejected' } }),
+  ]);
+  if (openDraft || sameIncidentDraft || sameIncidentClaim) return null;
+
+  const draft = await this.create({
+    userId: user._id,
+    detection: {
+      incidentDate: drop.incidentDate,
+      baselineDaily: drop.baselineDaily,
+      recentDaily: drop.recentDaily,
+      dropPercent: Math.min(100, drop.drop),
+      lostDays: drop.lostDays,
+    },
+    prefill: { incidentDate: drop.incidentDate },
+    expiresAt: addDays(new Date(), CLAIM_DRAFT_EXPIRY_DAYS),
+  });
+  logger.info(`Claim draft ${draft._id} raised for user ${user._id}: ${Math.round(drop.drop)}% drop from ${drop.incidentDate.toISOString()}`);
+
+  try {
+    await sendEmail({
+      to: user.personalInfo.email,
+      subject: 'CCI: We drafted a claim for your revenue drop',
+      text: `Dear ${user.personalInfo.fullName},\n\nYour YouTube revenue fell ${Math.round(drop.drop)}% from ${drop.incidentDate.toDateString()} (about KSh ${Math.round(drop.baselineDaily)}/day before, KSh ${Math.round(drop.recentDaily)}/day since; ${drop.lostDays} lost days so far). We have drafted a claim with these details.\n\nOpen your claim drafts to confirm the incident type, add evidence (e.g. the YouTube notice) and submit it before ${draft.expiresAt.toDateString()}, when the draft expires.`,
+    });
+  } catch (emailError) {
+    logger.error(`Claim draft email failed for user ${user._id}: ${emailError.message}`);
+  }
+  return draft;
+};
+
+/**
+ * Scheduler tick: expire Open drafts past expiresAt, then draft claims for insured creators with a qualifying drop
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Counts
+ */
+claimDraftSchema.statics.runDraftCycle = async function (now = new Date()) {
+  const { modifiedCount: expired } = await this.updateMany(
+    { status: 'Open', expiresAt: { $lte: now } },
+    { $set: { status: 'Expired', closedAt: now } }
+  );
+
+  let drafted = 0;
+  const insured = await User.find({ 'insuranceStatus.status': 'Approved' });
+  for (const user of insured) {
+    try {
+      const analytics = await Analytics.findOne({ userId: user._id });
+      if (analytics && await this.draftFromAnalytics(user, analytics)) drafted += 1;
+    } catch (error) {
+      logger.error(`Claim drafting failed for user ${user._id}: ${error.message}`);
+    }
+  }
+  return { expired, drafted, checked: insured.length };
+};
+
+const ClaimDraft = mongoose.model('ClaimDraft', claimDraftSchema);
+
+export { DRAFT_STATUSES };
+export default ClaimDraft;
@@ -0,0 +1,103 @@
+// ClaimMessage Schema (Per-claim thread between the creator and reviewers: messages with evidence-style attachments,
+// read receipts and admin-only internal notes). Kept apart from the claim so threads can grow without bloating it.
+import mongoose from 'mongoose';
+import User from './User.js';
+import { sendEmail } from '../Services/EmailServices.js';
+import logger from '../Utilities/Logger.js';
+
+const { Schema } = mongoose;
+
+export const MESSAGE_AUTHOR_ROLES = ['Creator', 'Admin', 'System'];
+
+const claimMessageSchema = new Schema({
+  claimId: { type: Schema.Types.ObjectId, ref: 'Claim', required: true },
+  authorId: { type: Schema.Types.ObjectId, ref: 'User', default: null },  // null = system
+  authorRole: { type: String, enum: MESSAGE_AUTHOR_ROLES, required: true },
+  body: { type: String, trim: true, maxlength: 2000, default: '' },
+  internal: { type: Boolean, default: false },  // Admin-only note; never shown or emailed to the creator
+  attachments: [{  // Same shape as Claim.evidence.files (EvidenceServices.storeEvidenceFiles)
+    url: { type: String, required: true },
+    type: { type: String, enum: ['Screenshot', 'Video', 'Document', 'Email', 'Notification'] },
+    description: { type: String, trim: true, maxlength: 200 },
+    sha256: { type: String, trim: true, lowercase: true },
+    phash: { type: String, trim: true, lowercase: true },
+    uploadedAt: { type: Date, default: Date.now },
+  }],
+  readBy: [{  // Read receipts (the author is implied)
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: MESSAGE_AUTHOR_ROLES },
+    readAt: { type: Date, default: Date.now },
+    _id: false,
+  }],
+  notified: [{ type: String, trim: true }],  // Emails sent for this message
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+claimMessageSchema.index({ claimId: 1, createdAt: 1 });
+
+// Messages a viewer may see (creators never see internal notes)
+const visibleTo = (role) => (role === 'Admin' ? {} : { internal: false });
+
+// Static: Thread for a claim as seen by this viewer, oldest first
+claimMessageSchema.statics.getThread = function (claimId, { role }) {
+  return this.find({ claimId, ...visibleTo(role) })
+    .sort({ createdAt: 1 })
+    .populate('authorId', 'personalInfo.fullName role')
+    .lean();
+};
+
+// Static: Mark the viewer's unread messages (written by someone else) read; returns how many were marked
+claimMessageSchema.statics.markRead = async function (claimId, { userId, role }) {
+  const { modifiedCount } = await this.updateMany(
+    { claimId, ...visibleTo(role), authorId: { $ne: userId }, 'readBy.userId': { $ne: userId } },
+    { $push: { readBy: { userId, role, readAt: new Date() } } }
+  );
+  return modifiedCount;
+};
+
+// Static: Unread count per claim for a viewer (list badges)
+claimMessageSchema.statics.countUnread = async function (claimIds, { userId, role }) {
+  const rows = await this.aggregate([
+    { $match: { claimId: { $in: claimIds }, ...visibleTo(role), authorId: { $ne: userId }, 'readBy.userId': { $ne: userId } } },
+    { $group: { _id: '$claimId', unread: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map(r => [String(r._id), r.unread]));
+};
+
+// Method: Email hook. Creator messages go to the assigned reviewer (else ADMIN_EMAIL); admin replies go to the creator;
+// internal notes go to the assigned reviewer when someone else wrote them. Failures are logged, never thrown.
+claimMessageSchema.methods.notifyRecipients = async function (claim) {
+  const claimUserId = claim.claimDetails.userId?._id || claim.claimDetails.userId;
+  const reviewerId = claim.assignment?.reviewerId || null;
+  const adminEmail = process.env.ADMIN_EMAIL || 'admin@cci.com';
+
+  let to = null;
+  if (this.authorRole === 'Creator') {
+    const reviewer = reviewerId ? await User.findById(reviewerId).select('personalInfo.email') : null;
+    to = reviewer?.personalInfo?.email || adminEmail;
+  } else if (this.internal) {
+    if (reviewerId && String(reviewerId) !== String(this.authorId)) {
+      to = (await User.findById(reviewerId).select('personalInfo.email'))?.personalInfo?.email || null;
+    }
+  } else {
+    to = (await User.findById(claimUserId).select('personalInfo.email'))?.personalInfo?.email || null;
+  }
+  if (!to) return [];
+
+  const preview = this.body.length > 500 ? `${this.body.slice(0, 500)}…` : this.body;
+  const files = this.attachments.length ? `\n\n${this.attachments.length} attachment(s) included.` : '';
+  const subject = this.internal
+    ? `Internal note on claim ${claim._id} - CCI`
+    : this.authorRole === 'Creator' ? `Creator message on claim ${claim._id} - CCI` : `New message on your claim ${claim._id} - CCI`;
+  try {
+    await sendEmail({ to, subject, text: `${preview || '(no text)'}${files}\n\nReply from the claim's message thread.` });
+    this.notified.push(to);
+    await this.save();
+  } catch (emailError) {
+    logger.error(`Claim message email failed for claim ${claim._id}: ${emailError.message}`);
+  }
+  return this.notified;
+};
+
+const ClaimMessage = mongoose.model('ClaimMessage', claimMessageSchema);
+
+export default ClaimMessage;
@@ -0,0 +1,56 @@
+// ExchangeRate Schema (Daily FX table: one rate per currency pair per UTC day)
+// Used to convert YouTube revenue (USD) into KES per revenue date; admin uploads override provider rates.
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Source precedence when the same day is written twice (higher wins)
+export const FX_SOURCE_PRIORITY = { Fixture: 0, Provider: 1, Admin: 2 };
+
+// Normalize any date to its UTC day (rates are daily)
+export const toRateDate = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const exchangeRateSchema = new Schema({
+  base: { type: String, required: true, uppercase: true, trim: true, default: 'USD' },
+  quote: { type: String, required: true, uppercase: true, trim: true, default: 'KES' },
+  date: { type: Date, required: true },  // UTC midnight
+  rate: { type: Number, required: true, min: 0.000001 },  // 1 base = rate quote
+  source: { type: String, enum: Object.keys(FX_SOURCE_PRIORITY), required: true },
+  provider: { type: String, trim: true, default: '' },  // e.g., 'http', 'fixture'
+  uploadedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+// Indexes
+exchangeRateSchema.index({ base: 1, quote: 1, date: -1 }, { unique: true });
+
+// Static: Upsert daily rates; never lets a lower-priority source overwrite a higher one (e.g., provider over admin)
+exchangeRateSchema.statics.upsertRates = async function (rates, { base = 'USD', quote = 'KES', source = 'Admin', provider = '', uploadedBy = null } = {}) {
+  const results = { upserted: 0, updated: 0, skipped: 0 };
+  for (const { date, rate } of rates) {
+    const day = toRateDate(date);
+    const existing = await this.findOne({ base, quote, date: day });
+    if (existing && FX_SOURCE_PRIORITY[existing.source] > FX_SOURCE_PRIORITY[source]) {
+      results.skipped += 1;
+      continue;
+    }
+    await this.updateOne(
+      { base, quote, date: day },
+      { $set: { rate: Number(rate), source, provider, uploadedBy } },
+      { upsert: true, runValidators: true }
+    );
+    results[existing ? 'updated' : 'upserted'] += 1;
+  }
+  return results;
+};
+
+// Static: Rate in effect on a date (that day, else the latest earlier day)
+exchangeRateSchema.statics.findEffective = function (date, { base = 'USD', quote = 'KES' } = {}) {
+  return this.findOne({ base, quote, date: { $lte: toRateDate(date) } }).sort({ date: -1 });
+};
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export default ExchangeRate;
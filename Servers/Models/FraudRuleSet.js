@@ -0,0 +1,192 @@
+// FraudRuleSet Schema (Versioned fraud-scoring rules: every claim records the version it was scored with)
+// A version is edited as a Draft, then activated; Active and Retired versions are frozen so old decisions can be
+// re-evaluated exactly. Score = baseScore - weights of fired rules; thresholds map the score to a recommendation.
+import mongoose from 'mongoose';
+import logger from '../Utilities/Logger.js';
+
+const { Schema } = mongoose;
+
+// Facts gathered per claim (Services/FraudRuleServices.js gatherFraudFacts); rules can only test these
+export const FRAUD_FACTS = {
+  preIncidentRevenueRatio: 'Avg revenue in the 48h before the incident ÷ baseline daily revenue',
+  massUploadBurst: 'More than 5 videos, the last 5 published within 24h of the first',
+  sharedIpTrafficShare: 'Share of traffic from a single IP block (not collected yet: always null)',
+  coveredReason: 'Coverage reason mapped from the incident type',
+  incidentType: 'Incident type the creator selected',
+  appealStatus: 'YouTube appeal status the creator reported',
+  channelAgeMonths: 'Channel age in months',
+  payoutNameMatches: 'Creator name matches the payout account name',
+  revenueDropPercent: 'Revenue drop vs the 7-day pre-incident baseline (%)',
+  lostDays: 'Days below 30% of baseline after the incident',
+  strikes: 'Community guidelines strikes',
+  noticeIncidentMismatch: 'Parsed YouTube notice contradicts the chosen incident type (null without a recognised notice)',
+  noticeFromYouTube: 'Uploaded notice was sent from a YouTube/Google address (null when unknown)',
+  evidenceSharedAccounts: 'Other creators whose claims carry the same or a near-identical evidence file (null until checked)',
+  evidenceSharedClaims: 'Other claims (any creator) carrying the same or a near-identical evidence file (null until checked)',
+};
+export const FRAUD_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'];
+export const RULE_SET_STATUSES = ['Draft', 'Active', 'Retired'];
+
+// Version 1 (seeded on first use): the penalties scanFraud used to hard-code
+export const DEFAULT_FRAUD_THRESHOLDS = { autoApprove: 75, manualReview: 50 };
+export const DEFAULT_FRAUD_RULES = [
+  { key: 'revenueSpike', description: 'Revenue spike (>2x baseline) in the 48h before the drop', weight: 20, conditions: [{ fact: 'preIncidentRevenueRatio', operator: 'gt', value: 2 }] },
+  { key: 'massUpload', description: 'Mass video upload just before the drop', weight: 15, conditions: [{ fact: 'massUploadBurst', operator: 'eq', value: true }] },
+  { key: 'ipBlock', description: 'Traffic concentrated in one IP block (enable once traffic logs are collected)', weight: 0, enabled: false, conditions: [{ fact: 'sharedIpTrafficShare', operator: 'gt', value: 0.5 }] },
+  {
+    key: 'copyrightMismatch',
+    description: 'Platform reports copyright while the creator reports another cause',
+    weight: 25,
+    conditions: [{ fact: 'coveredReason', operator: 'eq', value: 'COPYRIGHT' }, { fact: 'incidentType', operator: 'ne', value: 'Video demonetization' }],
+  },
+  { key: 'appealRejected', description: 'YouTube already rejected the appeal', weight: 10, conditions: [{ fact: 'appealStatus', operator: 'eq', value: 'Rejected' }] },
+  { key: 'newChannel', description: 'Channel younger than 6 months', weight: 10, conditions: [{ fact: 'channelAgeMonths', operator: 'lt', value: 6 }] },
+  { key: 'nameMismatch', description: 'Payout account name differs from the creator name', weight: 5, conditions: [{ fact: 'payoutNameMatches', operator: 'eq', value: false }] },
+];
+
+// Rules shipped after v1: each is published once as a new version on top of the active one (v1 stays as it was, so
+// claims it scored replay exactly). A rule already present in any version is never re-added, e.g. after an admin
+// removed it.
+export const FRAUD_RULE_UPDATES = [
+  {
+    rule: { key: 'evidenceReuse', description: 'Evidence file also backs a claim from another account', weight: 30, conditions: [{ fact: 'evidenceSharedAccounts', operator: 'gt', value: 0 }] },
+    notes: 'Adds evidenceReuse (evidence fingerprints shared with another account)',
+  },
+];
+
+const conditionSchema = new Schema({
+  fact: { type: String, enum: Object.keys(FRAUD_FACTS), required: true },
+  operator: { type: String, enum: FRAUD_OPERATORS, required: true },
+  value: { type: Schema.Types.Mixed, required: true },  // Array for in/nin
+}, { _id: false });
+
+const ruleSchema = new Schema({
+  key: { type: String, required: true, trim: true, match: [/^[a-zA-Z][a-zA-Z0-9_]{1,39}$/, 'Rule key must be an identifier'] },
+  description: { type: String, trim: true, maxlength: 300, default: '' },
+  conditions: {
+    type: [conditionSchema],
+    validate: [c => c.length > 0, 'A rule needs at least one condition'],  // All must hold
+  },
+  weight: { type: Number, min: 0, max: 100, required: true },  // Points off the score when the rule fires
+  enabled: { type: Boolean, default: true },
+}, { _id: false });
+
+const fraudRuleSetSchema = new Schema({
+  version: { type: Number, required: true, unique: true, min: 1 },
+  status: { type: String, enum: RULE_SET_STATUSES, default: 'Draft' },
+  baseScore: { type: Number, min: 0, max: 100, default: 100 },
+  thresholds: {
+    autoApprove: { type: Number, min: 0, max: 100, default: DEFAULT_FRAUD_THRESHOLDS.autoApprove },  // Score above → approve
+    manualReview: { type: Number, min: 0, max: 100, default: DEFAULT_FRAUD_THRESHOLDS.manualReview },  // At/above → manual review
+  },
+  rules: [ruleSchema],
+  notes: { type: String, trim: true, maxlength: 1000, default: '' },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  basedOn: { type: Number, default: null },  // Version this draft was copied from
+  activatedAt: { type: Date, default: null },
+  activatedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  retiredAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// One active version at a time
+fraudRuleSetSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'Active' } });
+
+// Pre-validate: unique rule keys, band order, in/nin need arrays
+fraudRuleSetSchema.pre('validate', function (next) {
+  const keys = this.rules.map(r => r.key);
+  const duplicate = keys.find((k, i) => keys.indexOf(k) !== i);
+  if (duplicate) return next(Object.assign(new Error(`Duplicate rule key '${duplicate}'`), { statusCode: 400 }));
+  if (this.thresholds.manualReview > this.thresholds.autoApprove) {
+    return next(Object.assign(new Error('thresholds.manualReview cannot exceed thresholds.autoApprove'), { statusCode: 400 }));
+  }
+  const badList = this.rules.flatMap(r => r.conditions).find(c => ['in', 'nin'].includes(c.operator) && !Array.isArray(c.value));
+  if (badList) return next(Object.assign(new Error(`'${badList.operator}' on ${badList.fact} needs an array value`), { statusCode: 400 }));
+  next();
+});
+
+let updatesPublished = false;  // FRAUD_RULE_UPDATES checked once per process
+
+// Static: Active version (seeds version 1 from the defaults on first use, then publishes any FRAUD_RULE_UPDATES)
+fraudRuleSetSchema.statics.getActive = async function () {
+  const active = await this.findOne({ status: 'Active' }) || await this.seedDefaults();
+  if (updatesPublished) return active;
+  const updated = await this.publishRuleUpdates(active);
+  updatesPublished = true;
+  return updated;
+};
+
+// Static: Create and activate version 1 from the defaults
+fraudRuleSetSchema.statics.seedDefaults = async function () {
+  try {
+    const seeded = await this.create({
+      version: 1,
+      status: 'Active',
+      thresholds: DEFAULT_FRAUD_THRESHOLDS,
+      rules: DEFAULT_FRAUD_RULES,
+      notes: 'Initial rules (previously hard-coded in scanFraud)',
+      activatedAt: new Date(),
+    });
+    logger.info('Seeded fraud rule set v1 from defaults');
+    return seeded;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return this.findOne({ status: 'Active' });  // Another request seeded it first
+  }
+};
+
+// Static: Publish FRAUD_RULE_UPDATES missing from every version as one new active version; returns the active version
+fraudRuleSetSchema.statics.publishRuleUpdates = async function (active) {
+  const pending = [];
+  for (const update of FRAUD_RULE_UPDATES) {
+    if (!(await this.exists({ 'rules.key': update.rule.key }))) pending.push(update);
+  }
+  if (!pending.length) return active;
+  try {
+    const draft = await this.createDraft({
+      fromVersion: active.version,
+      rules: [...active.rules.map(r => r.toObject()), ...pending.map(u => u.rule)],
+      notes: pending.map(u => u.notes).join('; '),
+    });
+    await draft.activate();
+    logger.info(`Published fraud rule set v${draft.version} (${pending.map(u => u.rule.key).join(', ')}) on top of v${active.version}`);
+    return draft;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return this.findOne({ status: 'Active' });  // Another process published it first
+  }
+};
+
+// Static: New draft copied from a version (default: active), with any edits applied
+fraudRuleSetSchema.statics.createDraft = async function ({ fromVersion = null, rules, thresholds, baseScore, notes = '', createdBy = null } = {}) {
+  const source = fromVersion ? await this.findOne({ version: fromVersion }) : await this.getActive();
+  if (!source) throw Object.assign(new Error(`Rule set v${fromVersion} not found`), { statusCode: 404 });
+  const latest = await this.findOne().sort({ version: -1 }).select('version');
+  return this.create({
+    version: (latest?.version || 0) + 1,
+    status: 'Draft',
+    baseScore: baseScore ?? source.baseScore,
+    thresholds: { ...source.thresholds.toObject(), ...(thresholds || {}) },
+    rules: rules ?? source.rules.map(r => r.toObject()),
+    notes,
+    createdBy,
+    basedOn: source.version,
+  });
+};
+
+// Method: Make this draft the active version (the previous one is retired)
+fraudRuleSetSchema.methods.activate = async function (activatedBy = null) {
+  if (this.status !== 'Draft') {
+    throw Object.assign(new Error(`Rule set v${this.version} is ${this.status}; only drafts can be activated`), { statusCode: 409 });
+  }
+  const now = new Date();
+  await this.constructor.updateMany({ status: 'Active' }, { $set: { status: 'Retired', retiredAt: now } });
+  this.status = 'Active';
+  this.activatedAt = now;
+  this.activatedBy = activatedBy;
+  await this.save();
+  return this;
+};
+
+const FraudRuleSet = mongoose.model('FraudRuleSet', fraudRuleSetSchema);
+
+export default FraudRuleSet;
@@ -0,0 +1,28 @@
+// IdempotencyKey Schema (Idempotency-Key header on money-moving endpoints)
+// Stores the request fingerprint and the first response so client retries replay it instead of re-running.
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const idempotencyKeySchema = new Schema({
+  key: { type: String, required: true, trim: true, maxlength: 255 },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  requestHash: { type: String, required: true },  // sha256 of method + route + body (+ uploaded file names/sizes)
+  status: { type: String, enum: ['InProgress', 'Completed'], default: 'InProgress' },
+  response: {
+    statusCode: { type: Number },
+    body: { type: Schema.Types.Mixed },
+  },
+  completedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+// Indexes
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });  // Keys are scoped per user
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });  // TTL cleanup
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
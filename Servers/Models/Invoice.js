@@ -0,0 +1,433 @@
+// Invoice Schema (One bill per monthly period across the policy term)
+// Premium.paymentStatus is kept as a mirror of the current invoice for older readers.
+import mongoose from 'mongoose';
+import Premium from './Premium.js';
+import User from './User.js';
+import Ledger from './Ledger.js';
+import Receipt from './Receipt.js';
+import { generatePaymentReference, PAYMENT_METHODS } from '../Services/PaymentServices.js';
+import { sendEmail } from '../Services/EmailServices.js';
+import { addMonths, addDays } from '../Utilities/Helper.js';
+import logger from '../Utilities/Logger.js';
+
+const { Schema } = mongoose;
+
+const INVOICE_DUE_DAYS = Number(process.env.INVOICE_DUE_DAYS || 7);  // Days after period start
+export const OPEN_STATUSES = ['Pending', 'Overdue', 'Failed'];
+
+const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+// Still owed on an invoice (part payments from the paybill leave it open); works on lean documents too
+const balanceOf = (invoice) => roundMoney(Math.max(invoice.amount - (invoice.amountPaid || 0), 0));
+
+const attemptSchema = new Schema({
+  date: { type: Date, default: Date.now },
+  status: { type: String, enum: ['Pending', 'Success', 'Failed', 'Cancelled', 'TimedOut'], default: 'Pending' },
+  errorMessage: { type: String, trim: true },
+  reference: { type: String, trim: true },  // Signed callback ref + ledger idempotency key
+  amount: { type: Number, min: 0 },
+  method: { type: String, enum: PAYMENT_METHODS, default: 'M-Pesa' },
+  account: { type: String, trim: true },  // Charged account (phone / masked bank account / PayPal email)
+  phoneNumber: { type: String, trim: true },  // M-Pesa only
+  merchantRequestId: { type: String, trim: true },
+  checkoutRequestId: { type: String, trim: true },  // Provider request id (STK CheckoutRequestID / bank debit id / PayPal order id)
+  mpesaReceipt: { type: String, trim: true },  // Provider receipt (M-Pesa receipt / bank reference / PayPal capture id)
+  resultCode: { type: Number },
+  resultDesc: { type: String, trim: true },
+  completedAt: { type: Date, default: null },
+  purpose: { type: String, enum: ['Invoice', 'Reinstatement'], default: 'Invoice' },
+  settles: [{ type: Schema.Types.ObjectId, ref: 'Invoice' }],  // Other invoices paid by this attempt (arrears)
+  receiptId: { type: Schema.Types.ObjectId, ref: 'Receipt', default: null },  // Premium receipt once confirmed
+});
+
+const invoiceSchema = new Schema({
+  premiumId: { type: Schema.Types.ObjectId, ref: 'Premium', required: true, index: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  invoiceNumber: { type: String, required: true, unique: true, trim: true },  // e.g., INV-3f9a1c-03
+  periodNumber: { type: Number, min: 1, required: true },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  issueDate: { type: Date, required: true },  // Upcoming → Pending on this date
+  dueDate: { type: Date, required: true },
+  amount: { type: Number, min: 0, required: true },  // Locked from Premium.finalAmount at issue
+  amountPaid: { type: Number, min: 0, default: 0 },
+  currency: { type: String, default: 'KES', trim: true },
+  status: {
+    type: String,
+    enum: ['Upcoming', 'Pending', 'Paid', 'Overdue', 'Failed', 'Void'],
+    default: 'Upcoming',
+  },
+  paidAt: { type: Date, default: null },
+  transactionId: { type: String, trim: true, default: '' },  // Provider receipt once confirmed
+  ledgerTransactionId: { type: Schema.Types.ObjectId, ref: 'Ledger', default: null },
+  voidReason: { type: String, trim: true, default: '' },
+  attempts: [attemptSchema],
+}, { timestamps: true });
+
+// Indexes
+invoiceSchema.index({ premiumId: 1, periodNumber: 1 }, { unique: true });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ status: 1, issueDate: 1 });
+invoiceSchema.index({ 'attempts.checkoutRequestId': 1 });
+invoiceSchema.index({ 'attempts.reference': 1 });  // Callback lookup
+
+invoiceSchema.virtual('balance').get(function () {
+  return balanceOf(this);
+});
+invoiceSchema.set('toJSON', { virtuals: true });
+
+// Static: Create missing periods for [policyStartDate, policyEndDate); void unissued periods past the end
+// backfill (ensureSchedule): periods up to today were billed on the single pre-invoice bill, so they are settled
+// from it (legacy Paid) or left off the schedule rather than issued again as new debt
+invoiceSchema.statics.syncSchedule = async function (premium, { policyStartDate, policyEndDate }, { backfill = false } = {}) {
+  if (!policyStartDate || !policyEndDate) throw new Error('Policy start and end dates are required');
+  const start = new Date(policyStartDate);
+  const end = new Date(policyEndDate);
+  const now = new Date();
+  const suffix = premium._id.toString().slice(-6);
+  const amount = premium.premiumDetails.finalAmount;
+  const legacy = premium.paymentStatus || {};
+
+  const initialState = (periodStart, periodEnd, dueDate) => {
+    if (periodStart > now) return { status: 'Upcoming', dueDate };
+    if (!backfill) return { status: 'Pending', dueDate };
+    if (legacy.status === 'Paid') {
+      return { status: 'Paid', dueDate, paidAt: legacy.paymentDate || periodStart, amountPaid: amount, transactionId: legacy.transactionId || '' };
+    }
+    if (periodEnd < now) return { status: 'Void', voidReason: 'Billed before invoicing', dueDate };
+    // Current period carries the unpaid legacy bill (keeping its due date if that is later)
+    return { status: 'Pending', dueDate: legacy.dueDate && legacy.dueDate > dueDate ? legacy.dueDate : dueDate };
+  };
+
+  const ops = [];
+  for (let n = 1; addMonths(start, n - 1) < end; n += 1) {
+    const periodStart = addMonths(start, n - 1);
+    const nextStart = addMonths(start, n);
+    const periodEnd = new Date(Math.min(nextStart.getTime(), end.getTime()) - 1);
+    ops.push({
+      updateOne: {
+        filter: { premiumId: premium._id, periodNumber: n },
+        update: {
+          $setOnInsert: {
+            userId: premium.premiumDetails.userId,
+            invoiceNumber: `INV-${suffix}-${String(n).padStart(2, '0')}`,
+            periodStart,
+            periodEnd,
+            issueDate: periodStart,
+            amount,
+            ...initialState(periodStart, periodEnd, addDays(periodStart, INVOICE_DUE_DAYS)),
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
+
+  const created = ops.length ? (await this.bulkWrite(ops, { ordered: false })).upsertedCount : 0;
+  await this.updateMany(  // Term extended again after a shrink: bring those periods back in the state their dates imply
+    { premiumId: premium._id, status: 'Void', voidReason: 'Outside policy term', periodStart: { $lt: end } },
+    [{
+      $set: {
+        voidReason: '',
+        status: { $cond: [{ $gt: ['$issueDate', now] }, 'Upcoming', { $cond: [{ $lt: ['$dueDate', now] }, 'Overdue', 'Pending'] }] },
+      },
+    }]
+  );
+  const voided = await this.updateMany(
+    { premiumId: premium._id, status: 'Upcoming', periodStart: { $gte: end } },
+    { $set: { status: 'Void', voidReason: 'Outside policy term' } }
+  );
+
+  if (created || voided.modifiedCount) {
+    logger.info(`Invoice schedule synced for premium ${premium._id}: ${created} created, ${voided.modifiedCount} voided (${ops.length} periods)`);
+  }
+  await this.syncPremium(premium._id);
+  return { periods: ops.length, created, voided: voided.modifiedCount };
+};
+
+// Static: Build the schedule once for policies approved before invoicing existed
+invoiceSchema.statics.ensureSchedule = async function (premium, insuranceStatus) {
+  if (insuranceStatus?.status !== 'Approved' || !insuranceStatus.policyStartDate || !insuranceStatus.policyEndDate) return null;
+  if (await this.exists({ premiumId: premium._id })) return null;
+  return this.syncSchedule(premium, insuranceStatus, { backfill: true });
+};
+
+// Static: Void every unpaid invoice (termination/rejection)
+invoiceSchema.statics.voidOpenInvoices = async function (premiumId, reason) {
+  const result = await this.updateMany(
+    { premiumId, status: { $in: ['Upcoming', ...OPEN_STATUSES] } },
+    { $set: { status: 'Void', voidReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Static: Oldest unpaid issued invoice (or a specific one, if it is payable)
+invoiceSchema.statics.findPayable = function (premiumId, invoiceId = null) {
+  const query = { premiumId, status: { $in: OPEN_STATUSES } };
+  if (invoiceId) query._id = invoiceId;
+  return this.findOne(query).sort({ periodNumber: 1 });
+};
+
+// Static: Past/current/upcoming bills for one policy
+invoiceSchema.statics.getBillingSummary = async function (premiumId) {
+  const invoices = await this.find({ premiumId, status: { $ne: 'Void' } })
+    .sort({ periodNumber: 1 })
+    .select('-attempts')
+    .lean();
+  const open = invoices.filter(i => OPEN_STATUSES.includes(i.status));
+  return {
+    currentInvoice: open[0] || null,
+    outstandingAmount: roundMoney(open.reduce((sum, i) => sum + balanceOf(i), 0)),
+    overdueCount: open.filter(i => i.status === 'Overdue').length,
+    paid: invoices.filter(i => i.status === 'Paid'),
+    open,
+    upcoming: invoices.filter(i => i.status === 'Upcoming'),
+    totalPeriods: invoices.length,
+  };
+};
+
+// Static: Mirror the current invoice onto Premium.paymentStatus
+invoiceSchema.statics.syncPremium = async function (premiumId) {
+  const invoices = await this.find({ premiumId, status: { $ne: 'Void' } }).sort({ periodNumber: 1 }).lean();
+  if (invoices.length === 0) return null;
+
+  const open = invoices.filter(i => OPEN_STATUSES.includes(i.status));
+  const lastPaid = invoices.filter(i => i.status === 'Paid').pop();
+  const nextUpcoming = invoices.find(i => i.status === 'Upcoming');
+
+  const set = {
+    'paymentStatus.status': open.some(i => i.status === 'Overdue') ? 'Overdue' : (open[0]?.status || 'Paid'),
+  };
+  const dueDate = open[0]?.dueDate || nextUpcoming?.dueDate;
+  if (dueDate) set['paymentStatus.dueDate'] = dueDate;
+  if (lastPaid) {
+    set['paymentStatus.paymentDate'] = lastPaid.paidAt;
+    set['paymentStatus.transactionId'] = lastPaid.transactionId;
+  }
+  await Premium.updateOne({ _id: premiumId }, { $set: set });
+  return set['paymentStatus.status'];
+};
+
+// Static: Flag issued invoices whose due date has passed
+invoiceSchema.statics.markOverdue = async function (now = new Date()) {
+  const overdue = await this.find({ status: { $in: ['Pending', 'Failed'] }, dueDate: { $lt: now } }).select('premiumId');
+  if (overdue.length === 0) return [];
+  await this.updateMany({ _id: { $in: overdue.map(i => i._id) } }, { $set: { status: 'Overdue' } });
+  const premiumIds = [...new Set(overdue.map(i => String(i.premiumId)))];
+  for (const premiumId of premiumIds) {
+    await this.syncPremium(premiumId);
+  }
+  return overdue;
+};
+
+// Static: Scheduler tick: issue periods that have started (and email the bill), then flag missed due dates
+invoiceSchema.statics.runBillingCycle = async function (now = new Date()) {
+  const toIssue = await this.find({ status: 'Upcoming', issueDate: { $lte: now } }).limit(500);
+  for (const invoice of toIssue) {
+    const premium = await Premium.findById(invoice.premiumId).select('premiumDetails.finalAmount');
+    if (premium) invoice.amount = premium.premiumDetails.finalAmount;  // Pick up adjustments since scheduling
+    invoice.status = 'Pending';
+    await invoice.save();
+    await this.syncPremium(invoice.premiumId);
+
+    try {
+      const user = await User.findById(invoice.userId).select('personalInfo.email personalInfo.fullName');
+      await sendEmail({
+        to: user.personalInfo.email,
+        subject: `CCI Premium Invoice ${invoice.invoiceNumber}`,
+        text: `Dear ${user.personalInfo.fullName},\n\nYour premium invoice ${invoice.invoiceNumber} for ${invoice.periodStart.toDateString()} - ${invoice.periodEnd.toDateString()} is KSh ${invoice.amount}, due by ${invoice.dueDate.toDateString()}.`,
+      });
+    } catch (emailError) {
+      logger.error(`Invoice email failed for ${invoice.invoiceNumber}: ${emailError.message}`);
+    }
+  }
+
+  const overdue = await this.markOverdue(now);
+  return { issued: toIssue.length, overdue: overdue.length };
+};
+
+// Static: One charge for every unpaid invoice (reinstatement arrears); recorded on the oldest one
+invoiceSchema.statics.initiateArrearsPayment = async function (premiumId, provider, account) {
+  const open = await this.find({ premiumId, status: { $in: OPEN_STATUSES } }).sort({ periodNumber: 1 });
+  if (open.length === 0) throw new Error('No arrears outstanding');
+  const [anchor, ...rest] = open;
+  const amount = roundMoney(open.reduce((sum, i) => sum + balanceOf(i), 0));
+  const push = await anchor.initiatePayment(provider, account, {
+    amount,
+    purpose: 'Reinstatement',
+    settles: rest.map(i => i._id),
+    description: 'CCI Reinstatement',
+  });
+  return { ...push, invoices: open.map(i => i.invoiceNumber) };
+};
+
+// Method: Charge this invoice through a payment provider (stays unpaid until the provider confirms)
+// provider comes from resolvePaymentMethod; account is its verifyAccount result ({ details, display })
+invoiceSchema.methods.initiatePayment = async function (provider, { details, display }, { amount = this.balance, purpose = 'Invoice', settles = [], description = `CCI Premium P${this.periodNumber}` } = {}) {
+  const reference = generatePaymentReference('PRM');
+  const charge = await provider.charge({
+    details,
+    amount,
+    reference,
+    accountReference: this.invoiceNumber.replace(/-/g, '').slice(0, 12),
+    description,
+    callbackBase: '/api/premiums',
+  });
+  this.attempts.push({
+    date: new Date(),
+    status: 'Pending',
+    reference,
+    amount,
+    method: provider.method,
+    account: display,
+    phoneNumber: provider.method === 'M-Pesa' ? details.mobileNumber : undefined,
+    merchantRequestId: charge.merchantRequestId,
+    checkoutRequestId: charge.providerRequestId,
+    purpose,
+    settles,
+  });
+  await this.save();
+  await Premium.updateOne({ _id: this.premiumId }, { $set: { 'paymentStatus.paymentMethod.type': provider.method, 'paymentStatus.paymentMethod.details': display } });
+  return {
+    reference,
+    amount,
+    method: provider.method,
+    providerRequestId: charge.providerRequestId,
+    approvalUrl: charge.approvalUrl || null,
+    customerMessage: charge.customerMessage,
+  };
+};
+
+// Method: Pending attempt still inside the approval window (STK prompt / banking app / PayPal approval; avoid double charges)
+invoiceSchema.methods.getInFlightAttempt = function (windowMs = 2 * 60 * 1000) {
+  return this.attempts.find(a =>
+    a.status === 'Pending' && a.date && (Date.now() - a.date.getTime()) < windowMs
+  ) || null;
+};
+
+// Method: Apply a provider charge result (callback or status query); idempotent (finalized attempts are left alone)
+// Successful payments are posted to the ledger and get a numbered receipt (returned for the confirmation email)
+// A payment short of the balance (paybill part payment) is recorded but leaves the invoice open; settled says which
+invoiceSchema.methods.completePayment = async function (reference, result) {
+  const attempt = this.attempts.find(a => a.reference === reference);
+  if (!attempt) throw new Error(`No payment attempt ${reference} on ${this.invoiceNumber}`);
+  if (attempt.status !== 'Pending') {
+    return { attempt, paid: attempt.status === 'Success', settled: this.status === 'Paid', duplicate: true };
+  }
+  if (result.status === 'Pending') {
+    return { attempt, paid: false, settled: false, duplicate: false };
+  }
+  // A confirmation for less than was charged does not settle the bill (short payment or tampered callback)
+  const expected = Math.ceil(attempt.amount);
+  if (result.status === 'Success' && result.amount != null && (result.currency || 'KES') === this.currency && Number(result.amount) < expected) {
+    logger.error(`Premium payment ${reference} on ${this.invoiceNumber} confirmed KSh ${result.amount}, expected KSh ${expected}; not marked paid`);
+    result = { ...result, status: 'Failed', resultCode: 1, resultDesc: `Amount mismatch: KSh ${result.amount} received, KSh ${expected} expected` };
+  }
+
+  const { status } = result;
+  attempt.status = status;
+  attempt.resultCode = result.resultCode;
+  attempt.resultDesc = result.resultDesc;
+  attempt.completedAt = new Date();
+
+  let settled = false;
+  if (status === 'Success') {
+    attempt.mpesaReceipt = result.receipt;
+    this.amountPaid = attempt.settles.length ? this.amount : roundMoney(Math.min(this.amountPaid + attempt.amount, this.amount));
+    this.transactionId = result.receipt || attempt.reference;
+    settled = this.balance < 1;  // M-Pesa takes whole shillings, so a sub-shilling remainder counts as settled
+    if (settled) {
+      this.amountPaid = this.amount;
+      this.status = 'Paid';
+      this.paidAt = result.transactionDate || new Date();
+    }
+  } else {
+    attempt.errorMessage = result.resultDesc;
+    if (this.status !== 'Paid') {
+      this.status = this.dueDate < new Date() ? 'Overdue' : 'Failed';
+    }
+  }
+  await this.save();
+
+  let receipt = null;
+  if (status === 'Success') {
+    // Post to the ledger (idempotent on attempt ref; reconciliation flags any miss)
+    try {
+      const { transaction } = await Ledger.post({
+        userId: this.userId,
+        type: 'PremiumCollected',
+        amount: attempt.amount,
+        reference: attempt.reference,
+        externalReference: attempt.mpesaReceipt,
+        source: { model: 'Premium', id: this.premiumId },
+        description: `Premium ${this.invoiceNumber} via ${attempt.method} (${attempt.account || attempt.phoneNumber})`,
+        postedAt: this.paidAt || result.transactionDate || new Date(),
+        metadata: { invoiceId: this._id, periodNumber: this.periodNumber, settles: attempt.settles, partial: !settled },
+      });
+      this.ledgerTransactionId = transaction._id;
+      await this.save();
+    } catch (error) {
+      logger.error(`Ledger posting failed for invoice ${this.invoiceNumber} (ref ${attempt.reference}): ${error.message}`);
+    }
+
+    // Arrears payment: close every other invoice it covered
+    if (attempt.settles.length) {
+      await this.constructor.updateMany(
+        { _id: { $in: attempt.settles }, status: { $in: OPEN_STATUSES } },
+        [{ $set: { status: 'Paid', paidAt: this.paidAt, amountPaid: '$amount', transactionId: this.transactionId, ledgerTransactionId: this.ledgerTransactionId } }]
+      );
+    }
+    if (settled) {
+      await Premium.updateOne({ _id: this.premiumId }, { $inc: { renewalCount: 1 }, $set: { lastRenewedAt: new Date() } });
+    }
+
+    // Numbered receipt (PDF + DOCX); a failure here must not undo the payment
+    try {
+      receipt = await Receipt.issueForPayment(this, attempt);
+      attempt.receiptId = receipt._id;
+      await this.save();
+    } catch (error) {
+      logger.error(`Receipt issue failed for invoice ${this.invoiceNumber} (ref ${attempt.reference}): ${error.message}`);
+    }
+
+    if (settled && attempt.purpose === 'Reinstatement') {
+      const user = await User.findById(this.userId);
+      await user?.reinstatePolicy({ reference: attempt.reference, arrearsAmount: attempt.amount });
+    }
+  }
+
+  await this.constructor.syncPremium(this.premiumId);
+  return { attempt, paid: status === 'Success', settled, duplicate: false, receipt };
+};
+
+// Method: Record a payment made straight to the paybill (matched from an M-Pesa statement) against this invoice
+// Less than the balance is kept as a part payment (invoice stays open); more than it is capped at the balance.
+// Goes through completePayment so it is posted, receipted and mirrored like an in-app payment; the receipt number
+// makes the attempt reference deterministic, so re-importing the same line cannot pay twice.
+invoiceSchema.methods.recordPaybillPayment = async function ({ receiptNo, amount, paidAt, phone = null }) {
+  const reference = `C2B-${receiptNo}`;
+  if (!this.attempts.some(a => a.reference === reference)) {
+    this.attempts.push({
+      date: paidAt || new Date(),
+      status: 'Pending',
+      reference,
+      amount,
+      method: 'M-Pesa',
+      account: phone ? `+${phone}` : 'Paybill',
+      phoneNumber: phone || undefined,
+      purpose: 'Invoice',
+    });
+    await this.save();
+  }
+  return this.completePayment(reference, {
+    status: 'Success',
+    resultCode: 0,
+    resultDesc: 'Paybill payment matched from M-Pesa statement',
+    receipt: receiptNo,
+    amount,
+    transactionDate: paidAt,
+  });
+};
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
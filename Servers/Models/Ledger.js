@@ -0,0 +1,209 @@
+// Ledger Schema (Double-entry: single source of truth for money movement)
+// Every premium collected, claim paid, repayment collected and refund issued is one
+// balanced transaction (sum of debits === sum of credits) tied to a policyholder.
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Chart of accounts (KES)
+export const LEDGER_ACCOUNTS = {
+  MPESA_CLEARING: 'MpesaClearing',  // Asset: money held in the paybill/B2C float
+  PREMIUM_INCOME: 'PremiumIncome',  // Income: premiums earned
+  CLAIMS_EXPENSE: 'ClaimsExpense',  // Expense: payouts to creators
+  CLAIM_RECOVERIES: 'ClaimRecoveries',  // Income: reinstatement repayments (offsets claims expense)
+  PREMIUM_REFUNDS: 'PremiumRefunds',  // Contra-income: premiums returned
+};
+
+// Posting rules per transaction type; direction is from the policyholder's point of view
+export const LEDGER_POSTING_RULES = {
+  PremiumCollected: { debit: LEDGER_ACCOUNTS.MPESA_CLEARING, credit: LEDGER_ACCOUNTS.PREMIUM_INCOME, direction: 'In' },
+  ClaimPaid: { debit: LEDGER_ACCOUNTS.CLAIMS_EXPENSE, credit: LEDGER_ACCOUNTS.MPESA_CLEARING, direction: 'Out' },
+  RepaymentCollected: { debit: LEDGER_ACCOUNTS.MPESA_CLEARING, credit: LEDGER_ACCOUNTS.CLAIM_RECOVERIES, direction: 'In' },
+  Refund: { debit: LEDGER_ACCOUNTS.PREMIUM_REFUNDS, credit: LEDGER_ACCOUNTS.MPESA_CLEARING, direction: 'Out' },
+};
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+const entrySchema = new Schema({
+  account: { type: String, enum: Object.values(LEDGER_ACCOUNTS), required: true },
+  debit: { type: Number, min: 0, default: 0 },
+  credit: { type: Number, min: 0, default: 0 },
+}, { _id: false });
+
+const ledgerSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, enum: Object.keys(LEDGER_POSTING_RULES), required: true },
+  direction: { type: String, enum: ['In', 'Out'], required: true },
+  amount: { type: Number, min: 0.01, required: true },
+  currency: { type: String, default: 'KES', uppercase: true, trim: true },
+  reference: { type: String, required: true, trim: true },  // Payment/payout attempt ref (idempotency key)
+  externalReference: { type: String, trim: true, default: '' },  // e.g., M-Pesa receipt
+  source: {
+    model: { type: String, enum: ['Premium', 'Claim'], required: true },
+    id: { type: Schema.Types.ObjectId, required: true, refPath: 'source.model' },
+  },
+  description: { type: String, trim: true, maxlength: 300, default: '' },
+  postedAt: { type: Date, default: Date.now },
+  entries: { type: [entrySchema], required: true },
+  metadata: { type: Schema.Types.Mixed, default: {} },
+}, { timestamps: true });
+
+// Indexes
+ledgerSchema.index({ type: 1, reference: 1 }, { unique: true });  // One posting per money movement
+ledgerSchema.index({ userId: 1, postedAt: 1 });
+ledgerSchema.index({ 'source.model': 1, 'source.id': 1 });
+
+// Reject unbalanced or empty postings
+ledgerSchema.pre('validate', function (next) {
+  const debits = roundMoney(this.entries.reduce((sum, e) => sum + (e.debit || 0), 0));
+  const credits = roundMoney(this.entries.reduce((sum, e) => sum + (e.credit || 0), 0));
+  if (this.entries.length < 2 || debits <= 0 || debits !== credits) {
+    this.invalidate('entries', `Unbalanced ledger transaction (debits ${debits}, credits ${credits})`);
+  }
+  next();
+});
+
+// Ledger is append-only: corrections are new postings, never edits
+ledgerSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function (next) {
+  next(new Error('Ledger transactions are immutable'));
+});
+
+// Static: Post a balanced transaction (idempotent on type + reference)
+ledgerSchema.statics.post = async function ({ userId, type, amount, reference, externalReference = '', source, description = '', postedAt = new Date(), metadata = {} }) {
+  const rule = LEDGER_POSTING_RULES[type];
+  if (!rule) throw new Error(`Unknown ledger transaction type: ${type}`);
+  const value = roundMoney(amount);
+  if (!(value > 0)) throw new Error(`Ledger amount must be positive (got ${amount})`);
+
+  const existing = await this.findOne({ type, reference });
+  if (existing) return { transaction: existing, duplicate: true };
+
+  try {
+    const transaction = await this.create({
+      userId,
+      type,
+      direction: rule.direction,
+      amount: value,
+      reference,
+      externalReference,
+      source,
+      description,
+      postedAt,
+      metadata,
+      entries: [
+        { account: rule.debit, debit: value },
+        { account: rule.credit, credit: value },
+      ],
+    });
+    return { transaction, duplicate: false };
+  } catch (error) {
+    if (error.code === 11000) {  // Lost a race with a concurrent callback
+      return { transaction: await this.findOne({ type, reference }), duplicate: true };
+    }
+    throw error;
+  }
+};
+
+// Static: Per-policyholder totals + account balances (debit-positive)
+ledgerSchema.statics.getBalance = async function (userId, { asOf } = {}) {
+  const match = { userId: new mongoose.Types.ObjectId(String(userId)) };
+  if (asOf) match.postedAt = { $lte: new Date(asOf) };
+
+  const [byType, byAccount] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 }, lastPostedAt: { $max: '$postedAt' } } },
+    ]),
+    this.aggregate([
+      { $match: match },
+      { $unwind: '$entries' },
+      { $group: { _id: '$entries.account', debit: { $sum: '$entries.debit' }, credit: { $sum: '$entries.credit' } } },
+    ]),
+  ]);
+
+  const totals = Object.fromEntries(Object.keys(LEDGER_POSTING_RULES).map(type => [type, 0]));
+  let transactionCount = 0;
+  let lastPostedAt = null;
+  for (const row of byType) {
+    totals[row._id] = roundMoney(row.total);
+    transactionCount += row.count;
+    if (!lastPostedAt || row.lastPostedAt > lastPostedAt) lastPostedAt = row.lastPostedAt;
+  }
+
+  const accounts = byAccount.map(row => ({
+    account: row._id,
+    debit: roundMoney(row.debit),
+    credit: roundMoney(row.credit),
+    balance: roundMoney(row.debit - row.credit),
+  }));
+
+  return {
+    userId,
+    currency: 'KES',
+    totalPaidIn: roundMoney(totals.PremiumCollected + totals.RepaymentCollected),
+    totalPaidOut: roundMoney(totals.ClaimPaid + totals.Refund),
+    netPosition: roundMoney(totals.PremiumCollected + totals.RepaymentCollected - totals.ClaimPaid - totals.Refund),  // >0: creator has paid in more than received
+    totals,
+    accounts,
+    transactionCount,
+    lastPostedAt,
+  };
+};
+
+// Static: Chronological statement with opening balance and running net position
+ledgerSchema.statics.getStatement = async function (userId, { from, to, page = 1, limit = 50 } = {}) {
+  const uid = new mongoose.Types.ObjectId(String(userId));
+  const period = {};
+  if (from) period.$gte = new Date(from);
+  if (to) period.$lte = new Date(to);
+  const match = { userId: uid, ...(from || to ? { postedAt: period } : {}) };
+
+  const signed = { $cond: [{ $eq: ['$direction', 'In'] }, '$amount', { $multiply: ['$amount', -1] }] };
+  const skip = (Number(page) - 1) * Number(limit);
+
+  // Opening = everything before the period + earlier pages of this period
+  const [before] = from
+    ? await this.aggregate([{ $match: { userId: uid, postedAt: { $lt: new Date(from) } } }, { $group: { _id: null, net: { $sum: signed } } }])
+    : [];
+  const earlierPages = skip > 0
+    ? await this.find(match).sort({ postedAt: 1, _id: 1 }).limit(skip).select('direction amount').lean()
+    : [];
+  let running = (before?.net || 0) + earlierPages.reduce((sum, t) => sum + (t.direction === 'In' ? t.amount : -t.amount), 0);
+  const openingBalance = roundMoney(before?.net || 0);
+
+  const [transactions, total, [periodTotals]] = await Promise.all([
+    this.find(match).sort({ postedAt: 1, _id: 1 }).skip(skip).limit(Number(limit)).lean(),
+    this.countDocuments(match),
+    this.aggregate([{ $match: match }, { $group: { _id: null, net: { $sum: signed } } }]),
+  ]);
+
+  const lines = transactions.map(t => {
+    running += t.direction === 'In' ? t.amount : -t.amount;
+    return {
+      id: t._id,
+      date: t.postedAt,
+      type: t.type,
+      direction: t.direction,
+      amount: t.amount,
+      reference: t.reference,
+      externalReference: t.externalReference,
+      source: t.source,
+      description: t.description,
+      runningBalance: roundMoney(running),
+    };
+  });
+
+  return {
+    userId,
+    currency: 'KES',
+    period: { from: from || null, to: to || null },
+    openingBalance,
+    closingBalance: roundMoney(openingBalance + (periodTotals?.net || 0)),
+    transactions: lines,
+    pagination: { page: Number(page), limit: Number(limit), total, pages: Math.ceil(total / limit) },
+  };
+};
+
+const Ledger = mongoose.model('Ledger', ledgerSchema);
+
+export default Ledger;
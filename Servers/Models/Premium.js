@@ -1,6 +1,8 @@
 // Premium Schema (Full Rewrite: Insurance-Only, Created on Apply)
 import mongoose from 'mongoose';
 import User from './User.js';
+import { PAYMENT_METHODS } from '../Services/PaymentServices.js';
+import { POLICY_MONTHLY_CAP, POLICY_ANNUAL_CAP, POLICY_DEDUCTIBLE_DAYS } from '../Utilities/Constants.js';
 // import logger from '../Utilities/Logger.js';  // Uncomment when ready
 
 const { Schema } = mongoose;
@@ -29,7 +31,9 @@ const premiumSchema = new Schema({
     },
     finalPercentage: { type: Number, min: 2, max: 5, default: 2 },  // Locked to CCI range
     finalAmount: { type: Number, min: 1000, max: 5000, required: true },  // KSh 1k-5k
-    monthlyCap: { type: Number, default: 65000 },  // Payout coverage limit
+    monthlyCap: { type: Number, min: 0, default: POLICY_MONTHLY_CAP },  // Aggregate payouts per calendar month (by incident date)
+    annualCap: { type: Number, min: 0, default: POLICY_ANNUAL_CAP },  // Aggregate payouts per policy year
+    deductibleDays: { type: Number, min: 0, default: POLICY_DEDUCTIBLE_DAYS },  // First lost days of each claim not paid
     manualAdjustment: {
       percentage: { type: Number, default: 0 },
       reason: { type: String, trim: true, default: '' },
@@ -99,24 +103,40 @@ const premiumSchema = new Schema({
       },
     }],
   },
-  paymentStatus: {
+  paymentStatus: {  // Mirror of the current Invoice (Invoice.syncPremium); per-period bills live in Invoice
     status: { type: String, enum: ['Pending', 'Paid', 'Overdue', 'Failed'], default: 'Pending' },
     dueDate: { type: Date, required: true },
     paymentDate: { type: Date, default: null },
     paymentMethod: {
-      type: { type: String, enum: ['M-Pesa'], default: 'M-Pesa' },  // CCI: M-Pesa only
-      details: { type: String, trim: true, default: '' },
+      type: { type: String, enum: PAYMENT_METHODS, default: 'M-Pesa' },  // Method of the latest attempt
+      details: { type: String, trim: true, default: '' },  // Account it was charged to (phone / masked bank account / PayPal email)
     },
-    transactionId: { type: String, trim: true, default: '' },
-    attempts: [{
+    transactionId: { type: String, trim: true, default: '' },  // M-Pesa receipt once confirmed
+    attempts: [{  // Pre-invoice payment history (new attempts are recorded on the Invoice)
       date: { type: Date, default: Date.now },
-      status: { type: String, enum: ['Success', 'Failed'] },
+      status: { type: String, enum: ['Pending', 'Success', 'Failed', 'Cancelled', 'TimedOut'] },
       errorMessage: { type: String, trim: true },
+      // STK Push tracking (set when the push is sent; finalized by the signed callback)
+      reference: { type: String, trim: true },
+      amount: { type: Number, min: 0 },
+      phoneNumber: { type: String, trim: true },
+      merchantRequestId: { type: String, trim: true },
+      checkoutRequestId: { type: String, trim: true },
+      mpesaReceipt: { type: String, trim: true },
+      resultCode: { type: Number },
+      resultDesc: { type: String, trim: true },
+      completedAt: { type: Date, default: null },
     }],
   },
   billingCycle: { type: String, enum: ['Monthly'], default: 'Monthly' },
   renewalCount: { type: Number, default: 0 },
   lastRenewedAt: { type: Date, default: null },
+  closure: {  // Set on termination/surrender; the record is kept for history, refunds and the ledger
+    type: { type: String, enum: ['Terminated', 'Surrendered'], default: null },
+    closedAt: { type: Date, default: null },
+    reason: { type: String, trim: true, default: '' },
+    refundId: { type: Schema.Types.ObjectId, ref: 'Refund', default: null },
+  },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   nextCalculationDate: { type: Date, default: null },
@@ -219,7 +239,9 @@ premiumSchema.statics.createFromApplication = async function (userId) {
       basePercentage: 2,
       finalPercentage,
       finalAmount,
-      monthlyCap: 65000,
+      monthlyCap: POLICY_MONTHLY_CAP,
+      annualCap: POLICY_ANNUAL_CAP,
+      deductibleDays: POLICY_DEDUCTIBLE_DAYS,
       applicationDate: new Date(),
     },
     paymentStatus: { 
@@ -0,0 +1,209 @@
+// Receipt Schema (Numbered proof-of-payment documents: premium receipts and claim payout advice)
+// One document per confirmed transaction (keyed by the payment/payout attempt reference), rendered once as DOCX (plus
+// its PDF conversion when LibreOffice is available) and stored here so downloads and re-sent emails always match what
+// the creator was first given.
+import mongoose from 'mongoose';
+import User from './User.js';
+import Repayment from './Repayment.js';
+import { renderDocx, renderPdf, formatKsh, DOCX_MIME, PDF_MIME } from '../Services/DocumentServices.js';
+import logger from '../Utilities/Logger.js';
+
+const { Schema } = mongoose;
+
+const DOCUMENT_TYPES = {
+  PremiumReceipt: { prefix: 'RCT', title: 'Premium Receipt' },
+  PayoutAdvice: { prefix: 'PAV', title: 'Payout Advice' },
+};
+export const RECEIPT_FORMATS = ['docx', 'pdf'];  // First = default
+
+const formatDay = (date) => (date ? new Date(date).toISOString().split('T')[0] : '-');
+
+const receiptSchema = new Schema({
+  receiptNumber: { type: String, required: true, unique: true, trim: true },  // e.g., RCT-2026-000042 / PAV-2026-000007
+  type: { type: String, enum: Object.keys(DOCUMENT_TYPES), required: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  source: {
+    model: { type: String, enum: ['Invoice', 'Claim'], required: true },
+    id: { type: Schema.Types.ObjectId, required: true, refPath: 'source.model' },
+  },
+  reference: { type: String, required: true, unique: true, trim: true },  // Payment/payout attempt reference
+  amount: { type: Number, min: 0, required: true },  // Amount that moved (net of offsets for payout advice)
+  currency: { type: String, default: 'KES', trim: true },
+  method: { type: String, trim: true },
+  account: { type: String, trim: true, default: '' },
+  providerReceipt: { type: String, trim: true, default: '' },
+  issuedAt: { type: Date, default: Date.now },
+  content: { type: Schema.Types.Mixed, required: true },  // Rendered layout (title, recipient, sections, notes)
+  files: {
+    docx: { type: Buffer, select: false },
+    pdf: { type: Buffer, select: false },  // Absent when the PDF conversion was unavailable
+  },
+  emailedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+receiptSchema.index({ 'source.model': 1, 'source.id': 1 });
+
+// Static: Next sequential number for the document type, per calendar year (atomic counter)
+receiptSchema.statics.nextNumber = async function (type, date = new Date()) {
+  const { prefix } = DOCUMENT_TYPES[type];
+  const year = date.getUTCFullYear();
+  const counter = await mongoose.connection.collection('counters').findOneAndUpdate(
+    { _id: `${prefix}-${year}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return `${prefix}-${year}-${String(counter.seq).padStart(6, '0')}`;
+};
+
+// Static: Number, render and store a document; idempotent on the transaction reference
+receiptSchema.statics.issue = async function ({ type, reference, content, issuedAt = new Date(), ...fields }) {
+  const existing = await this.findOne({ reference }).select('+files.pdf +files.docx');
+  if (existing) return existing;
+
+  const receiptNumber = await this.nextNumber(type, issuedAt);
+  const layout = { ...content, title: DOCUMENT_TYPES[type].title, number: receiptNumber, issuedAt };
+  const docx = await renderDocx(layout);
+  let pdf;
+  try {
+    pdf = await renderPdf(docx);
+  } catch (error) {
+    logger.warn(`PDF copy of ${receiptNumber} not rendered (DOCX only): ${error.message}`);
+  }
+  try {
+    const receipt = await this.create({ ...fields, type, reference, receiptNumber, issuedAt, content: layout, files: { pdf, docx } });
+    logger.info(`${DOCUMENT_TYPES[type].title} ${receiptNumber} issued for ref ${reference}`);
+    return receipt;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return this.findOne({ reference }).select('+files.pdf +files.docx');  // Concurrent confirmation won the race
+  }
+};
+
+const describeRecipient = (user, fallback) =>
+  user ? `${user.personalInfo.fullName} <${user.personalInfo.email}>` : String(fallback);
+
+// Static: Premium receipt for a successful invoice payment attempt (lists every invoice an arrears payment settled)
+receiptSchema.statics.issueForPayment = async function (invoice, attempt) {
+  const user = await User.findById(invoice.userId).select('personalInfo');
+  const settled = attempt.settles.length
+    ? await invoice.constructor.find({ _id: { $in: attempt.settles } }).sort({ periodNumber: 1 }).lean()
+    : [];
+
+  const sections = [
+    {
+      heading: 'Payment',
+      rows: [
+        ['Invoice', `${invoice.invoiceNumber} (period ${invoice.periodNumber}: ${formatDay(invoice.periodStart)} to ${formatDay(invoice.periodEnd)})`],
+        ['Purpose', attempt.purpose === 'Reinstatement' ? 'Policy reinstatement (arrears)' : 'Monthly premium'],
+        ['Amount paid', formatKsh(attempt.amount)],
+        ['Payment method', attempt.method],
+        ['Account', attempt.account || attempt.phoneNumber || '-'],
+        ['Provider receipt', attempt.mpesaReceipt || '-'],
+        ['Payment reference', attempt.reference],
+        ['Paid on', formatDay(invoice.paidAt || attempt.completedAt)],
+      ],
+    },
+  ];
+  if (invoice.status !== 'Paid') {  // Part payment: the invoice stays open for the rest
+    sections[0].rows.push(['Balance remaining', formatKsh(invoice.balance)]);
+  }
+  if (settled.length) {
+    sections.push({
+      heading: 'Invoices settled',
+      rows: [invoice, ...settled].map(i => [i.invoiceNumber, `${formatDay(i.periodStart)} to ${formatDay(i.periodEnd)}: ${formatKsh(i.amount)}`]),
+    });
+  }
+
+  return this.issue({
+    type: 'PremiumReceipt',
+    userId: invoice.userId,
+    source: { model: 'Invoice', id: invoice._id },
+    reference: attempt.reference,
+    amount: attempt.amount,
+    method: attempt.method,
+    account: attempt.account || attempt.phoneNumber || '',
+    providerReceipt: attempt.mpesaReceipt || '',
+    issuedAt: invoice.paidAt || new Date(),
+    content: {
+      recipient: describeRecipient(user, invoice.userId),
+      sections,
+      notes: ['This receipt confirms that CCI received the premium payment above. Keep it for your records.'],
+    },
+  });
+};
+
+// Static: Payout advice for a paid claim; `attempt` is the confirmed disbursement, or null when offsets covered it all
+receiptSchema.statics.issueForPayout = async function (claim, attempt = null) {
+  const { evaluation, claimDetails } = claim;
+  const userId = claimDetails.userId?._id || claimDetails.userId;
+  const user = await User.findById(userId).select('personalInfo');
+  const offsets = evaluation.payout.offsets || [];
+  const repayments = offsets.length
+    ? await Repayment.find({ _id: { $in: offsets.map(o => o.repaymentId) } }).select('repaymentNumber').lean()
+    : [];
+  const repaymentNumber = (id) => repayments.find(r => r._id.equals(id))?.repaymentNumber || 'repayment';
+  const netAmount = attempt ? attempt.amount : 0;
+
+  const sections = [
+    {
+      heading: 'Claim',
+      rows: [
+        ['Claim ID', claim._id.toString()],
+        ['Incident', `${claimDetails.incidentType} on ${formatDay(claimDetails.incidentDate)}`],
+        ['Revenue drop', `${Number(evaluation.revenueDropPercent || 0).toFixed(1)}% over ${evaluation.lostDays || 0} day(s)`],
+      ],
+    },
+    {
+      heading: 'Payout',
+      rows: [
+        ['Approved payout', formatKsh(evaluation.payoutAmount)],
+        ...offsets.map(o => [`Withheld (${repaymentNumber(o.repaymentId)})`, `- ${formatKsh(o.amount)}`]),
+        ['Amount sent', formatKsh(netAmount)],
+        ['Payout method', attempt ? attempt.method : 'Repayment offset (nothing sent)'],
+        ['Account', attempt?.account || evaluation.payout.phoneNumber || '-'],
+        ['Provider receipt', attempt?.mpesaReceipt || '-'],
+        ['Payout reference', attempt?.reference || offsets[0]?.reference || '-'],
+        ['Paid on', formatDay(evaluation.payoutDate)],
+      ],
+    },
+  ];
+
+  return this.issue({
+    type: 'PayoutAdvice',
+    userId,
+    source: { model: 'Claim', id: claim._id },
+    reference: attempt?.reference || offsets[0]?.reference || `CLM-${claim._id}`,
+    amount: netAmount,
+    method: attempt?.method || 'Offset',
+    account: attempt?.account || '',
+    providerReceipt: attempt?.mpesaReceipt || '',
+    issuedAt: evaluation.payoutDate || new Date(),
+    content: {
+      recipient: describeRecipient(user, userId),
+      sections,
+      notes: [offsets.length
+        ? 'Amounts withheld were applied to your outstanding reinstatement repayment(s) and are recorded on your repayment statement.'
+        : 'This advice confirms that CCI has paid your claim. Keep it for your records.'],
+    },
+  });
+};
+
+// Method: Stored file for download or attachment (load with .select('+files.pdf +files.docx'))
+receiptSchema.methods.getFile = function (format = RECEIPT_FORMATS[0]) {
+  const content = this.files?.[format];
+  if (!content) throw Object.assign(new Error(`No ${format.toUpperCase()} stored for ${this.receiptNumber}`), { statusCode: 404 });
+  return {
+    filename: `CCI_${this.receiptNumber}.${format}`,
+    content,
+    contentType: format === 'pdf' ? PDF_MIME : DOCX_MIME,
+  };
+};
+
+// Method: Every stored format as sendEmail attachments
+receiptSchema.methods.toAttachments = function () {
+  return RECEIPT_FORMATS.filter(format => this.files?.[format]).map(format => this.getFile(format));
+};
+
+const Receipt = mongoose.model('Receipt', receiptSchema);
+
+export default Receipt;
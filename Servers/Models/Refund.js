@@ -0,0 +1,427 @@
+// Refund Schema (Termination statement + pro-rata premium refund when a policy is terminated or surrendered)
+// Unearned premium = paid share of periods after the effective date; what open claims still stand to be paid is held
+// back until they close, then the refund is recalculated and the rest released. Each payment goes back through the
+// creator's payment method and is posted to the ledger as a Refund once confirmed.
+import mongoose from 'mongoose';
+import Claim from './Claim.js';
+import Invoice from './Invoice.js';
+import Ledger from './Ledger.js';
+import Premium from './Premium.js';
+import User from './User.js';
+import { generatePaymentReference, getPaymentProvider, resolvePaymentMethod, PAYMENT_METHODS } from '../Services/PaymentServices.js';
+import { sendEmail } from '../Services/EmailServices.js';
+import logger from '../Utilities/Logger.js';
+
+const { Schema } = mongoose;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const B2C_MINIMUM = 10;  // Daraja B2C floor (KSh); smallest refund worth sending on any provider
+const PAYOUT_POLL_AFTER_MINUTES = Number(process.env.PAYOUT_POLL_AFTER_MINUTES || 10);
+const PAYOUT_MAX_RETRIES = Number(process.env.PAYOUT_MAX_RETRIES || 3);  // Same backoff as claim payouts
+const PAYOUT_RETRY_BASE_MINUTES = Number(process.env.PAYOUT_RETRY_BASE_MINUTES || 15);
+const OPEN_CLAIM_STATUSES = ['Submitted', 'Under Review', 'AI Reviewed', 'Manual Review', 'Approved', 'Payout Pending'];
+
+const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const refundSchema = new Schema({
+  premiumId: { type: Schema.Types.ObjectId, ref: 'Premium', required: true, unique: true },  // One closure per policy
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refundNumber: { type: String, required: true, unique: true, trim: true },  // e.g., RFD-3f9a1c
+  type: { type: String, enum: ['Terminated', 'Surrendered'], required: true },
+  reason: { type: String, trim: true, default: '' },
+  effectiveDate: { type: Date, required: true },
+  statement: {
+    periods: [{
+      invoiceNumber: { type: String, trim: true },
+      periodStart: { type: Date },
+      periodEnd: { type: Date },
+      amountPaid: { type: Number, min: 0 },
+      unusedDays: { type: Number, min: 0 },
+      totalDays: { type: Number, min: 0 },
+      unearned: { type: Number, min: 0 },
+      _id: false,
+    }],
+    premiumsPaid: { type: Number, min: 0, default: 0 },
+    unearnedPremium: { type: Number, min: 0, default: 0 },
+    claimLiabilities: [{
+      claimId: { type: Schema.Types.ObjectId, ref: 'Claim' },
+      status: { type: String, trim: true },
+      amount: { type: Number, min: 0 },  // Payout still owed on the claim (capped at the unearned premium left)
+      estimated: { type: Boolean, default: false },  // Not yet evaluated: the unearned premium not held for others
+      _id: false,
+    }],
+    liabilitiesTotal: { type: Number, min: 0, default: 0 },
+    notes: [{ type: String, trim: true }],
+  },
+  amount: { type: Number, min: 0, required: true },  // Refund due in total (whole KSh; sent across one or more attempts)
+  currency: { type: String, default: 'KES', trim: true },
+  status: { type: String, enum: ['NotDue', 'Held', 'Queued', 'Pending', 'Paid', 'Failed'], default: 'Queued' },  // Held: open claims
+  payout: {
+    method: { type: String, enum: PAYMENT_METHODS, default: 'M-Pesa' },
+    phoneNumber: { type: String, trim: true },
+    details: {  // Refund account (User.financialInfo.paymentMethod.details at closure)
+      mobileNumber: { type: String, trim: true },
+      bankName: { type: String, trim: true },
+      accountNumber: { type: String, trim: true },
+      paypalEmail: { type: String, trim: true },
+    },
+    account: { type: String, trim: true, default: '' },  // Display form (phone / masked bank account / PayPal email)
+    lastError: { type: String, trim: true, default: '' },
+    retryCount: { type: Number, min: 0, default: 0 },  // Failed attempts since the last release/manual retry
+    nextRetryAt: { type: Date, default: null },
+    attempts: [{
+      reference: { type: String, trim: true },  // OriginatorConversationID + signed callback ref + ledger key
+      conversationId: { type: String, trim: true },  // Provider request id
+      method: { type: String, enum: PAYMENT_METHODS, default: 'M-Pesa' },
+      amount: { type: Number, min: 0 },
+      status: { type: String, enum: ['Pending', 'Success', 'Failed', 'TimedOut'], default: 'Pending' },
+      resultCode: { type: Number },
+      resultDesc: { type: String, trim: true },
+      mpesaReceipt: { type: String, trim: true },  // Provider receipt
+      date: { type: Date, default: Date.now },
+      completedAt: { type: Date, default: null },
+    }],
+  },
+  paidAt: { type: Date, default: null },
+  mpesaReceipt: { type: String, trim: true, default: '' },  // Provider receipt of the paid attempt
+  ledgerTransactionId: { type: Schema.Types.ObjectId, ref: 'Ledger', default: null },
+  issuedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+// Indexes
+refundSchema.index({ status: 1, updatedAt: -1 });
+refundSchema.index({ 'payout.attempts.reference': 1 });  // B2C callback lookup
+refundSchema.index({ status: 1, 'payout.nextRetryAt': 1 });  // Retry sweep
+
+// Static: Pro-rata unearned premium and claim hold-backs for a policy ending on effectiveDate (no writes)
+refundSchema.statics.calculate = async function (premium, { effectiveDate = new Date() } = {}) {
+  const end = new Date(effectiveDate);
+  // Paid invoices, plus open ones part-paid at the paybill (amountPaid is what was actually collected)
+  const paid = await Invoice.find({ premiumId: premium._id, status: { $ne: 'Void' }, amountPaid: { $gt: 0 } }).sort({ periodNumber: 1 }).lean();
+
+  const periods = paid
+    .filter(i => i.periodEnd > end)
+    .map(i => {
+      const totalMs = i.periodEnd - i.periodStart;
+      const unusedMs = i.periodEnd - Math.max(end.getTime(), i.periodStart.getTime());
+      return {
+        invoiceNumber: i.invoiceNumber,
+        periodStart: i.periodStart,
+        periodEnd: i.periodEnd,
+        amountPaid: i.amountPaid,
+        unusedDays: Math.round(unusedMs / DAY_MS),
+        totalDays: Math.round(totalMs / DAY_MS),
+        unearned: roundMoney(totalMs > 0 ? i.amountPaid * (unusedMs / totalMs) : 0),
+      };
+    });
+  const unearnedPremium = roundMoney(periods.reduce((sum, p) => sum + p.unearned, 0));
+
+  // Evaluated claims hold only the payout they are still owed (repayment offsets already withheld are not owed
+  // again); unevaluated ones share whatever unearned premium is left, so no premium is held back twice
+  const openClaims = await Claim.find({ 'claimDetails.userId': premium.premiumDetails.userId, currentStatus: { $in: OPEN_CLAIM_STATUSES } });
+  const evaluatedFirst = [...openClaims].sort((a, b) => Number(b.evaluation.payoutAmount > 0) - Number(a.evaluation.payoutAmount > 0));
+  let unheld = unearnedPremium;
+  const claimLiabilities = evaluatedFirst.map(c => {
+    const evaluated = c.evaluation.payoutAmount > 0;
+    const amount = roundMoney(Math.min(evaluated ? c.getNetPayoutAmount() : unheld, unheld));
+    unheld = roundMoney(unheld - amount);
+    return { claimId: c._id, status: c.currentStatus, amount, estimated: !evaluated };
+  });
+  const liabilitiesTotal = roundMoney(claimLiabilities.reduce((sum, c) => sum + c.amount, 0));
+
+  const notes = [];
+  if (claimLiabilities.length) {
+    notes.push('Amounts held back for open claims are released (less anything they are paid) once those claims are decided');
+  }
+  let amount = Math.max(Math.floor(unearnedPremium - liabilitiesTotal), 0);
+  if (amount > 0 && amount < B2C_MINIMUM) {
+    notes.push(`Refund of KSh ${amount} is below the M-Pesa minimum of KSh ${B2C_MINIMUM}`);
+    amount = 0;
+  }
+
+  return {
+    statement: {
+      periods,
+      premiumsPaid: roundMoney(paid.reduce((sum, i) => sum + i.amountPaid, 0)),
+      unearnedPremium,
+      claimLiabilities,
+      liabilitiesTotal,
+      notes,
+    },
+    amount,
+  };
+};
+
+// Static: Record the termination statement for a closing policy and send any refund (idempotent per premium)
+refundSchema.statics.issueForClosure = async function ({ premium, user, type, reason = '', effectiveDate = new Date(), issuedBy = null }) {
+  const existing = await this.findOne({ premiumId: premium._id });
+  if (existing) return existing;
+
+  const { statement, amount } = await this.calculate(premium, { effectiveDate });
+  const { method, details } = resolvePaymentMethod(user);
+  const refund = await this.create({
+    premiumId: premium._id,
+    userId: user._id,
+    refundNumber: `RFD-${premium._id.toString().slice(-6)}`,
+    type,
+    reason,
+    effectiveDate,
+    statement,
+    amount,
+    status: 'NotDue',
+    payout: { method: getPaymentProvider(method) ? method : 'M-Pesa', phoneNumber: details.mobileNumber, details },
+    issuedBy,
+  });
+
+  await refund.release();
+  await refund.sendStatement(user);
+  logger.info(`Termination statement ${refund.refundNumber} for user ${user._id}: unearned KSh ${statement.unearnedPremium}, held back KSh ${statement.liabilitiesTotal}, refund KSh ${amount} (${refund.status})`);
+  return refund;
+};
+
+// Method: Refund paid out so far (confirmed attempts)
+refundSchema.methods.getPaidAmount = function () {
+  return roundMoney(this.payout.attempts.filter(a => a.status === 'Success').reduce((sum, a) => sum + a.amount, 0));
+};
+
+// Method: Due but not yet sent (whole KSh)
+refundSchema.methods.getOutstanding = function () {
+  return Math.max(Math.floor(this.amount - this.getPaidAmount()), 0);
+};
+
+// Method: Send what is due and not yet paid; otherwise settle the status (Held while claims are held against it)
+refundSchema.methods.release = async function () {
+  if (this.getOutstanding() >= B2C_MINIMUM) {
+    this.status = 'Queued';
+    this.payout.retryCount = 0;
+    return this.dispatchPayout();
+  }
+  this.status = this.statement.claimLiabilities.length ? 'Held' : (this.getPaidAmount() > 0 ? 'Paid' : 'NotDue');
+  await this.save();
+  return null;
+};
+
+// Method: Re-run the statement for a Held refund (claims decided since) and release what has become due
+refundSchema.methods.recalculate = async function () {
+  if (this.status !== 'Held') return null;
+  const premium = await Premium.findById(this.premiumId);
+  if (!premium) return null;
+
+  const previousAmount = this.amount;
+  const { statement, amount } = await this.constructor.calculate(premium, { effectiveDate: this.effectiveDate });
+  this.statement = statement;
+  this.amount = Math.max(amount, Math.ceil(this.getPaidAmount()));  // Already-sent refunds are never clawed back
+  const dispatched = await this.release();
+  logger.info(`Refund ${this.refundNumber} recalculated: KSh ${previousAmount} → KSh ${this.amount}, ${statement.claimLiabilities.length} claim(s) still held (${this.status})`);
+
+  if (this.amount !== previousAmount || this.status !== 'Held') {
+    const user = await User.findById(this.userId);
+    if (user) await this.sendStatement(user);
+  }
+  return dispatched;
+};
+
+// Static: Recalculate Held refunds (one creator's when a claim of theirs closes; all of them from the scheduler)
+refundSchema.statics.releaseHeld = async function (userId = null) {
+  const held = await this.find({ status: 'Held', ...(userId && { userId }) });
+  for (const refund of held) {
+    await refund.recalculate();
+  }
+  return held.length;
+};
+
+// Method: Send (or re-send) the outstanding refund via the creator's payment method; failures back off and retry
+refundSchema.methods.dispatchPayout = async function () {
+  const reference = generatePaymentReference('RFD');
+  const { method } = this.payout;
+  const provider = getPaymentProvider(method);
+  const amount = this.getOutstanding();
+  try {
+    const { mobileNumber, bankName, accountNumber, paypalEmail } = this.payout.details || {};
+    const account = await provider.verifyAccount({ mobileNumber: mobileNumber || this.payout.phoneNumber, bankName, accountNumber, paypalEmail });
+    if (!account.valid) throw new Error(account.error);
+    this.payout.account = account.display;
+
+    // A single earlier charge on the same method that covers the refund can be refunded in place (PayPal)
+    const covering = await Invoice.findOne({
+      premiumId: this.premiumId,
+      attempts: { $elemMatch: { status: 'Success', method, amount: { $gte: amount } } },
+    }).sort({ periodNumber: -1 }).lean();
+    const originalReceipt = covering?.attempts.filter(a => a.status === 'Success' && a.method === method && a.amount >= amount).pop()?.mpesaReceipt;
+
+    const { providerRequestId, result } = await provider.refund({
+      details: account.details,
+      amount,
+      reference,
+      remarks: `CCI premium refund ${this.refundNumber}`,
+      occasion: this.refundNumber,
+      callbackBase: '/api/refunds',
+      originalReceipt,
+    });
+    this.payout.attempts.push({ reference, conversationId: providerRequestId, method, amount, status: 'Pending', date: new Date() });
+    this.status = 'Pending';
+    this.payout.lastError = '';
+    this.payout.nextRetryAt = null;
+    await this.save();
+    if (result) await this.completePayout(reference, result);  // Provider settled synchronously
+    return { reference, conversationId: providerRequestId };
+  } catch (error) {
+    this.payout.attempts.push({
+      reference, method, amount, status: 'Failed', resultDesc: error.message, date: new Date(), completedAt: new Date(),
+    });
+    this.payout.retryCount += 1;
+    await this.schedulePayoutRetry(error.message);
+    return null;
+  }
+};
+
+// Method: Back off and retry, or give up after PAYOUT_MAX_RETRIES (retryCount = failed attempts so far)
+refundSchema.methods.schedulePayoutRetry = async function (reason) {
+  if (this.payout.retryCount > PAYOUT_MAX_RETRIES) {
+    this.payout.nextRetryAt = null;
+    return this.markFailed(`${reason} (after ${this.payout.retryCount} attempts)`);
+  }
+  this.status = 'Queued';
+  this.payout.lastError = reason;
+  this.payout.nextRetryAt = new Date(Date.now() + PAYOUT_RETRY_BASE_MINUTES * Math.pow(2, this.payout.retryCount - 1) * 60 * 1000);
+  await this.save();
+  logger.warn(`Refund ${this.refundNumber} will retry at ${this.payout.nextRetryAt.toISOString()}: ${reason}`);
+};
+
+// Static: Re-dispatch queued refunds whose backoff has elapsed (scheduler job)
+refundSchema.statics.retryDuePayouts = async function (limit = 20) {
+  const due = await this.find({ status: 'Queued', 'payout.nextRetryAt': { $lte: new Date() } }).limit(limit);
+  let dispatched = 0;
+  for (const refund of due) {
+    if (await refund.dispatchPayout()) dispatched += 1;
+  }
+  return { due: due.length, dispatched };
+};
+
+// Method: Give up and alert admins (retry from the admin refunds queue)
+refundSchema.methods.markFailed = async function (reason) {
+  this.status = 'Failed';
+  this.payout.lastError = reason;
+  await this.save();
+  logger.error(`Refund ${this.refundNumber} failed: ${reason}`);
+  try {
+    await sendEmail({
+      to: process.env.ADMIN_EMAIL || 'admin@cci.com',
+      subject: `Premium refund failed - ${this.refundNumber}`,
+      text: `${this.payout.method} refund of KSh ${this.amount} (${this.refundNumber}, user ${this.userId}) failed: ${reason}. Retry from the admin refunds queue.`,
+    });
+  } catch (emailError) {
+    logger.error(`Failed refund alert email error for ${this.refundNumber}: ${emailError.message}`);
+  }
+};
+
+// Method: Apply a provider payout result (callback, status poll or queue timeout); idempotent per attempt reference
+refundSchema.methods.completePayout = async function (reference, result, { timedOut = false } = {}) {
+  const attempt = this.payout.attempts.find(a => a.reference === reference);
+  if (!attempt) throw new Error(`No refund attempt ${reference} on ${this.refundNumber}`);
+  if (attempt.status !== 'Pending') {
+    return { attempt, paid: attempt.status === 'Success', duplicate: true };
+  }
+
+  attempt.resultCode = result.resultCode;
+  attempt.resultDesc = result.resultDesc;
+  attempt.completedAt = new Date();
+
+  if (!timedOut && result.resultCode === 0) {
+    attempt.status = 'Success';
+    attempt.mpesaReceipt = result.receipt;
+    this.status = this.statement.claimLiabilities.length ? 'Held' : 'Paid';  // Held: more may follow once claims close
+    this.payout.nextRetryAt = null;
+    this.paidAt = result.completedAt || new Date();
+    this.mpesaReceipt = result.receipt;
+    await this.save();
+
+    try {
+      const { transaction } = await Ledger.post({
+        userId: this.userId,
+        type: 'Refund',
+        amount: attempt.amount,
+        reference: attempt.reference,
+        externalReference: result.receipt,
+        source: { model: 'Premium', id: this.premiumId },
+        description: `Pro-rata premium refund ${this.refundNumber} (${this.type.toLowerCase()}) via ${attempt.method}`,
+        postedAt: this.paidAt,
+        metadata: { refundId: this._id },
+      });
+      this.ledgerTransactionId = transaction._id;
+      await this.save();
+    } catch (error) {
+      logger.error(`Ledger posting failed for refund ${this.refundNumber} (ref ${reference}): ${error.message}`);
+    }
+    logger.info(`Refund confirmed: ${this.refundNumber}, KSh ${attempt.amount}, receipt ${result.receipt}`);
+    return { attempt, paid: true, duplicate: false };
+  }
+
+  attempt.status = timedOut ? 'TimedOut' : 'Failed';
+  this.payout.retryCount += 1;
+  await this.schedulePayoutRetry(timedOut ? 'B2C request timed out in queue' : result.resultDesc);
+  return { attempt, paid: false, duplicate: false };
+};
+
+// Static: Ask providers about refunds still unconfirmed after PAYOUT_POLL_AFTER_MINUTES (PayPal never calls back)
+refundSchema.statics.pollPendingPayouts = async function (limit = 20) {
+  const cutoff = new Date(Date.now() - PAYOUT_POLL_AFTER_MINUTES * 60 * 1000);
+  const pending = await this.find({
+    status: 'Pending',
+    'payout.attempts': { $elemMatch: { status: 'Pending', date: { $lte: cutoff } } },
+  }).limit(limit);
+
+  let completed = 0;
+  for (const refund of pending) {
+    for (const attempt of refund.payout.attempts.filter(a => a.status === 'Pending' && a.date <= cutoff)) {
+      const provider = getPaymentProvider(attempt.method);
+      if (!provider?.queryPayout || !attempt.conversationId) continue;
+      try {
+        const result = await provider.queryPayout(attempt.conversationId);
+        if (!result) continue;
+        await refund.completePayout(attempt.reference, result);
+        completed += 1;
+      } catch (error) {
+        logger.warn(`Refund status query failed for ${refund.refundNumber} (ref ${attempt.reference}): ${error.message}`);
+      }
+    }
+  }
+  return { pending: pending.length, completed };
+};
+
+// Method: Plain-text termination statement
+refundSchema.methods.renderStatement = function (user) {
+  const { periods, premiumsPaid, unearnedPremium, claimLiabilities, liabilitiesTotal, notes } = this.statement;
+  const lines = [
+    `CCI Termination Statement ${this.refundNumber}`,
+    `Policyholder: ${user?.personalInfo?.fullName || this.userId}`,
+    `Policy ${this.type.toLowerCase()} effective ${this.effectiveDate.toDateString()}${this.reason ? ` (${this.reason})` : ''}`,
+    '',
+    `Premiums paid: KSh ${premiumsPaid}`,
+    ...periods.map(p => `  ${p.invoiceNumber}: ${p.unusedDays}/${p.totalDays} days unused of KSh ${p.amountPaid} → KSh ${p.unearned}`),
+    `Unearned premium: KSh ${unearnedPremium}`,
+    ...claimLiabilities.map(c => `  Less open claim ${c.claimId} (${c.status}${c.estimated ? ', pending evaluation' : ''}): KSh ${c.amount}`),
+    `Claim liabilities held back: KSh ${liabilitiesTotal}`,
+    `Refund due: KSh ${this.amount}${this.amount > 0 ? ` via ${this.payout.method} to ${this.payout.account || this.payout.phoneNumber}` : ''}`,
+    ...(this.getPaidAmount() > 0 ? [`Refunded so far: KSh ${this.getPaidAmount()}`] : []),
+    ...notes.map(n => `Note: ${n}`),
+  ];
+  return lines.join('\n');
+};
+
+// Method: Email the termination statement
+refundSchema.methods.sendStatement = async function (user) {
+  try {
+    await sendEmail({
+      to: user.personalInfo.email,
+      subject: `CCI Insurance Contract ${this.type} - Statement ${this.refundNumber}`,
+      text: `Dear ${user.personalInfo.fullName || user.personalInfo.firstName || 'Creator'},\n\n${this.renderStatement(user)}`,
+    });
+  } catch (emailError) {
+    logger.error(`Termination statement email failed for ${this.refundNumber}: ${emailError.message}`);
+  }
+};
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
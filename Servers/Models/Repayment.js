@@ -0,0 +1,375 @@
+// Repayment Schema (Obligation created when a paid claim is reinstated: repay a share of the payout by a deadline)
+// Collected by M-Pesa STK Push (full or per instalment) or offset against the creator's next claim payout;
+// escalated (fraud-score penalty, new claims blocked, admins notified) once the deadline passes unpaid.
+import mongoose from 'mongoose';
+import User from './User.js';
+import Ledger from './Ledger.js';
+import { initiateStkPush, generatePaymentReference, mapStkResultToStatus } from '../Services/PaymentServices.js';
+import { sendEmail } from '../Services/EmailServices.js';
+import { addDays } from '../Utilities/Helper.js';
+import { REPAYMENT_RATE, REPAYMENT_WINDOW_DAYS, REPAYMENT_MAX_INSTALMENTS, REPAYMENT_DEFAULT_FRAUD_PENALTY } from '../Utilities/Constants.js';
+import logger from '../Utilities/Logger.js';
+
+const { Schema } = mongoose;
+
+const OUTSTANDING_STATUSES = ['Open', 'PartiallyPaid', 'Defaulted'];
+const REMINDER_DAYS = Number(process.env.REPAYMENT_REMINDER_DAYS || 3);  // Before the final deadline
+
+const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const instalmentSchema = new Schema({
+  number: { type: Number, min: 1, required: true },
+  dueDate: { type: Date, required: true },
+  amount: { type: Number, min: 0, required: true },
+  amountPaid: { type: Number, min: 0, default: 0 },
+  status: { type: String, enum: ['Pending', 'Paid', 'Overdue'], default: 'Pending' },
+  paidAt: { type: Date, default: null },
+}, { _id: false });
+
+const attemptSchema = new Schema({
+  date: { type: Date, default: Date.now },
+  status: { type: String, enum: ['Pending', 'Success', 'Failed', 'Cancelled', 'TimedOut'], default: 'Pending' },
+  reference: { type: String, trim: true },  // Signed callback ref + ledger idempotency key
+  amount: { type: Number, min: 0 },
+  phoneNumber: { type: String, trim: true },
+  merchantRequestId: { type: String, trim: true },
+  checkoutRequestId: { type: String, trim: true },
+  mpesaReceipt: { type: String, trim: true },
+  resultCode: { type: Number },
+  resultDesc: { type: String, trim: true },
+  completedAt: { type: Date, default: null },
+});
+
+const offsetSchema = new Schema({
+  claimId: { type: Schema.Types.ObjectId, ref: 'Claim', required: true },  // Payout the amount was withheld from
+  reference: { type: String, trim: true, required: true },
+  amount: { type: Number, min: 0, required: true },
+  date: { type: Date, default: Date.now },
+}, { _id: false });
+
+const repaymentSchema = new Schema({
+  claimId: { type: Schema.Types.ObjectId, ref: 'Claim', required: true, unique: true },  // Reinstated claim
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  repaymentNumber: { type: String, required: true, unique: true, trim: true },  // e.g., RPY-3f9a1c
+  amount: { type: Number, min: 0, required: true },
+  amountPaid: { type: Number, min: 0, default: 0 },
+  currency: { type: String, default: 'KES', trim: true },
+  deadline: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['Open', 'PartiallyPaid', 'Paid', 'Defaulted'],
+    default: 'Open',
+  },
+  instalments: [instalmentSchema],
+  attempts: [attemptSchema],
+  offsets: [offsetSchema],
+  paidAt: { type: Date, default: null },
+  remindedAt: { type: Date, default: null },
+  escalation: {
+    escalatedAt: { type: Date, default: null },
+    fraudPenalty: { type: Number, min: 0, default: 0 },
+    balanceAtEscalation: { type: Number, min: 0, default: 0 },
+  },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+// Indexes
+repaymentSchema.index({ status: 1, deadline: 1 });
+repaymentSchema.index({ 'attempts.checkoutRequestId': 1 });  // Callback lookup
+
+repaymentSchema.virtual('balance').get(function () {
+  return roundMoney(Math.max(this.amount - this.amountPaid, 0));
+});
+repaymentSchema.set('toJSON', { virtuals: true });
+
+// Static: Open the obligation for a reinstated claim (idempotent per claim); split into equal instalments
+repaymentSchema.statics.openForClaim = async function (claim, { instalments = 1, createdBy = null, now = new Date() } = {}) {
+  const existing = await this.findOne({ claimId: claim._id });
+  if (existing) return existing;
+
+  const count = Math.min(Math.max(parseInt(instalments, 10) || 1, 1), REPAYMENT_MAX_INSTALMENTS);
+  const amount = roundMoney(claim.evaluation.payoutAmount * REPAYMENT_RATE);
+  const deadline = addDays(now, REPAYMENT_WINDOW_DAYS);
+  const share = roundMoney(amount / count);
+  const plan = Array.from({ length: count }, (_, i) => ({
+    number: i + 1,
+    dueDate: i === count - 1 ? deadline : addDays(now, Math.round((REPAYMENT_WINDOW_DAYS * (i + 1)) / count)),
+    amount: i === count - 1 ? roundMoney(amount - share * (count - 1)) : share,
+  }));
+
+  return this.create({
+    claimId: claim._id,
+    userId: claim.claimDetails.userId,
+    repaymentNumber: `RPY-${claim._id.toString().slice(-6)}`,
+    amount,
+    deadline,
+    instalments: plan,
+    createdBy,
+  });
+};
+
+// Static: Any escalated (unpaid past deadline) obligation blocks new claims
+repaymentSchema.statics.findDefaulted = function (userId) {
+  return this.findOne({ userId, status: 'Defaulted' }).select('repaymentNumber amount amountPaid deadline');
+};
+
+// Static: Withhold outstanding repayments from a new claim payout (oldest deadline first)
+// Posts RepaymentCollected (reinstated claim) + ClaimPaid (new claim) under one OFS reference: no cash moves.
+repaymentSchema.statics.offsetAgainstPayout = async function (claim, payoutAmount) {
+  const outstanding = await this.find({
+    userId: claim.claimDetails.userId,
+    claimId: { $ne: claim._id },
+    status: { $in: OUTSTANDING_STATUSES },
+  }).sort({ deadline: 1 });
+
+  let available = roundMoney(payoutAmount);
+  const applied = [];
+  for (const repayment of outstanding) {
+    if (available <= 0) break;
+    const amount = Math.min(repayment.balance, available);
+    if (amount <= 0) continue;
+    const reference = generatePaymentReference('OFS');
+    const postedAt = new Date();
+
+    repayment.offsets.push({ claimId: claim._id, reference, amount, date: postedAt });
+    repayment.applyPayment(amount, postedAt);
+    await repayment.save();
+
+    try {
+      await Ledger.post({
+        userId: repayment.userId,
+        type: 'RepaymentCollected',
+        amount,
+        reference,
+        source: { model: 'Claim', id: repayment.claimId },
+        description: `Repayment ${repayment.repaymentNumber} offset against claim ${claim._id} payout`,
+        postedAt,
+        metadata: { repaymentId: repayment._id, offsetClaimId: claim._id },
+      });
+      await Ledger.post({
+        userId: repayment.userId,
+        type: 'ClaimPaid',
+        amount,
+        reference,
+        source: { model: 'Claim', id: claim._id },
+        description: `Claim payout withheld to settle repayment ${repayment.repaymentNumber}`,
+        postedAt,
+        metadata: { repaymentId: repayment._id },
+      });
+    } catch (error) {
+      logger.error(`Ledger posting failed for repayment offset ${reference}: ${error.message}`);
+    }
+
+    available = roundMoney(available - amount);
+    applied.push({ repaymentId: repayment._id, repaymentNumber: repayment.repaymentNumber, reference, amount, date: postedAt });
+    logger.info(`Offset KSh ${amount} of claim ${claim._id} payout against ${repayment.repaymentNumber} (ref ${reference})`);
+  }
+
+  return { applied, total: roundMoney(payoutAmount - available) };
+};
+
+// Static: Scheduler tick: flag missed instalments, remind before the deadline, escalate defaults
+repaymentSchema.statics.runCollectionCycle = async function (now = new Date()) {
+  const counts = { instalmentsOverdue: 0, reminded: 0, escalated: 0 };
+
+  const withMissedInstalments = await this.find({
+    status: { $in: ['Open', 'PartiallyPaid'] },
+    instalments: { $elemMatch: { status: 'Pending', dueDate: { $lt: now } } },
+  });
+  for (const repayment of withMissedInstalments) {
+    for (const instalment of repayment.instalments) {
+      if (instalment.status === 'Pending' && instalment.dueDate < now) {
+        instalment.status = 'Overdue';
+        counts.instalmentsOverdue += 1;
+      }
+    }
+    await repayment.save();
+  }
+
+  const dueSoon = await this.find({
+    status: { $in: ['Open', 'PartiallyPaid'] },
+    remindedAt: null,
+    deadline: { $gte: now, $lte: addDays(now, REMINDER_DAYS) },
+  });
+  for (const repayment of dueSoon) {
+    const user = await User.findById(repayment.userId).select('personalInfo');
+    try {
+      await sendEmail({
+        to: user.personalInfo.email,
+        subject: 'CCI Repayment Reminder',
+        text: `Dear ${user.personalInfo.fullName},\n\nKSh ${repayment.balance} of repayment ${repayment.repaymentNumber} is due by ${repayment.deadline.toDateString()}. Unpaid balances after the deadline block new claims.`,
+      });
+    } catch (emailError) {
+      logger.error(`Repayment reminder failed for ${repayment.repaymentNumber}: ${emailError.message}`);
+    }
+    repayment.remindedAt = now;
+    await repayment.save();
+    counts.reminded += 1;
+  }
+
+  const defaulted = await this.find({ status: { $in: ['Open', 'PartiallyPaid'] }, deadline: { $lt: now } });
+  for (const repayment of defaulted) {
+    await repayment.escalate(now);
+    counts.escalated += 1;
+  }
+
+  return counts;
+};
+
+// Method: Allocate a payment (STK or offset) to instalments oldest-first and settle when fully paid (caller saves)
+repaymentSchema.methods.applyPayment = function (amount, paidAt = new Date()) {
+  this.amountPaid = roundMoney(Math.min(this.amountPaid + amount, this.amount));
+  let remaining = roundMoney(amount);
+  for (const instalment of this.instalments) {
+    if (remaining <= 0) break;
+    const due = roundMoney(instalment.amount - instalment.amountPaid);
+    if (due <= 0) continue;
+    const portion = Math.min(due, remaining);
+    instalment.amountPaid = roundMoney(instalment.amountPaid + portion);
+    remaining = roundMoney(remaining - portion);
+    if (instalment.amountPaid >= instalment.amount) {
+      instalment.status = 'Paid';
+      instalment.paidAt = paidAt;
+    }
+  }
+
+  if (this.balance <= 0) {
+    this.status = 'Paid';
+    this.paidAt = paidAt;
+  } else if (this.status !== 'Defaulted') {
+    this.status = 'PartiallyPaid';
+  }
+};
+
+// Method: What to collect now: everything due so far, else the next instalment
+repaymentSchema.methods.getAmountDue = function (now = new Date()) {
+  const open = this.instalments.filter(i => i.status !== 'Paid');
+  const dueNow = open.filter(i => i.dueDate <= now);
+  const pick = dueNow.length ? dueNow : open.slice(0, 1);
+  const amount = roundMoney(pick.reduce((sum, i) => sum + (i.amount - i.amountPaid), 0));
+  return Math.min(amount || this.balance, this.balance);
+};
+
+// Method: Pending STK attempt still inside the handset prompt window (avoid double pushes)
+repaymentSchema.methods.getInFlightAttempt = function (windowMs = 2 * 60 * 1000) {
+  return this.attempts.find(a =>
+    a.status === 'Pending' && a.date && (Date.now() - a.date.getTime()) < windowMs
+  ) || null;
+};
+
+// Method: Start an M-Pesa STK Push towards this obligation (default: amount currently due)
+repaymentSchema.methods.initiateMpesaPayment = async function (phoneNumber, amount = this.getAmountDue()) {
+  if (!OUTSTANDING_STATUSES.includes(this.status)) throw new Error(`Repayment is already ${this.status}`);
+  const value = roundMoney(amount);
+  if (!(value > 0) || value > this.balance) {
+    throw new Error(`Amount must be between KSh 1 and the outstanding balance (KSh ${this.balance})`);
+  }
+
+  const reference = generatePaymentReference('RPY');
+  const push = await initiateStkPush({
+    phoneNumber,
+    amount: value,
+    reference,
+    accountReference: this.repaymentNumber.replace(/-/g, ''),
+    description: 'CCI Repayment',
+    callbackPath: '/api/repayments/mpesa/callback',
+  });
+  this.attempts.push({
+    date: new Date(),
+    status: 'Pending',
+    reference,
+    amount: value,
+    phoneNumber,
+    merchantRequestId: push.merchantRequestId,
+    checkoutRequestId: push.checkoutRequestId,
+  });
+  await this.save();
+  return { ...push, reference, amount: value };
+};
+
+// Method: Apply a parsed STK callback result; idempotent (finalized attempts are left alone)
+repaymentSchema.methods.completeMpesaPayment = async function (result) {
+  const attempt = this.attempts.find(a => a.checkoutRequestId === result.checkoutRequestId);
+  if (!attempt) throw new Error(`No repayment attempt for checkout ${result.checkoutRequestId}`);
+  if (attempt.status !== 'Pending') {
+    return { attempt, paid: attempt.status === 'Success', duplicate: true };
+  }
+
+  const status = mapStkResultToStatus(result.resultCode);
+  const wasDefaulted = this.status === 'Defaulted';
+  attempt.status = status;
+  attempt.resultCode = result.resultCode;
+  attempt.resultDesc = result.resultDesc;
+  attempt.completedAt = new Date();
+  if (status === 'Success') {
+    attempt.mpesaReceipt = result.mpesaReceipt;
+    this.applyPayment(attempt.amount, result.transactionDate || new Date());
+  }
+  await this.save();
+
+  if (status === 'Success') {
+    try {
+      await Ledger.post({
+        userId: this.userId,
+        type: 'RepaymentCollected',
+        amount: attempt.amount,
+        reference: attempt.reference,
+        externalReference: attempt.mpesaReceipt,
+        source: { model: 'Claim', id: this.claimId },
+        description: `Repayment ${this.repaymentNumber} via M-Pesa (${attempt.phoneNumber})`,
+        postedAt: result.transactionDate || new Date(),
+        metadata: { repaymentId: this._id },
+      });
+    } catch (error) {
+      logger.error(`Ledger posting failed for repayment ${this.repaymentNumber} (ref ${attempt.reference}): ${error.message}`);
+    }
+    if (wasDefaulted && this.status === 'Paid') {
+      logger.info(`Defaulted repayment ${this.repaymentNumber} settled; claims unblocked for user ${this.userId}`);
+    }
+  }
+
+  return { attempt, paid: status === 'Success', duplicate: false };
+};
+
+// Method: Deadline missed: penalize fraud score, block new claims (status Defaulted), notify creator + admins
+repaymentSchema.methods.escalate = async function (now = new Date()) {
+  if (!['Open', 'PartiallyPaid'].includes(this.status)) return false;
+
+  const user = await User.findById(this.userId);
+  const before = user?.insuranceStatus.fraudScore ?? 0;
+  if (user) {
+    user.insuranceStatus.fraudScore = Math.max(0, before - REPAYMENT_DEFAULT_FRAUD_PENALTY);
+    await user.save();
+  }
+
+  this.status = 'Defaulted';
+  this.escalation = {
+    escalatedAt: now,
+    fraudPenalty: before - (user?.insuranceStatus.fraudScore ?? before),
+    balanceAtEscalation: this.balance,
+  };
+  await this.save();
+  logger.warn(`Repayment ${this.repaymentNumber} defaulted: KSh ${this.balance} unpaid past ${this.deadline.toISOString()}; user ${this.userId} blocked from new claims`);
+
+  try {
+    if (user) {
+      await sendEmail({
+        to: user.personalInfo.email,
+        subject: 'CCI Repayment Overdue - Claims Blocked',
+        text: `Dear ${user.personalInfo.fullName},\n\nRepayment ${this.repaymentNumber} (KSh ${this.balance} outstanding) was due on ${this.deadline.toDateString()}. New claims are blocked until it is paid, and any future payout will be used to settle it.`,
+      });
+    }
+    await sendEmail({
+      to: process.env.ADMIN_EMAIL || 'admin@cci.com',
+      subject: `Repayment defaulted - ${this.repaymentNumber}`,
+      text: `User ${this.userId} missed the ${this.deadline.toDateString()} deadline for repayment ${this.repaymentNumber} (claim ${this.claimId}). Outstanding: KSh ${this.balance} of ${this.amount}. Fraud score ${before} → ${user?.insuranceStatus.fraudScore ?? 'n/a'}; new claims blocked.`,
+    });
+  } catch (emailError) {
+    logger.error(`Repayment escalation email failed for ${this.repaymentNumber}: ${emailError.message}`);
+  }
+  return true;
+};
+
+const Repayment = mongoose.model('Repayment', repaymentSchema);
+
+export default Repayment;
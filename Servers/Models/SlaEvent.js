@@ -0,0 +1,40 @@
+// SlaEvent Schema (Claim resolution SLA trail: reviewer warnings, breaches/escalations, clock pauses and resolutions)
+// Kept apart from the claim so SLA reporting can count events by period without scanning claim documents.
+import mongoose from 'mongoose';
+import logger from '../Utilities/Logger.js';
+
+const { Schema } = mongoose;
+
+export const SLA_EVENT_TYPES = ['Warning', 'Breach', 'Paused', 'Resumed', 'Resolved'];
+
+const slaEventSchema = new Schema({
+  claimId: { type: Schema.Types.ObjectId, ref: 'Claim', required: true, index: true },
+  type: { type: String, enum: SLA_EVENT_TYPES, required: true },
+  occurredAt: { type: Date, default: Date.now },
+  deadline: { type: Date },  // resolutionDeadline when the event happened
+  hoursLeft: { type: Number, default: null },  // Warnings: threshold that fired (48 / 24)
+  claimStatus: { type: String, trim: true },
+  reviewerId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  actorId: { type: Schema.Types.ObjectId, ref: 'User', default: null },  // null = scheduler
+  notified: [{ type: String, trim: true }],  // Emails sent
+  reason: { type: String, trim: true, maxlength: 500, default: '' },
+  pausedMs: { type: Number, min: 0, default: null },  // Resumed: length of the pause
+  resolutionMs: { type: Number, min: 0, default: null },  // Resolved: submission → decision, pauses excluded
+  withinTarget: { type: Boolean, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+slaEventSchema.index({ type: 1, occurredAt: -1 });
+
+// Static: Append an event; a failed write is logged, never allowed to block the claim action
+slaEventSchema.statics.record = async function (event) {
+  try {
+    return await this.create(event);
+  } catch (error) {
+    logger.error(`SLA event write failed (${event.type} claim ${event.claimId}): ${error.message}`);
+    return null;
+  }
+};
+
+const SlaEvent = mongoose.model('SlaEvent', slaEventSchema);
+
+export default SlaEvent;
@@ -0,0 +1,282 @@
+// StatementImport Schema (M-Pesa paybill statement uploads reconciled against open premium invoices)
+// Each money-in line is matched to an open invoice by account reference and/or payer phone plus the exact amount.
+// Exact matches are paid automatically (and audited). A phone-only match must point at one policyholder and one
+// policy; ambiguous, unmatched and partial/over payments wait on the review list until an admin applies them to an
+// invoice (a short payment is recorded as a part payment and the invoice stays open) or dismisses them.
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import Invoice, { OPEN_STATUSES } from './Invoice.js';
+import User from './User.js';
+import AuditLog from './AuditLog.js';
+import { parseMpesaStatement } from '../Services/StatementServices.js';
+import { sendEmail } from '../Services/EmailServices.js';
+import logger from '../Utilities/Logger.js';
+
+const { Schema } = mongoose;
+
+export const REVIEW_STATUSES = ['Unmatched', 'Partial', 'Ambiguous'];
+
+const lineSchema = new Schema({
+  row: { type: Number },  // Spreadsheet row in the uploaded file
+  receiptNo: { type: String, required: true, trim: true, uppercase: true },
+  completedAt: { type: Date, default: null },
+  paidIn: { type: Number, min: 0, required: true },
+  details: { type: String, trim: true, default: '' },
+  phone: { type: String, trim: true, default: null },  // 2547XXXXXXXX when the statement shows it unmasked
+  payerName: { type: String, trim: true, default: '' },
+  accountReference: { type: String, trim: true, default: '' },
+  status: {
+    type: String,
+    enum: ['Matched', 'Partial', 'Ambiguous', 'Unmatched', 'Skipped', 'Resolved', 'Dismissed'],
+    required: true,
+  },
+  matchedBy: [{ type: String, enum: ['accountReference', 'phone', 'amount'] }],
+  invoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice', default: null },  // Paid invoice (Matched/Resolved)
+  suggestedInvoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice', default: null },  // Closest open invoice (Partial/Ambiguous)
+  reason: { type: String, trim: true, default: '' },
+  resolvedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  resolvedAt: { type: Date, default: null },
+  resolutionNotes: { type: String, trim: true, maxlength: 500, default: '' },
+});
+
+const statementImportSchema = new Schema({
+  fileName: { type: String, trim: true, required: true },
+  fileHash: { type: String, required: true, unique: true },  // sha256 of the upload; the same file imports once
+  uploadedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  periodStart: { type: Date, default: null },
+  periodEnd: { type: Date, default: null },
+  totals: {
+    lines: { type: Number, default: 0 },  // Money-in lines kept
+    ignored: { type: Number, default: 0 },  // Withdrawals, charges, failed/reversed rows
+    matched: { type: Number, default: 0 },
+    review: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    amountMatched: { type: Number, default: 0 },
+  },
+  lines: [lineSchema],
+}, { timestamps: true });
+
+statementImportSchema.index({ 'lines.receiptNo': 1 });
+statementImportSchema.index({ 'lines.status': 1 });
+
+const normalizeRef = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// M-Pesa takes whole shillings: the STK charge is the invoice amount rounded up, so accept either
+const amountMatches = (paid, due) => Math.abs(paid - due) < 0.01 || Math.abs(paid - Math.ceil(due)) < 0.01;
+
+// Account reference → a specific invoice ("INV-3f9a1c-03", "INV3F9A1C03") or a policy's invoices ("INV3F9A1C")
+const findByAccountReference = async (accountReference) => {
+  const match = /^INV([0-9A-F]{6})(\d{2,})?$/.exec(normalizeRef(accountReference));
+  if (!match) return null;
+  const [, suffix, period] = match;
+  const prefix = `INV-${suffix.toLowerCase()}-`;
+  if (period) {
+    const invoice = await Invoice.findOne({ invoiceNumber: `${prefix}${period.padStart(2, '0')}` });
+    return invoice ? { invoices: [invoice], exact: true } : null;
+  }
+  const invoices = await Invoice.find({ invoiceNumber: { $regex: `^${prefix}` } }).sort({ periodNumber: 1 });
+  return invoices.length ? { invoices, exact: false } : null;
+};
+
+// Payer phone → policyholders with that number (profile phone, saved M-Pesa number or an earlier STK payment)
+const findUserIdsByPhone = async (msisdn) => {
+  const variants = [msisdn, `+${msisdn}`, `0${msisdn.slice(3)}`];
+  const [users, invoices] = await Promise.all([
+    User.find({
+      $or: [
+        { 'personalInfo.phoneNumber': { $in: variants } },
+        { 'financialInfo.paymentMethod.details.mobileNumber': { $in: variants } },
+      ],
+    }).select('_id').lean(),
+    Invoice.find({ 'attempts.phoneNumber': { $in: variants } }).select('userId').lean(),
+  ]);
+  return [...new Set([...users.map(u => u._id.toString()), ...invoices.map(i => i.userId.toString())])];
+};
+
+// Static: Classify one statement line (no writes); returns the fields to store plus the invoice to pay, if any
+statementImportSchema.statics.matchLine = async function (line) {
+  const recorded = await Invoice.findOne({ 'attempts.mpesaReceipt': line.receiptNo, 'attempts.status': 'Success' }).select('invoiceNumber').lean();
+  if (recorded) {
+    return { status: 'Skipped', invoiceId: recorded._id, reason: `Already recorded in-app on ${recorded.invoiceNumber}` };
+  }
+  const imported = await this.findOne({ lines: { $elemMatch: { receiptNo: line.receiptNo, status: { $ne: 'Skipped' } } } }).select('fileName').lean();
+  if (imported) {
+    return { status: 'Skipped', reason: `Already imported from ${imported.fileName}` };
+  }
+
+  const byAccount = await findByAccountReference(line.accountReference);
+  const phoneUserIds = line.phone ? await findUserIdsByPhone(line.phone) : [];
+  let candidates;
+  let matchedBy;
+  if (byAccount) {
+    candidates = byAccount.invoices.filter(i => OPEN_STATUSES.includes(i.status));
+    matchedBy = ['accountReference'];
+    if (phoneUserIds.includes(byAccount.invoices[0].userId.toString())) matchedBy.push('phone');
+    if (!candidates.length) {
+      return { status: 'Unmatched', reason: `No open invoice for account reference ${line.accountReference} (${byAccount.invoices.map(i => `${i.invoiceNumber}: ${i.status}`).join(', ')})` };
+    }
+  } else if (phoneUserIds.length) {
+    candidates = await Invoice.find({ userId: { $in: phoneUserIds }, status: { $in: OPEN_STATUSES } }).sort({ dueDate: 1 });
+    matchedBy = ['phone'];
+    if (!candidates.length) {
+      return { status: 'Unmatched', reason: `Payer ${line.phone} has no open invoices` };
+    }
+  } else {
+    return { status: 'Unmatched', reason: `Account reference "${line.accountReference || '-'}" and payer ${line.phone || 'number'} match no policyholder` };
+  }
+
+  // Oldest open invoice for exactly this amount (arrears are settled first)
+  const invoice = candidates.find(i => amountMatches(line.paidIn, i.balance));
+  if (invoice && !byAccount) {
+    // The phone alone is weak evidence: pay only when it identifies one policyholder and one policy with that amount
+    const policies = new Set(candidates.filter(i => amountMatches(line.paidIn, i.balance)).map(i => i.premiumId.toString()));
+    if (phoneUserIds.length > 1 || policies.size > 1) {
+      return {
+        status: 'Ambiguous',
+        matchedBy: [...matchedBy, 'amount'],
+        suggestedInvoiceId: invoice._id,
+        reason: `Payer ${line.phone} matches ${phoneUserIds.length > 1 ? `${phoneUserIds.length} policyholders` : `${policies.size} policies`} with a KSh ${line.paidIn} invoice open; confirm which one was paid`,
+      };
+    }
+  }
+  if (invoice) {
+    return { status: 'Matched', invoice, invoiceId: invoice._id, matchedBy: [...matchedBy, 'amount'] };
+  }
+  const [closest] = candidates;
+  const difference = Math.round((line.paidIn - closest.balance) * 100) / 100;
+  return {
+    status: 'Partial',
+    matchedBy,
+    suggestedInvoiceId: closest._id,
+    reason: `${difference < 0 ? 'Underpaid' : 'Overpaid'} by KSh ${Math.abs(difference)}: paid KSh ${line.paidIn}, ${closest.invoiceNumber} has KSh ${closest.balance} due${candidates.length > 1 ? ` (${candidates.length} open invoices)` : ''}`,
+  };
+};
+
+// Pay the invoice for a statement line (in full or in part) and tell the creator (receipt attached)
+const applyLineToInvoice = async (line, invoice) => {
+  const { paid, settled, receipt } = await invoice.recordPaybillPayment({
+    receiptNo: line.receiptNo,
+    amount: line.paidIn,
+    paidAt: line.completedAt,
+    phone: line.phone,
+  });
+  if (!paid) throw new Error(`Payment could not be recorded on invoice ${invoice.invoiceNumber}`);
+
+  try {
+    const user = await User.findById(invoice.userId).select('personalInfo');
+    await sendEmail({
+      to: user.personalInfo.email,
+      subject: 'CCI Premium Payment Received',
+      text: `Your paybill payment of KSh ${line.paidIn} (M-Pesa receipt ${line.receiptNo}) has been applied to invoice ${invoice.invoiceNumber}.${settled ? '' : ` KSh ${invoice.balance} is still due on it by ${invoice.dueDate.toDateString()}.`}`,
+      attachments: receipt ? receipt.toAttachments() : [],
+    });
+  } catch (emailError) {
+    logger.error(`Paybill payment email failed for invoice ${invoice.invoiceNumber}: ${emailError.message}`);
+  }
+  return settled;
+};
+
+// Static: Parse, match and store an uploaded statement; exact matches are paid and written to the audit trail
+statementImportSchema.statics.importStatement = async function ({ buffer, fileName, uploadedBy }) {
+  const fileHash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const existing = await this.findOne({ fileHash }).select('fileName createdAt').lean();
+  if (existing) {
+    const error = new Error(`This statement was already imported (${existing.fileName}, ${existing.createdAt.toISOString()})`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const { lines, skipped: ignored } = await parseMpesaStatement(buffer, fileName);
+  const statement = await this.create({ fileName, fileHash, uploadedBy, totals: { ignored } });
+
+  const seen = new Set();
+  for (const line of lines) {
+    let outcome;
+    if (seen.has(line.receiptNo)) {
+      outcome = { status: 'Skipped', reason: 'Duplicate row in this file' };
+    } else {
+      seen.add(line.receiptNo);
+      try {
+        outcome = await this.matchLine(line);
+        if (outcome.status === 'Matched') {
+          await applyLineToInvoice(line, outcome.invoice);
+          await AuditLog.record({
+            actorId: uploadedBy,
+            action: 'paybill.auto-match',
+            entity: { model: 'Invoice', id: outcome.invoice._id },
+            summary: `M-Pesa ${line.receiptNo} (KSh ${line.paidIn}) auto-matched to ${outcome.invoice.invoiceNumber} by ${outcome.matchedBy.join(' + ')}`,
+            details: { importId: statement._id, fileName, receiptNo: line.receiptNo, amount: line.paidIn, phone: line.phone, accountReference: line.accountReference, matchedBy: outcome.matchedBy },
+          });
+        }
+      } catch (error) {
+        logger.error(`Statement ${fileName} row ${line.row} (${line.receiptNo}) could not be applied: ${error.message}`);
+        outcome = { status: 'Unmatched', reason: `Match failed: ${error.message}` };
+      }
+    }
+
+    const { invoice, ...fields } = outcome;
+    statement.lines.push({ ...line, ...fields });
+  }
+
+  const dates = lines.map(l => l.completedAt).filter(Boolean).sort((a, b) => a - b);
+  statement.periodStart = dates[0] || null;
+  statement.periodEnd = dates[dates.length - 1] || null;
+  statement.totals = {
+    lines: lines.length,
+    ignored,
+    matched: statement.lines.filter(l => l.status === 'Matched').length,
+    review: statement.lines.filter(l => REVIEW_STATUSES.includes(l.status)).length,
+    skipped: statement.lines.filter(l => l.status === 'Skipped').length,
+    amountMatched: statement.lines.filter(l => l.status === 'Matched').reduce((sum, l) => sum + l.paidIn, 0),
+  };
+  await statement.save();
+
+  logger.info(`Statement ${fileName} imported by ${uploadedBy}: ${statement.totals.matched} matched, ${statement.totals.review} for review, ${statement.totals.skipped} skipped, ${ignored} ignored`);
+  return statement;
+};
+
+// Method: Admin decision on a review-list line: apply it to an invoice (paid, or part-paid when short) or dismiss it
+statementImportSchema.methods.resolveLine = async function (lineId, { action, invoiceId, notes = '', adminId }) {
+  const line = this.lines.id(lineId);
+  if (!line) throw Object.assign(new Error('Statement line not found'), { statusCode: 404 });
+  if (!REVIEW_STATUSES.includes(line.status)) {
+    throw Object.assign(new Error(`Line is ${line.status}; only ${REVIEW_STATUSES.join('/')} lines can be resolved`), { statusCode: 400 });
+  }
+
+  if (action === 'apply') {
+    const invoice = await Invoice.findById(invoiceId || line.suggestedInvoiceId);
+    if (!invoice) throw Object.assign(new Error('Invoice not found'), { statusCode: 404 });
+    if (!OPEN_STATUSES.includes(invoice.status)) {
+      throw Object.assign(new Error(`Invoice ${invoice.invoiceNumber} is ${invoice.status}`), { statusCode: 400 });
+    }
+    const settled = await applyLineToInvoice(line, invoice);
+    line.invoiceId = invoice._id;
+    line.status = 'Resolved';
+    if (!settled) notes = `${notes ? `${notes}; ` : ''}part payment, KSh ${invoice.balance} still due on ${invoice.invoiceNumber}`;
+  } else if (action === 'dismiss') {
+    if (!notes) throw Object.assign(new Error('Notes are required to dismiss a line'), { statusCode: 400 });
+    line.status = 'Dismissed';
+  } else {
+    throw Object.assign(new Error("action must be 'apply' or 'dismiss'"), { statusCode: 400 });
+  }
+  line.resolvedBy = adminId;
+  line.resolvedAt = new Date();
+  line.resolutionNotes = notes;
+  this.totals.review = this.lines.filter(l => REVIEW_STATUSES.includes(l.status)).length;
+  await this.save();
+
+  await AuditLog.record({
+    actorId: adminId,
+    action: action === 'apply' ? 'paybill.manual-match' : 'paybill.dismiss',
+    entity: line.invoiceId ? { model: 'Invoice', id: line.invoiceId } : { model: 'StatementImport', id: this._id },
+    summary: action === 'apply'
+      ? `M-Pesa ${line.receiptNo} (KSh ${line.paidIn}) applied to invoice ${line.invoiceId} after review`
+      : `M-Pesa ${line.receiptNo} (KSh ${line.paidIn}) dismissed: ${notes}`,
+    details: { importId: this._id, lineId: line._id, receiptNo: line.receiptNo, amount: line.paidIn, previousReason: line.reason, notes },
+  });
+  return line;
+};
+
+const StatementImport = mongoose.model('StatementImport', statementImportSchema);
+
+export default StatementImport;
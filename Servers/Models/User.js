@@ -1,6 +1,8 @@
 // User Schema (No changes needed, but included for completeness)
 import mongoose from 'mongoose';
 import logger from '../Utilities/Logger.js';
+import { POLICY_EVENTS, REINSTATEMENT_WAITING_DAYS, POLICY_WAITING_DAYS, CLAIM_EXCLUSION_RULES } from '../Utilities/Constants.js';
+import { addDays } from '../Utilities/Helper.js';
 // import bcrypt from 'bcryptjs';  // Uncomment if fallback auth needed
 
 const { Schema } = mongoose;
@@ -106,6 +108,7 @@ const financialInfoSchema = new Schema({
       },
       accountNumber: { type: String, trim: true, default: '' },
       bankName: { type: String, trim: true, default: '' },
+      paypalEmail: { type: String, trim: true, lowercase: true, default: '' },
     },
   },
   premium: {  // Optional: Populated on insurance apply
@@ -131,7 +134,7 @@ const claimHistorySchema = new Schema({
 const insuranceStatusSchema = new Schema({
   status: {
     type: String,
-    enum: ['NotApplied', 'Pending', 'Approved', 'Rejected', 'Surrendered'],
+    enum: ['NotApplied', 'Pending', 'Approved', 'Lapsed', 'Rejected', 'Surrendered'],
     default: 'NotApplied',
   },
   appliedAt: { type: Date, default: null },  // Renamed from applyDate for clarity
@@ -154,6 +157,26 @@ const insuranceStatusSchema = new Schema({
     termsAgreedAt: { type: Date, required: function () { return this.hasAgreedToTerms === true; }, default: null },
   },
   fraudScore: { type: Number, min: 0, max: 100, default: 0 },  // For insurance verification (>70 approve)
+  // Non-payment lifecycle: Approved → (grace) → Lapsed → Approved via reinstatement
+  graceEndsAt: { type: Date, default: null },  // Set while an invoice is overdue; lapse after this
+  lapsedAt: { type: Date, default: null },
+  reinstatedAt: { type: Date, default: null },
+  waitingPeriodEndsAt: { type: Date, default: null },  // No cover for incidents before this after reinstatement
+  lapses: [{  // Uncovered windows: [lapsedAt, waitingPeriodEndsAt || reinstatedAt)
+    lapsedAt: { type: Date, required: true },
+    reinstatedAt: { type: Date, default: null },
+    waitingPeriodEndsAt: { type: Date, default: null },
+    arrearsAmount: { type: Number, min: 0, default: 0 },
+    reference: { type: String, trim: true, default: '' },  // Arrears payment ref
+  }],
+  history: [{  // Policy transitions (audit trail)
+    event: { type: String, enum: POLICY_EVENTS, required: true },
+    status: { type: String, trim: true },  // insuranceStatus.status after the event
+    date: { type: Date, default: Date.now },
+    reason: { type: String, trim: true, maxlength: 500, default: '' },
+    changedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },  // null = system
+    metadata: { type: Schema.Types.Mixed, default: {} },
+  }],
 });
 
 // Main User Schema
@@ -184,6 +207,11 @@ const userSchema = new Schema({
     lastUpdated: { type: Date, default: Date.now },
   },
   role: { type: String, enum: ['Creator', 'Admin'], default: 'Creator' },
+  reviewer: {  // Admins only: manual-review queue membership
+    active: { type: Boolean, default: true },  // false = skipped by auto-assignment (leave, other duties)
+    supervisor: { type: Boolean, default: false },  // May reassign any claim and override assigned reviewers
+    lastAssignedAt: { type: Date, default: null },  // Round-robin order
+  },
   isVerified: { type: Boolean, default: false },
   onboarded: { type: Boolean, default: false },  // True post-general onboard
 }, {
@@ -230,6 +258,94 @@ userSchema.pre('save', async function (next) {
   next();
 });
 
+// Method: Record a policy transition (caller saves)
+userSchema.methods.recordPolicyEvent = function (event, { reason = '', changedBy = null, metadata = {} } = {}) {
+  this.insuranceStatus.history.push({
+    event,
+    status: this.insuranceStatus.status,
+    date: new Date(),
+    reason,
+    changedBy,
+    metadata,
+  });
+};
+
+// Method: Was the policy covering incidents on this date? (inception, initial waiting period, term, lapses,
+// post-reinstatement waiting period). Uncovered results carry the CLAIM_EXCLUSION_RULES code they fall under.
+userSchema.methods.getCoverageOn = function (date) {
+  const when = new Date(date);
+  const { status, policyStartDate, policyEndDate, lapses = [] } = this.insuranceStatus;
+  const excluded = (rule, detail) => ({ covered: false, rule, reason: `${CLAIM_EXCLUSION_RULES[rule]}: ${detail}` });
+  if (!['Approved', 'Lapsed'].includes(status) || !policyStartDate) {
+    return excluded('NO_POLICY', 'the policy is not approved or has no start date');
+  }
+  if (when < policyStartDate) {
+    return excluded('INCEPTION', `incident on ${when.toDateString()} predates the policy start on ${policyStartDate.toDateString()}`);
+  }
+  if (policyEndDate && when > policyEndDate) {
+    return excluded('POLICY_TERM', `incident on ${when.toDateString()} is after the policy ended on ${policyEndDate.toDateString()}`);
+  }
+  const waitingEndsAt = addDays(policyStartDate, POLICY_WAITING_DAYS);
+  if (when < waitingEndsAt) {
+    return excluded('WAITING_PERIOD', `incidents are covered from ${waitingEndsAt.toDateString()}`);
+  }
+  for (const lapse of lapses) {
+    const coverResumes = lapse.waitingPeriodEndsAt || lapse.reinstatedAt;
+    if (when >= lapse.lapsedAt && (!coverResumes || when < coverResumes)) {
+      return excluded('LAPSE', lapse.reinstatedAt
+        ? `Incident falls in the lapse/waiting period (${lapse.lapsedAt.toDateString()} - ${coverResumes.toDateString()})`
+        : `Policy lapsed for non-payment on ${lapse.lapsedAt.toDateString()}`);
+    }
+  }
+  return { covered: true, rule: null, reason: null };
+};
+
+// Method: Lapse an Approved policy for non-payment
+userSchema.methods.lapsePolicy = async function ({ reason, metadata = {} } = {}) {
+  if (this.insuranceStatus.status !== 'Approved') return false;
+  const now = new Date();
+  this.insuranceStatus.status = 'Lapsed';
+  this.insuranceStatus.lapsedAt = now;
+  this.insuranceStatus.graceEndsAt = null;
+  this.insuranceStatus.lapses.push({ lapsedAt: now });
+  this.recordPolicyEvent('Lapsed', { reason, metadata });
+  await this.save();
+  logger.info(`Policy lapsed for user ${this._id}: ${reason}`);
+  return true;
+};
+
+// Method: Reinstate a Lapsed policy once arrears are settled (starts the waiting period)
+userSchema.methods.reinstatePolicy = async function ({ reference = '', arrearsAmount = 0, changedBy = null, waitingDays = REINSTATEMENT_WAITING_DAYS } = {}) {
+  if (this.insuranceStatus.status !== 'Lapsed') return false;
+  const now = new Date();
+  const waitingPeriodEndsAt = waitingDays > 0 ? new Date(now.getTime() + waitingDays * 24 * 60 * 60 * 1000) : null;
+  const lapse = this.insuranceStatus.lapses[this.insuranceStatus.lapses.length - 1];
+  if (lapse) {
+    lapse.reinstatedAt = now;
+    lapse.waitingPeriodEndsAt = waitingPeriodEndsAt;
+    lapse.arrearsAmount = arrearsAmount;
+    lapse.reference = reference;
+  }
+  this.insuranceStatus.status = 'Approved';
+  this.insuranceStatus.reinstatedAt = now;
+  this.insuranceStatus.waitingPeriodEndsAt = waitingPeriodEndsAt;
+  this.recordPolicyEvent('Reinstated', {
+    reason: `Arrears of KSh ${arrearsAmount} settled`,
+    changedBy,
+    metadata: { reference, waitingPeriodEndsAt },
+  });
+  await this.save();
+  logger.info(`Policy reinstated for user ${this._id} (ref ${reference}); waiting period until ${waitingPeriodEndsAt?.toISOString() || 'none'}`);
+  return true;
+};
+
+// Method: Claims supervisor (flag, or the CLAIMS_SUPERVISOR_EMAIL inbox that receives SLA escalations)
+userSchema.methods.isClaimsSupervisor = function () {
+  if (this.role !== 'Admin') return false;
+  const supervisorEmail = process.env.CLAIMS_SUPERVISOR_EMAIL;
+  return Boolean(this.reviewer?.supervisor) || (Boolean(supervisorEmail) && this.personalInfo?.email === supervisorEmail);
+};
+
 // Method: Password match stub (OAuth primary)
 userSchema.methods.matchPassword = async function (enteredPassword) {
   // if (!this.auth.password) throw new Error('Use YouTube OAuth for auth');
@@ -261,6 +377,7 @@ userSchema.methods.applyForInsurance = async function (nationalId = '') {
   this.insuranceStatus.appliedAt = new Date();
   this.insuranceStatus.fraudScore = 0;  // Initial: 0; computed post-save in controller
   this.insuranceStatus.status = 'Pending';  // Always pending initially; fraud check after
+  this.recordPolicyEvent('Applied', { changedBy: this._id });
   await this.save();
 
   // Create Premium via static (estimate only; finalize post-fraud)
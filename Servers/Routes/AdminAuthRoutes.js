@@ -6,7 +6,8 @@ import {
   deactivateUser,
   resendVerificationEmail,
   getAnalytics,
-  generateUserReport
+  generateUserReport,
+  getAuditLog
 } from '../Controllers/AdminAuthController.js';
 import authMiddleware from '../Middlewares/Authenticator.js';
 import { adminMiddleware } from '../Middlewares/Admin.js';
@@ -20,5 +21,6 @@ adminRouter.delete('/users/:id', authMiddleware, adminMiddleware, deactivateUser
 adminRouter.post('/users/:id/resend-verification', authMiddleware, adminMiddleware, resendVerificationEmail);
 adminRouter.get('/analytics', authMiddleware, adminMiddleware, getAnalytics);
 adminRouter.get('/report', authMiddleware, adminMiddleware, generateUserReport)
+adminRouter.get('/audit-log', authMiddleware, adminMiddleware, getAuditLog);
 
 export default adminRouter;
\ No newline at end of file
@@ -8,6 +8,16 @@ import {
   getClaimHistory,
   flagHighRiskCreators,
   getClaimById,  // Admin-specific full view
+  getPayoutQueue,
+  retryClaimPayout,
+  getReviewQueue,
+  getReviewerWorkload,
+  claimReview,
+  releaseReview,
+  reassignReview,
+  updateReviewer,
+  backtestClaimRules,
+  getSharedEvidence,
 } from '../Controllers/AdminClaimsController.js';
 import authMiddleware from '../Middlewares/Authenticator.js';
 import { adminMiddleware } from '../Middlewares/Admin.js';
@@ -18,7 +28,17 @@ const adminClaimsRouter = express.Router();
 adminClaimsRouter.post('/bulk-review', authMiddleware, adminMiddleware, bulkReviewClaims);  // Array-based reviews
 adminClaimsRouter.post('/audit', authMiddleware, adminMiddleware, auditClaimsWithAI);  // AI deep audit on claimIds
 adminClaimsRouter.get('/:id/history', authMiddleware, adminMiddleware, getClaimHistory);  // Full audit trail
+adminClaimsRouter.get('/:id/shared-evidence', authMiddleware, adminMiddleware, getSharedEvidence);  // Claims reusing its evidence
 adminClaimsRouter.get('/high-risk-creators', authMiddleware, adminMiddleware, flagHighRiskCreators);  // Risk profiling
+adminClaimsRouter.get('/payouts', authMiddleware, adminMiddleware, getPayoutQueue);  // Failed/queued B2C payouts
+adminClaimsRouter.post('/:id/payout/retry', authMiddleware, adminMiddleware, retryClaimPayout);  // Manual payout retry
+adminClaimsRouter.get('/review-queue', authMiddleware, adminMiddleware, getReviewQueue);  // Manual-review queue (?scope=)
+adminClaimsRouter.get('/review-queue/workload', authMiddleware, adminMiddleware, getReviewerWorkload);  // Per-reviewer load
+adminClaimsRouter.put('/review-queue/reviewers/:userId', authMiddleware, adminMiddleware, updateReviewer);  // Availability (supervisor)
+adminClaimsRouter.post('/review-queue/:id/claim', authMiddleware, adminMiddleware, claimReview);  // Take an unassigned claim
+adminClaimsRouter.post('/review-queue/:id/release', authMiddleware, adminMiddleware, releaseReview);  // Back to the queue
+adminClaimsRouter.post('/review-queue/:id/reassign', authMiddleware, adminMiddleware, reassignReview);  // Named or next reviewer
+adminClaimsRouter.post('/backtest', authMiddleware, adminMiddleware, backtestClaimRules);  // Dry-run candidate rules over past claims
 adminClaimsRouter.get('/:id', authMiddleware, adminMiddleware, getClaimById);  // Admin full claim view (enhanced)
 
 export default adminClaimsRouter;
\ No newline at end of file
@@ -6,7 +6,12 @@ import {
   auditPremiumsWithAI,
   getPremiumHistory,
   generatePremiumReport,
+  importMpesaStatement,
+  getStatementImports,
+  getReconciliationReviewList,
+  resolveStatementLine,
 } from '../Controllers/AdminPremiumController.js';
+import { statementUpload } from '../Utilities/Multer.js';
 import { adminMiddleware } from '../Middlewares/Admin.js';
 import authMiddleware from '../Middlewares/Authenticator.js';
 
@@ -18,4 +23,10 @@ adminPremiumRouter.post('/audit', authMiddleware, adminMiddleware, auditPremiums
 adminPremiumRouter.get('/:id/history', authMiddleware, adminMiddleware, getPremiumHistory);
 adminPremiumRouter.post('/report', authMiddleware, adminMiddleware, generatePremiumReport);
 
+// Paybill statement reconciliation
+adminPremiumRouter.post('/statements', authMiddleware, adminMiddleware, statementUpload.single('statement'), importMpesaStatement);
+adminPremiumRouter.get('/statements', authMiddleware, adminMiddleware, getStatementImports);
+adminPremiumRouter.get('/statements/review', authMiddleware, adminMiddleware, getReconciliationReviewList);
+adminPremiumRouter.post('/statements/:importId/lines/:lineId/resolve', authMiddleware, adminMiddleware, resolveStatementLine);
+
 export default adminPremiumRouter;
\ No newline at end of file
@@ -7,6 +7,7 @@ import {
   submitClaim, 
   getMyClaims, 
   getClaimById,  // Shared, with role check
+  getPayoutAdvice,
   updateClaimEvidence, 
   submitAppeal, 
   deleteClaim, 
@@ -15,20 +16,49 @@ import {
   reviewClaimManual, 
   getAllClaims, 
   getPendingDeadlineClaims, 
+  requestClaimInfo,
+  resumeClaimSla,
+  getClaimSlaReport,
   getClaimAnalytics, 
   generateClaimReport, 
+  // Daraja callbacks
+  handleB2CResult,
+  handleB2CTimeout,
+  parseYouTubeEmail,
+  // Auto-drafted claims
+  getMyClaimDrafts,
+  updateClaimDraft,
+  submitClaimDraft,
+  dismissClaimDraft,
+  // Message threads
+  getClaimMessages,
+  postClaimMessage,
   // Middleware
-  uploadClaimFiles 
+  uploadClaimFiles,
+  uploadNoticeEmail,
 } from '../Controllers/ClaimsController.js';
 import authMiddleware from '../Middlewares/Authenticator.js';
 import { adminMiddleware } from '../Middlewares/Admin.js';
+import idempotency from '../Middlewares/Idempotency.js';
 
 const claimsRouter = express.Router();
 
+// Payout Callbacks (Public: verified by signed ref/sig query params; :provider = mpesa | bank)
+claimsRouter.post('/:provider/b2c/result', handleB2CResult);  // Payout confirmed/failed
+claimsRouter.post('/:provider/b2c/timeout', handleB2CTimeout);  // Queue timeout → retry
+
 // Creator Routes (Private: Auth required, no admin needed)
-claimsRouter.post('/submit', authMiddleware, uploadClaimFiles, submitClaim);  // CCI: 4 fields + optional evidence
+claimsRouter.post('/parse-email', authMiddleware, uploadNoticeEmail, parseYouTubeEmail);  // Pre-fill from a YouTube notice (text/.eml)
+claimsRouter.post('/submit', authMiddleware, uploadClaimFiles, idempotency(), submitClaim);  // CCI: 4 fields + optional evidence
 claimsRouter.get('/my-claims', authMiddleware, getMyClaims);  // Paginated list for creator
+claimsRouter.get('/drafts', authMiddleware, getMyClaimDrafts);  // Auto-drafted from revenue drops (?status=Open)
+claimsRouter.put('/drafts/:id', authMiddleware, uploadClaimFiles, updateClaimDraft);  // Edit / add evidence
+claimsRouter.post('/drafts/:id/submit', authMiddleware, uploadClaimFiles, idempotency(), submitClaimDraft);  // Confirm → claim
+claimsRouter.delete('/drafts/:id', authMiddleware, dismissClaimDraft);
 claimsRouter.get('/:id', authMiddleware, getClaimById);  // Single claim (internal role check for access)
+claimsRouter.get('/:id/payout-advice', authMiddleware, getPayoutAdvice);  // DOCX/PDF (?format=) once paid
+claimsRouter.get('/:id/messages', authMiddleware, getClaimMessages);  // Creator owner or admin; internal notes admin-only
+claimsRouter.post('/:id/messages', authMiddleware, uploadClaimFiles, postClaimMessage);  // Attachments as evidence; internal=true (admin)
 claimsRouter.put('/:id/evidence', authMiddleware, uploadClaimFiles, updateClaimEvidence);  // Pre-review updates
 claimsRouter.post('/:id/appeal', authMiddleware, uploadClaimFiles, submitAppeal);  // Re-process rejected
 claimsRouter.delete('/:id', authMiddleware, deleteClaim);  // Pre-processing deletion only
@@ -38,6 +68,9 @@ claimsRouter.post('/admin/:id/evaluate-ai', authMiddleware, adminMiddleware, eva
 claimsRouter.post('/admin/:id/review-manual', authMiddleware, adminMiddleware, reviewClaimManual);  // Manual for edge cases
 claimsRouter.get('/admin/all', authMiddleware, adminMiddleware, getAllClaims);  // Paginated admin dashboard
 claimsRouter.get('/admin/pending-deadline', authMiddleware, adminMiddleware, getPendingDeadlineClaims);  // SLA monitoring
+claimsRouter.post('/admin/:id/request-info', authMiddleware, adminMiddleware, requestClaimInfo);  // Ask creator; pauses SLA
+claimsRouter.post('/admin/:id/resume-sla', authMiddleware, adminMiddleware, resumeClaimSla);  // Restart a paused SLA clock
+claimsRouter.get('/admin/sla-report', authMiddleware, adminMiddleware, getClaimSlaReport);  // Resolution target + breaches
 claimsRouter.get('/admin/analytics', authMiddleware, adminMiddleware, getClaimAnalytics);  // Stats + insights
 claimsRouter.get('/admin/report', authMiddleware, adminMiddleware, generateClaimReport);  // Export reports
 
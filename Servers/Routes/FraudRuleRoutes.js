@@ -0,0 +1,26 @@
+// routes/fraudRuleRoutes.js
+import express from 'express';
+import {
+  getRuleSets,
+  getRuleFacts,
+  getRuleSet,
+  createRuleSetDraft,
+  updateRuleSetDraft,
+  activateRuleSet,
+  explainClaimScore,
+} from '../Controllers/FraudRuleController.js';
+import authMiddleware from '../Middlewares/Authenticator.js';
+import { adminMiddleware } from '../Middlewares/Admin.js';
+
+const fraudRuleRouter = express.Router();
+
+// Admin Routes (Private)
+fraudRuleRouter.get('/', authMiddleware, adminMiddleware, getRuleSets);
+fraudRuleRouter.post('/', authMiddleware, adminMiddleware, createRuleSetDraft);  // New draft version
+fraudRuleRouter.get('/facts', authMiddleware, adminMiddleware, getRuleFacts);
+fraudRuleRouter.get('/claims/:claimId/explain', authMiddleware, adminMiddleware, explainClaimScore);  // Replay a claim's score
+fraudRuleRouter.get('/:version', authMiddleware, adminMiddleware, getRuleSet);
+fraudRuleRouter.put('/:version', authMiddleware, adminMiddleware, updateRuleSetDraft);  // Drafts only
+fraudRuleRouter.post('/:version/activate', authMiddleware, adminMiddleware, activateRuleSet);
+
+export default fraudRuleRouter;
@@ -0,0 +1,22 @@
+// routes/fxRoutes.js
+import express from 'express';
+import {
+  getRateForDate,
+  getRates,
+  uploadRates,
+  syncProviderRates,
+} from '../Controllers/FxController.js';
+import authMiddleware from '../Middlewares/Authenticator.js';
+import { adminMiddleware } from '../Middlewares/Admin.js';
+
+const fxRouter = express.Router();
+
+// Creator Routes (Private)
+fxRouter.get('/rate', authMiddleware, getRateForDate);
+
+// Admin Routes (Private)
+fxRouter.get('/rates', authMiddleware, adminMiddleware, getRates);
+fxRouter.post('/rates', authMiddleware, adminMiddleware, uploadRates);
+fxRouter.post('/rates/sync', authMiddleware, adminMiddleware, syncProviderRates);
+
+export default fxRouter;
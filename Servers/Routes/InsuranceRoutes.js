@@ -9,9 +9,13 @@ import {
   addPlatform, // NEW: Imported new controller function
   editInsuranceApplication,
   getInsuranceAnalytics, // NEW: Imported new controller function
+  getReinstatementQuote,
+  requestReinstatement,
+  updatePaymentMethod,
 } from '../Controllers/InsuranceController.js'; // Adjusted path to match your structure
 import authMiddleware from '../Middlewares/Authenticator.js';
 import { adminMiddleware } from '../Middlewares/Admin.js';
+import idempotency from '../Middlewares/Idempotency.js';
 
 
 
@@ -27,6 +31,11 @@ insuranceRouter.get('/my-insurance', authMiddleware, getMyInsurance);
 insuranceRouter.post('/add-platform', authMiddleware, addPlatform);
 // NEW: Edit a pending insurance application (Creator)
 insuranceRouter.put('/edit', authMiddleware, editInsuranceApplication);
+// Lapsed policy: arrears quote + reinstatement payment (Creator)
+insuranceRouter.get('/reinstatement', authMiddleware, getReinstatementQuote);
+insuranceRouter.post('/reinstate', authMiddleware, idempotency(), requestReinstatement);
+// Premium collection / payout method: M-Pesa, Bank or PayPal (Creator)
+insuranceRouter.put('/payment-method', authMiddleware, updatePaymentMethod);
 
 
 // Admin review of insurance application (approve/reject)
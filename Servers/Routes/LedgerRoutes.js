@@ -0,0 +1,24 @@
+// routes/ledgerRoutes.js
+import express from 'express';
+import {
+  getMyBalance,
+  getMyStatement,
+  getUserBalance,
+  getUserStatement,
+  reconcile,
+} from '../Controllers/LedgerController.js';
+import authMiddleware from '../Middlewares/Authenticator.js';
+import { adminMiddleware } from '../Middlewares/Admin.js';
+
+const ledgerRouter = express.Router();
+
+// Creator Routes (Private)
+ledgerRouter.get('/balance', authMiddleware, getMyBalance);
+ledgerRouter.get('/statement', authMiddleware, getMyStatement);
+
+// Admin Routes (Private)
+ledgerRouter.get('/admin/reconcile', authMiddleware, adminMiddleware, reconcile);
+ledgerRouter.get('/admin/:userId/balance', authMiddleware, adminMiddleware, getUserBalance);
+ledgerRouter.get('/admin/:userId/statement', authMiddleware, adminMiddleware, getUserStatement);
+
+export default ledgerRouter;
@@ -11,18 +11,30 @@ import {
   getPremiumAnalytics,
   retryPayment,
   getPremiumByUserId,
+  handlePaymentCallback,
+  getPaymentStatus,
+  getMyInvoices,
+  getReceipt,
 } from '../Controllers/PremiumController.js';
 import authMiddleware from '../Middlewares/Authenticator.js';
 import { adminMiddleware } from '../Middlewares/Admin.js';
+import idempotency from '../Middlewares/Idempotency.js';
 
 const premiumRouter = express.Router();
 
 // Creator Routes (Private)
 premiumRouter.post('/estimate', authMiddleware, estimatePremium);
 premiumRouter.get('/my-premium', authMiddleware, getMyPremium);
-premiumRouter.post('/pay', authMiddleware, payPremium);
+premiumRouter.get('/invoices', authMiddleware, getMyInvoices);
+premiumRouter.post('/pay', authMiddleware, idempotency(), payPremium);
 premiumRouter.put('/discount', authMiddleware, applyContentReviewDiscount);
-premiumRouter.post('/retry-payment', authMiddleware, retryPayment);
+premiumRouter.post('/retry-payment', authMiddleware, idempotency(), retryPayment);
+premiumRouter.get('/payment-status/:reference', authMiddleware, getPaymentStatus);
+premiumRouter.get('/receipts/:id', authMiddleware, getReceipt);  // ?format=docx|pdf (Creator: own receipts; Admin: any)
+
+// Payment Provider Callbacks (Public: verified by signed ref/sig query params)
+premiumRouter.post('/:provider/callback', handlePaymentCallback);
+premiumRouter.get('/:provider/callback', handlePaymentCallback);  // PayPal return redirect
 
 // Admin Routes (Private)
 premiumRouter.post('/calculate', authMiddleware, adminMiddleware, calculatePremium);
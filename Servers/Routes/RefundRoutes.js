@@ -0,0 +1,26 @@
+// routes/refundRoutes.js
+import express from 'express';
+import {
+  getMyRefunds,
+  handleRefundB2CResult,
+  handleRefundB2CTimeout,
+  getAllRefunds,
+  retryRefund,
+} from '../Controllers/RefundController.js';
+import authMiddleware from '../Middlewares/Authenticator.js';
+import { adminMiddleware } from '../Middlewares/Admin.js';
+
+const refundRouter = express.Router();
+
+// Payout Callbacks (Public: verified by signed ref/sig query params; :provider = mpesa | bank)
+refundRouter.post('/:provider/b2c/result', handleRefundB2CResult);
+refundRouter.post('/:provider/b2c/timeout', handleRefundB2CTimeout);
+
+// Admin Routes (Private)
+refundRouter.get('/admin/all', authMiddleware, adminMiddleware, getAllRefunds);
+refundRouter.post('/admin/:id/retry', authMiddleware, adminMiddleware, retryRefund);
+
+// Creator Routes (Private)
+refundRouter.get('/', authMiddleware, getMyRefunds);
+
+export default refundRouter;
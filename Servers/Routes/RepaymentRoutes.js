@@ -0,0 +1,25 @@
+// routes/repaymentRoutes.js
+import express from 'express';
+import {
+  getMyRepayments,
+  payRepayment,
+  handleRepaymentCallback,
+  getAllRepayments,
+} from '../Controllers/RepaymentController.js';
+import authMiddleware from '../Middlewares/Authenticator.js';
+import { adminMiddleware } from '../Middlewares/Admin.js';
+import idempotency from '../Middlewares/Idempotency.js';
+
+const repaymentRouter = express.Router();
+
+// Daraja Callbacks (Public: verified by signed ref/sig query params)
+repaymentRouter.post('/mpesa/callback', handleRepaymentCallback);
+
+// Admin Routes (Private)
+repaymentRouter.get('/admin/all', authMiddleware, adminMiddleware, getAllRepayments);
+
+// Creator Routes (Private)
+repaymentRouter.get('/', authMiddleware, getMyRepayments);
+repaymentRouter.post('/:id/pay', authMiddleware, idempotency(), payRepayment);
+
+export default repaymentRouter;
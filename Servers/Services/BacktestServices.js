@@ -0,0 +1,163 @@
+// services/backtestServices.js
+// Dry-run candidate claim rules (CLAIM_RULES keys, a fraud rule-set version, fraud thresholds) over past claims.
+// Each claim is assessed twice on throwaway copies, once with the live rules and once with the candidate, so the
+// report isolates the effect of the rule change; nothing is saved, moved, paid or emailed.
+import Claim from '../Models/Claim.js';
+import FraudRuleSet from '../Models/FraudRuleSet.js';
+import { CLAIM_RULES, BACKTEST_MAX_CLAIMS } from '../Utilities/Constants.js';
+import logger from '../Utilities/Logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OUTCOMES = ['Approved', 'Manual Review', 'Rejected'];
+const MAX_CHANGED_LISTED = 200;
+
+// Allowed range per rule key (inclusive)
+const RULE_BOUNDS = {
+  minDropPercent: [0, 100],
+  minLostDays: [0, 31],
+  lostDayRatio: [0, 1],
+  payoutRate: [0, 1],
+  maxStrikes: [1, 10],
+  videoBaselineDays: [3, 60],
+  videoMinDropPercent: [0, 100],
+  videoMinLostDays: [0, 31],
+  videoLostDayRatio: [0, 1],
+  videoPayoutRate: [0, 1],
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Merge candidate rule overrides into the live CLAIM_RULES
+ * @param {Object} [overrides]
+ * @returns {Object} Full rules object
+ * @throws {Error} statusCode 400 on unknown keys or out-of-range values
+ */
+export const resolveCandidateRules = (overrides = {}) => {
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) throw badRequest('rules must be an object');
+  for (const [key, value] of Object.entries(overrides)) {
+    const bounds = RULE_BOUNDS[key];
+    if (!bounds) throw badRequest(`Unknown rule '${key}'; allowed: ${Object.keys(RULE_BOUNDS).join(', ')}`);
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < bounds[0] || value > bounds[1]) {
+      throw badRequest(`${key} must be a number between ${bounds[0]} and ${bounds[1]}`);
+    }
+  }
+  return { ...CLAIM_RULES, ...overrides };
+};
+
+/**
+ * Fraud rule set to assess with: a stored version (drafts included) or the active one, with threshold overrides
+ * @param {{ version?: number, thresholds?: Object }} [candidate]
+ * @returns {Promise<Object>} Plain rule set
+ */
+export const resolveCandidateRuleSet = async ({ version = null, thresholds = null } = {}) => {
+  const ruleSet = version ? await FraudRuleSet.findOne({ version }).lean() : (await FraudRuleSet.getActive()).toObject();
+  if (!ruleSet) throw Object.assign(new Error(`Fraud rule set v${version} not found`), { statusCode: 404 });
+  if (!thresholds) return ruleSet;
+
+  const merged = { ...ruleSet.thresholds, ...thresholds };
+  for (const key of ['autoApprove', 'manualReview']) {
+    if (typeof merged[key] !== 'number' || merged[key] < 0 || merged[key] > 100) throw badRequest(`fraudThresholds.${key} must be 0-100`);
+  }
+  if (merged.manualReview > merged.autoApprove) throw badRequest('fraudThresholds.manualReview cannot exceed autoApprove');
+  return { ...ruleSet, thresholds: merged };
+};
+
+// Assess a throwaway copy so the two runs (and the stored claim) never share state
+const assessCopy = async (raw, options) => {
+  const copy = Claim.hydrate(raw);
+  const { outcome, stage, reason, payout, fraudScore = null } = await copy.assessClaim({ ...options, persist: false });
+  return { outcome, stage, reason, payout: round2(payout || 0), fraudScore };
+};
+
+const tally = (results, side) => {
+  const counts = Object.fromEntries(OUTCOMES.map(o => [o, 0]));
+  let approvedPayout = 0;
+  let manualReviewPayout = 0;  // Exposure if every referral were approved
+  for (const r of results) {
+    counts[r[side].outcome] += 1;
+    if (r[side].outcome === 'Approved') approvedPayout += r[side].payout;
+    if (r[side].outcome === 'Manual Review') manualReviewPayout += r[side].payout;
+  }
+  return { ...counts, approvedPayout: round2(approvedPayout), manualReviewPayout: round2(manualReviewPayout) };
+};
+
+/**
+ * Replay the verification pipeline over claims submitted in a date range with candidate rules (dry run)
+ * @param {Object} params
+ * @param {Date|string} [params.startDate] - Default: 90 days before endDate
+ * @param {Date|string} [params.endDate] - Default: now
+ * @param {Object} [params.rules] - CLAIM_RULES overrides (minDropPercent, minLostDays, lostDayRatio, payoutRate, maxStrikes, video*)
+ * @param {number} [params.fraudRuleVersion] - Fraud rule set to use (default: active)
+ * @param {Object} [params.fraudThresholds] - { autoApprove, manualReview } overrides
+ * @param {number} [params.limit] - Max claims (capped at BACKTEST_MAX_CLAIMS)
+ * @returns {Promise<Object>} Outcome counts and payouts for live vs candidate, changes and the changed claims
+ */
+export const runClaimBacktest = async ({ startDate, endDate, rules = {}, fraudRuleVersion = null, fraudThresholds = null, limit = BACKTEST_MAX_CLAIMS } = {}) => {
+  const to = endDate ? new Date(endDate) : new Date();
+  const from = startDate ? new Date(startDate) : new Date(to.getTime() - 90 * DAY_MS);
+  if (Number.isNaN(to.getTime()) || Number.isNaN(from.getTime()) || from > to) throw badRequest('Invalid date range');
+  const max = Math.min(Math.max(1, Number(limit) || BACKTEST_MAX_CLAIMS), BACKTEST_MAX_CLAIMS);
+
+  const candidateRules = resolveCandidateRules(rules);
+  const [liveRuleSet, candidateRuleSet] = await Promise.all([
+    resolveCandidateRuleSet(),
+    resolveCandidateRuleSet({ version: fraudRuleVersion, thresholds: fraudThresholds }),
+  ]);
+
+  const claims = await Claim.find({ createdAt: { $gte: from, $lte: to } }).sort({ createdAt: 1 }).limit(max + 1).lean();
+  const truncated = claims.length > max;
+  if (truncated) claims.pop();
+
+  const results = [];
+  const skipped = [];
+  for (const raw of claims) {
+    try {
+      const live = await assessCopy(raw, { rules: CLAIM_RULES, ruleSet: liveRuleSet });
+      const candidate = await assessCopy(raw, { rules: candidateRules, ruleSet: candidateRuleSet });
+      results.push({ claimId: raw._id, submittedAt: raw.createdAt, actualStatus: raw.currentStatus, live, candidate });
+    } catch (error) {
+      skipped.push({ claimId: raw._id, reason: error.message });  // E.g. no analytics for the creator any more
+    }
+  }
+
+  const transitions = {};
+  for (const r of results) {
+    if (r.live.outcome === r.candidate.outcome) continue;
+    const key = `${r.live.outcome} → ${r.candidate.outcome}`;
+    transitions[key] = (transitions[key] || 0) + 1;
+  }
+  const moved = (outcome, gained) => results.filter(r =>
+    gained ? r.candidate.outcome === outcome && r.live.outcome !== outcome : r.live.outcome === outcome && r.candidate.outcome !== outcome
+  ).length;
+  const changed = results.filter(r => r.live.outcome !== r.candidate.outcome || r.live.payout !== r.candidate.payout);
+  const live = tally(results, 'live');
+  const candidate = tally(results, 'candidate');
+
+  logger.info(`Claim backtest ${from.toISOString()}..${to.toISOString()}: ${results.length} assessed, ${changed.length} changed, ${skipped.length} skipped`);
+  return {
+    period: { from, to },
+    config: {
+      live: { rules: CLAIM_RULES, fraudRuleVersion: liveRuleSet.version, fraudThresholds: liveRuleSet.thresholds },
+      candidate: { rules: candidateRules, fraudRuleVersion: candidateRuleSet.version, fraudThresholds: candidateRuleSet.thresholds },
+    },
+    assessed: results.length,
+    skipped,
+    truncated,
+    live,
+    candidate,
+    changes: {
+      outcomeChanged: results.filter(r => r.live.outcome !== r.candidate.outcome).length,
+      payoutChanged: changed.length,
+      approvals: { gained: moved('Approved', true), lost: moved('Approved', false) },
+      rejections: { gained: moved('Rejected', true), lost: moved('Rejected', false) },
+      manualReferrals: { gained: moved('Manual Review', true), lost: moved('Manual Review', false) },
+      transitions,
+      approvedPayoutDifference: round2(candidate.approvedPayout - live.approvedPayout),
+    },
+    changedClaims: changed.slice(0, MAX_CHANGED_LISTED),
+  };
+};
+
+export default { runClaimBacktest, resolveCandidateRules, resolveCandidateRuleSet };
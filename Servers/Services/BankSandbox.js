@@ -0,0 +1,97 @@
+// services/bankSandbox.js
+// Local bank-transfer API stand-in (BANK_ENV=local): account verification, debit requests and credit transfers,
+// with callbacks fired offline. Scenario is picked from the account number's last digit, or forced via BANK_SANDBOX_SCENARIO:
+//   ...1 → cancelled by the account holder, ...2 → expired (no approval), ...3 → insufficient funds,
+//   ...9 → account not found (verification fails), anything else → completed
+import express from 'express';
+import axios from 'axios';
+import crypto from 'crypto';
+import logger from '../Utilities/Logger.js';
+
+const SCENARIOS = {
+  completed: { status: 'Completed', message: 'Transfer completed' },
+  cancelled: { status: 'Cancelled', message: 'Debit request declined by the account holder' },
+  expired: { status: 'Expired', message: 'Debit request was not approved in time' },
+  insufficient: { status: 'Failed', message: 'Insufficient funds in the debtor account' },
+};
+
+const SCENARIO_BY_DIGIT = { 1: 'cancelled', 2: 'expired', 3: 'insufficient' };
+
+// In-memory record of transfers so the status endpoints can answer
+const transfers = new Map();
+
+const pickScenario = (accountNumber) => {
+  const forced = process.env.BANK_SANDBOX_SCENARIO;
+  if (forced && SCENARIOS[forced]) return forced;
+  return SCENARIO_BY_DIGIT[String(accountNumber).slice(-1)] || 'completed';
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+
+const bankSandboxRouter = express.Router();
+
+// Account name enquiry
+bankSandboxRouter.post('/v1/accounts/verify', (req, res) => {
+  const { bankName, accountNumber } = req.body || {};
+  if (!bankName || !/^\d{6,20}$/.test(String(accountNumber || ''))) {
+    return res.status(400).json({ valid: false, message: 'bankName and a 6-20 digit accountNumber are required' });
+  }
+  if (String(accountNumber).endsWith('9')) {
+    return res.json({ valid: false, message: 'Account not found' });
+  }
+  res.json({ valid: true, accountName: `Sandbox Account ${String(accountNumber).slice(-4)}`, bankName });
+});
+
+// Debits (pay-by-bank requests) and credits (transfers out): acknowledge now, call back after a short delay
+const createTransfer = (kind) => (req, res) => {
+  const { reference, amount, callbackUrl } = req.body || {};
+  const account = kind === 'debit' ? req.body?.debtor : req.body?.beneficiary;
+  if (!reference || !amount || !account?.accountNumber || !callbackUrl) {
+    return res.status(400).json({ message: `Invalid ${kind} request` });
+  }
+
+  const requestId = randomId(kind === 'debit' ? 'DR' : 'CR');
+  const scenario = pickScenario(account.accountNumber);
+  transfers.set(requestId, { requestId, reference, amount: Number(amount), status: 'Pending', message: 'Processing' });
+
+  const delay = Number(process.env.BANK_SANDBOX_DELAY_MS || 2000);
+  setTimeout(async () => {
+    const outcome = SCENARIOS[scenario];
+    const transfer = {
+      ...transfers.get(requestId),
+      ...outcome,
+      bankReference: outcome.status === 'Completed' ? `FT${crypto.randomBytes(5).toString('hex').toUpperCase()}` : null,
+      completedAt: new Date().toISOString(),
+    };
+    transfers.set(requestId, transfer);
+    try {
+      await axios.post(callbackUrl, transfer, { timeout: 10000 });
+      logger.info(`[BankSandbox] ${kind} ${scenario} callback delivered for ${requestId}`);
+    } catch (error) {
+      logger.error(`[BankSandbox] Callback delivery failed for ${requestId}: ${error.message}`);
+    }
+  }, delay);
+
+  res.status(202).json({
+    requestId,
+    status: 'Pending',
+    message: kind === 'debit' ? 'Approve the debit request in your banking app' : 'Transfer queued',
+  });
+};
+
+bankSandboxRouter.post('/v1/debits', createTransfer('debit'));
+bankSandboxRouter.post('/v1/credits', createTransfer('credit'));
+
+// Status: Pending until the callback has fired
+const getTransfer = (req, res) => {
+  const transfer = transfers.get(req.params.requestId);
+  if (!transfer) {
+    return res.status(404).json({ message: 'Unknown requestId' });
+  }
+  res.json(transfer);
+};
+
+bankSandboxRouter.get('/v1/debits/:requestId', getTransfer);
+bankSandboxRouter.get('/v1/credits/:requestId', getTransfer);
+
+export default bankSandboxRouter;
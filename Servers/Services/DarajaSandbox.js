@@ -0,0 +1,151 @@
+// services/darajaSandbox.js
+// Local Daraja stand-in (MPESA_ENV=local): mimics OAuth, STK Push and B2C, and fires callbacks offline.
+// Scenario is picked from the payer phone's last digit, or forced via DARAJA_SANDBOX_SCENARIO:
+//   ...1 → cancelled (1032) / B2C initiator error (2001), ...2 → timeout (1037 / QueueTimeOutURL),
+//   ...3 → insufficient funds (1), anything else → success (0)
+import express from 'express';
+import axios from 'axios';
+import crypto from 'crypto';
+import logger from '../Utilities/Logger.js';
+
+const SCENARIOS = {
+  success: { ResultCode: 0, ResultDesc: 'The service request is processed successfully.' },
+  cancelled: { ResultCode: 1032, ResultDesc: 'Request cancelled by user' },
+  timeout: { ResultCode: 1037, ResultDesc: 'DS timeout user cannot be reached' },
+  insufficient: { ResultCode: 1, ResultDesc: 'The balance is insufficient for the transaction' },
+};
+
+const SCENARIO_BY_DIGIT = { 1: 'cancelled', 2: 'timeout', 3: 'insufficient' };
+
+// In-memory record of pushes so the query endpoint can answer
+const pushes = new Map();
+
+const pickScenario = (phone) => {
+  const forced = process.env.DARAJA_SANDBOX_SCENARIO;
+  if (forced && SCENARIOS[forced]) return forced;
+  return SCENARIO_BY_DIGIT[String(phone).slice(-1)] || 'success';
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+
+const darajaSandboxRouter = express.Router();
+
+// OAuth (accepts any credentials)
+darajaSandboxRouter.get('/oauth/v1/generate', (req, res) => {
+  res.json({ access_token: randomId('sandbox'), expires_in: '3599' });
+});
+
+// STK Push: acknowledge now, call back after a short delay
+darajaSandboxRouter.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+  const { Amount, PhoneNumber, CallBackURL } = req.body || {};
+  if (!Amount || !PhoneNumber || !CallBackURL) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid STK Push payload' });
+  }
+
+  const merchantRequestId = randomId('MR');
+  const checkoutRequestId = randomId('ws_CO');
+  const scenario = pickScenario(PhoneNumber);
+  pushes.set(checkoutRequestId, { scenario, completed: false });
+
+  const outcome = SCENARIOS[scenario];
+  const stkCallback = {
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ...outcome,
+  };
+  if (outcome.ResultCode === 0) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: Number(Amount) },
+        { Name: 'MpesaReceiptNumber', Value: `S${crypto.randomBytes(5).toString('hex').toUpperCase()}` },
+        { Name: 'TransactionDate', Value: Number(new Date().toISOString().replace(/\D/g, '').slice(0, 14)) },
+        { Name: 'PhoneNumber', Value: Number(PhoneNumber) },
+      ],
+    };
+  }
+
+  const delay = Number(process.env.DARAJA_SANDBOX_DELAY_MS || 2000);
+  setTimeout(async () => {
+    pushes.set(checkoutRequestId, { scenario, completed: true });
+    try {
+      await axios.post(CallBackURL, { Body: { stkCallback } }, { timeout: 10000 });
+      logger.info(`[DarajaSandbox] ${scenario} callback delivered for ${checkoutRequestId}`);
+    } catch (error) {
+      logger.error(`[DarajaSandbox] Callback delivery failed for ${checkoutRequestId}: ${error.message}`);
+    }
+  }, delay);
+
+  res.json({
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing',
+  });
+});
+
+// B2C: acknowledge now, then post to ResultURL (or QueueTimeOutURL for the timeout scenario)
+darajaSandboxRouter.post('/mpesa/b2c/v3/paymentrequest', (req, res) => {
+  const { Amount, PartyB, ResultURL, QueueTimeOutURL, OriginatorConversationID } = req.body || {};
+  if (!Amount || !PartyB || !ResultURL || !QueueTimeOutURL) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid B2C payload' });
+  }
+
+  const conversationId = randomId('AG');
+  const scenario = pickScenario(PartyB);
+  const outcome = scenario === 'cancelled'
+    ? { ResultCode: 2001, ResultDesc: 'The initiator information is invalid.' }
+    : SCENARIOS[scenario];
+
+  const result = {
+    ResultType: 0,
+    OriginatorConversationID: OriginatorConversationID,
+    ConversationID: conversationId,
+    TransactionID: randomId('TX').toUpperCase(),
+    ...outcome,
+  };
+  if (outcome.ResultCode === 0) {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    result.ResultParameters = {
+      ResultParameter: [
+        { Key: 'TransactionAmount', Value: Number(Amount) },
+        { Key: 'TransactionReceipt', Value: `S${crypto.randomBytes(5).toString('hex').toUpperCase()}` },
+        { Key: 'ReceiverPartyPublicName', Value: `${PartyB} - Sandbox Creator` },
+        { Key: 'TransactionCompletedDateTime', Value: `${pad(now.getDate())}.${pad(now.getMonth() + 1)}.${now.getFullYear()} ${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}` },
+      ],
+    };
+  }
+
+  const target = scenario === 'timeout' ? QueueTimeOutURL : ResultURL;
+  const delay = Number(process.env.DARAJA_SANDBOX_DELAY_MS || 2000);
+  setTimeout(async () => {
+    try {
+      await axios.post(target, { Result: result }, { timeout: 10000 });
+      logger.info(`[DarajaSandbox] B2C ${scenario} result delivered for ${conversationId}`);
+    } catch (error) {
+      logger.error(`[DarajaSandbox] B2C result delivery failed for ${conversationId}: ${error.message}`);
+    }
+  }, delay);
+
+  res.json({
+    ConversationID: conversationId,
+    OriginatorConversationID: OriginatorConversationID,
+    ResponseCode: '0',
+    ResponseDescription: 'Accept the service request successfully.',
+  });
+});
+
+// STK query: pending until the callback has fired
+darajaSandboxRouter.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+  const push = pushes.get(req.body?.CheckoutRequestID);
+  if (!push) {
+    return res.status(404).json({ errorCode: '404.001.04', errorMessage: 'Invalid CheckoutRequestID' });
+  }
+  if (!push.completed) {
+    return res.status(500).json({ errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+  }
+  res.json({ ResponseCode: '0', ...SCENARIOS[push.scenario] });
+});
+
+export default darajaSandboxRouter;
@@ -0,0 +1,101 @@
+// services/documentServices.js
+// Creator-facing transaction documents (premium receipts, payout advice) built with the `docx` library like the admin
+// reports, from one layout:
+//   { title, number, issuedAt, recipient, sections: [{ heading, rows: [[label, value]] }], notes: [] }
+// The PDF copy is that DOCX converted by LibreOffice, not a second hand-built layout.
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType } from 'docx';
+
+const execFileAsync = promisify(execFile);
+const SOFFICE_PATH = process.env.SOFFICE_PATH || 'soffice';
+const PDF_CONVERT_TIMEOUT_MS = Number(process.env.PDF_CONVERT_TIMEOUT_MS || 60 * 1000);
+
+export const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+export const PDF_MIME = 'application/pdf';
+
+const COMPANY = 'Content Creators Insurance (CCI)';
+
+export const formatKsh = (amount) =>
+  `KSh ${Number(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date ? new Date(date).toUTCString().replace(' GMT', ' UTC') : '-');
+
+// Render the layout as a DOCX buffer
+export const renderDocx = async ({ title, number, issuedAt, recipient, sections = [], notes = [] }) => {
+  const sectionBlocks = sections.map(section => [
+    new Paragraph({
+      text: section.heading,
+      heading: HeadingLevel.HEADING_3,
+      spacing: { before: 200, after: 100 },
+    }),
+    new Table({
+      width: { size: 9000, type: WidthType.DXA },
+      rows: section.rows.map(([label, value]) => new TableRow({
+        children: [
+          new TableCell({
+            children: [new Paragraph({ children: [new TextRun({ text: label, bold: true })] })],
+            width: { size: 3500, type: WidthType.DXA },
+          }),
+          new TableCell({
+            children: [new Paragraph({ text: String(value ?? '-') })],
+            width: { size: 5500, type: WidthType.DXA },
+          }),
+        ],
+      })),
+    }),
+  ]).flat();
+
+  const doc = new Document({
+    creator: COMPANY,
+    title: `${title} ${number}`,
+    sections: [{
+      properties: {},
+      children: [
+        new Paragraph({
+          text: COMPANY,
+          heading: HeadingLevel.HEADING_1,
+          spacing: { after: 200 },
+        }),
+        new Paragraph({
+          text: `${title} ${number}`,
+          heading: HeadingLevel.HEADING_2,
+          spacing: { after: 200 },
+        }),
+        new Paragraph({
+          text: `Issued: ${formatDate(issuedAt)}`,
+          spacing: { after: 100 },
+        }),
+        new Paragraph({
+          text: `Issued to: ${recipient}`,
+          spacing: { after: 200 },
+        }),
+        ...sectionBlocks,
+        ...notes.map(note => new Paragraph({
+          children: [new TextRun({ text: note, italics: true })],
+          spacing: { before: 200 },
+        })),
+      ],
+    }],
+  });
+  return Packer.toBuffer(doc);
+};
+
+// PDF copy: the DOCX above converted by LibreOffice (headless), so both formats are the same `docx` document.
+// Throws when LibreOffice is not installed (SOFFICE_PATH) or the conversion fails; callers keep the DOCX regardless.
+export const renderPdf = async (docx) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cci-doc-'));
+  try {
+    const input = path.join(dir, 'document.docx');
+    await fs.writeFile(input, docx);
+    await execFileAsync(SOFFICE_PATH, ['--headless', '--convert-to', 'pdf', '--outdir', dir, input], { timeout: PDF_CONVERT_TIMEOUT_MS });
+    return await fs.readFile(path.join(dir, 'document.pdf'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+export default { renderDocx, renderPdf, formatKsh, DOCX_MIME, PDF_MIME };
@@ -0,0 +1,90 @@
+// services/evidenceServices.js
+// Claim evidence uploads with fingerprints: SHA-256 of the bytes (exact reuse) and, for images, Cloudinary's perceptual
+// hash (near-identical reuse: re-saved, resized or recompressed screenshots). Claim.detectEvidenceReuse compares them.
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import { uploadToCloudinary } from '../Utilities/Cloudinary.js';
+import { isEml } from '../Utilities/Multer.js';
+import logger from '../Utilities/Logger.js';
+
+/**
+ * SHA-256 of a file on disk (streamed)
+ * @param {string} path
+ * @returns {Promise<string>} Hex digest
+ */
+export const sha256File = (path) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  createReadStream(path)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Bits that differ between two perceptual hashes
+ * @param {string} a - Hex phash
+ * @param {string} b - Hex phash
+ * @returns {number|null} null when either is missing/unparseable or the lengths differ
+ */
+export const hammingDistance = (a, b) => {
+  if (!a || !b || a.length !== b.length || !/^[0-9a-f]+$/i.test(a) || !/^[0-9a-f]+$/i.test(b)) return null;
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+};
+
+/**
+ * Anchored regexes for the bands of a perceptual hash, for pre-filtering near matches in the database. The hash is cut
+ * into more bands than maxDistance, so any hash within maxDistance bits shares at least one band in place.
+ * @param {string} phash - Hex phash
+ * @param {number} maxDistance - Max differing bits
+ * @returns {RegExp[]} Empty when the hash is unusable
+ */
+export const phashBandPatterns = (phash, maxDistance) => {
+  if (!phash || !/^[0-9a-f]+$/i.test(phash)) return [];
+  const width = Math.max(1, Math.floor(phash.length / (maxDistance + 1)));
+  const patterns = [];
+  for (let start = 0; start < phash.length; start += width) {
+    patterns.push(new RegExp(`^[0-9a-f]{${start}}${phash.slice(start, start + width).toLowerCase()}[0-9a-f]{${Math.max(0, phash.length - start - width)}}$`));
+  }
+  return patterns;
+};
+
+const evidenceType = (file) => (
+  isEml(file) ? 'Email' :
+  file.mimetype.startsWith('image/') ? 'Screenshot' :
+  file.mimetype === 'application/pdf' ? 'Document' :
+  file.mimetype.startsWith('video/') ? 'Video' :
+  file.mimetype.includes('text') ? 'Email' : 'Notification'
+);
+
+/**
+ * Fingerprint and upload multer files as claim evidence entries (temp files are removed)
+ * @param {Array} files - req.files (disk storage)
+ * @param {Object} body - req.body (fileType_<i> / fileDescription_<i> overrides)
+ * @param {{ label?: string }} [options] - Default description prefix
+ * @returns {Promise<Array>} evidence.files entries
+ */
+export const storeEvidenceFiles = async (files = [], body = {}, { label = 'Evidence file' } = {}) => Promise.all(
+  files.map(async (file, index) => {
+    logger.info(`Uploading evidence file: ${file.originalname}`);
+    const sha256 = await sha256File(file.path);
+    const { url, phash } = await uploadToCloudinary(file, 'claims/evidence');
+    await fs.unlink(file.path).catch(err => logger.error(`Failed to delete temp file ${file.path}: ${err.message}`));
+    return {
+      url,
+      type: body[`fileType_${index}`] || evidenceType(file),
+      description: body[`fileDescription_${index}`] || `${label} ${index + 1}`,
+      sha256,
+      phash,
+      uploadedAt: new Date(),
+    };
+  })
+);
+
+export default { sha256File, hammingDistance, storeEvidenceFiles };
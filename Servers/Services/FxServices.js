@@ -0,0 +1,172 @@
+// services/fxService.js
+// Exchange rates: stored daily table (ExchangeRate) backed by a pluggable provider.
+// Providers: 'fixture' (Config/fxRates.fixture.json, local/dev/tests; refused in production) and 'http' (any JSON rates API via FX_PROVIDER_URL).
+import axios from 'axios';
+import fs from 'fs/promises';
+import ExchangeRate, { toRateDate } from '../Models/ExchangeRate.js';
+import logger from '../Utilities/Logger.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const FX_PROVIDER = process.env.FX_PROVIDER || (process.env.FX_PROVIDER_URL ? 'http' : (IS_PRODUCTION ? '' : 'fixture'));
+if (IS_PRODUCTION && (!FX_PROVIDER || FX_PROVIDER === 'fixture')) {
+  // Fixture rates would silently price real payouts and PayPal charges; refuse to start instead
+  throw new Error(`FX_PROVIDER must name a live rate provider in production (got '${FX_PROVIDER || 'unset'}')`);
+}
+const FX_FIXTURE_PATH = new URL('../Config/fxRates.fixture.json', import.meta.url);
+
+const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+const formatDay = (date) => toRateDate(date).toISOString().split('T')[0];
+
+let fixture = null;
+const loadFixture = async () => {
+  if (!fixture) {
+    const raw = JSON.parse(await fs.readFile(FX_FIXTURE_PATH, 'utf8'));
+    fixture = { ...raw, rates: raw.rates.map(r => ({ date: toRateDate(r.date), rate: Number(r.rate) })).sort((a, b) => a.date - b.date) };
+  }
+  return fixture;
+};
+
+// Provider registry: fetchRate(day, { base, quote }) → number (1 base = n quote) or throws
+const providers = {
+  fixture: async (day, { base, quote }) => {
+    const table = await loadFixture();
+    if (table.base !== base || table.quote !== quote) throw new Error(`Fixture has no ${base}→${quote} rates`);
+    const match = [...table.rates].reverse().find(r => r.date <= day);
+    if (!match) throw new Error(`Fixture has no ${base}→${quote} rate on or before ${formatDay(day)}`);
+    return match.rate;
+  },
+  // FX_PROVIDER_URL placeholders: {date} (YYYY-MM-DD), {base}, {quote}, {apiKey}; reads rates[quote] | rate | result
+  http: async (day, { base, quote }) => {
+    const template = process.env.FX_PROVIDER_URL;
+    if (!template) throw new Error('FX_PROVIDER_URL is not configured');
+    const url = template
+      .replace('{date}', formatDay(day))
+      .replace('{base}', base)
+      .replace('{quote}', quote)
+      .replace('{apiKey}', process.env.FX_PROVIDER_API_KEY || '');
+    const { data } = await axios.get(url, { timeout: 15000 });
+    const rate = Number(data?.rates?.[quote] ?? data?.conversion_rates?.[quote] ?? data?.rate ?? data?.result);
+    if (!(rate > 0)) throw new Error(`FX provider returned no ${base}→${quote} rate for ${formatDay(day)}`);
+    return rate;
+  },
+};
+
+/**
+ * Register (or replace) a rate provider
+ * @param {string} name - Selected via FX_PROVIDER
+ * @param {Function} fetchRate - async (day: Date, { base, quote }) => number
+ */
+export const registerFxProvider = (name, fetchRate) => {
+  providers[name] = fetchRate;
+};
+
+/**
+ * Rate for a date: stored day → provider (stored for next time) → latest earlier stored day (stale)
+ * @param {Date|string} date - Revenue date
+ * @param {Object} [options]
+ * @param {string} [options.base='USD']
+ * @param {string} [options.quote='KES']
+ * @returns {Promise<{rate: number, rateDate: Date, source: string, stale: boolean}>}
+ */
+export const getRate = async (date, { base = 'USD', quote = 'KES' } = {}) => {
+  const day = toRateDate(date);
+  if (Number.isNaN(day.getTime())) throw new Error(`Invalid FX date: ${date}`);
+
+  const stored = await ExchangeRate.findOne({ base, quote, date: day });
+  if (stored) return { rate: stored.rate, rateDate: stored.date, source: stored.source, stale: false };
+
+  const fetchRate = providers[FX_PROVIDER];
+  if (fetchRate) {
+    try {
+      const rate = await fetchRate(day, { base, quote });
+      const source = FX_PROVIDER === 'fixture' ? 'Fixture' : 'Provider';
+      await ExchangeRate.upsertRates([{ date: day, rate }], { base, quote, source, provider: FX_PROVIDER });
+      return { rate, rateDate: day, source, stale: false };
+    } catch (error) {
+      logger.warn(`FX provider '${FX_PROVIDER}' failed for ${base}→${quote} on ${formatDay(day)}: ${error.message}`);
+    }
+  } else {
+    logger.warn(`Unknown FX_PROVIDER '${FX_PROVIDER}'; using stored rates only`);
+  }
+
+  const fallback = await ExchangeRate.findEffective(day, { base, quote });
+  if (!fallback) throw new Error(`No ${base}→${quote} rate available on or before ${formatDay(day)}`);
+  return { rate: fallback.rate, rateDate: fallback.date, source: fallback.source, stale: true };
+};
+
+/**
+ * Convert an amount at the rate for its date, returning the audit trail with the result
+ * @param {number} amount - Amount in base currency
+ * @param {Date|string} date - Revenue date
+ * @param {Object} [options] - { base, quote }
+ * @returns {Promise<{amount: number, originalAmount: number, currency: string, fxRate: number, fxRateDate: Date, fxSource: string}>}
+ */
+export const convertAmount = async (amount, date, { base = 'USD', quote = 'KES' } = {}) => {
+  const { rate, rateDate, source } = await getRate(date, { base, quote });
+  return {
+    amount: roundMoney(amount * rate),
+    originalAmount: Number(amount) || 0,
+    currency: base,
+    fxRate: rate,
+    fxRateDate: rateDate,
+    fxSource: source,
+  };
+};
+
+/**
+ * Convert a dated series (e.g., daily revenue rows), one rate lookup per distinct day
+ * @param {Array<{date: Date|string, amount: number}>} entries
+ * @param {Object} [options] - { base, quote }
+ * @returns {Promise<Array<Object>>} Entries with amount in quote currency + originalAmount/currency/fxRate/fxRateDate/fxSource
+ */
+export const convertSeries = async (entries, { base = 'USD', quote = 'KES' } = {}) => {
+  const rates = new Map();
+  const converted = [];
+  for (const entry of entries) {
+    const key = formatDay(entry.date);
+    if (!rates.has(key)) rates.set(key, await getRate(entry.date, { base, quote }));
+    const { rate, rateDate, source } = rates.get(key);
+    converted.push({
+      ...entry,
+      amount: roundMoney(entry.amount * rate),
+      originalAmount: Number(entry.amount) || 0,
+      currency: base,
+      fxRate: rate,
+      fxRateDate: rateDate,
+      fxSource: source,
+    });
+  }
+  return converted;
+};
+
+/**
+ * Pull provider rates for every missing day in a range (scheduler / admin backfill)
+ * @param {Object} [options]
+ * @param {Date|string} [options.from] - Defaults to today
+ * @param {Date|string} [options.to] - Defaults to from
+ * @returns {Promise<{fetched: number, existing: number, failed: string[]}>}
+ */
+export const syncRates = async ({ from = new Date(), to = from, base = 'USD', quote = 'KES' } = {}) => {
+  const fetchRate = providers[FX_PROVIDER];
+  if (!fetchRate) throw new Error(`Unknown FX_PROVIDER '${FX_PROVIDER}'`);
+  const result = { fetched: 0, existing: 0, failed: [] };
+  for (let day = toRateDate(from); day <= toRateDate(to); day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+    if (await ExchangeRate.exists({ base, quote, date: day })) {
+      result.existing += 1;
+      continue;
+    }
+    try {
+      const rate = await fetchRate(day, { base, quote });
+      await ExchangeRate.upsertRates([{ date: day, rate }], { base, quote, source: FX_PROVIDER === 'fixture' ? 'Fixture' : 'Provider', provider: FX_PROVIDER });
+      result.fetched += 1;
+    } catch (error) {
+      result.failed.push(formatDay(day));
+      logger.warn(`FX sync failed for ${formatDay(day)}: ${error.message}`);
+    }
+  }
+  return result;
+};
+
+export default { getRate, convertAmount, convertSeries, syncRates, registerFxProvider };
@@ -0,0 +1,214 @@
+// services/ledgerService.js
+// Reconciliation: compares the ledger against the Premium/Claim/User documents it is meant to mirror
+// and reports every place they disagree (never auto-corrects; fixes are new postings).
+import Ledger from '../Models/Ledger.js';
+import Premium from '../Models/Premium.js';
+import Invoice from '../Models/Invoice.js';
+import Claim from '../Models/Claim.js';
+import Repayment from '../Models/Repayment.js';
+import Refund from '../Models/Refund.js';
+import User from '../Models/User.js';
+import logger from '../Utilities/Logger.js';
+
+const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const flag = (discrepancies, kind, details) => discrepancies.push({ kind, ...details });
+
+// Group ledger postings by source document id
+const loadPostings = async (model, ids) => {
+  const postings = await Ledger.find({ 'source.model': model, 'source.id': { $in: ids } }).lean();
+  const bySource = new Map();
+  for (const p of postings) {
+    const key = String(p.source.id);
+    if (!bySource.has(key)) bySource.set(key, []);
+    bySource.get(key).push(p);
+  }
+  return bySource;
+};
+
+// Premiums: every successful STK attempt (invoice or pre-invoice) ↔ one PremiumCollected posting;
+// every successful refund payout ↔ one Refund posting; refunds never exceed collections
+const reconcilePremiums = async (filter, discrepancies) => {
+  const premiums = await Premium.find(filter)
+    .select('premiumDetails.userId paymentStatus.status paymentStatus.transactionId paymentStatus.attempts')
+    .lean();
+  const postings = await loadPostings('Premium', premiums.map(p => p._id));
+
+  const invoices = await Invoice.find({ premiumId: { $in: premiums.map(p => p._id) }, 'attempts.status': 'Success' })
+    .select('premiumId invoiceNumber status ledgerTransactionId attempts')
+    .lean();
+  const invoicesByPremium = new Map();
+  for (const invoice of invoices) {
+    const key = String(invoice.premiumId);
+    if (!invoicesByPremium.has(key)) invoicesByPremium.set(key, []);
+    invoicesByPremium.get(key).push(invoice);
+  }
+
+  const refundDocs = await Refund.find({ premiumId: { $in: premiums.map(p => p._id) }, 'payout.attempts.status': 'Success' })
+    .select('premiumId refundNumber payout.attempts')
+    .lean();
+  const refundsByPremium = new Map(refundDocs.map(r => [String(r.premiumId), r]));
+
+  for (const premium of premiums) {
+    const userId = premium.premiumDetails.userId;
+    const entries = postings.get(String(premium._id)) || [];
+    const collected = entries.filter(e => e.type === 'PremiumCollected');
+    const refunds = entries.filter(e => e.type === 'Refund');
+    const premiumInvoices = invoicesByPremium.get(String(premium._id)) || [];
+    const successes = [
+      ...(premium.paymentStatus.attempts || []),
+      ...premiumInvoices.flatMap(i => i.attempts),
+    ].filter(a => a.status === 'Success');
+
+    for (const invoice of premiumInvoices) {
+      if (invoice.status === 'Paid' && !invoice.ledgerTransactionId) {
+        flag(discrepancies, 'InvoiceUnlinked', { model: 'Invoice', id: invoice._id, userId, reference: invoice.invoiceNumber, expected: null, actual: null, message: 'Paid invoice is not linked to a ledger transaction' });
+      }
+    }
+
+    for (const attempt of successes) {
+      const posting = collected.find(e => e.reference === attempt.reference);
+      if (!posting) {
+        flag(discrepancies, 'MissingLedgerEntry', { model: 'Premium', id: premium._id, userId, reference: attempt.reference, expected: roundMoney(attempt.amount), actual: 0, message: 'Successful premium payment has no ledger posting' });
+      } else if (roundMoney(posting.amount) !== roundMoney(attempt.amount)) {
+        flag(discrepancies, 'AmountMismatch', { model: 'Premium', id: premium._id, userId, reference: attempt.reference, expected: roundMoney(attempt.amount), actual: posting.amount, message: 'Ledger amount differs from the payment attempt' });
+      }
+    }
+
+    for (const posting of collected) {
+      if (!successes.some(a => a.reference === posting.reference)) {
+        flag(discrepancies, 'OrphanLedgerEntry', { model: 'Premium', id: premium._id, userId, reference: posting.reference, expected: 0, actual: posting.amount, message: 'Ledger records a premium collection the Premium has no successful attempt for' });
+      }
+    }
+
+    // Paid without any successful attempt (e.g., marked paid outside the STK flow)
+    if (premium.paymentStatus.status === 'Paid' && successes.length === 0 && collected.length === 0) {
+      flag(discrepancies, 'MissingLedgerEntry', { model: 'Premium', id: premium._id, userId, reference: premium.paymentStatus.transactionId || null, expected: null, actual: 0, message: 'Premium is Paid but neither a successful attempt nor a ledger posting exists' });
+    }
+
+    const refundDoc = refundsByPremium.get(String(premium._id));
+    for (const attempt of (refundDoc?.payout.attempts || []).filter(a => a.status === 'Success')) {
+      const posting = refunds.find(e => e.reference === attempt.reference);
+      if (!posting) {
+        flag(discrepancies, 'MissingLedgerEntry', { model: 'Refund', id: refundDoc._id, userId, reference: attempt.reference, expected: roundMoney(attempt.amount), actual: 0, message: `Successful refund payout ${refundDoc.refundNumber} has no ledger posting` });
+      } else if (roundMoney(posting.amount) !== roundMoney(attempt.amount)) {
+        flag(discrepancies, 'AmountMismatch', { model: 'Refund', id: refundDoc._id, userId, reference: attempt.reference, expected: roundMoney(attempt.amount), actual: posting.amount, message: 'Ledger amount differs from the refund payout' });
+      }
+    }
+
+    const totalCollected = roundMoney(collected.reduce((sum, e) => sum + e.amount, 0));
+    const totalRefunded = roundMoney(refunds.reduce((sum, e) => sum + e.amount, 0));
+    if (totalRefunded > totalCollected) {
+      flag(discrepancies, 'OverRefund', { model: 'Premium', id: premium._id, userId, reference: null, expected: totalCollected, actual: totalRefunded, message: 'Refunds exceed premiums collected' });
+    }
+  }
+
+  return premiums.length;
+};
+
+// Claims: successful B2C attempts + repayment offsets ↔ ClaimPaid postings, payoutAmount, User.claimHistory,
+// repayments ≤ repayAmount and = Repayment.amountPaid
+const reconcileClaims = async (filter, discrepancies) => {
+  const claims = await Claim.find({
+    ...filter,
+    $or: [
+      { 'evaluation.payout.attempts.status': 'Success' },
+      { currentStatus: 'Paid' },
+      { 'evaluation.reinstated': true },
+    ],
+  })
+    .select('claimDetails.userId evaluation.payoutAmount evaluation.payout evaluation.repayAmount evaluation.reinstated evaluation.mPesaTransactionId')
+    .lean();
+  const postings = await loadPostings('Claim', claims.map(c => c._id));
+
+  const users = await User.find({ _id: { $in: [...new Set(claims.map(c => String(c.claimDetails.userId)))] } })
+    .select('claimHistory.claims')
+    .lean();
+  const repayments = await Repayment.find({ claimId: { $in: claims.map(c => c._id) } }).select('claimId repaymentNumber amountPaid').lean();
+  const repaymentByClaim = new Map(repayments.map(r => [String(r.claimId), r]));
+
+  const historyByClaim = new Map();
+  for (const user of users) {
+    for (const entry of user.claimHistory?.claims || []) {
+      if (entry.claimId) historyByClaim.set(String(entry.claimId), entry);
+    }
+  }
+
+  for (const claim of claims) {
+    const userId = claim.claimDetails.userId;
+    const entries = postings.get(String(claim._id)) || [];
+    const paid = entries.filter(e => e.type === 'ClaimPaid');
+    const repaid = entries.filter(e => e.type === 'RepaymentCollected');
+    const successes = [
+      ...(claim.evaluation.payout?.attempts || []).filter(a => a.status === 'Success'),
+      ...(claim.evaluation.payout?.offsets || []),
+    ];
+
+    for (const attempt of successes) {
+      const posting = paid.find(e => e.reference === attempt.reference);
+      if (!posting) {
+        flag(discrepancies, 'MissingLedgerEntry', { model: 'Claim', id: claim._id, userId, reference: attempt.reference, expected: roundMoney(attempt.amount), actual: 0, message: 'Confirmed payout has no ledger posting' });
+      } else if (roundMoney(posting.amount) !== roundMoney(attempt.amount)) {
+        flag(discrepancies, 'AmountMismatch', { model: 'Claim', id: claim._id, userId, reference: attempt.reference, expected: roundMoney(attempt.amount), actual: posting.amount, message: 'Ledger amount differs from the payout attempt' });
+      }
+    }
+
+    for (const posting of paid) {
+      if (!successes.some(a => a.reference === posting.reference)) {
+        flag(discrepancies, 'OrphanLedgerEntry', { model: 'Claim', id: claim._id, userId, reference: posting.reference, expected: 0, actual: posting.amount, message: 'Ledger records a payout the Claim has no confirmed attempt for' });
+      }
+    }
+
+    const totalPaid = roundMoney(paid.reduce((sum, e) => sum + e.amount, 0));
+    const payoutAmount = roundMoney(claim.evaluation.payoutAmount);
+    if (paid.length === 0 && successes.length === 0) {
+      flag(discrepancies, 'MissingLedgerEntry', { model: 'Claim', id: claim._id, userId, reference: claim.evaluation.mPesaTransactionId || null, expected: payoutAmount, actual: 0, message: 'Claim is Paid but neither a confirmed payout nor a ledger posting exists' });
+    } else if (totalPaid !== payoutAmount) {
+      flag(discrepancies, 'AmountMismatch', { model: 'Claim', id: claim._id, userId, reference: null, expected: payoutAmount, actual: totalPaid, message: 'Ledger payouts differ from evaluation.payoutAmount' });
+    }
+
+    const history = historyByClaim.get(String(claim._id));
+    if (paid.length > 0 && history && roundMoney(history.payoutAmount) !== totalPaid) {
+      flag(discrepancies, 'ClaimHistoryMismatch', { model: 'User', id: userId, userId, reference: String(claim._id), expected: totalPaid, actual: roundMoney(history.payoutAmount), message: 'User.claimHistory payoutAmount differs from the ledger' });
+    }
+
+    const totalRepaid = roundMoney(repaid.reduce((sum, e) => sum + e.amount, 0));
+    if (totalRepaid > 0 && !claim.evaluation.reinstated) {
+      flag(discrepancies, 'UnexpectedRepayment', { model: 'Claim', id: claim._id, userId, reference: null, expected: 0, actual: totalRepaid, message: 'Repayments recorded for a claim that was never reinstated' });
+    } else if (totalRepaid > roundMoney(claim.evaluation.repayAmount)) {
+      flag(discrepancies, 'OverRepayment', { model: 'Claim', id: claim._id, userId, reference: null, expected: roundMoney(claim.evaluation.repayAmount), actual: totalRepaid, message: 'Repayments exceed the reinstatement repay amount' });
+    }
+
+    const repayment = repaymentByClaim.get(String(claim._id));
+    if (repayment && roundMoney(repayment.amountPaid) !== totalRepaid) {
+      flag(discrepancies, 'AmountMismatch', { model: 'Repayment', id: repayment._id, userId, reference: repayment.repaymentNumber, expected: roundMoney(repayment.amountPaid), actual: totalRepaid, message: 'Repayment amountPaid differs from ledger repayments' });
+    }
+  }
+
+  return claims.length;
+};
+
+/**
+ * Reconcile the ledger against Premium and Claim documents
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Limit to one policyholder
+ * @returns {Promise<Object>} { checkedAt, summary, discrepancies[] }
+ */
+export const reconcileLedger = async ({ userId } = {}) => {
+  const discrepancies = [];
+  const premiumsChecked = await reconcilePremiums(userId ? { 'premiumDetails.userId': userId } : {}, discrepancies);
+  const claimsChecked = await reconcileClaims(userId ? { 'claimDetails.userId': userId } : {}, discrepancies);
+
+  const byKind = discrepancies.reduce((acc, d) => ({ ...acc, [d.kind]: (acc[d.kind] || 0) + 1 }), {});
+  if (discrepancies.length > 0) {
+    logger.warn(`Ledger reconciliation${userId ? ` for user ${userId}` : ''}: ${discrepancies.length} discrepancies ${JSON.stringify(byKind)}`);
+  }
+
+  return {
+    checkedAt: new Date(),
+    summary: { premiumsChecked, claimsChecked, discrepancies: discrepancies.length, byKind },
+    discrepancies,
+  };
+};
+
+export default { reconcileLedger };
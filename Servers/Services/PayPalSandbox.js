@@ -0,0 +1,154 @@
+// services/payPalSandbox.js
+// Local PayPal REST stand-in (PAYPAL_ENV=local): OAuth, Orders v2 (create → approve → capture), capture refunds and Payouts.
+// Opening an order's approve link "approves" it and redirects to the return URL (cancel URL when cancelled).
+// Order scenario is forced via PAYPAL_SANDBOX_SCENARIO: success (default), cancelled (payer backs out), declined (capture fails).
+// Payout scenario comes from the receiver email tag: name+failed@... → FAILED, name+unclaimed@... → UNCLAIMED, else SUCCESS.
+import express from 'express';
+import crypto from 'crypto';
+import logger from '../Utilities/Logger.js';
+
+const ORDER_SCENARIOS = ['success', 'cancelled', 'declined'];
+
+// In-memory orders, captures and payout batches
+const orders = new Map();
+const captures = new Map();
+const payouts = new Map();
+
+const randomId = (length = 17) => crypto.randomBytes(length).toString('hex').toUpperCase().slice(0, length);
+
+const pickOrderScenario = () => {
+  const forced = process.env.PAYPAL_SANDBOX_SCENARIO;
+  return ORDER_SCENARIOS.includes(forced) ? forced : 'success';
+};
+
+const unprocessable = (res, issue, description) =>
+  res.status(422).json({ name: 'UNPROCESSABLE_ENTITY', message: description, details: [{ issue, description }] });
+
+const payPalSandboxRouter = express.Router();
+
+// OAuth (accepts any client credentials)
+payPalSandboxRouter.post('/v1/oauth2/token', express.urlencoded({ extended: false }), (req, res) => {
+  res.json({ access_token: `A21AA${randomId(24)}`, token_type: 'Bearer', expires_in: 32400 });
+});
+
+// Orders v2: create
+payPalSandboxRouter.post('/v2/checkout/orders', (req, res) => {
+  const unit = req.body?.purchase_units?.[0];
+  const { return_url: returnUrl, cancel_url: cancelUrl } = req.body?.application_context || {};
+  if (!unit?.amount?.value || !returnUrl || !cancelUrl) {
+    return res.status(400).json({ name: 'INVALID_REQUEST', message: 'purchase_units[0].amount and application_context return/cancel URLs are required' });
+  }
+
+  const id = randomId();
+  orders.set(id, { id, status: 'CREATED', unit, returnUrl, cancelUrl, scenario: pickOrderScenario() });
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  res.status(201).json({
+    id,
+    status: 'CREATED',
+    links: [
+      { href: `${base}/v2/checkout/orders/${id}`, rel: 'self', method: 'GET' },
+      { href: `${base}/checkoutnow?token=${id}`, rel: 'approve', method: 'GET' },
+      { href: `${base}/v2/checkout/orders/${id}/capture`, rel: 'capture', method: 'POST' },
+    ],
+  });
+});
+
+// Payer "approval" page: redirects back to the merchant like PayPal does
+payPalSandboxRouter.get('/checkoutnow', (req, res) => {
+  const order = orders.get(req.query.token);
+  if (!order) {
+    return res.status(404).send('Unknown order');
+  }
+  if (order.scenario === 'cancelled') {
+    logger.info(`[PayPalSandbox] Payer cancelled order ${order.id}`);
+    return res.redirect(`${order.cancelUrl}&token=${order.id}`);
+  }
+  order.status = 'APPROVED';
+  logger.info(`[PayPalSandbox] Payer approved order ${order.id}`);
+  res.redirect(`${order.returnUrl}&token=${order.id}&PayerID=${randomId(13)}`);
+});
+
+const orderBody = (order) => ({
+  id: order.id,
+  status: order.status,
+  purchase_units: [{
+    ...order.unit,
+    payments: order.capture ? { captures: [order.capture] } : undefined,
+  }],
+});
+
+payPalSandboxRouter.get('/v2/checkout/orders/:id', (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) {
+    return res.status(404).json({ name: 'RESOURCE_NOT_FOUND', message: 'Order not found' });
+  }
+  res.json(orderBody(order));
+});
+
+// Orders v2: capture an approved order
+payPalSandboxRouter.post('/v2/checkout/orders/:id/capture', (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) {
+    return res.status(404).json({ name: 'RESOURCE_NOT_FOUND', message: 'Order not found' });
+  }
+  if (order.status === 'COMPLETED') return unprocessable(res, 'ORDER_ALREADY_CAPTURED', 'Order already captured');
+  if (order.status !== 'APPROVED') return unprocessable(res, 'ORDER_NOT_APPROVED', 'Payer has not approved the order');
+  if (order.scenario === 'declined') return unprocessable(res, 'INSTRUMENT_DECLINED', 'The instrument presented was declined');
+
+  order.status = 'COMPLETED';
+  order.capture = { id: randomId(), status: 'COMPLETED', amount: order.unit.amount, create_time: new Date().toISOString() };
+  captures.set(order.capture.id, { ...order.capture, refunded: 0 });
+  logger.info(`[PayPalSandbox] Captured order ${order.id} (${order.unit.amount.value} ${order.unit.amount.currency_code})`);
+  res.status(201).json(orderBody(order));
+});
+
+// Payments v2: refund (part of) a capture
+payPalSandboxRouter.post('/v2/payments/captures/:id/refund', (req, res) => {
+  const capture = captures.get(req.params.id);
+  if (!capture) {
+    return res.status(404).json({ name: 'RESOURCE_NOT_FOUND', message: 'Capture not found' });
+  }
+  const value = Number(req.body?.amount?.value ?? capture.amount.value);
+  if (capture.refunded + value > Number(capture.amount.value)) {
+    return unprocessable(res, 'REFUND_AMOUNT_EXCEEDED', 'The refund amount must be less than or equal to the capture amount that has not yet been refunded');
+  }
+  capture.refunded += value;
+  res.status(201).json({ id: randomId(), status: 'COMPLETED', amount: { value: value.toFixed(2), currency_code: capture.amount.currency_code } });
+});
+
+// Payouts v1: create a batch (settles after PAYPAL_SANDBOX_DELAY_MS; there is no callback, poll the batch)
+payPalSandboxRouter.post('/v1/payments/payouts', (req, res) => {
+  const item = req.body?.items?.[0];
+  if (!req.body?.sender_batch_header?.sender_batch_id || !item?.receiver || !item?.amount?.value) {
+    return res.status(400).json({ name: 'VALIDATION_ERROR', message: 'sender_batch_id and one item with receiver and amount are required' });
+  }
+
+  const batchId = randomId(13);
+  const tag = /\+(\w+)@/.exec(item.receiver)?.[1];
+  const outcome = { failed: 'FAILED', unclaimed: 'UNCLAIMED' }[tag] || 'SUCCESS';
+  payouts.set(batchId, { batchId, item, outcome, transactionId: randomId(), readyAt: Date.now() + Number(process.env.PAYPAL_SANDBOX_DELAY_MS || 2000) });
+  logger.info(`[PayPalSandbox] Payout batch ${batchId} to ${item.receiver} (${outcome})`);
+  res.status(201).json({ batch_header: { payout_batch_id: batchId, batch_status: 'PENDING', sender_batch_header: req.body.sender_batch_header } });
+});
+
+payPalSandboxRouter.get('/v1/payments/payouts/:batchId', (req, res) => {
+  const batch = payouts.get(req.params.batchId);
+  if (!batch) {
+    return res.status(404).json({ name: 'RESOURCE_NOT_FOUND', message: 'Batch not found' });
+  }
+  const settled = Date.now() >= batch.readyAt;
+  const status = settled ? batch.outcome : 'PENDING';
+  res.json({
+    batch_header: { payout_batch_id: batch.batchId, batch_status: settled ? 'SUCCESS' : 'PROCESSING' },
+    items: [{
+      payout_item_id: `${batch.batchId}-1`,
+      transaction_id: status === 'SUCCESS' ? batch.transactionId : undefined,
+      transaction_status: status,
+      payout_item: batch.item,
+      time_processed: settled ? new Date(batch.readyAt).toISOString() : undefined,
+      errors: status === 'FAILED' ? { name: 'RECEIVER_UNREGISTERED', message: 'Receiver is unregistered' } : undefined,
+    }],
+  });
+});
+
+export default payPalSandboxRouter;
@@ -1 +1,777 @@
-// Payment processing (e.g., for premiums)
\ No newline at end of file
+// services/paymentService.js
+// M-Pesa (Safaricom Daraja) client: OAuth, STK Push (premium collection), B2C (claim payouts) and signed callbacks,
+// plus the payment-provider interface (M-Pesa, bank transfer and PayPal adapters) the models charge and pay out through
+import axios from 'axios';
+import crypto from 'crypto';
+import { getRate } from './FxServices.js';
+import logger from '../Utilities/Logger.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Daraja hosts per environment ('local' = DarajaSandbox stand-in mounted by index.js)
+const DARAJA_HOSTS = {
+  production: 'https://api.safaricom.co.ke',
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  local: `http://localhost:${process.env.PORT || 3000}/sandbox/daraja`,
+};
+
+// The local stand-ins are public, unauthenticated routes that confirm any payment: refuse them in production
+const refuseLocalInProduction = (name, env) => {
+  if (env === 'local' && process.env.NODE_ENV === 'production') {
+    throw new Error(`${name}=local mounts a payment stand-in and is not allowed when NODE_ENV=production`);
+  }
+  return env;
+};
+
+export const MPESA_ENV = refuseLocalInProduction('MPESA_ENV', process.env.MPESA_ENV || 'sandbox');
+const DARAJA_BASE_URL = process.env.MPESA_BASE_URL || DARAJA_HOSTS[MPESA_ENV] || DARAJA_HOSTS.sandbox;
+const CALLBACK_BASE_URL = process.env.MPESA_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+const CALLBACK_SECRET = process.env.MPESA_CALLBACK_SECRET;  // Required: anyone holding it can forge callbacks
+
+// STK result codes we act on (Daraja docs); anything else is treated as a generic failure
+export const STK_RESULT_CODES = {
+  SUCCESS: 0,
+  INSUFFICIENT_FUNDS: 1,
+  CANCELLED: 1032,
+  TIMEOUT: 1037,
+};
+
+// Map a Daraja ResultCode to the Premium attempt status enum
+export const mapStkResultToStatus = (resultCode) => {
+  switch (Number(resultCode)) {
+    case STK_RESULT_CODES.SUCCESS: return 'Success';
+    case STK_RESULT_CODES.CANCELLED: return 'Cancelled';
+    case STK_RESULT_CODES.TIMEOUT: return 'TimedOut';
+    default: return 'Failed';
+  }
+};
+
+/**
+ * Normalize a Kenyan phone number to the 2547XXXXXXXX format Daraja expects
+ * @param {string} phone - +2547..., 07..., or 2547...
+ * @returns {string|null} MSISDN or null if invalid
+ */
+export const normalizeMsisdn = (phone = '') => {
+  const digits = String(phone).replace(/\D/g, '');
+  if (/^254[17]\d{8}$/.test(digits)) return digits;
+  if (/^0[17]\d{8}$/.test(digits)) return `254${digits.slice(1)}`;
+  if (/^[17]\d{8}$/.test(digits)) return `254${digits}`;
+  return null;
+};
+
+// Daraja timestamp (YYYYMMDDHHmmss, EAT not enforced by sandbox)
+const darajaTimestamp = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+// Cached OAuth token (Daraja tokens live ~1h)
+let cachedToken = { value: null, expiresAt: 0 };
+
+/**
+ * Get (and cache) a Daraja OAuth access token
+ * @returns {Promise<string>} Bearer token
+ */
+export const getAccessToken = async () => {
+  if (cachedToken.value && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.value;
+  }
+
+  const credentials = Buffer.from(`${process.env.MPESA_CONSUMER_KEY || ''}:${process.env.MPESA_CONSUMER_SECRET || ''}`).toString('base64');
+  try {
+    const { data } = await axios.get(`${DARAJA_BASE_URL}/oauth/v1/generate`, {
+      params: { grant_type: 'client_credentials' },
+      headers: { Authorization: `Basic ${credentials}` },
+      timeout: 15000,
+    });
+    const ttlMs = (Number(data.expires_in) || 3599) * 1000;
+    cachedToken = { value: data.access_token, expiresAt: Date.now() + ttlMs - 60 * 1000 };  // Refresh 1 min early
+    return cachedToken.value;
+  } catch (error) {
+    logger.error(`Daraja OAuth failed: ${error.response?.data?.errorMessage || error.message}`);
+    throw new Error('M-Pesa authentication failed');
+  }
+};
+
+/**
+ * Sign a callback reference so callbacks can be verified (Daraja itself does not sign)
+ * @param {string} reference - Our internal attempt reference
+ * @returns {string} Hex HMAC-SHA256
+ */
+export const signCallbackReference = (reference) => {
+  if (!CALLBACK_SECRET) throw new Error('MPESA_CALLBACK_SECRET is not configured; callbacks cannot be signed');
+  return crypto.createHmac('sha256', CALLBACK_SECRET).update(String(reference)).digest('hex');
+};
+
+/**
+ * Verify a callback signature (constant-time)
+ * @param {string} reference - Attempt reference from the callback URL
+ * @param {string} signature - Signature from the callback URL
+ * @returns {boolean}
+ */
+export const verifyCallbackSignature = (reference, signature) => {
+  if (!reference || !signature || !CALLBACK_SECRET) return false;
+  const expected = Buffer.from(signCallbackReference(reference), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Build a signed callback URL for a given route + reference
+const buildCallbackUrl = (path, reference) =>
+  `${CALLBACK_BASE_URL}${path}?ref=${encodeURIComponent(reference)}&sig=${signCallbackReference(reference)}`;
+
+/**
+ * Generate a unique attempt reference (also used as idempotent lookup key on callback)
+ * @param {string} prefix - e.g. 'PRM'
+ * @returns {string}
+ */
+export const generatePaymentReference = (prefix = 'PRM') =>
+  `${prefix}-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+/**
+ * Start an STK Push (Lipa Na M-Pesa Online) for a premium payment
+ * @param {Object} options
+ * @param {string} options.phoneNumber - Payer phone (any Kenyan format)
+ * @param {number} options.amount - Amount in KSh (rounded up to whole shillings)
+ * @param {string} options.accountReference - Shown on the payer's handset (max 12 chars)
+ * @param {string} options.reference - Internal attempt reference (signed into the callback URL)
+ * @param {string} [options.description] - Transaction description (max 13 chars)
+ * @param {string} [options.callbackPath] - Route the callback should hit
+ * @returns {Promise<{merchantRequestId: string, checkoutRequestId: string, customerMessage: string}>}
+ */
+export const initiateStkPush = async ({
+  phoneNumber,
+  amount,
+  accountReference,
+  reference,
+  description = 'CCI Premium',
+  callbackPath = '/api/premiums/mpesa/callback',
+}) => {
+  const msisdn = normalizeMsisdn(phoneNumber);
+  if (!msisdn) {
+    throw new Error('A valid Kenyan M-Pesa phone number is required');
+  }
+  if (!amount || amount <= 0) {
+    throw new Error('Payment amount must be greater than zero');
+  }
+
+  const shortCode = process.env.MPESA_SHORTCODE || '174379';
+  const timestamp = darajaTimestamp();
+  const password = Buffer.from(`${shortCode}${process.env.MPESA_PASSKEY || ''}${timestamp}`).toString('base64');
+  const token = await getAccessToken();
+
+  try {
+    const { data } = await axios.post(
+      `${DARAJA_BASE_URL}/mpesa/stkpush/v1/processrequest`,
+      {
+        BusinessShortCode: shortCode,
+        Password: password,
+        Timestamp: timestamp,
+        TransactionType: 'CustomerPayBillOnline',
+        Amount: Math.ceil(amount),
+        PartyA: msisdn,
+        PartyB: shortCode,
+        PhoneNumber: msisdn,
+        CallBackURL: buildCallbackUrl(callbackPath, reference),
+        AccountReference: String(accountReference || 'CCI').slice(0, 12),
+        TransactionDesc: String(description).slice(0, 13),
+      },
+      { headers: { Authorization: `Bearer ${token}` }, timeout: 30000 }
+    );
+
+    if (String(data.ResponseCode) !== '0') {
+      throw new Error(data.ResponseDescription || 'STK Push rejected');
+    }
+
+    logger.info(`STK Push sent to ${msisdn} for KSh ${Math.ceil(amount)} (ref ${reference}, checkout ${data.CheckoutRequestID})`);
+    return {
+      merchantRequestId: data.MerchantRequestID,
+      checkoutRequestId: data.CheckoutRequestID,
+      customerMessage: data.CustomerMessage || 'Check your phone to complete payment',
+    };
+  } catch (error) {
+    const message = error.response?.data?.errorMessage || error.message;
+    logger.error(`STK Push failed for ref ${reference}: ${message}`);
+    throw new Error(`M-Pesa STK Push failed: ${message}`);
+  }
+};
+
+/**
+ * Query the status of an STK Push (for attempts whose callback never arrived)
+ * @param {string} checkoutRequestId
+ * @returns {Promise<{resultCode: number, resultDesc: string}>}
+ */
+export const queryStkPush = async (checkoutRequestId) => {
+  const shortCode = process.env.MPESA_SHORTCODE || '174379';
+  const timestamp = darajaTimestamp();
+  const password = Buffer.from(`${shortCode}${process.env.MPESA_PASSKEY || ''}${timestamp}`).toString('base64');
+  const token = await getAccessToken();
+
+  const { data } = await axios.post(
+    `${DARAJA_BASE_URL}/mpesa/stkpushquery/v1/query`,
+    { BusinessShortCode: shortCode, Password: password, Timestamp: timestamp, CheckoutRequestID: checkoutRequestId },
+    { headers: { Authorization: `Bearer ${token}` }, timeout: 15000 }
+  );
+  return { resultCode: Number(data.ResultCode), resultDesc: data.ResultDesc };
+};
+
+/**
+ * Parse a Daraja STK callback body into a flat result
+ * @param {Object} body - Raw callback body ({ Body: { stkCallback } })
+ * @returns {{checkoutRequestId: string, merchantRequestId: string, resultCode: number, resultDesc: string, amount: number|null, mpesaReceipt: string|null, phoneNumber: string|null, transactionDate: Date|null}}
+ */
+export const parseStkCallback = (body) => {
+  const callback = body?.Body?.stkCallback;
+  if (!callback?.CheckoutRequestID) {
+    throw new Error('Malformed STK callback');
+  }
+
+  const items = callback.CallbackMetadata?.Item || [];
+  const getItem = (name) => items.find(i => i.Name === name)?.Value ?? null;
+  const rawDate = getItem('TransactionDate');  // e.g. 20250501123045
+
+  return {
+    checkoutRequestId: callback.CheckoutRequestID,
+    merchantRequestId: callback.MerchantRequestID,
+    resultCode: Number(callback.ResultCode),
+    resultDesc: callback.ResultDesc || '',
+    amount: getItem('Amount'),
+    mpesaReceipt: getItem('MpesaReceiptNumber'),
+    phoneNumber: getItem('PhoneNumber') ? String(getItem('PhoneNumber')) : null,
+    transactionDate: rawDate
+      ? new Date(String(rawDate).replace(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/, '$1-$2-$3T$4:$5:$6'))
+      : null,
+  };
+};
+
+/**
+ * Send a B2C disbursement (claim payout) to a creator's M-Pesa
+ * @param {Object} options
+ * @param {string} options.phoneNumber - Receiver phone (any Kenyan format)
+ * @param {number} options.amount - Amount in KSh (rounded down to whole shillings)
+ * @param {string} options.reference - Internal attempt reference (OriginatorConversationID + signed callback ref)
+ * @param {string} [options.remarks] - Remarks (max 100 chars)
+ * @param {string} [options.occasion] - Occasion, e.g. claim ID
+ * @param {string} [options.resultPath] - Route the B2C result should hit
+ * @param {string} [options.timeoutPath] - Route the queue timeout should hit
+ * @returns {Promise<{conversationId: string, originatorConversationId: string}>}
+ */
+export const initiateB2CPayment = async ({
+  phoneNumber,
+  amount,
+  reference,
+  remarks = 'CCI claim payout',
+  occasion = '',
+  resultPath = '/api/claims/mpesa/b2c/result',
+  timeoutPath = '/api/claims/mpesa/b2c/timeout',
+}) => {
+  const msisdn = normalizeMsisdn(phoneNumber);
+  if (!msisdn) {
+    throw new Error('A valid Kenyan M-Pesa phone number is required for payout');
+  }
+  if (!amount || amount < 10) {
+    throw new Error('Payout amount must be at least KSh 10');  // Daraja B2C minimum
+  }
+
+  const token = await getAccessToken();
+  try {
+    const { data } = await axios.post(
+      `${DARAJA_BASE_URL}/mpesa/b2c/v3/paymentrequest`,
+      {
+        OriginatorConversationID: reference,
+        InitiatorName: process.env.MPESA_INITIATOR_NAME || 'testapi',
+        SecurityCredential: process.env.MPESA_SECURITY_CREDENTIAL || '',
+        CommandID: 'BusinessPayment',
+        Amount: Math.floor(amount),
+        PartyA: process.env.MPESA_B2C_SHORTCODE || '600999',
+        PartyB: msisdn,
+        Remarks: String(remarks).slice(0, 100),
+        QueueTimeOutURL: buildCallbackUrl(timeoutPath, reference),
+        ResultURL: buildCallbackUrl(resultPath, reference),
+        Occasion: String(occasion).slice(0, 100),
+      },
+      { headers: { Authorization: `Bearer ${token}` }, timeout: 30000 }
+    );
+
+    if (String(data.ResponseCode) !== '0') {
+      throw new Error(data.ResponseDescription || 'B2C request rejected');
+    }
+
+    logger.info(`B2C payout queued to ${msisdn} for KSh ${Math.floor(amount)} (ref ${reference}, conversation ${data.ConversationID})`);
+    return {
+      conversationId: data.ConversationID,
+      originatorConversationId: data.OriginatorConversationID || reference,
+    };
+  } catch (error) {
+    const message = error.response?.data?.errorMessage || error.message;
+    logger.error(`B2C payout failed for ref ${reference}: ${message}`);
+    throw new Error(`M-Pesa B2C failed: ${message}`);
+  }
+};
+
+/**
+ * Parse a Daraja B2C result/timeout body into a flat result
+ * @param {Object} body - Raw callback body ({ Result })
+ * @returns {{conversationId: string, originatorConversationId: string, resultCode: number, resultDesc: string, mpesaReceipt: string|null, amount: number|null, receiverName: string|null, completedAt: Date|null}}
+ */
+export const parseB2CResult = (body) => {
+  const result = body?.Result;
+  if (!result) {
+    throw new Error('Malformed B2C result');
+  }
+
+  const params = result.ResultParameters?.ResultParameter || [];
+  const getParam = (key) => params.find(p => p.Key === key)?.Value ?? null;
+  const rawDate = getParam('TransactionCompletedDateTime');  // e.g. 01.05.2025 12:30:45
+
+  return {
+    conversationId: result.ConversationID,
+    originatorConversationId: result.OriginatorConversationID,
+    resultCode: Number(result.ResultCode),
+    resultDesc: result.ResultDesc || '',
+    mpesaReceipt: getParam('TransactionReceipt') || result.TransactionID || null,
+    amount: getParam('TransactionAmount'),
+    receiverName: getParam('ReceiverPartyPublicName'),
+    completedAt: rawDate
+      ? new Date(String(rawDate).replace(/^(\d{2})\.(\d{2})\.(\d{4}) (.*)$/, '$3-$2-$1T$4'))
+      : null,
+  };
+};
+
+/*
+ * Payment provider interface: one adapter per User.financialInfo.paymentMethod.type.
+ * Every adapter implements:
+ *   verifyAccount(details) → { valid, details, display, accountName?, error? }
+ *   charge({ details, amount, reference, accountReference, description, callbackBase }) → { providerRequestId, customerMessage, approvalUrl? }
+ *   parseChargeResult({ body, query, attempt }) → ChargeResult (attempt = the signed ref's pending attempt; throws on a mismatch)
+ *   queryCharge(providerRequestId) → ChargeResult (throws while still pending)
+ *   disburse({ details, amount, reference, remarks, occasion, callbackBase }) → { providerRequestId, result? }
+ *   refund({ ...disburse options, originalReceipt? }) → { providerRequestId, result? }
+ *   parsePayoutResult({ body, query, attempt }) → PayoutResult (null when the provider does not call back)
+ *   queryPayout(providerRequestId) → PayoutResult | null while pending (null function when unsupported)
+ * ChargeResult: { providerRequestId, status (attempt enum), resultCode, resultDesc, amount, currency? (default KES), receipt, transactionDate }
+ * PayoutResult: { providerRequestId, resultCode (0 = paid), resultDesc, receipt, amount, completedAt }
+ * `details` has the User.financialInfo.paymentMethod.details shape: { mobileNumber, bankName, accountNumber, paypalEmail };
+ * `accountField` names the one a bare string (e.g., a phone number in a request body) stands for.
+ * Amounts are always KSh; callbacks hit `${callbackBase}/${slug}/callback` (charges) and
+ * `${callbackBase}/${slug}/b2c/result|timeout` (payouts), signed with ?ref=&sig=.
+ */
+export const PAYMENT_METHODS = ['M-Pesa', 'Bank', 'PayPal'];
+
+const mpesaProvider = {
+  method: 'M-Pesa',
+  slug: 'mpesa',
+  accountField: 'mobileNumber',
+  verifyAccount: async ({ mobileNumber } = {}) => {
+    const msisdn = normalizeMsisdn(mobileNumber);
+    if (!msisdn) return { valid: false, error: 'A valid Kenyan M-Pesa phone number is required' };
+    return { valid: true, details: { mobileNumber: msisdn }, display: msisdn };
+  },
+  charge: async ({ details, amount, reference, accountReference, description, callbackBase }) => {
+    const push = await initiateStkPush({
+      phoneNumber: details.mobileNumber,
+      amount,
+      reference,
+      accountReference,
+      description,
+      callbackPath: `${callbackBase}/mpesa/callback`,
+    });
+    return { providerRequestId: push.checkoutRequestId, merchantRequestId: push.merchantRequestId, customerMessage: push.customerMessage };
+  },
+  parseChargeResult: async ({ body }) => {
+    const result = parseStkCallback(body);
+    if (result.resultCode === STK_RESULT_CODES.SUCCESS && result.amount == null) {
+      throw new Error('Malformed STK callback: no amount on a successful payment');
+    }
+    return {
+      providerRequestId: result.checkoutRequestId,
+      status: mapStkResultToStatus(result.resultCode),
+      resultCode: result.resultCode,
+      resultDesc: result.resultDesc,
+      amount: result.amount,
+      receipt: result.mpesaReceipt,
+      transactionDate: result.transactionDate,
+    };
+  },
+  queryCharge: async (providerRequestId) => {
+    const { resultCode, resultDesc } = await queryStkPush(providerRequestId);
+    return { providerRequestId, status: mapStkResultToStatus(resultCode), resultCode, resultDesc, amount: null, receipt: null, transactionDate: null };
+  },
+  disburse: async ({ details, amount, reference, remarks, occasion, callbackBase }) => {
+    const { conversationId } = await initiateB2CPayment({
+      phoneNumber: details.mobileNumber,
+      amount,
+      reference,
+      remarks,
+      occasion,
+      resultPath: `${callbackBase}/mpesa/b2c/result`,
+      timeoutPath: `${callbackBase}/mpesa/b2c/timeout`,
+    });
+    return { providerRequestId: conversationId };
+  },
+  // Daraja reversals only undo whole transactions; partial (pro-rata) refunds go out as B2C
+  refund: (options) => mpesaProvider.disburse(options),
+  parsePayoutResult: async ({ body }) => {
+    const result = parseB2CResult(body);
+    return {
+      providerRequestId: result.conversationId,
+      resultCode: result.resultCode,
+      resultDesc: result.resultDesc,
+      receipt: result.mpesaReceipt,
+      amount: result.amount,
+      completedAt: result.completedAt,
+    };
+  },
+  queryPayout: null,  // Daraja Transaction Status answers asynchronously; results/timeouts arrive by callback
+};
+
+// Bank transfer API (pay-by-bank debit requests + credit transfers) at BANK_API_BASE_URL; only an explicit
+// BANK_ENV=local uses the BankSandbox stand-in mounted by index.js
+export const BANK_ENV = refuseLocalInProduction('BANK_ENV', process.env.BANK_ENV || 'production');
+const BANK_BASE_URL = BANK_ENV === 'local' ? `http://localhost:${process.env.PORT || 3000}/sandbox/bank` : process.env.BANK_API_BASE_URL;
+
+// Bank transfer status → attempt status
+const BANK_STATUS = { Completed: 'Success', Failed: 'Failed', Rejected: 'Failed', Cancelled: 'Cancelled', Expired: 'TimedOut' };
+
+const bankRequest = async (method, path, data) => {
+  if (!BANK_BASE_URL) throw new Error('Bank transfer failed: BANK_API_BASE_URL is not configured');
+  try {
+    const { data: body } = await axios({
+      method,
+      url: `${BANK_BASE_URL}${path}`,
+      data,
+      headers: { Authorization: `Bearer ${process.env.BANK_API_KEY || ''}` },
+      timeout: 30000,
+    });
+    return body;
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    logger.error(`Bank API ${method.toUpperCase()} ${path} failed: ${message}`);
+    throw new Error(`Bank transfer failed: ${message}`);
+  }
+};
+
+const maskAccount = (accountNumber) => `****${String(accountNumber).slice(-4)}`;
+
+const parseBankTransfer = (body) => ({
+  providerRequestId: body?.requestId,
+  status: BANK_STATUS[body?.status] || 'Pending',
+  resultCode: body?.status === 'Completed' ? 0 : 1,
+  resultDesc: body?.message || body?.status || '',
+  amount: body?.amount ?? null,
+  receipt: body?.bankReference || null,
+  transactionDate: body?.completedAt ? new Date(body.completedAt) : null,
+  completedAt: body?.completedAt ? new Date(body.completedAt) : null,
+});
+
+// Callbacks only count for the amount we asked for; a mismatch is refused and the status query settles the attempt
+const parseBankCallback = (body, attempt, expected) => {
+  if (!body?.requestId || !attempt) throw new Error('Malformed bank transfer callback');
+  const result = parseBankTransfer(body);
+  if (result.status === 'Success' && Number(result.amount) !== expected) {
+    throw new Error(`Bank callback for ${attempt.reference} reports KSh ${result.amount}, expected KSh ${expected}`);
+  }
+  return result;
+};
+
+const bankProvider = {
+  method: 'Bank',
+  slug: 'bank',
+  accountField: 'accountNumber',
+  verifyAccount: async ({ bankName, accountNumber } = {}) => {
+    const digits = String(accountNumber || '').replace(/\D/g, '');
+    if (!bankName || !/^\d{6,20}$/.test(digits)) {
+      return { valid: false, error: 'A bank name and a 6-20 digit account number are required' };
+    }
+    const { valid, accountName, message } = await bankRequest('post', '/v1/accounts/verify', { bankName, accountNumber: digits });
+    if (!valid) return { valid: false, error: message || 'Bank account could not be verified' };
+    return { valid: true, details: { bankName, accountNumber: digits }, display: `${bankName} ${maskAccount(digits)}`, accountName };
+  },
+  charge: async ({ details, amount, reference, accountReference, description, callbackBase }) => {
+    const data = await bankRequest('post', '/v1/debits', {
+      reference,
+      amount: Math.ceil(amount),
+      currency: 'KES',
+      debtor: { bankName: details.bankName, accountNumber: details.accountNumber },
+      creditorAccount: process.env.BANK_COLLECTION_ACCOUNT || '',
+      narration: `${accountReference} ${description}`.slice(0, 35),
+      callbackUrl: buildCallbackUrl(`${callbackBase}/bank/callback`, reference),
+    });
+    logger.info(`Bank debit request sent for ${maskAccount(details.accountNumber)}: KSh ${Math.ceil(amount)} (ref ${reference}, request ${data.requestId})`);
+    return { providerRequestId: data.requestId, customerMessage: data.message || 'Approve the debit request in your banking app' };
+  },
+  parseChargeResult: async ({ body, attempt }) => parseBankCallback(body, attempt, Math.ceil(attempt?.amount)),
+  queryCharge: async (providerRequestId) => {
+    const result = parseBankTransfer(await bankRequest('get', `/v1/debits/${encodeURIComponent(providerRequestId)}`));
+    if (result.status === 'Pending') throw new Error('The bank debit is still being processed');
+    return result;
+  },
+  disburse: async ({ details, amount, reference, remarks, callbackBase }) => {
+    const data = await bankRequest('post', '/v1/credits', {
+      reference,
+      amount: Math.floor(amount),
+      currency: 'KES',
+      beneficiary: { bankName: details.bankName, accountNumber: details.accountNumber },
+      sourceAccount: process.env.BANK_DISBURSEMENT_ACCOUNT || '',
+      narration: String(remarks || 'CCI payout').slice(0, 35),
+      callbackUrl: buildCallbackUrl(`${callbackBase}/bank/b2c/result`, reference),
+    });
+    logger.info(`Bank credit transfer queued to ${maskAccount(details.accountNumber)} for KSh ${Math.floor(amount)} (ref ${reference}, request ${data.requestId})`);
+    return { providerRequestId: data.requestId };
+  },
+  refund: (options) => bankProvider.disburse(options),
+  parsePayoutResult: async ({ body, attempt }) => parseBankCallback(body, attempt, Math.floor(attempt?.amount)),
+  queryPayout: async (providerRequestId) => {
+    const result = parseBankTransfer(await bankRequest('get', `/v1/credits/${encodeURIComponent(providerRequestId)}`));
+    return result.status === 'Pending' ? null : result;
+  },
+};
+
+// PayPal REST (Orders v2 for collection, Payouts v1 for disbursement); 'local' = PayPalSandbox stand-in mounted by index.js
+const PAYPAL_HOSTS = {
+  production: 'https://api-m.paypal.com',
+  sandbox: 'https://api-m.sandbox.paypal.com',
+  local: `http://localhost:${process.env.PORT || 3000}/sandbox/paypal`,
+};
+
+export const PAYPAL_ENV = refuseLocalInProduction('PAYPAL_ENV', process.env.PAYPAL_ENV || 'sandbox');
+const PAYPAL_BASE_URL = process.env.PAYPAL_BASE_URL || PAYPAL_HOSTS[PAYPAL_ENV] || PAYPAL_HOSTS.sandbox;
+const PAYPAL_CURRENCY = process.env.PAYPAL_CURRENCY || 'USD';  // PayPal does not settle KES
+
+let cachedPayPalToken = { value: null, expiresAt: 0 };
+
+const getPayPalToken = async () => {
+  if (cachedPayPalToken.value && cachedPayPalToken.expiresAt > Date.now()) {
+    return cachedPayPalToken.value;
+  }
+  try {
+    const { data } = await axios.post(`${PAYPAL_BASE_URL}/v1/oauth2/token`, 'grant_type=client_credentials', {
+      auth: { username: process.env.PAYPAL_CLIENT_ID || '', password: process.env.PAYPAL_CLIENT_SECRET || '' },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 15000,
+    });
+    cachedPayPalToken = { value: data.access_token, expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000 - 60 * 1000 };
+    return cachedPayPalToken.value;
+  } catch (error) {
+    logger.error(`PayPal OAuth failed: ${error.response?.data?.error_description || error.message}`);
+    throw new Error('PayPal authentication failed');
+  }
+};
+
+const paypalRequest = async (method, path, data) => {
+  const token = await getPayPalToken();
+  try {
+    const { data: body } = await axios({
+      method,
+      url: `${PAYPAL_BASE_URL}${path}`,
+      data,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      timeout: 30000,
+    });
+    return body;
+  } catch (error) {
+    const details = error.response?.data;
+    const message = details?.details?.[0]?.issue || details?.message || error.message;
+    logger.error(`PayPal ${method.toUpperCase()} ${path} failed: ${message}`);
+    throw new Error(`PayPal request failed: ${message}`);
+  }
+};
+
+// KSh → PayPal currency at today's rate (FX table, same source as analytics conversions)
+const toPayPalAmount = async (amount) => {
+  const { rate } = await getRate(new Date(), { base: PAYPAL_CURRENCY, quote: 'KES' });
+  return { currency_code: PAYPAL_CURRENCY, value: (Number(amount) / rate).toFixed(2) };
+};
+
+const parseCapturedOrder = (order) => {
+  const capture = order?.purchase_units?.[0]?.payments?.captures?.[0];
+  const completed = order?.status === 'COMPLETED' && capture?.status === 'COMPLETED';
+  return {
+    providerRequestId: order?.id,
+    status: completed ? 'Success' : 'Failed',
+    resultCode: completed ? 0 : 1,
+    resultDesc: completed ? 'Payment captured' : `PayPal order ${order?.status || 'not captured'}`,
+    amount: capture?.amount ? Number(capture.amount.value) : null,
+    currency: capture?.amount?.currency_code || PAYPAL_CURRENCY,
+    receipt: capture?.id || null,
+    transactionDate: capture?.create_time ? new Date(capture.create_time) : null,
+  };
+};
+
+const captureOrder = async (orderId) => {
+  try {
+    return parseCapturedOrder(await paypalRequest('post', `/v2/checkout/orders/${encodeURIComponent(orderId)}/capture`, {}));
+  } catch (error) {
+    return { providerRequestId: orderId, status: 'Failed', resultCode: 1, resultDesc: error.message, amount: null, receipt: null, transactionDate: null };
+  }
+};
+
+const PAYPAL_PAYOUT_FAILURES = ['FAILED', 'DENIED', 'RETURNED', 'BLOCKED', 'REFUNDED', 'REVERSED', 'UNCLAIMED'];
+
+const paypalProvider = {
+  method: 'PayPal',
+  slug: 'paypal',
+  accountField: 'paypalEmail',
+  verifyAccount: async ({ paypalEmail } = {}) => {
+    const email = String(paypalEmail || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { valid: false, error: 'A valid PayPal email address is required' };
+    return { valid: true, details: { paypalEmail: email }, display: email };
+  },
+  // Creates an order the payer approves on PayPal; PayPal redirects back to the signed return URL, which captures it
+  charge: async ({ amount, reference, accountReference, description, callbackBase }) => {
+    const returnUrl = buildCallbackUrl(`${callbackBase}/paypal/callback`, reference);
+    const order = await paypalRequest('post', '/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [{
+        reference_id: accountReference,
+        custom_id: reference,
+        description,
+        amount: await toPayPalAmount(amount),
+      }],
+      application_context: {
+        brand_name: 'CCI',
+        user_action: 'PAY_NOW',
+        shipping_preference: 'NO_SHIPPING',
+        return_url: returnUrl,
+        cancel_url: `${returnUrl}&cancelled=1`,
+      },
+    });
+    const approvalUrl = order.links?.find(l => l.rel === 'approve' || l.rel === 'payer-action')?.href || null;
+    logger.info(`PayPal order ${order.id} created for KSh ${amount} (ref ${reference})`);
+    return { providerRequestId: order.id, approvalUrl, customerMessage: 'Approve the payment on PayPal to complete it' };
+  },
+  parseChargeResult: async ({ query, attempt }) => {
+    if (!query?.token) throw new Error('Malformed PayPal return');
+    // Only ever capture the order this attempt created (the signed ref does not cover the token)
+    if (!attempt?.checkoutRequestId || query.token !== attempt.checkoutRequestId) {
+      throw new Error(`PayPal return token ${query.token} does not match the order for ${attempt?.reference || 'this payment'}`);
+    }
+    if (query.cancelled) {
+      return { providerRequestId: query.token, status: 'Cancelled', resultCode: 1, resultDesc: 'Payer cancelled on PayPal', amount: null, receipt: null, transactionDate: null };
+    }
+    return captureOrder(query.token);
+  },
+  queryCharge: async (providerRequestId) => {
+    const order = await paypalRequest('get', `/v2/checkout/orders/${encodeURIComponent(providerRequestId)}`);
+    if (order.status === 'APPROVED') return captureOrder(providerRequestId);  // Payer approved but the return never reached us
+    if (order.status === 'COMPLETED') return parseCapturedOrder(order);
+    if (order.status === 'VOIDED') {
+      return { providerRequestId, status: 'Cancelled', resultCode: 1, resultDesc: 'PayPal order voided', amount: null, receipt: null, transactionDate: null };
+    }
+    throw new Error('The PayPal order has not been approved yet');
+  },
+  disburse: async ({ details, amount, reference, remarks }) => {
+    const data = await paypalRequest('post', '/v1/payments/payouts', {
+      sender_batch_header: { sender_batch_id: reference, email_subject: 'You have a payout from CCI', email_message: remarks },
+      items: [{
+        recipient_type: 'EMAIL',
+        receiver: details.paypalEmail,
+        amount: await toPayPalAmount(amount),
+        note: remarks,
+        sender_item_id: reference,
+      }],
+    });
+    logger.info(`PayPal payout batch ${data.batch_header?.payout_batch_id} queued to ${details.paypalEmail} for KSh ${amount} (ref ${reference})`);
+    return { providerRequestId: data.batch_header?.payout_batch_id };
+  },
+  // Refunds against the original capture when one covers it (settles immediately), else a payout
+  refund: async (options) => {
+    if (!options.originalReceipt) return paypalProvider.disburse(options);
+    let refund;
+    try {
+      refund = await paypalRequest('post', `/v2/payments/captures/${encodeURIComponent(options.originalReceipt)}/refund`, {
+        amount: await toPayPalAmount(options.amount),
+        invoice_id: options.reference,
+        note_to_payer: String(options.remarks || '').slice(0, 255),
+      });
+    } catch (error) {
+      // e.g., the KSh amount now converts to more than was captured: send it as a payout instead
+      logger.warn(`PayPal capture refund failed for ref ${options.reference}, falling back to payout: ${error.message}`);
+      return paypalProvider.disburse(options);
+    }
+    const completed = refund.status === 'COMPLETED';
+    return {
+      providerRequestId: refund.id,
+      result: refund.status === 'PENDING' ? null : {
+        providerRequestId: refund.id,
+        resultCode: completed ? 0 : 1,
+        resultDesc: completed ? 'Refunded to the original PayPal capture' : `PayPal refund ${refund.status}`,
+        receipt: refund.id,
+        amount: Number(options.amount),
+        completedAt: new Date(),
+      },
+    };
+  },
+  parsePayoutResult: null,  // Payout webhooks are account-wide (not per request); results are polled via queryPayout
+  queryPayout: async (providerRequestId) => {
+    const batch = await paypalRequest('get', `/v1/payments/payouts/${encodeURIComponent(providerRequestId)}`);
+    const item = batch.items?.[0];
+    const status = item?.transaction_status || batch.batch_header?.batch_status;
+    if (status === 'SUCCESS') {
+      return { providerRequestId, resultCode: 0, resultDesc: 'Payout completed', receipt: item?.transaction_id || providerRequestId, amount: null, completedAt: item?.time_processed ? new Date(item.time_processed) : new Date() };
+    }
+    if (PAYPAL_PAYOUT_FAILURES.includes(status)) {
+      return { providerRequestId, resultCode: 1, resultDesc: item?.errors?.message || `PayPal payout ${status}`, receipt: null, amount: null, completedAt: new Date() };
+    }
+    return null;
+  },
+};
+
+const paymentProviders = { 'M-Pesa': mpesaProvider, Bank: bankProvider, PayPal: paypalProvider };
+
+/**
+ * Register (or replace) the adapter for a payment method, e.g. a different bank API
+ * @param {string} method - One of PAYMENT_METHODS
+ * @param {Object} adapter - Implements the interface above (slug must be URL-safe)
+ */
+export const registerPaymentProvider = (method, adapter) => {
+  if (!PAYMENT_METHODS.includes(method)) throw new Error(`Unknown payment method '${method}'`);
+  paymentProviders[method] = { ...adapter, method };
+};
+
+/**
+ * Look up an adapter by method name ('M-Pesa') or callback slug ('mpesa')
+ * @param {string} methodOrSlug
+ * @returns {Object|null} Adapter, or null for unsupported methods (e.g., 'Other')
+ */
+export const getPaymentProvider = (methodOrSlug) =>
+  Object.values(paymentProviders).find(p => p.method === methodOrSlug || p.slug === String(methodOrSlug || '').toLowerCase()) || null;
+
+/**
+ * Pick the adapter + account details for a user: explicit override, else their chosen payment method
+ * @param {Object} user - User document
+ * @param {Object} [options]
+ * @param {string} [options.method] - Payment method override
+ * @param {Object|string} [options.details] - Account detail overrides (mobileNumber, bankName, accountNumber, paypalEmail),
+ *   or a bare account string for the method's accountField
+ * @returns {{provider: Object|null, method: string, details: Object}}
+ */
+export const resolvePaymentMethod = (user, { method, details } = {}) => {
+  const chosen = method || user.financialInfo?.paymentMethod?.type || 'M-Pesa';
+  const provider = getPaymentProvider(chosen);
+  if (typeof details === 'string') details = provider ? { [provider.accountField]: details } : {};
+  details = details || {};
+  const saved = user.financialInfo?.paymentMethod?.details || {};
+  return {
+    provider,
+    method: chosen,
+    details: {
+      mobileNumber: details.mobileNumber || saved.mobileNumber || user.personalInfo?.phoneNumber || '',
+      bankName: details.bankName || saved.bankName || '',
+      accountNumber: details.accountNumber || saved.accountNumber || '',
+      paypalEmail: details.paypalEmail || saved.paypalEmail || user.personalInfo?.email || '',
+    },
+  };
+};
+
+export default {
+  initiateStkPush,
+  queryStkPush,
+  parseStkCallback,
+  initiateB2CPayment,
+  parseB2CResult,
+  verifyCallbackSignature,
+  getPaymentProvider,
+  resolvePaymentMethod,
+  registerPaymentProvider,
+};
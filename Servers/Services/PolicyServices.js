@@ -0,0 +1,183 @@
+// services/policyService.js
+// Non-payment lifecycle: overdue invoice → grace period → Lapsed → reinstated once arrears are paid.
+import User from '../Models/User.js';
+import Premium from '../Models/Premium.js';
+import Invoice from '../Models/Invoice.js';
+import Refund from '../Models/Refund.js';
+import Analytics from '../Models/Analytics.js';
+import { sendEmail } from './EmailServices.js';
+import {
+  POLICY_GRACE_DAYS, REINSTATEMENT_WINDOW_DAYS, REINSTATEMENT_WAITING_DAYS, PRE_EXISTING_LOOKBACK_DAYS, CLAIM_EXCLUSION_RULES,
+} from '../Utilities/Constants.js';
+import { addDays } from '../Utilities/Helper.js';
+import logger from '../Utilities/Logger.js';
+
+const notify = async (user, subject, text) => {
+  try {
+    await sendEmail({ to: user.personalInfo.email, subject, text });
+  } catch (emailError) {
+    logger.error(`Policy email "${subject}" failed for user ${user._id}: ${emailError.message}`);
+  }
+};
+
+/**
+ * Scheduler tick: start grace for newly overdue policies, lapse those past grace, clear grace once paid up
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Counts per transition
+ */
+export const runLapseCycle = async (now = new Date()) => {
+  // Oldest overdue invoice per policyholder
+  const overdue = await Invoice.aggregate([
+    { $match: { status: 'Overdue' } },
+    { $group: { _id: '$userId', oldestDueDate: { $min: '$dueDate' }, arrears: { $sum: '$amount' }, invoices: { $push: '$invoiceNumber' } } },
+  ]);
+  const overdueByUser = new Map(overdue.map(o => [String(o._id), o]));
+
+  const counts = { graceStarted: 0, lapsed: 0, graceCleared: 0 };
+
+  const atRisk = await User.find({ _id: { $in: overdue.map(o => o._id) }, 'insuranceStatus.status': 'Approved' });
+  for (const user of atRisk) {
+    const { oldestDueDate, arrears, invoices } = overdueByUser.get(String(user._id));
+    const graceEndsAt = addDays(oldestDueDate, POLICY_GRACE_DAYS);
+
+    if (graceEndsAt <= now) {
+      await user.lapsePolicy({
+        reason: `Unpaid since ${oldestDueDate.toDateString()} (grace ended ${graceEndsAt.toDateString()})`,
+        metadata: { arrears, invoices },
+      });
+      counts.lapsed += 1;
+      await notify(user, 'CCI Policy Lapsed',
+        `Dear ${user.personalInfo.fullName},\n\nYour policy has lapsed because KSh ${arrears} (${invoices.join(', ')}) was not paid within the ${POLICY_GRACE_DAYS}-day grace period. Incidents from today are not covered.\n\nYou can reinstate within ${REINSTATEMENT_WINDOW_DAYS} days by paying the arrears${REINSTATEMENT_WAITING_DAYS > 0 ? `; cover for new incidents resumes ${REINSTATEMENT_WAITING_DAYS} days after reinstatement` : ''}.`);
+    } else if (!user.insuranceStatus.graceEndsAt) {
+      user.insuranceStatus.graceEndsAt = graceEndsAt;
+      user.recordPolicyEvent('GraceStarted', { reason: `Invoice due ${oldestDueDate.toDateString()} unpaid`, metadata: { arrears, invoices } });
+      await user.save();
+      counts.graceStarted += 1;
+      await notify(user, 'CCI Premium Overdue - Grace Period',
+        `Dear ${user.personalInfo.fullName},\n\nKSh ${arrears} is overdue (${invoices.join(', ')}). Pay by ${graceEndsAt.toDateString()} to keep your cover; after that your policy will lapse.`);
+    }
+  }
+
+  // Paid up during grace
+  const recovered = await User.find({
+    'insuranceStatus.status': 'Approved',
+    'insuranceStatus.graceEndsAt': { $ne: null },
+    _id: { $nin: overdue.map(o => o._id) },
+  });
+  for (const user of recovered) {
+    user.insuranceStatus.graceEndsAt = null;
+    user.recordPolicyEvent('GraceCleared', { reason: 'Overdue invoices paid' });
+    await user.save();
+    counts.graceCleared += 1;
+  }
+
+  return counts;
+};
+
+/**
+ * What a Lapsed policyholder must pay to reinstate, and whether they still can
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { eligible, reason, arrears, invoices, windowEndsAt, waitingPeriodDays }
+ */
+export const getReinstatementQuote = async (user) => {
+  const { status, lapsedAt, policyEndDate } = user.insuranceStatus;
+  const quote = { eligible: false, reason: null, arrears: 0, invoices: [], windowEndsAt: null, waitingPeriodDays: REINSTATEMENT_WAITING_DAYS };
+
+  if (status !== 'Lapsed') {
+    return { ...quote, reason: `Policy is ${status}, not Lapsed` };
+  }
+  quote.windowEndsAt = addDays(lapsedAt, REINSTATEMENT_WINDOW_DAYS);
+  if (quote.windowEndsAt < new Date()) {
+    return { ...quote, reason: `Reinstatement window closed on ${quote.windowEndsAt.toDateString()}; please reapply` };
+  }
+  if (policyEndDate && policyEndDate < new Date()) {
+    return { ...quote, reason: 'Policy term has ended; please renew' };
+  }
+
+  const premium = await Premium.findOne({ 'premiumDetails.userId': user._id }).select('_id');
+  if (!premium) {
+    return { ...quote, reason: 'No associated premium found' };
+  }
+  const open = await Invoice.find({ premiumId: premium._id, status: { $in: ['Pending', 'Overdue', 'Failed'] } })
+    .sort({ periodNumber: 1 })
+    .select('invoiceNumber periodStart periodEnd dueDate amount amountPaid status')
+    .lean();
+
+  return {
+    ...quote,
+    eligible: true,
+    premiumId: premium._id,
+    arrears: open.reduce((sum, i) => sum + Math.max(i.amount - (i.amountPaid || 0), 0), 0),
+    invoices: open,
+  };
+};
+
+/**
+ * Close a policy on termination/surrender: void unpaid invoices, refund unearned premium, keep the Premium
+ * @param {Object} user - User document (status already moved to Surrendered and saved)
+ * @param {Object} options
+ * @param {'Terminated'|'Surrendered'} options.type
+ * @param {string} [options.reason]
+ * @param {string} [options.changedBy] - Admin id
+ * @param {Date} [options.effectiveDate]
+ * @returns {Promise<Object|null>} Refund (termination statement) or null when there was no premium
+ */
+export const closePolicy = async (user, { type, reason = '', changedBy = null, effectiveDate = new Date() }) => {
+  const premium = await Premium.findOne({ 'premiumDetails.userId': user._id });
+  if (!premium) return null;
+
+  await Invoice.voidOpenInvoices(premium._id, `Contract ${type.toLowerCase()}${reason ? `: ${reason}` : ''}`);
+  const refund = await Refund.issueForClosure({ premium, user, type, reason, effectiveDate, issuedBy: changedBy });
+
+  premium.closure = { type, closedAt: effectiveDate, reason, refundId: refund._id };
+  await premium.save();
+  return refund;
+};
+
+// riskHistory violations that pre-date cover, by the incident types they make pre-existing
+const PRE_EXISTING_VIOLATIONS = {
+  Demonetization: ['Limited ads', 'Video demonetization'],
+  Suspension: ['Full suspension'],
+  Ban: ['Full suspension', 'Limited ads', 'Video demonetization'],
+};
+// Unresolved analytics alerts that signal the loss was already under way
+const PRE_EXISTING_ALERTS = ['Demonetization Warning', 'Revenue Drop', 'Policy Change'];
+
+/**
+ * Can a claim for this incident be accepted? Coverage on the date (inception, waiting period, term, lapses), then
+ * pre-existing conditions: riskHistory violations or unresolved Medium/High riskAlerts in the PRE_EXISTING_LOOKBACK_DAYS
+ * before the policy started.
+ * @param {Object} user - User document
+ * @param {{ incidentDate: Date|string, incidentType: string }} incident
+ * @returns {Promise<{ covered: boolean, rule: string|null, reason: string|null, evidence?: Array }>}
+ */
+export const checkClaimEligibility = async (user, { incidentDate, incidentType }) => {
+  const coverage = user.getCoverageOn(incidentDate);
+  if (!coverage.covered) return coverage;
+
+  const { policyStartDate } = user.insuranceStatus;
+  const lookbackFrom = addDays(policyStartDate, -PRE_EXISTING_LOOKBACK_DAYS);
+  const beforeCover = (date) => date && date >= lookbackFrom && date < policyStartDate;
+
+  const violations = (user.platformInfo?.youtube?.riskHistory || [])
+    .filter(r => beforeCover(r.date) && PRE_EXISTING_VIOLATIONS[r.violationType]?.includes(incidentType))
+    .map(r => ({ source: 'riskHistory', type: r.violationType, date: r.date, description: r.description || '' }));
+  const analytics = await Analytics.findOne({ userId: user._id }).select('youtube.riskAlerts').lean();
+  const alerts = (analytics?.youtube?.riskAlerts || [])
+    .filter(a => beforeCover(a.date) && !a.isResolved && PRE_EXISTING_ALERTS.includes(a.type) && a.severity !== 'Low')
+    .map(a => ({ source: 'riskAlerts', type: a.type, date: a.date, description: a.description }));
+
+  const evidence = [...violations, ...alerts].sort((a, b) => a.date - b.date);
+  if (!evidence.length) return { covered: true, rule: null, reason: null };
+
+  const first = evidence[0];
+  logger.warn(`Pre-existing condition for user ${user._id}: ${evidence.length} risk event(s) before ${policyStartDate.toISOString()}`);
+  return {
+    covered: false,
+    rule: 'PRE_EXISTING',
+    reason: `${CLAIM_EXCLUSION_RULES.PRE_EXISTING}: ${first.type} recorded on ${new Date(first.date).toDateString()}, before cover began on ${policyStartDate.toDateString()}${evidence.length > 1 ? ` (+${evidence.length - 1} more)` : ''}`,
+    evidence,
+  };
+};
+
+export default { runLapseCycle, getReinstatementQuote, closePolicy, checkClaimEligibility };
@@ -0,0 +1,74 @@
+// services/schedulerService.js
+// Lightweight in-process job runner for periodic background work (payout retries, etc.)
+// Each job runs on its own interval and never overlaps with itself.
+import logger from '../Utilities/Logger.js';
+
+const jobs = new Map();
+
+/**
+ * Register a periodic job (call before startScheduler)
+ * @param {string} name - Unique job name (used in logs and runJobNow)
+ * @param {number} intervalMs - Interval between runs
+ * @param {Function} handler - Async function; its return value is logged
+ */
+export const registerJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+  jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null });
+};
+
+/**
+ * Run a registered job immediately (skips if already running)
+ * @param {string} name - Job name
+ * @returns {Promise<*>} Handler result, or null if skipped
+ */
+export const runJobNow = async (name) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+  if (job.running) {
+    logger.warn(`Job ${name} still running; skipping this tick`);
+    return null;
+  }
+
+  job.running = true;
+  try {
+    const result = await job.handler();
+    job.lastRunAt = new Date();
+    logger.info(`Job ${name} completed: ${JSON.stringify(result ?? {})}`);
+    return result;
+  } catch (error) {
+    logger.error(`Job ${name} failed: ${error.message} | Stack: ${error.stack}`);
+    return null;
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start all registered jobs (disabled with SCHEDULER_ENABLED=false, e.g. on serverless)
+ */
+export const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    logger.info('Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+    job.timer = setInterval(() => runJobNow(job.name), job.intervalMs);
+    job.timer.unref();  // Never keep the process alive on its own
+    logger.info(`Scheduled job ${job.name} every ${Math.round(job.intervalMs / 1000)}s`);
+  }
+};
+
+/**
+ * Stop all running job timers (graceful shutdown)
+ */
+export const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) clearInterval(job.timer);
+    job.timer = null;
+  }
+};
+
+export default { registerJob, runJobNow, startScheduler, stopScheduler };
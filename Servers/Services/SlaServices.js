@@ -0,0 +1,137 @@
+// services/slaServices.js
+// Claim resolution SLA: warn the assigned reviewer ahead of resolutionDeadline, escalate breaches to the claims
+// supervisor, and report against the resolution target (CLAIM_SLA_TARGET_RATE of claims within CLAIM_SLA_TARGET_DAYS).
+// The clock is paused (Claim.pauseSla/resumeSla) while the claim waits on the creator.
+import Claim, { SLA_OPEN_STATUSES } from '../Models/Claim.js';
+import SlaEvent from '../Models/SlaEvent.js';
+import { sendEmail } from './EmailServices.js';
+import { CLAIM_SLA_WARNING_HOURS, CLAIM_SLA_TARGET_DAYS, CLAIM_SLA_TARGET_RATE } from '../Utilities/Constants.js';
+import logger from '../Utilities/Logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const reviewersEmail = () => process.env.ADMIN_EMAIL || 'admin@cci.com';
+const supervisorEmail = () => process.env.CLAIMS_SUPERVISOR_EMAIL || reviewersEmail();
+
+const notify = async (to, subject, text) => {
+  try {
+    await sendEmail({ to, subject, text });
+    return [to];
+  } catch (emailError) {
+    logger.error(`SLA email "${subject}" to ${to} failed: ${emailError.message}`);
+    return [];
+  }
+};
+
+/**
+ * Scheduler tick: reviewer warnings at 48h/24h before the deadline, supervisor escalation once it passes
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Counts per action
+ */
+export const runSlaCycle = async (now = new Date()) => {
+  const counts = { warned: 0, breached: 0 };
+  const horizon = new Date(now.getTime() + Math.max(...CLAIM_SLA_WARNING_HOURS) * HOUR_MS);
+
+  const dueSoon = await Claim.find({
+    currentStatus: { $in: SLA_OPEN_STATUSES },
+    'sla.resolvedAt': null,
+    'sla.pausedAt': null,
+    'sla.breachedAt': null,
+    resolutionDeadline: { $lte: horizon },
+  }).populate('assignment.reviewerId', 'personalInfo.fullName personalInfo.email');
+
+  for (const claim of dueSoon) {
+    const reviewer = claim.assignment?.reviewerId;
+    const reviewerTo = reviewer?.personalInfo?.email || reviewersEmail();
+    const hoursLeft = (claim.resolutionDeadline - now) / HOUR_MS;
+    const event = {
+      claimId: claim._id,
+      deadline: claim.resolutionDeadline,
+      claimStatus: claim.currentStatus,
+      reviewerId: reviewer?._id || null,
+    };
+
+    if (hoursLeft <= 0) {
+      const escalatedTo = supervisorEmail();
+      const notified = await notify(
+        escalatedTo,
+        `SLA breached - Claim ${claim._id}`,
+        `Claim ${claim._id} (${claim.currentStatus}) passed its resolution deadline ${claim.resolutionDeadline.toISOString()} without a decision. `
+          + `Assigned reviewer: ${reviewer ? `${reviewer.personalInfo.fullName} <${reviewer.personalInfo.email}>` : 'none'}. Please reassign or decide it today.`
+      );
+      claim.sla.breachedAt = now;
+      claim.sla.escalatedTo = escalatedTo;
+      await claim.save();
+      await SlaEvent.record({ ...event, type: 'Breach', occurredAt: now, notified });
+      logger.warn(`Claim ${claim._id} breached its SLA; escalated to ${escalatedTo}`);
+      counts.breached += 1;
+      continue;
+    }
+
+    // Most urgent threshold not yet sent; a claim already inside 24h gets one warning, not two
+    const due = CLAIM_SLA_WARNING_HOURS.filter(hours => hoursLeft <= hours && !claim.sla.warningsSent.includes(hours));
+    if (!due.length) continue;
+    const threshold = Math.min(...due);
+    const notified = await notify(
+      reviewerTo,
+      `Claim ${claim._id} due in ${threshold}h - CCI`,
+      `Claim ${claim._id} (${claim.currentStatus}) must be decided by ${claim.resolutionDeadline.toISOString()} (about ${Math.floor(hoursLeft)}h left). `
+        + 'If you are waiting on the creator, request the information from the claim so the SLA clock pauses.'
+    );
+    claim.sla.warningsSent.push(...due);
+    await claim.save();
+    await SlaEvent.record({ ...event, type: 'Warning', occurredAt: now, hoursLeft: threshold, notified });
+    counts.warned += 1;
+  }
+
+  return counts;
+};
+
+/**
+ * SLA performance for claims decided in a period (resolution time excludes paused time)
+ * @param {{ startDate?: Date, endDate?: Date }} [range] - Defaults to the last 30 days
+ * @returns {Promise<Object>} Resolution rate vs target, breaches and currently breached claims
+ */
+export const getSlaReport = async ({ startDate, endDate } = {}) => {
+  const to = endDate ? new Date(endDate) : new Date();
+  const from = startDate ? new Date(startDate) : new Date(to.getTime() - 30 * DAY_MS);
+
+  const [resolved] = await Claim.aggregate([
+    { $match: { 'sla.resolvedAt': { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: null,
+        resolved: { $sum: 1 },
+        withinTarget: { $sum: { $cond: ['$sla.resolvedWithinTarget', 1, 0] } },
+        avgResolutionMs: { $avg: '$sla.resolutionMs' },
+        breached: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$sla.breachedAt', null] }, null] }, 1, 0] } },
+      },
+    },
+  ]);
+  const [breachEvents, warningEvents, openBreached, paused] = await Promise.all([
+    SlaEvent.countDocuments({ type: 'Breach', occurredAt: { $gte: from, $lte: to } }),
+    SlaEvent.countDocuments({ type: 'Warning', occurredAt: { $gte: from, $lte: to } }),
+    Claim.countDocuments({ currentStatus: { $in: SLA_OPEN_STATUSES }, 'sla.resolvedAt': null, 'sla.breachedAt': { $ne: null } }),
+    Claim.countDocuments({ currentStatus: { $in: SLA_OPEN_STATUSES }, 'sla.pausedAt': { $ne: null } }),
+  ]);
+
+  const total = resolved?.resolved || 0;
+  const rate = total ? (resolved.withinTarget / total) : null;
+  return {
+    period: { from, to },
+    target: { days: CLAIM_SLA_TARGET_DAYS, rate: CLAIM_SLA_TARGET_RATE },
+    resolved: total,
+    resolvedWithinTarget: resolved?.withinTarget || 0,
+    withinTargetRate: rate === null ? null : Math.round(rate * 1000) / 10,  // %
+    meetsTarget: rate === null ? null : rate >= CLAIM_SLA_TARGET_RATE,
+    avgResolutionDays: total ? Math.round((resolved.avgResolutionMs / DAY_MS) * 10) / 10 : null,
+    resolvedAfterBreach: resolved?.breached || 0,
+    breaches: breachEvents,
+    warnings: warningEvents,
+    openBreached,
+    paused,
+  };
+};
+
+export default { runSlaCycle, getSlaReport };
@@ -0,0 +1,157 @@
+// services/statementServices.js
+// M-Pesa paybill (C2B) statement parsing for reconciliation imports.
+// Accepts the org-portal statement export (CSV or XLSX: "Receipt No.", "Completion Time", "Paid In", "Other Party Info",
+// "A/C No." ...) and Daraja-style C2B exports (TransID, TransTime, TransAmount, MSISDN, BillRefNumber ...).
+// Returns only completed money-in lines, normalized; everything else on the statement is counted and skipped.
+import JSZip from 'jszip';
+import { normalizeMsisdn } from './PaymentServices.js';
+
+// Header aliases (compared lowercase with punctuation stripped)
+const COLUMN_ALIASES = {
+  receiptNo: ['receiptno', 'receipt', 'transid', 'transactionid'],
+  completedAt: ['completiontime', 'transtime', 'transactiontime', 'date'],
+  details: ['details', 'description', 'transactiontype'],
+  status: ['transactionstatus', 'status'],
+  paidIn: ['paidin', 'transamount', 'amount', 'credit'],
+  withdrawn: ['withdrawn', 'debit'],
+  otherParty: ['otherpartyinfo', 'otherparty', 'msisdn', 'phonenumber', 'phone'],
+  payerName: ['firstname', 'name', 'customername'],
+  accountReference: ['acno', 'accountno', 'accountnumber', 'billrefnumber', 'accountreference'],
+};
+
+const headerKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// RFC 4180 CSV (quoted fields, escaped quotes, CRLF)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') { row.push(field); field = ''; }
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += char;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows;
+};
+
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .replace(/&amp;/g, '&');
+
+const columnIndex = (ref) => [...ref.replace(/\d/g, '')].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+
+// XLSX: first worksheet only; shared/inline strings and numbers (dates arrive as Excel serials)
+const parseXlsx = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const sharedXml = await zip.file('xl/sharedStrings.xml')?.async('string') || '';
+  const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(([, si]) => decodeXml([...si.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(t => t[1]).join('')));
+  const sheetPath = Object.keys(zip.files).filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name)).sort()[0];
+  if (!sheetPath) throw new Error('XLSX has no worksheet');
+  const sheetXml = await zip.file(sheetPath).async('string');
+
+  return [...sheetXml.matchAll(/<row[^>]*>([\s\S]*?)<\/row>/g)].map(([, rowXml]) => {
+    const row = [];
+    for (const [, attrs, body] of rowXml.matchAll(/<c([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = /r="([A-Z]+\d+)"/.exec(attrs)?.[1];
+      const type = /t="(\w+)"/.exec(attrs)?.[1];
+      const raw = /<v>([\s\S]*?)<\/v>/.exec(body || '')?.[1];
+      let value = '';
+      if (type === 's') value = shared[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = decodeXml([...(body || '').matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(t => t[1]).join(''));
+      else if (raw !== undefined) value = decodeXml(raw);
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    return Array.from(row, v => v ?? '');
+  });
+};
+
+const parseAmount = (value) => {
+  const amount = Number(String(value ?? '').replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(amount) ? Math.abs(amount) : 0;
+};
+
+// Statement times are EAT; Excel serials count days from 1899-12-30; Daraja TransTime is YYYYMMDDHHmmss
+const parseStatementDate = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  if (/^\d{14}$/.test(text)) {
+    const [, y, mo, d, h, mi, s] = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(text);
+    return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}+03:00`);
+  }
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return new Date(Math.round((Number(text) - 25569) * 86400 * 1000) - 3 * 60 * 60 * 1000);
+  }
+  const dmy = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})[ T]?(\d{1,2}:\d{2}(?::\d{2})?)?$/.exec(text);
+  if (dmy) {
+    const [, d, mo, y, time = '00:00:00'] = dmy;
+    return new Date(`${y}-${mo.padStart(2, '0')}-${d.padStart(2, '0')}T${time.length === 5 ? `${time}:00` : time.padStart(8, '0')}+03:00`);
+  }
+  const parsed = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text.replace(' ', 'T')}+03:00`);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// "254712345678 - JANE W" / "0712345678" / masked "2547******678 - JANE" (masked numbers cannot be matched)
+const parseOtherParty = (value) => {
+  const text = String(value ?? '').trim();
+  const [number, ...name] = text.split(/\s+-\s+/);
+  return { phone: normalizeMsisdn(number), payerName: name.join(' - ').trim() };
+};
+
+/**
+ * Parse an M-Pesa statement file into normalized money-in lines
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} fileName - Original name (extension picks CSV or XLSX)
+ * @returns {Promise<{ lines: Array<{ row, receiptNo, completedAt, paidIn, details, phone, payerName, accountReference }>, skipped: number }>}
+ */
+export const parseMpesaStatement = async (buffer, fileName = '') => {
+  const isXlsx = /\.xlsx$/i.test(fileName) || buffer.subarray(0, 2).toString() === 'PK';
+  const rows = isXlsx ? await parseXlsx(buffer) : parseCsv(buffer.toString('utf8').replace(/^﻿/, ''));
+
+  // Portal exports carry account details above the table: the header is the first row naming a receipt column
+  const headerIndex = rows.findIndex(row => row.some(cell => COLUMN_ALIASES.receiptNo.includes(headerKey(cell))));
+  if (headerIndex === -1) throw new Error('No statement header found (expected a "Receipt No." or "TransID" column)');
+  const header = rows[headerIndex].map(headerKey);
+  const column = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([field, aliases]) => [field, header.findIndex(h => aliases.includes(h))]));
+  if (column.paidIn === -1) throw new Error('No amount column found (expected "Paid In" or "TransAmount")');
+
+  const lines = [];
+  let skipped = 0;
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    const cell = (field) => (column[field] === -1 ? '' : String(row[column[field]] ?? '').trim());
+    if (!cell('receiptNo')) return;  // Blank/footer rows
+
+    const paidIn = parseAmount(cell('paidIn'));
+    const status = cell('status');
+    if (paidIn <= 0 || parseAmount(cell('withdrawn')) > 0 || (status && !/^completed$/i.test(status))) {
+      skipped += 1;
+      return;
+    }
+
+    const { phone, payerName } = parseOtherParty(cell('otherParty'));
+    lines.push({
+      row: headerIndex + i + 2,  // 1-based, as shown in a spreadsheet
+      receiptNo: cell('receiptNo').toUpperCase(),
+      completedAt: parseStatementDate(cell('completedAt')),
+      paidIn,
+      details: cell('details'),
+      phone,
+      payerName: cell('payerName') || payerName,
+      accountReference: cell('accountReference'),
+    });
+  });
+  return { lines, skipped };
+};
+
+export default { parseMpesaStatement };
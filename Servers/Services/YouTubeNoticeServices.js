@@ -0,0 +1,207 @@
+// services/youTubeNoticeServices.js
+// YouTube policy notification parsing (pasted email text or an uploaded .eml) to pre-fill claims and set coveredReason
+// from the evidence instead of the creator's dropdown choice. Pulls out the notice type, affected video IDs and the
+// notice date; checkIncidentType flags a notice that contradicts the chosen incidentType.
+
+export const NOTICE_TYPES = ['LIMITED_ADS', 'SUSPENSION', 'POLICY_STRIKE', 'COPYRIGHT_CLAIM'];
+
+// Checked in this order: a termination email often mentions strikes, a copyright email often mentions ads
+const NOTICE_PATTERNS = [
+  ['COPYRIGHT_CLAIM', [/copyright (claim|strike|takedown|infringement)/i, /content ?id claim/i, /copyright[- ]protected content/i, /claimed by\b/i]],
+  ['SUSPENSION', [
+    /(channel|account) (has been|was|is) (suspended|terminated|disabled)/i,
+    /removed from the youtube partner program/i,
+    /(suspended|removed) from (ypp|the partner program)/i,
+    /monetization (has been |was )?(disabled|suspended|turned off) (for|on) your channel/i,
+    /no longer eligible for monetization/i,
+  ]],
+  ['POLICY_STRIKE', [/community guidelines strike/i, /(received|got) a strike/i, /policy strike/i, /strike (on|against) your channel/i, /warning for violating/i]],
+  ['LIMITED_ADS', [
+    /limited (or no )?ads/i,
+    /limited ad serving/i,
+    /not suitable for (most|all) advertisers/i,
+    /advertiser[- ]friendly/i,
+    /yellow (dollar|\$|icon)/i,
+    /ads (have been |were |are )?(turned off|disabled|restricted|limited)/i,
+  ]],
+];
+
+const NOTICE_COVERED_REASONS = {
+  LIMITED_ADS: 'AD_SUITS',
+  SUSPENSION: 'TEMP_SUSPEND',
+  POLICY_STRIKE: 'POLICY_UPDATE',
+  COPYRIGHT_CLAIM: 'COPYRIGHT',
+};
+
+// Claim incidentType values consistent with each notice (first = form suggestion)
+const NOTICE_INCIDENT_TYPES = {
+  LIMITED_ADS: ['Limited ads', 'Video demonetization'],
+  SUSPENSION: ['Full suspension'],
+  POLICY_STRIKE: ['Video demonetization', 'Full suspension'],
+  COPYRIGHT_CLAIM: ['Video demonetization'],
+};
+
+const YOUTUBE_SENDER = /@(youtube\.com|google\.com)>?\s*$/i;
+const VIDEO_ID_PATTERNS = [
+  /youtube\.com\/watch\?(?:[^\s"'<>]*&)?v=([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/g,
+  /youtu\.be\/([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/g,
+  /youtube\.com\/(?:shorts|embed|live)\/([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/g,
+  /studio\.youtube\.com\/video\/([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/g,
+  /video id:?\s*([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/gi,
+];
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const DATE_PATTERNS = [
+  /\b(\d{4}-\d{2}-\d{2})\b/,
+  new RegExp(`\\b((?:${MONTHS})\\.? \\d{1,2},? \\d{4})\\b`, 'i'),
+  new RegExp(`\\b(\\d{1,2} (?:${MONTHS})\\.?,? \\d{4})\\b`, 'i'),
+];
+
+// Quoted-printable (soft line breaks, =XX bytes as UTF-8)
+const decodeQuotedPrintable = (text) => {
+  const bytes = [];
+  const joined = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < joined.length; i++) {
+    if (joined[i] === '=' && /^[0-9A-F]{2}$/i.test(joined.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(joined.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(joined[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+};
+
+const decodeBody = (body, encoding = '') => {
+  switch (encoding.trim().toLowerCase()) {
+    case 'base64': return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+    case 'quoted-printable': return decodeQuotedPrintable(body);
+    default: return body;
+  }
+};
+
+// RFC 2047 encoded words in headers (=?UTF-8?B?...?= / =?UTF-8?Q?...?=)
+const decodeHeader = (value = '') => value.replace(/=\?[^?]+\?([BQ])\?([^?]*)\?=/gi, (_, type, data) =>
+  type.toUpperCase() === 'B'
+    ? Buffer.from(data, 'base64').toString('utf8')
+    : decodeQuotedPrintable(data.replace(/_/g, ' '))
+);
+
+// Keep link targets (video URLs often only appear in hrefs), drop the markup
+const htmlToText = (html) => html
+  .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<a\s[^>]*href=["']([^"']+)["'][^>]*>/gi, ' $1 ')
+  .replace(/<br\s*\/?>|<\/p>|<\/div>|<\/tr>/gi, '\n')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/gi, ' ')
+  .replace(/&amp;/gi, '&')
+  .replace(/&quot;/gi, '"')
+  .replace(/&#39;|&apos;/gi, "'")
+  .replace(/&lt;/gi, '<')
+  .replace(/&gt;/gi, '>')
+  .replace(/[ \t]+/g, ' ');
+
+const splitMessage = (raw) => {
+  const match = raw.match(/\r?\n\r?\n/);
+  const headerText = match ? raw.slice(0, match.index) : raw;
+  const body = match ? raw.slice(match.index + match[0].length) : '';
+  const headers = {};
+  for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return { headers, body };
+};
+
+// Best text of a MIME entity: text/plain, else text/html converted, searching nested multiparts
+const entityText = ({ headers, body }) => {
+  const contentType = headers['content-type'] || 'text/plain';
+  const boundary = contentType.match(/boundary="?([^";]+)"?/i)?.[1];
+  if (/^multipart\//i.test(contentType) && boundary) {
+    const parts = body.split(`--${boundary}`).slice(1).filter(part => !part.startsWith('--')).map(part => splitMessage(part.replace(/^\r?\n/, '')));
+    const texts = parts.map(part => ({ type: part.headers['content-type'] || 'text/plain', text: entityText(part) })).filter(p => p.text);
+    return (texts.find(p => /^text\/plain/i.test(p.type)) || texts[0])?.text || '';
+  }
+  if (!/^text\//i.test(contentType)) return '';
+  const decoded = decodeBody(body, headers['content-transfer-encoding']);
+  return /^text\/html/i.test(contentType) ? htmlToText(decoded) : decoded;
+};
+
+const findVideoIds = (text) => {
+  const ids = new Set();
+  for (const pattern of VIDEO_ID_PATTERNS) {
+    for (const match of text.matchAll(pattern)) ids.add(match[1]);
+  }
+  return [...ids];
+};
+
+// First recognizable date in the text, ignoring anything in the future
+const findDate = (text, now = new Date()) => {
+  for (const pattern of DATE_PATTERNS) {
+    const match = text.match(pattern);
+    const date = match && new Date(match[1].replace(/(\d)(st|nd|rd|th)\b/, '$1'));
+    if (date && !Number.isNaN(date.getTime()) && date <= now) return date;
+  }
+  return null;
+};
+
+/**
+ * Parse YouTube notification text (pasted body, optionally with Subject/From/Date lines)
+ * @param {string} text
+ * @param {{ subject?: string, sender?: string, date?: Date, source?: 'Text'|'Eml' }} [meta] - Header values when known
+ * @returns {{ source, noticeType, matchedTypes, videoIds, noticeDate, subject, sender, fromYouTube, coveredReason, expectedIncidentTypes, suggestedIncidentType }}
+ */
+export const parseYouTubeNotice = (text = '', { subject, sender, date, source = 'Text' } = {}) => {
+  const body = String(text);
+  subject = subject ?? body.match(/^subject:\s*(.+)$/im)?.[1]?.trim() ?? '';
+  sender = sender ?? body.match(/^from:\s*(.+)$/im)?.[1]?.trim() ?? '';
+  const haystack = `${subject}\n${body}`;
+
+  const matchedTypes = NOTICE_PATTERNS.filter(([, patterns]) => patterns.some(p => p.test(haystack))).map(([type]) => type);
+  const noticeType = matchedTypes[0] || null;
+  const headerDate = date || (() => {
+    const value = body.match(/^(?:date|sent):\s*(.+)$/im)?.[1];
+    const parsed = value ? new Date(value) : null;
+    return parsed && !Number.isNaN(parsed.getTime()) ? parsed : null;
+  })();
+
+  return {
+    source,
+    noticeType,
+    matchedTypes,
+    videoIds: findVideoIds(haystack),
+    noticeDate: headerDate || findDate(haystack),
+    subject: subject.slice(0, 200),
+    sender: sender.slice(0, 200),
+    fromYouTube: sender ? YOUTUBE_SENDER.test(sender) : null,
+    coveredReason: noticeType ? NOTICE_COVERED_REASONS[noticeType] : null,
+    expectedIncidentTypes: noticeType ? NOTICE_INCIDENT_TYPES[noticeType] : [],
+    suggestedIncidentType: noticeType ? NOTICE_INCIDENT_TYPES[noticeType][0] : null,
+  };
+};
+
+/**
+ * Parse an uploaded .eml (RFC 822 message; multipart, base64/quoted-printable and HTML bodies handled)
+ * @param {Buffer|string} raw
+ * @returns {Object} As parseYouTubeNotice, with source 'Eml'
+ */
+export const parseEml = (raw) => {
+  const message = splitMessage(Buffer.isBuffer(raw) ? raw.toString('utf8') : String(raw));
+  const date = message.headers.date ? new Date(message.headers.date) : null;
+  return parseYouTubeNotice(entityText(message), {
+    subject: decodeHeader(message.headers.subject || ''),
+    sender: decodeHeader(message.headers.from || ''),
+    date: date && !Number.isNaN(date.getTime()) ? date : null,
+    source: 'Eml',
+  });
+};
+
+/**
+ * Compare a parsed notice with the creator's chosen incidentType
+ * @param {Object} notice - From parseYouTubeNotice/parseEml
+ * @param {string} incidentType
+ * @returns {boolean} true when the notice type contradicts the choice (false when the notice type is unknown)
+ */
+export const checkIncidentType = (notice, incidentType) =>
+  Boolean(notice?.noticeType && incidentType && !notice.expectedIncidentTypes.includes(incidentType));
+
+export default { parseYouTubeNotice, parseEml, checkIncidentType, NOTICE_TYPES };
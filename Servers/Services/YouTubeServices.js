@@ -0,0 +1,109 @@
+// services/youTubeServices.js
+// YouTube Data/Analytics API access with token refresh, and per-video revenue pulls for video-level claims.
+import axios from 'axios';
+import User from '../Models/User.js';
+import Analytics from '../Models/Analytics.js';
+import { convertSeries } from './FxServices.js';
+import logger from '../Utilities/Logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatDay = (date) => new Date(date).toISOString().split('T')[0];
+
+// === TOKEN REFRESH ===
+const refreshAccessToken = async (refreshToken, clientId, clientSecret) => {
+  try {
+    const res = await axios.post('https://oauth2.googleapis.com/token', {
+      client_id: clientId,
+      client_secret: clientSecret,
+      refresh_token: refreshToken,
+      grant_type: 'refresh_token'
+    });
+    return res.data.access_token;
+  } catch (err) {
+    logger.error(`Token refresh failed: ${err.response?.data?.error || err.message}`);
+    throw new Error('Re-authenticate required');
+  }
+};
+
+// === SAFE API CALL === (Enhanced logging for debugging)
+export const safeApiCall = async (url, params, user, refreshToken) => {
+  if (!user?.platformInfo?.youtube?.accessToken) {
+    throw new Error('Invalid user token configuration');
+  }
+  let token = user.platformInfo.youtube.accessToken;
+  try {
+    const res = await axios.get(url, {
+      params: { ...params, access_token: token },
+      timeout: 15000
+    });
+    return res.data;
+  } catch (err) {
+    logger.warn(`API call failed for ${url}: ${err.message}`); // Added for trace
+    if (err.response?.status === 401 && refreshToken) {
+      logger.warn('401 detected. Refreshing token...');
+      token = await refreshAccessToken(refreshToken, process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET);
+      user.platformInfo.youtube.accessToken = token;
+      await user.save();
+      const retryRes = await axios.get(url, { params: { ...params, access_token: token }, timeout: 15000 });
+      return retryRes.data;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Daily revenue for specific videos (YouTube Analytics, day rows filtered to one video per request), converted to KSh
+ * and merged into Analytics.youtube.videoEarnings. Falls back to the stored history when the API is unavailable.
+ * @param {string|ObjectId} userId
+ * @param {string[]} videoIds
+ * @param {{ startDate: Date, endDate: Date, refresh?: boolean }} range - refresh: false reads stored history only
+ * @returns {Promise<Map<string, Array>>} videoId → [{ date, amount, views, originalAmount, currency, fxRate, ... }] (date order)
+ */
+export const pullVideoEarnings = async (userId, videoIds, { startDate, endDate, refresh = true }) => {
+  const analytics = await Analytics.findOne({ userId });
+  if (!analytics) throw new Error('No analytics data');
+  const end = new Date(Math.min(new Date(endDate).getTime(), Date.now()));
+
+  if (refresh) {
+    const user = await User.findById(userId).select('platformInfo.youtube');
+    const { refreshToken, id: channelId } = user?.platformInfo?.youtube || {};
+    for (const videoId of videoIds) {
+      try {
+        const report = await safeApiCall(
+          'https://youtubeanalytics.googleapis.com/v2/reports',
+          {
+            ids: `channel==${channelId}`,
+            startDate: formatDay(startDate),
+            endDate: formatDay(end),
+            metrics: 'views,estimatedRevenue',
+            dimensions: 'day',
+            filters: `video==${videoId}`,
+          },
+          user,
+          refreshToken
+        );
+        const idx = (name) => report.columnHeaders?.findIndex(h => h.name === name) ?? -1;
+        const rows = (report.rows || []).map(r => ({
+          date: new Date(r[idx('day')]),
+          amount: parseFloat(r[idx('estimatedRevenue')] || 0),
+          views: parseInt(r[idx('views')] || 0),
+        }));
+        analytics.mergeVideoEarnings(videoId, await convertSeries(rows));
+      } catch (error) {
+        logger.warn(`Video revenue pull failed for ${videoId} (user ${userId}): ${error.message}; using stored history`);
+      }
+    }
+    await analytics.save();
+  }
+
+  const from = new Date(startDate).getTime();
+  return new Map(videoIds.map(videoId => {
+    const stored = analytics.youtube.videoEarnings.find(v => v.videoId === videoId);
+    const history = (stored?.history || [])
+      .filter(h => h.date.getTime() >= from && h.date.getTime() < end.getTime() + DAY_MS)
+      .sort((a, b) => a.date - b.date);
+    return [videoId, history];
+  }));
+};
+
+export default { safeApiCall, pullVideoEarnings };
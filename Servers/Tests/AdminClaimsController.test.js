@@ -0,0 +1,80 @@
+// Admin claim handlers with the models stubbed (no database): node --test
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+process.env.GEMINI_API_KEY ||= 'test-key';  // Both read when the controller modules load
+process.env.MODEL_GEMINI ||= 'test-model';
+const { default: Claim } = await import('../Models/Claim.js');
+const { default: User } = await import('../Models/User.js');
+const { default: AuditLog } = await import('../Models/AuditLog.js');
+const { bulkReviewClaims } = await import('../Controllers/AdminClaimsController.js');
+const { bulkReviewClaims: contentBulkReviewClaims } = await import('../Controllers/AdminContentController.js');
+
+const adminId = new mongoose.Types.ObjectId().toString();
+const assigneeId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// Claim awaiting review, assigned to another reviewer; authorizeDecision reports an override when one is asked for
+const stubClaim = () => {
+  const calls = { authorize: [], transitions: [] };
+  const claim = {
+    _id: new mongoose.Types.ObjectId(),
+    claimDetails: { userId: { personalInfo: { email: '' } } },  // No address: sendEmail refuses before any SMTP connection
+    evaluation: {},
+    assertTransition: () => {},
+    authorizeDecision: (actor, { override }) => {
+      calls.authorize.push(override);
+      return override ? { overridden: true, assignee: assigneeId } : { overridden: false };
+    },
+    transitionStatus: async (status) => { calls.transitions.push(status); },
+    calculatePayout: async () => 0,
+    processPayout: async () => {},
+  };
+  Claim.findById = () => ({ populate: async () => claim });
+  return { claim, calls };
+};
+
+let audits;
+beforeEach(() => {
+  audits = [];
+  AuditLog.record = async (entry) => { audits.push(entry); };
+  User.findById = async () => ({ _id: adminId, role: 'Admin' });
+});
+
+const review = (claim, extra = {}) => ({
+  user: { userId: adminId, role: 'Admin' },
+  body: { reviews: [{ claimId: claim._id.toString(), isValid: false, notes: 'Evidence does not show the drop', ...extra }] },
+});
+
+test('bulkReviewClaims audits a supervisor override', async () => {
+  const { claim, calls } = stubClaim();
+  const res = mockResponse();
+  await bulkReviewClaims(review(claim, { override: true }), res, assert.fail);
+
+  assert.deepEqual(calls.authorize, [true]);
+  assert.deepEqual(calls.transitions, ['Rejected']);
+  assert.equal(audits.length, 1);
+  assert.equal(audits[0].action, 'claim.review-override');
+  assert.equal(audits[0].actorId, adminId);
+  assert.equal(String(audits[0].entity.id), String(claim._id));
+  assert.equal(audits[0].details.assignee, assigneeId);
+});
+
+test('bulkReviewClaims treats a non-boolean override as no override', async () => {
+  const { claim, calls } = stubClaim();
+  await bulkReviewClaims(review(claim, { override: 'false' }), mockResponse(), assert.fail);
+
+  assert.deepEqual(calls.authorize, [false]);
+  assert.equal(audits.length, 0);
+});
+
+test('the admin-content bulk-review route uses the same handler', () => {
+  assert.equal(contentBulkReviewClaims, bulkReviewClaims);
+});
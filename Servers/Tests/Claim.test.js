@@ -0,0 +1,62 @@
+// Claim model calculations with the database lookups stubbed: node --test
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Claim from '../Models/Claim.js';
+import Premium from '../Models/Premium.js';
+import { CLAIM_RULES } from '../Utilities/Constants.js';
+
+const rules = { ...CLAIM_RULES, payoutRate: 1, videoPayoutRate: 1 };
+
+beforeEach(() => {
+  Premium.findById = async () => ({ premiumDetails: { deductibleDays: 1 } });
+  Claim.prototype.applyPayoutLimits = async function (amount) { return amount; };  // No aggregate limits in play
+});
+
+const videoClaim = (videoLosses) => new Claim({
+  claimDetails: { userId: new mongoose.Types.ObjectId(), incidentType: 'Video demonetization', incidentDate: new Date('2026-09-01') },
+  policyId: new mongoose.Types.ObjectId(),
+  evaluation: {
+    basis: 'Video',
+    lostDays: Math.max(0, ...videoLosses.filter(v => v.qualifies).map(v => v.lostDays)),
+    videoLosses,
+  },
+});
+
+test('calculatePayout takes one deductible per claim on the video basis', async () => {
+  const claim = videoClaim([
+    { videoId: 'aaaaaaaaaaa', baselineDaily: 100, lostDays: 10, qualifies: true },
+    { videoId: 'bbbbbbbbbbb', baselineDaily: 100, lostDays: 2, qualifies: true },
+  ]);
+  const payout = await claim.calculatePayout({ rules, persist: false });
+
+  // Gross 1000 + 200 over 10 lost days: one waiting day at the aggregated 120/day
+  assert.equal(claim.evaluation.payoutBreakdown.grossLoss, 1200);
+  assert.equal(claim.evaluation.payoutBreakdown.deductibleAmount, 120);
+  assert.equal(payout, 1080);
+  const perVideo = claim.evaluation.videoLosses.reduce((sum, v) => sum + v.payoutAmount, 0);
+  assert.ok(Math.abs(perVideo - 1080) < 1e-9);
+});
+
+test('calculatePayout pays nothing for videos that do not qualify', async () => {
+  const claim = videoClaim([
+    { videoId: 'aaaaaaaaaaa', baselineDaily: 100, lostDays: 5, qualifies: true },
+    { videoId: 'ccccccccccc', baselineDaily: 500, lostDays: 1, qualifies: false },
+  ]);
+  const payout = await claim.calculatePayout({ rules, persist: false });
+
+  assert.equal(payout, 400);
+  assert.equal(claim.evaluation.videoLosses[1].payoutAmount, 0);
+});
+
+test('calculatePayout deducts the waiting days from the channel loss', async () => {
+  const claim = new Claim({
+    claimDetails: { userId: new mongoose.Types.ObjectId(), incidentType: 'Limited ads', incidentDate: new Date('2026-09-01') },
+    policyId: new mongoose.Types.ObjectId(),
+    evaluation: { basis: 'Channel', baselineDaily: 200, lostDays: 4 },
+  });
+  const payout = await claim.calculatePayout({ rules, persist: false });
+
+  assert.equal(payout, 600);
+  assert.equal(claim.evaluation.payoutBreakdown.deductibleAmount, 200);
+});
@@ -0,0 +1,111 @@
+// Claim controller handlers with the models stubbed (no database): node --test
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+process.env.GEMINI_API_KEY ||= 'test-key';  // Both read when the controller module loads
+process.env.MODEL_GEMINI ||= 'test-model';
+const { default: Claim } = await import('../Models/Claim.js');
+const { updateClaimEvidence } = await import('../Controllers/ClaimsController.js');
+
+const ownerId = new mongoose.Types.ObjectId();
+
+// Minimal Express response recording status and JSON body
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// Claim document as updateClaimEvidence sees it after populate('claimDetails.userId')
+const stubClaim = (overrides = {}) => {
+  const calls = { save: 0, resumeSla: [], verify: 0 };
+  const claim = {
+    _id: new mongoose.Types.ObjectId(),
+    currentStatus: 'Submitted',
+    claimDetails: { userId: { _id: ownerId } },
+    evidence: { files: [], evidenceSummary: 'Original summary' },
+    save: async () => { calls.save += 1; },
+    detectEvidenceReuse: async () => {},
+    resumeSla: async (options) => { calls.resumeSla.push(options); },
+    verifyClaim: async () => { calls.verify += 1; return { status: 'Under Review' }; },
+    ...overrides,
+  };
+  Claim.findById = () => ({ populate: async () => claim });
+  return { claim, calls };
+};
+
+let originalFindById;
+beforeEach(() => {
+  originalFindById ??= Claim.findById;
+  Claim.findById = originalFindById;
+});
+
+test('updateClaimEvidence updates the owner\'s claim and resumes a paused SLA as that creator', async () => {
+  const { claim, calls } = stubClaim();
+  const res = mockResponse();
+  await updateClaimEvidence({
+    params: { id: claim._id.toString() },
+    user: { userId: ownerId.toString(), role: 'Creator' },
+    body: { evidenceSummary: 'Appeal reply attached' },
+    files: [],
+  }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(claim.evidence.evidenceSummary, 'Appeal reply attached');
+  assert.equal(calls.save, 1);
+  assert.equal(calls.resumeSla.length, 1);
+  assert.equal(calls.resumeSla[0].actorId, ownerId.toString());
+  assert.equal(calls.verify, 0);
+});
+
+test('updateClaimEvidence re-verifies a claim that is under review', async () => {
+  const { claim, calls } = stubClaim({ currentStatus: 'Under Review' });
+  const res = mockResponse();
+  await updateClaimEvidence({
+    params: { id: claim._id.toString() },
+    user: { userId: ownerId.toString(), role: 'Creator' },
+    body: {},
+    files: [],
+  }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(calls.verify, 1);
+});
+
+test('updateClaimEvidence refuses another creator\'s claim', async () => {
+  const { claim, calls } = stubClaim();
+  const res = mockResponse();
+  await updateClaimEvidence({
+    params: { id: claim._id.toString() },
+    user: { userId: new mongoose.Types.ObjectId().toString(), role: 'Creator' },
+    body: { evidenceSummary: 'Not mine' },
+    files: [],
+  }, res);
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(calls.save, 0);
+  assert.equal(claim.evidence.evidenceSummary, 'Original summary');
+});
+
+test('updateClaimEvidence rejects updates after a final decision', async () => {
+  const { claim, calls } = stubClaim({ currentStatus: 'Paid' });
+  const res = mockResponse();
+  await updateClaimEvidence({
+    params: { id: claim._id.toString() },
+    user: { userId: ownerId.toString(), role: 'Creator' },
+    body: {},
+    files: [],
+  }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(calls.save, 0);
+});
+
+test('updateClaimEvidence rejects an invalid claim id', async () => {
+  const res = mockResponse();
+  await updateClaimEvidence({ params: { id: 'not-an-id' }, user: { userId: ownerId.toString() }, body: {}, files: [] }, res);
+  assert.equal(res.statusCode, 400);
+});
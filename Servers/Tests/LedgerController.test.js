@@ -0,0 +1,40 @@
+// Ledger statement handlers with the model stubbed (no database): node --test
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ledger from '../Models/Ledger.js';
+import { getMyStatement, getUserStatement } from '../Controllers/LedgerController.js';
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+let requested;
+beforeEach(() => {
+  requested = [];
+  Ledger.getStatement = async (userId, options) => { requested.push(options); return { entries: [] }; };
+});
+
+test('getMyStatement falls back to page 1 of 50 for missing or invalid paging', async () => {
+  for (const query of [{}, { page: '0', limit: 'abc' }, { page: '-3', limit: '-10' }, { page: 'x', limit: '0' }]) {
+    const res = mockResponse();
+    await getMyStatement({ user: { userId: new mongoose.Types.ObjectId().toString() }, query }, res, assert.fail);
+    assert.equal(res.statusCode, 200);
+  }
+  assert.deepEqual(requested.map(({ page, limit }) => ({ page, limit })), Array(4).fill({ page: 1, limit: 50 }));
+});
+
+test('getUserStatement keeps valid paging and caps the page size at 200', async () => {
+  const res = mockResponse();
+  await getUserStatement({
+    params: { userId: new mongoose.Types.ObjectId().toString() },
+    query: { page: '3', limit: '1000' },
+  }, res, assert.fail);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(requested[0].page, 3);
+  assert.equal(requested[0].limit, 200);
+});
@@ -9,18 +9,20 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-// Upload file to Cloudinary
+// Upload file to Cloudinary (images also get Cloudinary's 64-bit perceptual hash, for near-duplicate detection)
 export const uploadToCloudinary = async (file) => {
   try {
     const result = await cloudinary.uploader.upload(file.path, {
       folder: 'cci/claims', // Organize files in a folder
       resource_type: 'auto', // Auto-detect file type (image, video, etc.)
-      public_id: `${Date.now()}-${file.originalname}` // Unique file name
+      public_id: `${Date.now()}-${file.originalname}`, // Unique file name
+      phash: Boolean(file.mimetype?.startsWith('image/')),
     });
     logger.info(`File uploaded to Cloudinary: ${result.secure_url}`);
     return {
       url: result.secure_url,
-      publicId: result.public_id
+      publicId: result.public_id,
+      phash: result.phash || null,  // 16 hex chars
     };
   } catch (error) {
     logger.error(`Cloudinary upload failed: ${error.message}`);
@@ -1 +1,65 @@
-//App-wide constants (e.g., claim statuses) 
\ No newline at end of file
+//App-wide constants (e.g., claim statuses) 
+// Policy lifecycle (grace → lapse → reinstatement); days, overridable via env
+export const POLICY_GRACE_DAYS = Number(process.env.POLICY_GRACE_DAYS || 14);  // After the oldest missed due date
+export const REINSTATEMENT_WINDOW_DAYS = Number(process.env.REINSTATEMENT_WINDOW_DAYS || 90);  // After lapse; later = reapply
+export const REINSTATEMENT_WAITING_DAYS = Number(process.env.REINSTATEMENT_WAITING_DAYS || 14);  // No cover for new incidents; 0 disables
+
+// Claim exclusions (User.getCoverageOn / PolicyServices.checkClaimEligibility); rejections cite the rule code
+export const POLICY_WAITING_DAYS = Number(process.env.POLICY_WAITING_DAYS || 30);  // From policyStartDate; 0 disables
+export const PRE_EXISTING_LOOKBACK_DAYS = Number(process.env.PRE_EXISTING_LOOKBACK_DAYS || 90);  // Risk events this long before inception
+export const CLAIM_EXCLUSION_RULES = Object.freeze({
+  NO_POLICY: 'No active policy',
+  INCEPTION: 'Incident before policy inception',
+  POLICY_TERM: 'Incident after the policy term',
+  WAITING_PERIOD: `Waiting period (${POLICY_WAITING_DAYS} days from policy start)`,
+  LAPSE: 'Policy lapse / reinstatement waiting period',
+  PRE_EXISTING: `Pre-existing condition (${PRE_EXISTING_LOOKBACK_DAYS} days before policy start)`,
+});
+
+export const POLICY_EVENTS = [
+  'Applied', 'Approved', 'Rejected', 'Renewed', 'GraceStarted', 'GraceCleared',
+  'Lapsed', 'ReinstatementRequested', 'Reinstated', 'Surrendered', 'Terminated',
+];
+
+// Claim reinstatement repayments (50% of the payout back within the window)
+export const REPAYMENT_RATE = Number(process.env.REPAYMENT_RATE || 0.5);
+export const REPAYMENT_WINDOW_DAYS = Number(process.env.REPAYMENT_WINDOW_DAYS || 30);
+export const REPAYMENT_MAX_INSTALMENTS = Number(process.env.REPAYMENT_MAX_INSTALMENTS || 3);
+export const REPAYMENT_DEFAULT_FRAUD_PENALTY = Number(process.env.REPAYMENT_DEFAULT_FRAUD_PENALTY || 20);  // fraudScore points on default
+
+// Claim resolution SLA: each claim gets a deadline; the reporting target is a share resolved within the target window
+export const CLAIM_SLA_DAYS = Number(process.env.CLAIM_SLA_DAYS || 7);  // resolutionDeadline after submission
+export const CLAIM_SLA_WARNING_HOURS = [48, 24];  // Reviewer reminders before the deadline
+export const CLAIM_SLA_TARGET_DAYS = Number(process.env.CLAIM_SLA_TARGET_DAYS || 10);
+export const CLAIM_SLA_TARGET_RATE = Number(process.env.CLAIM_SLA_TARGET_RATE || 0.8);  // 80% in 10 days
+
+// Manual-review queue: how new 'Manual Review' claims are handed to reviewers ('least-loaded' | 'round-robin')
+export const REVIEW_ASSIGNMENT_STRATEGY = process.env.REVIEW_ASSIGNMENT_STRATEGY || 'least-loaded';
+
+// Claim eligibility and payout rules (Claim.assessClaim); candidates can be replayed over past claims via the backtest
+export const CLAIM_RULES = Object.freeze({
+  minDropPercent: Number(process.env.CLAIM_MIN_DROP_PERCENT || 70),  // Drop vs the 7-day pre-incident baseline
+  minLostDays: Number(process.env.CLAIM_MIN_LOST_DAYS || 3),
+  lostDayRatio: Number(process.env.CLAIM_LOST_DAY_RATIO || 0.3),  // A day is lost below this share of baseline
+  payoutRate: Number(process.env.CLAIM_PAYOUT_RATE || 0.7),  // Share of baseline daily revenue paid per lost day
+  maxStrikes: Number(process.env.CLAIM_MAX_STRIKES || 3),  // Not covered at/above this many strikes
+  // Video-level incidents ('Video demonetization' naming videoIds): assessed on each video's own revenue
+  videoBaselineDays: Number(process.env.CLAIM_VIDEO_BASELINE_DAYS || 14),  // Pre-incident days averaged per video
+  videoMinDropPercent: Number(process.env.CLAIM_VIDEO_MIN_DROP_PERCENT || 80),
+  videoMinLostDays: Number(process.env.CLAIM_VIDEO_MIN_LOST_DAYS || 3),
+  videoLostDayRatio: Number(process.env.CLAIM_VIDEO_LOST_DAY_RATIO || 0.2),
+  videoPayoutRate: Number(process.env.CLAIM_VIDEO_PAYOUT_RATE || 0.7),
+});
+// Policy payout limits (defaults for new policies; each Premium carries its own): aggregates across all of a creator's
+// claims per calendar month of the incident and per policy year, after a deductible of the first lost days of each claim
+export const POLICY_MONTHLY_CAP = Number(process.env.POLICY_MONTHLY_CAP || 65000);
+export const POLICY_ANNUAL_CAP = Number(process.env.POLICY_ANNUAL_CAP || 390000);
+export const POLICY_DEDUCTIBLE_DAYS = Number(process.env.POLICY_DEDUCTIBLE_DAYS || 1);
+export const CLAIM_MAX_VIDEOS = 20;  // Video IDs one claim may name
+export const CLAIM_DRAFT_EXPIRY_DAYS = Number(process.env.CLAIM_DRAFT_EXPIRY_DAYS || 14);  // Auto-drafted claims left unsubmitted
+export const BACKTEST_MAX_CLAIMS = Number(process.env.BACKTEST_MAX_CLAIMS || 500);  // Per dry run
+
+// Evidence integrity: perceptual hashes within this many bits (of 64) are near-identical; reuse is looked for this far back
+export const EVIDENCE_PHASH_MAX_DISTANCE = Number(process.env.EVIDENCE_PHASH_MAX_DISTANCE || 6);
+export const EVIDENCE_REUSE_LOOKBACK_DAYS = Number(process.env.EVIDENCE_REUSE_LOOKBACK_DAYS || 365);
+export const EVIDENCE_REUSE_MAX_CANDIDATES = Number(process.env.EVIDENCE_REUSE_MAX_CANDIDATES || 200);  // Newest claims compared per check
@@ -1 +1,40 @@
-// Reusable helper functions
\ No newline at end of file
+// Reusable helper functions
+/**
+ * Add calendar months to a date, clamping to the last day of short months (Jan 31 + 1 → Feb 28/29)
+ * @param {Date|string|number} date - Start date
+ * @param {number} months - Months to add (may be negative)
+ * @returns {Date} New date (input untouched)
+ */
+export const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const daysInMonth = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, daysInMonth));
+  return result;
+};
+
+/**
+ * Add whole days to a date
+ * @param {Date|string|number} date - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+export const addDays = (date, days) => new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);
+
+/**
+ * Page and page size from query strings, as positive integers (missing or invalid → defaults; limit capped at max)
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Default page size
+ * @param {number} [options.max=100] - Largest page size allowed
+ * @returns {{ page: number, limit: number }}
+ */
+export const parsePagination = ({ page, limit } = {}, { limit: defaultLimit = 20, max = 100 } = {}) => {
+  const toPositiveInt = (value, fallback) => {
+    const number = Number.parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+  };
+  return { page: toPositiveInt(page, 1), limit: Math.min(toPositiveInt(limit, defaultLimit), max) };
+};
@@ -12,16 +12,19 @@ const storage = multer.diskStorage({
   }
 });
 
+// Saved email (YouTube notices): browsers send .eml as message/rfc822 or a generic type
+export const isEml = (file) => path.extname(file.originalname).toLowerCase() === '.eml';
+
 // File filter to accept specific types
 const fileFilter = (req, file, cb) => {
   const allowedTypes = /jpeg|jpg|png|pdf|mp4/;
   const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
   const mimetype = allowedTypes.test(file.mimetype);
 
-  if (extname && mimetype) {
+  if ((extname && mimetype) || isEml(file)) {
     return cb(null, true);
   }
-  cb(new Error('Only images, PDFs, and MP4 videos are allowed'));
+  cb(new Error('Only images, PDFs, MP4 videos and .eml emails are allowed'));
 };
 
 // Multer instance
@@ -31,4 +34,28 @@ const upload = multer({
   fileFilter
 });
 
+// Statement uploads (M-Pesa CSV/XLSX for reconciliation): parsed in memory, never written to disk
+export const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV and XLSX statements are allowed'));
+  }
+});
+
+// Email uploads (YouTube notice .eml for claim pre-fill): parsed in memory, never written to disk
+export const emailUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    if (isEml(file)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only .eml email files are allowed'));
+  }
+});
+
 export default upload;
\ No newline at end of file
@@ -3,6 +3,8 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import session from 'express-session';  // ← Added for Passport session support
 import connectDB from './Servers/Config/db.js';
+import registerJobs from './Servers/Config/scheduler.js';
+import { startScheduler, stopScheduler } from './Servers/Services/SchedulerServices.js';
 import errorHandler from './Servers/Middlewares/ErrorHandler.js';
 import logger from './Servers/Utilities/Logger.js';
 import AuthRouter from './Servers/Routes/AuthenticationRoutes.js';
@@ -17,6 +19,15 @@ import adminClaimsRouter from './Servers/Routes/AdminClaimsRoutes.js';
 import adminContentRouter from './Servers/Routes/AdminContentRoutes.js';
 import passport from './Servers/Config/passport.js';
 import analyticsRouter from './Servers/Routes/AnalyticsRoutes.js';
+import ledgerRouter from './Servers/Routes/LedgerRoutes.js';
+import repaymentRouter from './Servers/Routes/RepaymentRoutes.js';
+import fxRouter from './Servers/Routes/FxRoutes.js';
+import refundRouter from './Servers/Routes/RefundRoutes.js';
+import fraudRuleRouter from './Servers/Routes/FraudRuleRoutes.js';
+import darajaSandboxRouter from './Servers/Services/DarajaSandbox.js';
+import bankSandboxRouter from './Servers/Services/BankSandbox.js';
+import payPalSandboxRouter from './Servers/Services/PayPalSandbox.js';
+import { BANK_ENV, PAYPAL_ENV } from './Servers/Services/PaymentServices.js';
 
 // Load environment variables
 dotenv.config();
@@ -46,6 +57,10 @@ app.use(session({
 // Connect to MongoDB
 connectDB();
 
+// Background jobs (payout retries, etc.)
+registerJobs();
+startScheduler();
+
 // Passport: AFTER sessions
 app.use(passport.initialize());
 app.use(passport.session());
@@ -64,12 +79,31 @@ app.use('/api/content', contentRouter);
 app.use('/api/analytics', analyticsRouter);
 app.use('/api/premiums', premiumRouter);
 app.use('/api/insurance', insuranceRouter);
+app.use('/api/ledger', ledgerRouter);
+app.use('/api/repayments', repaymentRouter);
+app.use('/api/fx', fxRouter);
+app.use('/api/refunds', refundRouter);
+app.use('/api/fraud-rules', fraudRuleRouter);
 app.use('/api/admin-auth/admin', adminRouter);
 app.use('/api/admin-insurance/admin', adminInsuranceRouter);
 app.use('/api/admin-premiums/admin', adminPremiumRouter);
 app.use('/api/admin-claims/admin', adminClaimsRouter);
 app.use('/api/admin-content/admin', adminContentRouter);
 
+// Local Daraja stand-in (offline STK testing; never mounted outside MPESA_ENV=local)
+if (process.env.MPESA_ENV === 'local') {
+  app.use('/sandbox/daraja', darajaSandboxRouter);
+  logger.info('Daraja sandbox stand-in mounted at /sandbox/daraja');
+}
+if (BANK_ENV === 'local') {
+  app.use('/sandbox/bank', bankSandboxRouter);
+  logger.info('Bank transfer sandbox stand-in mounted at /sandbox/bank');
+}
+if (PAYPAL_ENV === 'local') {
+  app.use('/sandbox/paypal', payPalSandboxRouter);
+  logger.info('PayPal sandbox stand-in mounted at /sandbox/paypal');
+}
+
 // Root route (health check with env info)
 app.get('/', (req, res) => {
   res.json({ 
@@ -103,6 +137,7 @@ process.on('unhandledRejection', (err) => {
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  stopScheduler();
   server.close(() => {
     logger.info('Process terminated.');
     process.exit(0);